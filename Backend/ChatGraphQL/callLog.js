@@ -0,0 +1,145 @@
+const CallLog = require("../Models/CallLog");
+const chatSchema = require("./chatSchema");
+const { recordMessage, emitConversationUpdate } = require("./conversations");
+const { formatMessage } = require("./messageFormat");
+const { notifyNewMessage } = require("../Utils/conversationSettings");
+
+const CALL_TYPES = ["voice", "video"];
+const CALL_USER_FIELDS = "name username profileImage";
+
+const participantsOf = (log) => [log.caller.toString(), log.callee.toString()];
+
+// Both sides' call history changed
+const emitCallLogged = (io, log) => {
+  if (!io) return;
+  const payload = {
+    id: log._id.toString(),
+    roomId: log.roomId,
+    status: log.status,
+    callType: log.callType,
+    callerId: log.caller.toString(),
+    calleeId: log.callee.toString(),
+  };
+  participantsOf(log).forEach((id) => io.to(id).emit("callLogged", payload));
+};
+
+// Drop a "Missed video call" entry into the pair's chat, like any other message
+const postMissedCallEntry = async (io, log) => {
+  const entry = await chatSchema.create({
+    sender: log.caller,
+    receiver: log.callee,
+    message: `Missed ${log.callType} call`,
+    messageType: "call",
+    callLog: log._id,
+  });
+  const populated = await entry.populate("sender receiver", CALL_USER_FIELDS);
+
+  if (io) {
+    const formatted = formatMessage(populated);
+    participantsOf(log).forEach((id) => io.to(id).emit("receiveMessage", formatted));
+  }
+  const conversation = await recordMessage(entry);
+  await emitConversationUpdate(io, conversation);
+  await notifyNewMessage(io, {
+    chatType: "direct",
+    chatId: log.caller,
+    recipients: [log.callee],
+    title: populated.sender.name,
+    body: entry.message,
+    messageId: entry._id,
+  });
+};
+
+// End a call that was never picked up.
+// Returns null when the call had already moved on, so the first outcome wins.
+const finishUnanswered = async (io, roomId, status) => {
+  const log = await CallLog.findOneAndUpdate(
+    { roomId, status: "ringing" },
+    { $set: { status, endedAt: new Date() } },
+    { new: true }
+  );
+  if (!log) return null;
+
+  if (status === "missed") {
+    await postMissedCallEntry(io, log);
+  }
+  emitCallLogged(io, log);
+  return log;
+};
+
+// A new call, ringing until callSignaling reports how it went
+const logCallStarted = async (io, { callerId, calleeId, roomId, callType }) => {
+  const log = await CallLog.create({
+    caller: callerId,
+    callee: calleeId,
+    roomId,
+    callType: CALL_TYPES.includes(callType) ? callType : "video",
+  });
+  emitCallLogged(io, log);
+  return log;
+};
+
+const logCallAnswered = async (io, roomId, calleeId) => {
+  const log = await CallLog.findOneAndUpdate(
+    { roomId, callee: calleeId, status: "ringing" },
+    { $set: { status: "answered", answeredAt: new Date() } },
+    { new: true }
+  );
+  if (!log) return null;
+  emitCallLogged(io, log);
+  return log;
+};
+
+// Either side hanging up ends an answered call and fixes its duration
+const logCallEnded = async (io, roomId, userId) => {
+  const log = await CallLog.findOne({
+    roomId,
+    status: "answered",
+    endedAt: null,
+    $or: [{ caller: userId }, { callee: userId }],
+  });
+  if (!log) return null;
+
+  const endedAt = new Date();
+  const ended = await CallLog.findOneAndUpdate(
+    { _id: log._id, endedAt: null },
+    { $set: { endedAt, duration: Math.round((endedAt - log.answeredAt) / 1000) } },
+    { new: true }
+  );
+  if (ended) emitCallLogged(io, ended);
+  return ended;
+};
+
+// A call from one side's point of view; caller and callee must be populated.
+// Null when either account no longer exists.
+const formatCallLog = (log, viewerId) => {
+  if (!log.caller || !log.callee) return null;
+  const outgoing = log.caller._id.toString() === viewerId;
+  return {
+    id: log._id.toString(),
+    caller: log.caller,
+    callee: log.callee,
+    peer: outgoing ? log.callee : log.caller,
+    direction: outgoing ? "outgoing" : "incoming",
+    callType: log.callType,
+    status: log.status,
+    startedAt: log.createdAt.toISOString(),
+    answeredAt: log.answeredAt ? log.answeredAt.toISOString() : null,
+    endedAt: log.endedAt ? log.endedAt.toISOString() : null,
+    duration: log.duration,
+  };
+};
+
+// Call state lives in memory, so calls left ringing at a restart can no longer connect
+const failStaleCalls = () =>
+  CallLog.updateMany({ status: "ringing" }, { $set: { status: "failed", endedAt: new Date() } });
+
+module.exports = {
+  CALL_USER_FIELDS,
+  formatCallLog,
+  logCallStarted,
+  logCallAnswered,
+  logCallEnded,
+  finishUnanswered,
+  failStaleCalls,
+};
@@ -0,0 +1,200 @@
+const mongoose = require("mongoose");
+const User = require("../Models/user");
+const GroupCall = require("../Models/GroupCall");
+const { logCallStarted, logCallAnswered, logCallEnded, finishUnanswered } = require("./callLog");
+
+const CALL_TYPES = ["voice", "video"];
+// How long a call rings before it counts as missed
+const RING_TIMEOUT_MS = 30 * 1000;
+
+// How a call that was never picked up is recorded in the call history
+const UNANSWERED_STATUS = {
+  declined: "declined",
+  cancelled: "cancelled",
+  timeout: "missed",
+  busy: "missed",
+  unavailable: "missed",
+};
+
+// 1:1 call signalling. Each call is a small state machine keyed by roomID:
+//   ringing -> accepted -> (ended)
+//   ringing -> declined | cancelled | timeout | busy | unavailable
+// Finished calls are dropped. Events only go to the caller's and callee's user rooms,
+// so every device of the callee rings and the others stop once one answers.
+const createCallSignaling = (io) => {
+  // roomID -> { roomId, callerId, calleeId, callType, state, callerSocketId, calleeSocketId, timer }
+  const calls = new Map();
+
+  const isConnected = (userId) => (io.sockets.adapter.rooms.get(userId)?.size || 0) > 0;
+
+  const inCall = (userId) => {
+    for (const call of calls.values()) {
+      if (call.callerId === userId || call.calleeId === userId) return true;
+    }
+    return false;
+  };
+
+  // Settle a call that is still ringing. The caller hears why, unless they hung up themselves;
+  // the callee's devices stop ringing, unless they never started.
+  const finishRinging = async (call, reason) => {
+    if (calls.get(call.roomId) !== call || call.state !== "ringing") return;
+    clearTimeout(call.timer);
+    calls.delete(call.roomId);
+
+    if (reason !== "cancelled") {
+      io.to(call.callerId).emit("call-declined", { roomID: call.roomId, reason });
+    }
+    if (reason !== "busy" && reason !== "unavailable") {
+      io.to(call.calleeId).emit("call-cancelled", { roomID: call.roomId, reason });
+    }
+    await finishUnanswered(io, call.roomId, UNANSWERED_STATUS[reason]);
+  };
+
+  const callerInfo = async (callerId, { callerName, callerImage }) => {
+    if (callerName && callerImage) return { callerName, callerImage };
+    const caller = await User.findById(callerId).select("name profileImage");
+    return {
+      callerName: callerName || caller?.name,
+      callerImage: callerImage || caller?.profileImage,
+    };
+  };
+
+  // A call that never got as far as ringing; the caller's client is still waiting to hear back
+  const rejectCall = (socket, roomID) => {
+    socket.emit("call-declined", { roomID, reason: "failed" });
+  };
+
+  const placeCall = async (socket, { calleeID, roomID, callerName, callerImage, callType } = {}) => {
+    const callerId = socket.userId;
+    if (!roomID || typeof roomID !== "string") return;
+    if (calls.has(roomID)) {
+      // The same call sent twice is already being handled
+      if (calls.get(roomID).callerId !== callerId) rejectCall(socket, roomID);
+      return;
+    }
+    if (!mongoose.Types.ObjectId.isValid(calleeID) || calleeID === callerId) {
+      rejectCall(socket, roomID);
+      return;
+    }
+
+    // Placing a call means the caller has left any call they were still in;
+    // a call screen can close without sending call-ended
+    const leftCalls = [...calls.values()].filter(
+      (c) => c.state === "accepted" && (c.callerId === callerId || c.calleeId === callerId)
+    );
+    leftCalls.forEach((c) => calls.delete(c.roomId));
+
+    // Checked before this call is registered, so it doesn't count itself
+    const calleeBusy = inCall(calleeID);
+    const call = {
+      roomId: roomID,
+      callerId,
+      calleeId: calleeID,
+      callType: CALL_TYPES.includes(callType) ? callType : "video",
+      state: "ringing",
+      callerSocketId: socket.id,
+      calleeSocketId: null,
+      timer: null,
+    };
+    calls.set(roomID, call);
+
+    // Every attempt goes in the call history, even if the callee can't be reached
+    try {
+      for (const left of leftCalls) {
+        await logCallEnded(io, left.roomId, callerId);
+      }
+      await logCallStarted(io, {
+        callerId,
+        calleeId: calleeID,
+        roomId: roomID,
+        callType: call.callType,
+      });
+    } catch (error) {
+      calls.delete(roomID);
+      rejectCall(socket, roomID);
+      throw error;
+    }
+    // Hung up before the log existed to record it
+    if (calls.get(roomID) !== call) {
+      await finishUnanswered(io, roomID, "cancelled");
+      return;
+    }
+
+    if (!isConnected(calleeID)) {
+      console.log(`⚠️ Callee ${calleeID} not connected`);
+      return finishRinging(call, "unavailable");
+    }
+    if (calleeBusy || (await GroupCall.exists({ status: "active", "participants.user": calleeID }))) {
+      return finishRinging(call, "busy");
+    }
+    // The caller may have hung up while we were looking
+    if (calls.get(roomID) !== call) return;
+
+    call.timer = setTimeout(() => {
+      finishRinging(call, "timeout").catch((err) => console.error("Error timing out call:", err));
+    }, RING_TIMEOUT_MS);
+
+    const info = await callerInfo(callerId, { callerName, callerImage });
+    io.to(calleeID).emit("incoming-call", {
+      roomID,
+      callerID: callerId,
+      callerName: info.callerName,
+      callerImage: info.callerImage,
+      callType: call.callType,
+    });
+    console.log(`📞 Call from ${callerId} (${info.callerName}) to ${calleeID}`);
+  };
+
+  const acceptCall = async (socket, { roomID } = {}) => {
+    const call = calls.get(roomID);
+    if (!call || call.state !== "ringing" || call.calleeId !== socket.userId) return;
+
+    clearTimeout(call.timer);
+    call.state = "accepted";
+    call.calleeSocketId = socket.id;
+
+    io.to(call.callerId).emit("call-accepted", { roomID, calleeID: call.calleeId });
+    // Stop ringing on the callee's other devices
+    socket.to(call.calleeId).emit("call-cancelled", { roomID, reason: "answered-elsewhere" });
+    console.log(`✅ Call accepted by ${call.calleeId} for room ${roomID}`);
+    await logCallAnswered(io, roomID, call.calleeId);
+  };
+
+  const declineCall = async (socket, { roomID } = {}) => {
+    const call = calls.get(roomID);
+    if (!call || call.calleeId !== socket.userId) return;
+    console.log(`❌ Call declined for room ${roomID}`);
+    await finishRinging(call, "declined");
+  };
+
+  const cancelCall = async (socket, { roomID } = {}) => {
+    const call = calls.get(roomID);
+    if (!call || call.callerId !== socket.userId) return;
+    console.log(`🚫 Call cancelled for room ${roomID}`);
+    await finishRinging(call, "cancelled");
+  };
+
+  const endCall = async (userId, roomID) => {
+    const call = calls.get(roomID);
+    if (!call || call.state !== "accepted") return;
+    if (call.callerId !== userId && call.calleeId !== userId) return;
+    calls.delete(roomID);
+    await logCallEnded(io, roomID, userId);
+  };
+
+  // A dropped socket cancels the call it was placing and ends the call it was in.
+  // Calls ringing its user are left to ring on their other devices, or time out.
+  const handleDisconnect = async (socket) => {
+    for (const call of [...calls.values()]) {
+      if (call.state === "ringing" && call.callerSocketId === socket.id) {
+        await finishRinging(call, "cancelled");
+      } else if (call.state === "accepted" && (call.callerSocketId === socket.id || call.calleeSocketId === socket.id)) {
+        await endCall(socket.userId, call.roomId);
+      }
+    }
+  };
+
+  return { placeCall, acceptCall, declineCall, cancelCall, endCall, handleDisconnect };
+};
+
+module.exports = { createCallSignaling, RING_TIMEOUT_MS };
@@ -1,10 +1,52 @@
 const mongoose = require("mongoose");
+const reactionSchema = require("../Models/Reaction");
 
 const chatSchema = new mongoose.Schema({
   sender: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   receiver: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-  message: { type: String, required: true },
+  // Text body, or an optional caption for media messages
+  message: { type: String, default: "" },
+  messageType: {
+    type: String,
+    enum: ["text", "image", "video", "audio", "file", "system", "call"],
+    default: "text"
+  },
+  media: {
+    url: String,
+    type: { type: String }, // mimetype
+    filename: String,
+    size: Number,
+    duration: Number // seconds, for video and voice notes
+  },
+  reactions: { type: [reactionSchema], default: [] },
+  // The call a "call" entry (e.g. a missed call) records
+  callLog: { type: mongoose.Schema.Types.ObjectId, ref: "CallLog" },
+  // Message being quoted by this reply
+  replyTo: { type: mongoose.Schema.Types.ObjectId, ref: "Message" },
+  // Delivery state as seen by the sender: sent -> delivered -> read
+  status: { type: String, enum: ["sent", "delivered", "read"], default: "sent" },
+  deliveredAt: { type: Date },
+  readAt: { type: Date },
+  // Set while the message is pinned at the top of the conversation
+  pinnedAt: { type: Date },
+  pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  isEdited: { type: Boolean, default: false },
+  editedAt: { type: Date },
+  editHistory: [{
+    message: String,
+    editedAt: { type: Date, default: Date.now }
+  }],
+  // "Delete for me": users who hid this message from their own history
+  deletedFor: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  // "Delete for everyone": content is wiped and only a tombstone remains
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: { type: Date },
   createdAt: { type: Date, default: Date.now }
 });
 
+// Conversation history is paged newest-first by (createdAt, _id)
+chatSchema.index({ sender: 1, receiver: 1, createdAt: -1, _id: -1 });
+// Full-text message search
+chatSchema.index({ message: "text" });
+
 module.exports = mongoose.model("Message", chatSchema);
@@ -0,0 +1,113 @@
+const Conversation = require("../Models/Conversation");
+const chatSchema = require("./chatSchema");
+const { formatMessage } = require("./messageFormat");
+
+const PEER_FIELDS = "name username profileImage isOnline lastActive";
+
+// Works for both populated refs and raw ObjectIds
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+const conversationKey = (userA, userB) => [idOf(userA), idOf(userB)].sort().join(":");
+
+const betweenUsers = (userA, userB) => ({
+  $or: [
+    { sender: userA, receiver: userB },
+    { sender: userB, receiver: userA },
+  ],
+});
+
+// Point the pair's conversation at a newly sent message (creating it on first message).
+// Sending a message also counts as having read everything before it.
+const recordMessage = async (message) => {
+  const senderId = idOf(message.sender);
+  const receiverId = idOf(message.receiver);
+
+  return Conversation.findOneAndUpdate(
+    { participantsKey: conversationKey(senderId, receiverId) },
+    {
+      $set: {
+        lastMessage: message._id,
+        lastMessageAt: message.createdAt,
+        [`lastReadAt.${senderId}`]: message.createdAt,
+      },
+      $setOnInsert: { participants: [senderId, receiverId] },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+const findConversation = (userA, userB) =>
+  Conversation.findOne({ participantsKey: conversationKey(userA, userB) });
+
+const unreadCountFor = (conversation, viewerId, peerId) => {
+  const lastReadAt = conversation.lastReadAt?.get(viewerId) || new Date(0);
+  return chatSchema.countDocuments({
+    sender: peerId,
+    receiver: viewerId,
+    createdAt: { $gt: lastReadAt },
+    isDeleted: { $ne: true },
+    deletedFor: { $ne: viewerId },
+  });
+};
+
+// Shape a conversation from one participant's point of view.
+// Null when the other participant's account no longer exists.
+const formatConversation = async (conversation, viewerId) => {
+  await conversation.populate([
+    { path: "participants", select: PEER_FIELDS },
+    { path: "lastMessage" },
+  ]);
+  if (conversation.participants.some((p) => !p)) return null;
+
+  const peer =
+    conversation.participants.find((p) => idOf(p) !== viewerId) ||
+    conversation.participants[0];
+  const peerId = idOf(peer);
+
+  // If the viewer deleted the last message for themselves, preview the one before it
+  let lastMessage = conversation.lastMessage;
+  if (lastMessage && lastMessage.deletedFor.some((id) => idOf(id) === viewerId)) {
+    lastMessage = await chatSchema
+      .findOne({ ...betweenUsers(viewerId, peerId), deletedFor: { $ne: viewerId } })
+      .sort({ createdAt: -1, _id: -1 });
+  }
+
+  return {
+    id: conversation._id.toString(),
+    peer: { ...peer._doc, id: peerId },
+    lastMessage: lastMessage ? formatMessage(lastMessage) : null,
+    unreadCount: await unreadCountFor(conversation, viewerId, peerId),
+    lastMessageAt: conversation.lastMessageAt,
+  };
+};
+
+const getConversationsFor = async (viewerId) => {
+  const conversations = await Conversation.find({
+    participants: viewerId,
+    lastMessage: { $ne: null },
+  }).sort({ lastMessageAt: -1 });
+
+  const formatted = await Promise.all(conversations.map((c) => formatConversation(c, viewerId)));
+  return formatted.filter(Boolean);
+};
+
+// Push each participant (or just `viewerIds`) their own view of the conversation over their user room
+const emitConversationUpdate = async (io, conversation, viewerIds) => {
+  if (!io || !conversation) return;
+
+  const viewers = viewerIds || conversation.participants.filter(Boolean).map(idOf);
+  for (const viewerId of viewers) {
+    const payload = await formatConversation(conversation, viewerId);
+    if (payload) io.to(viewerId).emit("conversationUpdated", payload);
+  }
+};
+
+module.exports = {
+  conversationKey,
+  betweenUsers,
+  recordMessage,
+  findConversation,
+  formatConversation,
+  getConversationsFor,
+  emitConversationUpdate,
+};
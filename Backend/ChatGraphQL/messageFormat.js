@@ -0,0 +1,26 @@
+// A populated ref is a document; an unpopulated one is just an ObjectId
+const isPopulated = (ref) => Boolean(ref && ref._doc);
+
+// Flatten a Message document so sender/receiver always expose `id`.
+// A populated replyTo is flattened too (one level deep), unless its author's account is gone.
+const formatMessage = (msg) => {
+  const formatted = {
+    ...msg._doc,
+    id: msg._id.toString(),
+    sender: {
+      ...msg.sender._doc,
+      id: msg.sender._id.toString()
+    },
+    receiver: {
+      ...msg.receiver._doc,
+      id: msg.receiver._id.toString()
+    }
+  };
+
+  if (isPopulated(msg.replyTo) && msg.replyTo.sender && msg.replyTo.receiver) {
+    formatted.replyTo = formatMessage(msg.replyTo);
+  }
+  return formatted;
+};
+
+module.exports = { formatMessage, isPopulated };
@@ -0,0 +1,84 @@
+const User = require("../Models/user");
+const Conversation = require("../Models/Conversation");
+const chatSchema = require("./chatSchema");
+const { conversationKey } = require("./conversations");
+
+// Group message ids by sender so each sender gets one status event
+const groupBySender = (messages) =>
+  messages.reduce((acc, msg) => {
+    const senderId = msg.sender.toString();
+    (acc[senderId] = acc[senderId] || []).push(msg._id.toString());
+    return acc;
+  }, {});
+
+const emitStatus = (io, bySender, status, receiverId, at) => {
+  if (!io) return;
+  Object.entries(bySender).forEach(([senderId, messageIds]) => {
+    io.to(senderId).emit("messageStatusUpdated", {
+      messageIds,
+      status,
+      receiverId,
+      updatedAt: at,
+    });
+  });
+};
+
+// Mark messages addressed to `receiverId` as delivered and tell their senders.
+// `filter` narrows which messages (e.g. a single _id); only "sent" ones change.
+const markDelivered = async (io, receiverId, filter = {}) => {
+  const pending = await chatSchema
+    .find({ ...filter, receiver: receiverId, status: "sent" })
+    .select("_id sender");
+  if (pending.length === 0) return [];
+
+  const now = new Date();
+  await chatSchema.updateMany(
+    { _id: { $in: pending.map((m) => m._id) }, status: "sent" },
+    { $set: { status: "delivered", deliveredAt: now } }
+  );
+
+  emitStatus(io, groupBySender(pending), "delivered", receiverId, now);
+  return pending.map((m) => m._id.toString());
+};
+
+// Reader has opened the conversation with peer: clear unread and send read receipts.
+// Receipts are only shared when both users allow them; otherwise messages stop at "delivered".
+const markConversationRead = async (io, readerId, peerId) => {
+  const now = new Date();
+
+  const conversation = await Conversation.findOneAndUpdate(
+    { participantsKey: conversationKey(readerId, peerId) },
+    { $set: { [`lastReadAt.${readerId}`]: now } },
+    { new: true }
+  );
+
+  const [reader, peer] = await Promise.all([
+    User.findById(readerId).select("readReceipts"),
+    User.findById(peerId).select("readReceipts"),
+  ]);
+  const shareReceipts = reader?.readReceipts !== false && peer?.readReceipts !== false;
+
+  if (!shareReceipts) {
+    await markDelivered(io, readerId, { sender: peerId });
+    return conversation;
+  }
+
+  const unread = await chatSchema
+    .find({ sender: peerId, receiver: readerId, status: { $ne: "read" } })
+    .select("_id sender deliveredAt");
+  if (unread.length === 0) return conversation;
+
+  await chatSchema.updateMany(
+    { _id: { $in: unread.map((m) => m._id) } },
+    { $set: { status: "read", readAt: now } }
+  );
+  await chatSchema.updateMany(
+    { _id: { $in: unread.map((m) => m._id) }, deliveredAt: { $exists: false } },
+    { $set: { deliveredAt: now } }
+  );
+
+  emitStatus(io, groupBySender(unread), "read", readerId, now);
+  return conversation;
+};
+
+module.exports = { markDelivered, markConversationRead };
@@ -1,28 +1,195 @@
 const chatSchema = require("./chatSchema");
+const User = require("../Models/user");
+const Group = require("../Models/Group");
+const ConversationSettings = require("../Models/ConversationSettings");
+const GroupCall = require("../Models/GroupCall");
+const CallLog = require("../Models/CallLog");
 const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
 const dotenv = require("dotenv")
 dotenv.config()
 const {user_token} = require("../Utils/token")
-const { ApolloError } = require("apollo-server-express");
+const { ApolloError, ForbiddenError } = require("apollo-server-express");
+const { paginate } = require("../Utils/cursor");
+const { formatMessage, isPopulated } = require("./messageFormat");
+const {
+  betweenUsers,
+  recordMessage,
+  findConversation,
+  getConversationsFor,
+  formatConversation,
+  emitConversationUpdate,
+} = require("./conversations");
+const { markConversationRead } = require("./receipts");
+const { searchMessages } = require("./search");
+const { CALL_USER_FIELDS, formatCallLog } = require("./callLog");
+const { uploadToCloudinary } = require("../Utils/cloudinary");
+const reactions = require("../Utils/reactions");
+const pins = require("../Utils/pins");
+const { assertSelf, requireUser, wrapError } = require("../Utils/auth");
+const {
+  MAX_MUTE_MINUTES,
+  assertChatType,
+  formatSettings,
+  updateSettings,
+  notifyNewMessage,
+} = require("../Utils/conversationSettings");
 
+// Senders can delete a message for everyone only within this window
+const DELETE_FOR_EVERYONE_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// A quoted message is shown with who wrote it
+const QUOTED_MESSAGE = { path: "replyTo", populate: { path: "sender receiver", select: "name username profileImage" } };
+
+// Settings can only be kept for chats the caller is actually part of
+const saveConversationSettings = async (userId, chatType, chatId, changes) => {
+  assertChatType(chatType);
+  if (chatType === "group") {
+    const group = await Group.findById(chatId).select("members");
+    if (!group || !group.members.some((id) => id.toString() === userId)) {
+      throw new ForbiddenError("You are not a member of this group");
+    }
+  } else if (chatId === userId || !(await User.exists({ _id: chatId }))) {
+    throw new Error("User not found");
+  }
+  return updateSettings(userId, chatType, chatId, changes);
+};
+
+// Upload an attachment and describe it for the Message.media sub-document.
+// Cloudinary stores audio under the "video" resource type and anything else as "raw".
+const uploadChatMedia = async (file) => {
+  const { filename, mimetype = "" } = await file;
+
+  let messageType = "file";
+  let resourceType = "raw";
+  if (mimetype.startsWith("image/")) {
+    messageType = "image";
+    resourceType = "image";
+  } else if (mimetype.startsWith("video/")) {
+    messageType = "video";
+    resourceType = "video";
+  } else if (mimetype.startsWith("audio/")) {
+    messageType = "audio";
+    resourceType = "video";
+  }
+
+  const uploaded = await uploadToCloudinary(file, resourceType, "chat_media");
+
+  return {
+    messageType,
+    media: {
+      url: uploaded.url,
+      type: mimetype,
+      filename,
+      size: uploaded.bytes,
+      duration: uploaded.duration,
+    },
+  };
+};
+
+const participantIds = (message) => [
+  message.sender._id.toString(),
+  message.receiver._id.toString(),
+];
+
+// Add or remove the caller's reaction and push the new totals to both participants
+const reactToMessage = async (messageId, emoji, { user, io }, action) => {
+  try {
+    requireUser({ user });
+    const value = reactions.normalizeEmoji(emoji);
+
+    const message = await chatSchema.findById(messageId);
+    if (!message) {
+      throw new Error("Message not found");
+    }
+    if (!participantIds(message).includes(user.id)) {
+      throw new ForbiddenError("You are not part of this conversation");
+    }
+    if (message.isDeleted) {
+      throw new Error("Deleted messages cannot be reacted to");
+    }
+
+    const update = action === "add" ? reactions.addReaction : reactions.removeReaction;
+    const updated = await update(chatSchema, messageId, user.id, value);
+    const populatedMsg = await updated.populate("sender receiver", "name username profileImage");
+
+    if (io) {
+      const payload = {
+        messageId: populatedMsg._id.toString(),
+        userId: user.id,
+        emoji: value,
+        action,
+        reactions: await reactions.summarizeReactions(populatedMsg.reactions),
+      };
+      participantIds(populatedMsg).forEach((id) => {
+        io.to(id).emit("messageReaction", payload);
+      });
+    }
+
+    return formatMessage(populatedMsg);
+  } catch (error) {
+    console.error(`Error on ${action} reaction:`, error);
+    throw wrapError(error, `Failed to ${action} reaction`);
+  }
+};
+
+// Pin or unpin a message for both participants and tell both of them
+const togglePin = async (messageId, { user, io }, pinned) => {
+  try {
+    requireUser({ user });
+
+    const message = await chatSchema.findById(messageId);
+    if (!message) {
+      throw new Error("Message not found");
+    }
+    const [senderId, receiverId] = participantIds(message);
+    if (user.id !== senderId && user.id !== receiverId) {
+      throw new ForbiddenError("You are not part of this conversation");
+    }
+    if (message.isDeleted) {
+      throw new Error("Deleted messages cannot be pinned");
+    }
+
+    const updated = pinned
+      ? await pins.pinMessage(chatSchema, messageId, user.id, betweenUsers(senderId, receiverId))
+      : await pins.unpinMessage(chatSchema, messageId);
+    const populatedMsg = await updated.populate("sender receiver", "name username profileImage");
+    const formatted = formatMessage(populatedMsg);
+
+    if (io) {
+      const payload = { messageId: formatted.id, pinned, pinnedBy: user.id, message: formatted };
+      [senderId, receiverId].forEach((id) => io.to(id).emit("messagePinned", payload));
+    }
+
+    return formatted;
+  } catch (error) {
+    console.error(`Error ${pinned ? "pinning" : "unpinning"} message:`, error);
+    throw wrapError(error, `Failed to ${pinned ? "pin" : "unpin"} message`);
+  }
+};
 
 module.exports = {
   Query: {
     joinvideocall: async (_, { roomID },{user}) => {
-      console.log(user);
-      
       try {
         const appID = process.env.APPIDV;
         const serverSecret = process.env.SERVERIDV;
-        console.log(appID,serverSecret);
-        
     
         if (!appID || !serverSecret) throw new ApolloError("Missing server credentials");
         if (!roomID) throw new ApolloError("Room ID is required");
+        requireUser({ user });
+
+        // Group call rooms are only open to the group's members while the call is on
+        const groupCall = await GroupCall.findOne({ roomId: roomID });
+        if (groupCall) {
+          if (groupCall.status !== "active") throw new ApolloError("This call has already ended");
+          if (!(await Group.exists({ _id: groupCall.group, members: user.id }))) {
+            throw new ForbiddenError("You are not a member of this group");
+          }
+        }
     
         const userID = user.id;
-        const username = user.username;
+        const username = user.username || user.name;
     
         // const effectiveTime = 3600; // Token valid for 1 hour
         // let currentTime = Math.floor(Date.now() / 1000);
@@ -60,6 +227,8 @@ module.exports = {
       } 
       catch (error) {
   console.error("Error generating Zego token:", error);
+  // UNAUTHENTICATED / FORBIDDEN keep their code
+  if (error.extensions?.code) throw error;
   throw new ApolloError(error.message || "Failed to generate Zego token", "ZEGO_TOKEN_ERROR", {
     originalError: error,
   });
@@ -68,68 +237,188 @@ module.exports = {
     },
       
    
-    getMessages: async (_, { senderId, receiverId }) => {
+    getMessages: async (_, { senderId: claimedSenderId, receiverId, before, after, limit }, context) => {
+      // History is always read from the caller's side of the conversation
+      const senderId = assertSelf(context, claimedSenderId);
       try {
         // Step 1: Dono users ke beech jitne bhi messages hain (A -> B ya B -> A)
-        const messages = await chatSchema.find({
-          $or: [
-            { sender: senderId, receiver: receiverId },
-            { sender: receiverId, receiver: senderId },
-          ],
-        }).sort({ createdAt: 1 }); // Step 2: Oldest to newest
+        // Messages the viewer deleted "for me" are hidden from their history
+        const conversation = {
+          ...betweenUsers(senderId, receiverId),
+          deletedFor: { $ne: senderId },
+        };
+
+        // Step 2: Sirf ek page laao, cursor ke hisaab se (oldest to newest)
+        const { nodes, pageInfo } = await paginate(
+          chatSchema,
+          conversation,
+          { before, after, limit },
+          (query) => query.populate(QUOTED_MESSAGE)
+        );
 
         try {
-          const formattedMessages = messages.map(msg => ({
-            ...msg._doc,
-            id: msg._id.toString(),
-            sender: {
-              ...msg.sender._doc,
-              id: msg.sender._id.toString()
-            },
-            receiver: {
-              ...msg.receiver._doc,
-              id: msg.receiver._id.toString()
-            }
-          }));
-          console.log(formattedMessages);
-          return formattedMessages;
+          const formattedMessages = nodes.map(formatMessage);
+          return { messages: formattedMessages, pageInfo };
         } catch (error) {
           console.error("Error formatting messages:", error);
           // Return unformatted messages as fallback
-          return messages;
+          return { messages: nodes, pageInfo };
         }
       } catch (error) {
         console.error("Error fetching messages:", error);
         throw new Error("Failed to fetch messages");
       }
     },
+
+    getConversations: async (_, __, { user }) => {
+      try {
+        requireUser({ user });
+
+        // Most recently active conversations first
+        return await getConversationsFor(user.id);
+      } catch (error) {
+        console.error("Error fetching conversations:", error);
+        throw wrapError(error, "Failed to fetch conversations");
+      }
+    },
+
+    // Pinned messages of the caller's conversation with `peerId`, most recently pinned first
+    getPinnedMessages: async (_, { peerId }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const pinned = await chatSchema
+          .find({
+            ...betweenUsers(user.id, peerId),
+            pinnedAt: { $ne: null },
+            isDeleted: { $ne: true },
+            deletedFor: { $ne: user.id },
+          })
+          .sort({ pinnedAt: -1 })
+          .populate("sender receiver", "name username profileImage");
+
+        return pinned.map(formatMessage);
+      } catch (error) {
+        console.error("Error fetching pinned messages:", error);
+        throw wrapError(error, "Failed to fetch pinned messages");
+      }
+    },
+
+    // Only chats the caller has changed something for; every other chat uses the defaults
+    getConversationSettings: async (_, __, { user }) => {
+      try {
+        requireUser({ user });
+        const settings = await ConversationSettings.find({ user: user.id });
+        return settings.map((doc) => formatSettings(doc));
+      } catch (error) {
+        console.error("Error fetching conversation settings:", error);
+        throw wrapError(error, "Failed to fetch conversation settings");
+      }
+    },
+
+    // The caller's calls, both directions (oldest first within a page, like messages)
+    getCallHistory: async (_, { status, before, after, limit }, { user }) => {
+      try {
+        requireUser({ user });
+
+        // Only calls to us count as missed; ours that went unanswered are "no answer"
+        const filter = status === "missed"
+          ? { callee: user.id }
+          : { $or: [{ caller: user.id }, { callee: user.id }] };
+        if (status) filter.status = status;
+        const { nodes, pageInfo } = await paginate(
+          CallLog,
+          filter,
+          { before, after, limit },
+          (query) => query.populate("caller callee", CALL_USER_FIELDS)
+        );
+        const calls = nodes.map((log) => formatCallLog(log, user.id)).filter(Boolean);
+        return { calls, pageInfo };
+      } catch (error) {
+        console.error("Error fetching call history:", error);
+        throw wrapError(error, "Failed to fetch call history");
+      }
+    },
+
+    searchMessages: async (_, args, { user }) => {
+      try {
+        requireUser({ user });
+        return await searchMessages(user.id, args);
+      } catch (error) {
+        console.error("Error searching messages:", error);
+        throw wrapError(error, "Failed to search messages");
+      }
+    },
   },
 
   Mutation: {
-    sendMessage: async (_, { senderId, receiverId, message }, context) => {
+    sendMessage: async (_, { senderId: claimedSenderId, receiverId, message, file, replyTo }, context) => {
+      const senderId = assertSelf(context, claimedSenderId);
       try {
         const { io } = context;
+        if (!file && !(message && message.trim())) {
+          throw new Error("Message cannot be empty");
+        }
+
+        // Reply sirf isi conversation ke message pe ho sakta hai
+        if (replyTo) {
+          const quoted = await chatSchema.findOne({ _id: replyTo, ...betweenUsers(senderId, receiverId) });
+          if (!quoted) {
+            throw new Error("Quoted message not found in this conversation");
+          }
+        }
+
+        // Attachment ho to pehle Cloudinary pe upload karo
+        let attachment = { messageType: "text" };
+        if (file) {
+          attachment = await uploadChatMedia(file);
+        }
+
         // Step 1: Message ko MongoDB me save karo
         const newMsg = await chatSchema.create({
           sender: senderId,
           receiver: receiverId,
-          message: message,
+          message: message || "",
+          ...attachment,
+          replyTo: replyTo || undefined,
         });
 
         try {
-          const populatedMsg = await newMsg.populate("sender receiver");
+          const populatedMsg = await newMsg.populate([
+            { path: "sender receiver", select: "name username profileImage" },
+            QUOTED_MESSAGE,
+          ]);
           
           // Step 2: Real-time socket emit to receiver (agar socket connected hai)
+          // Receiver ka client "messageDelivered" ack bhejega
           try {
             if (io) {
-              io.to(receiverId).emit("receiveMessage", newMsg);
+              io.to(receiverId).emit("receiveMessage", formatMessage(populatedMsg));
             }
           } catch (socketError) {
             console.error("Error emitting socket message:", socketError);
             // Continue execution even if socket fails
           }
+
+          // Alag notification event, taaki muted chat me message aaye par alert na baje
+          await notifyNewMessage(io, {
+            chatType: "direct",
+            chatId: senderId,
+            recipients: [receiverId],
+            title: populatedMsg.sender.name,
+            body: message || `Sent a ${attachment.messageType}`,
+            messageId: newMsg._id,
+          });
           
-          // Step 3: Message ko GraphQL mutation response me return karo
+          // Step 3: Dono users ki conversation list update karo
+          try {
+            const conversation = await recordMessage(newMsg);
+            await emitConversationUpdate(io, conversation);
+          } catch (conversationError) {
+            console.error("Error updating conversation:", conversationError);
+          }
+
+          // Step 4: Message ko GraphQL mutation response me return karo
           return populatedMsg;
         } catch (populateError) {
           console.error("Error populating message:", populateError);
@@ -141,45 +430,214 @@ module.exports = {
       }
     },
     
-    deleteMessage: async (_, { messageId }, context) => {
+    markConversationRead: async (_, { peerId }, { user, io }) => {
       try {
-        const { io } = context;
-        
+        requireUser({ user });
+
+        const conversation = await markConversationRead(io, user.id, peerId);
+        if (!conversation) {
+          return null;
+        }
+
+        await emitConversationUpdate(io, conversation);
+        return await formatConversation(conversation, user.id);
+      } catch (error) {
+        console.error("Error marking conversation read:", error);
+        throw wrapError(error, "Failed to mark conversation read");
+      }
+    },
+
+    // Without `minutes` the chat stays muted until unmuted
+    muteConversation: async (_, { chatType, chatId, minutes }, { user }) => {
+      try {
+        requireUser({ user });
+        let mutedUntil = null;
+        if (minutes !== undefined && minutes !== null) {
+          if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+            throw new Error(`Mute duration must be between 1 and ${MAX_MUTE_MINUTES} minutes`);
+          }
+          mutedUntil = new Date(Date.now() + minutes * 60 * 1000);
+        }
+        return await saveConversationSettings(user.id, chatType, chatId, { muted: true, mutedUntil });
+      } catch (error) {
+        console.error("Error muting conversation:", error);
+        throw wrapError(error, "Failed to mute conversation");
+      }
+    },
+
+    unmuteConversation: async (_, { chatType, chatId }, { user }) => {
+      try {
+        requireUser({ user });
+        return await saveConversationSettings(user.id, chatType, chatId, { muted: false, mutedUntil: null });
+      } catch (error) {
+        console.error("Error unmuting conversation:", error);
+        throw wrapError(error, "Failed to unmute conversation");
+      }
+    },
+
+    setConversationArchived: async (_, { chatType, chatId, archived }, { user }) => {
+      try {
+        requireUser({ user });
+        return await saveConversationSettings(user.id, chatType, chatId, { archived });
+      } catch (error) {
+        console.error("Error archiving conversation:", error);
+        throw wrapError(error, "Failed to update archive");
+      }
+    },
+
+    updateNotificationPreferences: async (_, { chatType, chatId, notificationSound, hidePreviews }, { user }) => {
+      try {
+        requireUser({ user });
+        const changes = {};
+        if (notificationSound !== undefined && notificationSound !== null) changes.notificationSound = notificationSound;
+        if (hidePreviews !== undefined && hidePreviews !== null) changes.hidePreviews = hidePreviews;
+        if (Object.keys(changes).length === 0) {
+          throw new Error("Nothing to update");
+        }
+        return await saveConversationSettings(user.id, chatType, chatId, changes);
+      } catch (error) {
+        console.error("Error updating notification preferences:", error);
+        throw wrapError(error, "Failed to update notification preferences");
+      }
+    },
+
+    editMessage: async (_, { messageId, message: newText }, { user, io }) => {
+      try {
+        requireUser({ user });
+        if (!newText || !newText.trim()) {
+          throw new Error("Message cannot be empty");
+        }
+
+        const message = await chatSchema.findById(messageId);
+        if (!message) {
+          throw new Error("Message not found");
+        }
+        if (message.sender.toString() !== user.id) {
+          throw new ForbiddenError("You can only edit your own messages");
+        }
+        if (message.isDeleted) {
+          throw new Error("Deleted messages cannot be edited");
+        }
+
+        // Purani text edit history me rakho
+        message.editHistory.push({ message: message.message, editedAt: new Date() });
+        message.message = newText;
+        message.isEdited = true;
+        message.editedAt = new Date();
+        await message.save();
+
+        const populatedMsg = await message.populate("sender receiver", "name username profileImage");
+        const formatted = formatMessage(populatedMsg);
+
+        // Sirf dono participants ke rooms me bhejo
+        if (io) {
+          participantIds(populatedMsg).forEach((id) => {
+            io.to(id).emit("messageEdited", formatted);
+          });
+        }
+
+        return formatted;
+      } catch (error) {
+        console.error("Error editing message:", error);
+        throw wrapError(error, "Failed to edit message");
+      }
+    },
+
+    addReaction: (_, { messageId, emoji }, context) =>
+      reactToMessage(messageId, emoji, context, "add"),
+
+    removeReaction: (_, { messageId, emoji }, context) =>
+      reactToMessage(messageId, emoji, context, "remove"),
+
+    pinMessage: (_, { messageId }, context) => togglePin(messageId, context, true),
+
+    unpinMessage: (_, { messageId }, context) => togglePin(messageId, context, false),
+
+    deleteMessage: async (_, { messageId, scope = "FOR_ME" }, { user, io }) => {
+      try {
+        requireUser({ user });
+
         // Find the message first to get sender and receiver info
-        const message = await chatSchema.findById(messageId).populate("sender receiver");
+        const message = await chatSchema.findById(messageId).populate("sender receiver", "name username profileImage");
         
         if (!message) {
           throw new Error("Message not found");
         }
-        
-        // Delete the message from the database
-        await chatSchema.findByIdAndDelete(messageId);
-        
-        // Emit socket event to notify clients about the deleted message
+
+        const [senderId, receiverId] = participantIds(message);
+        if (user.id !== senderId && user.id !== receiverId) {
+          throw new ForbiddenError("You are not part of this conversation");
+        }
+
+        const deleteInfo = {
+          messageId: messageId,
+          senderId,
+          receiverId,
+          scope,
+        };
+
+        if (scope === "FOR_EVERYONE") {
+          if (user.id !== senderId) {
+            throw new ForbiddenError("Only the sender can delete a message for everyone");
+          }
+          if (Date.now() - message.createdAt.getTime() > DELETE_FOR_EVERYONE_WINDOW_MS) {
+            throw new Error("This message is too old to delete for everyone");
+          }
+
+          // Tombstone: content aur edit history hata do, document rehne do
+          await chatSchema.findByIdAndUpdate(messageId, {
+            $set: { isDeleted: true, deletedAt: new Date(), message: "", editHistory: [], reactions: [] },
+            $unset: { media: 1, pinnedAt: 1, pinnedBy: 1 },
+          });
+        } else {
+          await chatSchema.findByIdAndUpdate(messageId, { $addToSet: { deletedFor: user.id } });
+        }
+
+        // Emit only to the rooms that should see the change
+        const audience = scope === "FOR_EVERYONE" ? [senderId, receiverId] : [user.id];
         if (io) {
           try {
-            // Format the message ID for socket transmission
-            const deleteInfo = {
-              messageId: messageId,
-              senderId: message.sender._id.toString(),
-              receiverId: message.receiver._id.toString()
-            };
-            
-            // Broadcast the delete event to all connected clients
-            io.emit("messageDeleted", deleteInfo);
-            console.log("Broadcasted message deletion to all clients:", deleteInfo);
+            audience.forEach((id) => io.to(id).emit("messageDeleted", deleteInfo));
           } catch (socketError) {
             console.error("Error emitting socket delete event:", socketError);
           }
         }
+
+        // Keep the conversation preview in sync
+        try {
+          const conversation = await findConversation(senderId, receiverId);
+          await emitConversationUpdate(io, conversation, audience);
+        } catch (conversationError) {
+          console.error("Error updating conversation:", conversationError);
+        }
         
         return true; // Return success
       } catch (error) {
         console.error("Error deleting message:", error);
-        throw new Error("Failed to delete message");
+        throw wrapError(error, "Failed to delete message");
       }
     },
   },
+
+  Message: {
+    // Quoted message; a message deleted for everyone comes back as its tombstone
+    replyTo: async (msg) => {
+      if (!msg.replyTo) return null;
+      // Already formatted along with its sender
+      if (msg.replyTo.id && msg.replyTo.sender?.name) return msg.replyTo;
+
+      const quoted = await chatSchema.findById(msg.replyTo._id || msg.replyTo)
+        .populate("sender receiver", "name username profileImage");
+      // Also gone if its author's account was deleted
+      return quoted && quoted.sender && quoted.receiver ? formatMessage(quoted) : null;
+    },
+    reactions: (msg) => reactions.summarizeReactions(msg.reactions),
+    pinnedBy: async (msg) => {
+      if (!msg.pinnedBy) return null;
+      if (isPopulated(msg.pinnedBy)) return msg.pinnedBy;
+      return User.findById(msg.pinnedBy).select("name username profileImage");
+    },
+  },
 };
 
 
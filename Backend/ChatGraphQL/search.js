@@ -0,0 +1,187 @@
+const { ForbiddenError } = require("apollo-server-express");
+const Conversation = require("../Models/Conversation");
+const Group = require("../Models/Group");
+const GroupMessage = require("../Models/GroupMessage");
+const chatSchema = require("./chatSchema");
+const { encodeCursor } = require("../Utils/cursor");
+const { betweenUsers, conversationKey } = require("./conversations");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+// Characters of context kept on each side of the first match
+const SNIPPET_RADIUS = 40;
+const USER_FIELDS = "name username profileImage";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Words to highlight: Mongo's $text syntax allows quotes and "-excluded" terms
+const searchTerms = (query) =>
+  query
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .map((term) => term.replace(/"/g, ""))
+    .filter(Boolean);
+
+// Cut a window of text around the first match and report where each term occurs in it.
+// $text matches on word stems, so a result may have no literal match to highlight.
+const buildSnippet = (text = "", terms) => {
+  if (terms.length === 0) return { snippet: text.slice(0, SNIPPET_RADIUS * 2), highlights: [] };
+
+  const pattern = new RegExp(terms.map(escapeRegex).join("|"), "gi");
+  const firstMatch = Math.max(text.search(pattern), 0);
+  const start = Math.max(0, firstMatch - SNIPPET_RADIUS);
+  const end = Math.min(text.length, firstMatch + SNIPPET_RADIUS * 2);
+
+  const prefix = start > 0 ? "…" : "";
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+
+  const highlights = [];
+  for (const match of text.slice(start, end).matchAll(pattern)) {
+    highlights.push({ offset: match.index + prefix.length, length: match[0].length });
+  }
+  return { snippet, highlights };
+};
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(isNaN(value) ? value : Number(value));
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date`);
+  }
+  return date;
+};
+
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return Object.keys(range).length ? { createdAt: range } : {};
+};
+
+// The newest `limit` matches; relevance only decides what matches, not the order
+const textSearch = (model, filter, limit) =>
+  model
+    .find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit);
+
+const searchDirect = async (viewerId, { query, conversationId, sender, from, to }, limit) => {
+  let scope = { $or: [{ sender: viewerId }, { receiver: viewerId }] };
+  if (conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation || !conversation.participants.some((p) => p.toString() === viewerId)) {
+      throw new Error("Conversation not found");
+    }
+    const [userA, userB] = conversation.participants;
+    scope = betweenUsers(userA, userB);
+  }
+
+  const messages = await textSearch(
+    chatSchema,
+    {
+      $text: { $search: query },
+      ...scope,
+      ...dateRange(from, to),
+      ...(sender ? { sender } : {}),
+      isDeleted: { $ne: true },
+      deletedFor: { $ne: viewerId },
+    },
+    limit
+  ).populate("sender receiver", USER_FIELDS);
+
+  // Map each pair back to its conversation so the client can open it
+  const keys = messages.map((m) => conversationKey(m.sender, m.receiver));
+  const conversations = await Conversation.find({ participantsKey: { $in: keys } }).select("_id participantsKey");
+  const conversationIds = new Map(conversations.map((c) => [c.participantsKey, c._id.toString()]));
+
+  return messages.map((message) => {
+    const peer = message.sender._id.toString() === viewerId ? message.receiver : message.sender;
+    return {
+      kind: "direct",
+      message,
+      text: message.message,
+      peer: { ...peer._doc, id: peer._id.toString() },
+      conversationId: conversationIds.get(conversationKey(message.sender, message.receiver)) || null,
+      group: null,
+      threadRoot: null,
+    };
+  });
+};
+
+const searchGroups = async (viewerId, { query, groupId, sender, from, to }, limit) => {
+  const groups = await Group.find(groupId ? { _id: groupId, members: viewerId } : { members: viewerId })
+    .select("_id name groupImage");
+  if (groupId && groups.length === 0) {
+    throw new ForbiddenError("You are not a member of this group");
+  }
+
+  const messages = await textSearch(
+    GroupMessage,
+    {
+      $text: { $search: query },
+      group: { $in: groups.map((g) => g._id) },
+      ...dateRange(from, to),
+      ...(sender ? { sender } : {}),
+      isDeleted: { $ne: true },
+    },
+    limit
+  ).populate("sender", USER_FIELDS);
+
+  const groupsById = new Map(groups.map((g) => [g._id.toString(), g]));
+  return messages.map((message) => ({
+    kind: "group",
+    message,
+    text: message.content,
+    peer: null,
+    conversationId: null,
+    group: groupsById.get(message.group.toString()),
+    threadRoot: message.threadRoot ? message.threadRoot.toString() : null,
+  }));
+};
+
+// Search the viewer's direct and group messages, newest first.
+// Passing conversationId or groupId narrows the search to that one chat.
+const searchMessages = async (viewerId, args) => {
+  const query = (args.query || "").trim();
+  if (!query) {
+    throw new Error("Search query cannot be empty");
+  }
+  if (args.conversationId && args.groupId) {
+    throw new Error("Search either a conversation or a group, not both");
+  }
+
+  const limit = Math.min(Math.max(args.limit || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const filters = {
+    query,
+    conversationId: args.conversationId,
+    groupId: args.groupId,
+    sender: args.sender,
+    from: parseDate(args.from, "from"),
+    to: parseDate(args.to, "to"),
+  };
+
+  const [direct, group] = await Promise.all([
+    args.groupId ? [] : searchDirect(viewerId, filters, limit),
+    args.conversationId ? [] : searchGroups(viewerId, filters, limit),
+  ]);
+
+  const terms = searchTerms(query);
+  return [...direct, ...group]
+    .sort((a, b) => b.message.createdAt - a.message.createdAt)
+    .slice(0, limit)
+    .map(({ kind, message, text, peer, conversationId, group: chatGroup, threadRoot }) => ({
+      id: message._id.toString(),
+      kind,
+      ...buildSnippet(text, terms),
+      messageType: message.messageType,
+      sender: { ...message.sender._doc, id: message.sender._id.toString() },
+      peer,
+      conversationId,
+      group: chatGroup,
+      threadRoot,
+      cursor: encodeCursor(message),
+      createdAt: message.createdAt,
+    }));
+};
+
+module.exports = { searchMessages };
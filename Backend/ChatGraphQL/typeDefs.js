@@ -7,9 +7,82 @@ const typeDefs = gql`
     sender: User!
     receiver: User!
     message: String!
+    messageType: String!
+    media: Media
+    replyTo: Message
+    reactions: [Reaction!]!
+    pinnedAt: String
+    pinnedBy: User
+    status: String!
+    deliveredAt: String
+    readAt: String
+    isEdited: Boolean
+    editedAt: String
+    editHistory: [MessageEdit!]
+    isDeleted: Boolean
+    deletedAt: String
     createdAt: String!
   }
+
+  # All users who reacted to a message with the same emoji
+  type Reaction {
+    emoji: String!
+    count: Int!
+    users: [User!]!
+  }
+
+  type MessageEdit {
+    message: String!
+    editedAt: String!
+  }
+
+  enum DeleteScope {
+    FOR_ME
+    FOR_EVERYONE
+  }
+
+  type PageInfo {
+    startCursor: String
+    endCursor: String
+    hasPreviousPage: Boolean!
+    hasNextPage: Boolean!
+  }
+
+  type MessageConnection {
+    messages: [Message!]!
+    pageInfo: PageInfo!
+  }
+
+  type Conversation {
+    id: ID!
+    peer: User!
+    lastMessage: Message
+    unreadCount: Int!
+    lastMessageAt: String!
+  }
  
+  type TextRange {
+    offset: Int!
+    length: Int!
+  }
+
+  # One matching message; "cursor" lets the chat page in history around it
+  type MessageSearchResult {
+    id: ID!
+    kind: String!
+    snippet: String!
+    highlights: [TextRange!]!
+    messageType: String!
+    sender: User!
+    peer: User
+    conversationId: ID
+    group: Group
+    # Set when a group result is a thread reply
+    threadRoot: ID
+    cursor: String!
+    createdAt: String!
+  }
+
   type ZegoTokenResponse {
     token: String!
     roomID: String!
@@ -21,14 +94,77 @@ const typeDefs = gql`
   }
 
 
+  # A 1:1 call attempt as seen by the viewer; peer is the other person
+  type CallLog {
+    id: ID!
+    caller: User!
+    callee: User!
+    peer: User!
+    # "outgoing" or "incoming"
+    direction: String!
+    callType: String!
+    # answered, missed, declined, cancelled, failed, or ringing while it still is
+    status: String!
+    startedAt: String!
+    answeredAt: String
+    endedAt: String
+    # Seconds; 0 unless answered
+    duration: Int!
+  }
+
+  type CallHistoryConnection {
+    calls: [CallLog!]!
+    pageInfo: PageInfo!
+  }
+
+  # The caller's own preferences for one chat; chatId is the other user or the group
+  type ConversationSettings {
+    chatType: String!
+    chatId: ID!
+    isMuted: Boolean!
+    # Null while muted means muted until turned off
+    mutedUntil: String
+    archived: Boolean!
+    notificationSound: String!
+    hidePreviews: Boolean!
+  }
+
   type Query {
-    getMessages(senderId: ID!, receiverId: ID!): [Message]
+    getMessages(senderId: ID, receiverId: ID!, before: String, after: String, limit: Int): MessageConnection!
      joinvideocall(roomID:String!): ZegoTokenResponse!
+    getConversations: [Conversation!]!
+    getPinnedMessages(peerId: ID!): [Message!]!
+    getConversationSettings: [ConversationSettings!]!
+    getCallHistory(status: String, before: String, after: String, limit: Int): CallHistoryConnection!
+    searchMessages(
+      query: String!
+      conversationId: ID
+      groupId: ID
+      from: String
+      to: String
+      sender: ID
+      limit: Int
+    ): [MessageSearchResult!]!
   }
 
   type Mutation {
-    sendMessage(senderId: ID!, receiverId: ID!, message: String!): Message
-    deleteMessage(messageId: ID!): Boolean
+    sendMessage(senderId: ID, receiverId: ID!, message: String, file: Upload, replyTo: ID): Message
+    editMessage(messageId: ID!, message: String!): Message
+    deleteMessage(messageId: ID!, scope: DeleteScope = FOR_ME): Boolean
+    addReaction(messageId: ID!, emoji: String!): Message
+    removeReaction(messageId: ID!, emoji: String!): Message
+    pinMessage(messageId: ID!): Message
+    unpinMessage(messageId: ID!): Message
+    markConversationRead(peerId: ID!): Conversation
+    muteConversation(chatType: String!, chatId: ID!, minutes: Int): ConversationSettings!
+    unmuteConversation(chatType: String!, chatId: ID!): ConversationSettings!
+    setConversationArchived(chatType: String!, chatId: ID!, archived: Boolean!): ConversationSettings!
+    updateNotificationPreferences(
+      chatType: String!
+      chatId: ID!
+      notificationSound: String
+      hidePreviews: Boolean
+    ): ConversationSettings!
   }
 `;
 
@@ -0,0 +1,49 @@
+// A typing indicator expires unless the client keeps sending "typing",
+// so a client that drops mid-sentence never leaves the peer with a stuck indicator
+const TYPING_EXPIRY_MS = 6000;
+
+// Tracks who is typing to whom in direct chats and relays it to the peer's user room.
+// Only state changes are relayed: repeated "typing" events just push the expiry back.
+const createTypingTracker = (io) => {
+  // "typistId:peerId" -> { timer, socketId }
+  const active = new Map();
+
+  const stop = (typistId, peerId) => {
+    const key = `${typistId}:${peerId}`;
+    const entry = active.get(key);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    active.delete(key);
+    io.to(peerId).emit("stopTyping", { userId: typistId });
+  };
+
+  const start = (typistId, peerId, socketId) => {
+    const key = `${typistId}:${peerId}`;
+    const entry = active.get(key);
+    if (entry) {
+      clearTimeout(entry.timer);
+    } else {
+      io.to(peerId).emit("typing", { userId: typistId });
+    }
+
+    active.set(key, {
+      socketId,
+      timer: setTimeout(() => stop(typistId, peerId), TYPING_EXPIRY_MS),
+    });
+  };
+
+  // Clear every indicator started from a socket that went away
+  const stopAllFromSocket = (socketId) => {
+    for (const [key, entry] of active) {
+      if (entry.socketId === socketId) {
+        const [typistId, peerId] = key.split(":");
+        stop(typistId, peerId);
+      }
+    }
+  };
+
+  return { start, stop, stopAllFromSocket };
+};
+
+module.exports = { createTypingTracker, TYPING_EXPIRY_MS };
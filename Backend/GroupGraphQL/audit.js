@@ -0,0 +1,49 @@
+const GroupAuditEvent = require('../Models/GroupAuditEvent');
+
+// Record an admin action. The action itself has already happened, so a failed write
+// is logged rather than thrown back at the caller.
+const recordAuditEvent = async ({ group, actor, action, targetUsers = [], targetMessage, before, after }) => {
+  try {
+    await GroupAuditEvent.create({
+      group: group._id || group,
+      actor,
+      action,
+      targetUsers,
+      targetMessage,
+      before,
+      after
+    });
+  } catch (error) {
+    console.error(`Failed to record ${action} audit event:`, error.message);
+  }
+};
+
+// Only the keys whose values differ between two plain objects
+const changedFields = (before, after) => {
+  const changed = { before: {}, after: {} };
+  Object.keys(after).forEach(key => {
+    if (String(before[key] ?? '') !== String(after[key] ?? '')) {
+      changed.before[key] = before[key] ?? null;
+      changed.after[key] = after[key] ?? null;
+    }
+  });
+  return changed;
+};
+
+// Flatten before/after into { field, before, after } rows for the API
+const auditChanges = (event) => {
+  const before = event.before || {};
+  const after = event.after || {};
+  const format = (value) => {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])].map(field => ({
+    field,
+    before: format(before[field]),
+    after: format(after[field])
+  }));
+};
+
+module.exports = { recordAuditEvent, changedFields, auditChanges };
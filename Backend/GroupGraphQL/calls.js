@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const Group = require('../Models/Group');
+const GroupCall = require('../Models/GroupCall');
+const { postSystemMessage } = require('./systemMessages');
+const { isAdmin } = require('./permissions');
+
+const CALL_TYPES = ['voice', 'video'];
+const CALL_USER_FIELDS = 'name username profileImage';
+// A call started over GraphQL that no call screen has joined after this long is ended
+const JOIN_TIMEOUT_MS = 60 * 1000;
+
+const populateCall = (call) =>
+  call.populate([
+    { path: 'startedBy', select: CALL_USER_FIELDS },
+    { path: 'participants.user', select: CALL_USER_FIELDS }
+  ]);
+
+const findActiveCall = (groupId) => GroupCall.findOne({ group: groupId, status: 'active' });
+
+// Plain shape shared by the GraphQL type and socket payloads
+const formatCall = (call) => ({
+  id: call._id.toString(),
+  groupId: call.group.toString(),
+  roomId: call.roomId,
+  callType: call.callType,
+  status: call.status,
+  startedBy: call.startedBy,
+  participants: call.participants.map(p => ({ user: p.user, joinedAt: p.joinedAt.toISOString() })),
+  startedAt: call.startedAt.toISOString(),
+  endedAt: call.endedAt ? call.endedAt.toISOString() : null
+});
+
+// "1h 5m", "3m", "45s"
+const describeCallLength = (ms) => {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours) return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
+  return minutes ? `${minutes}m` : `${seconds}s`;
+};
+
+const emitToCall = async (io, event, call, extra = {}) => {
+  if (!io) return;
+  await populateCall(call);
+  io.to(`group_${call.group}`).emit(event, {
+    groupId: call.group.toString(),
+    roomId: call.roomId,
+    ...extra,
+    call: formatCall(call)
+  });
+};
+
+// Add `user` to an ongoing call. Joining twice is a no-op.
+const joinCall = async (io, call, user) => {
+  const updated = await GroupCall.findOneAndUpdate(
+    { _id: call._id, status: 'active', 'participants.user': { $ne: user.id } },
+    {
+      $push: { participants: { user: user.id, joinedAt: new Date() } },
+      $addToSet: { attendees: user.id }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    const current = await GroupCall.findById(call._id);
+    if (!current || current.status !== 'active') {
+      throw new Error('This call has already ended');
+    }
+    return current;
+  }
+
+  await emitToCall(io, 'userJoinedGroupCall', updated, { userId: user.id });
+  return updated;
+};
+
+// Start a call in the group, or join the one already going on there.
+// With `join: false` the caller only becomes a participant once their call screen's socket joins.
+const startCall = async (io, group, user, callType = 'video', { join = true } = {}) => {
+  if (!CALL_TYPES.includes(callType)) {
+    throw new Error(`Call type must be one of: ${CALL_TYPES.join(', ')}`);
+  }
+
+  const ongoing = await findActiveCall(group._id);
+  if (ongoing) return join ? joinCall(io, ongoing, user) : ongoing;
+
+  let call;
+  try {
+    call = await GroupCall.create({
+      group: group._id,
+      roomId: `group_${group._id}_${crypto.randomBytes(6).toString('hex')}`,
+      callType,
+      startedBy: user.id,
+      participants: join ? [{ user: user.id }] : [],
+      attendees: join ? [user.id] : []
+    });
+  } catch (error) {
+    // Someone else started one at the same moment
+    if (error.code === 11000) {
+      const raced = await findActiveCall(group._id);
+      if (raced) return join ? joinCall(io, raced, user) : raced;
+    }
+    throw error;
+  }
+
+  if (!join) {
+    // endCall without `endedBy` leaves the call alone once anyone is in it
+    setTimeout(() => {
+      endCall(io, call).catch(err => console.error('Error ending unjoined group call:', err));
+    }, JOIN_TIMEOUT_MS);
+  }
+
+  await populateCall(call);
+  if (io) {
+    // Ring every member, not just those who have the group open
+    const payload = {
+      groupId: group._id.toString(),
+      groupName: group.name,
+      callerId: user.id,
+      callerName: user.name,
+      callType,
+      roomId: call.roomId,
+      call: formatCall(call)
+    };
+    group.members
+      .map(id => id.toString())
+      .filter(id => id !== user.id)
+      .forEach(memberId => io.to(memberId).emit('groupCallStarted', payload));
+  }
+  await postSystemMessage(io, group, user.id, `${user.name || 'Someone'} started a ${callType} call`);
+  return call;
+};
+
+// End the call for everyone. `endedBy` is null when it ended because the last person left.
+const endCall = async (io, call, endedBy = null) => {
+  const filter = { _id: call._id, status: 'active' };
+  // Only auto-end if nobody has joined in the meantime
+  if (!endedBy) filter.participants = { $size: 0 };
+
+  const now = new Date();
+  // The pre-update document, so we still know who was in the call
+  const previous = await GroupCall.findOneAndUpdate(
+    filter,
+    { $set: { status: 'ended', endedAt: now, endedBy: endedBy ? endedBy.id : null, participants: [] } }
+  );
+  if (!previous) return null;
+  const ended = await GroupCall.findById(previous._id);
+
+  if (io) {
+    // People on the call screen may not have the group chat (and its room) open
+    const rooms = [`group_${ended.group}`, ...previous.participants.map(p => p.user.toString())];
+    io.to(rooms).emit('groupCallEnded', {
+      groupId: ended.group.toString(),
+      roomId: ended.roomId,
+      callId: ended._id.toString(),
+      endedBy: endedBy ? endedBy.id : null
+    });
+  }
+
+  const group = await Group.findById(ended.group).select('members');
+  if (group) {
+    const length = describeCallLength(now - ended.startedAt);
+    const content = endedBy
+      ? `${endedBy.name || 'Someone'} ended the ${ended.callType} call (${length})`
+      : `The ${ended.callType} call ended (${length})`;
+    await postSystemMessage(io, group, endedBy ? endedBy.id : ended.startedBy, content);
+  }
+  return ended;
+};
+
+// Take `userId` out of the call; the last one out ends it
+const leaveCall = async (io, call, userId) => {
+  const updated = await GroupCall.findOneAndUpdate(
+    { _id: call._id, status: 'active', 'participants.user': userId },
+    { $pull: { participants: { user: userId } } },
+    { new: true }
+  );
+  if (!updated) return call;
+
+  if (updated.participants.length === 0) {
+    return (await endCall(io, updated)) || updated;
+  }
+  await emitToCall(io, 'userLeftGroupCall', updated, { userId });
+  return updated;
+};
+
+// Nobody is connected right after a restart, so no call can still be going on
+const endOrphanedCalls = () =>
+  GroupCall.updateMany(
+    { status: 'active' },
+    { $set: { status: 'ended', endedAt: new Date(), participants: [] } }
+  );
+
+const canEndCall = (group, call, userId) =>
+  (call.startedBy._id || call.startedBy).toString() === userId || isAdmin(group, userId);
+
+module.exports = {
+  CALL_USER_FIELDS,
+  populateCall,
+  findActiveCall,
+  formatCall,
+  startCall,
+  joinCall,
+  leaveCall,
+  endCall,
+  endOrphanedCalls,
+  canEndCall
+};
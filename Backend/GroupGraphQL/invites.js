@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const GroupInvite = require('../Models/GroupInvite');
+
+// 9 random bytes -> 12 URL-safe characters, e.g. "RN7INOuVmFxO"
+const CODE_BYTES = 9;
+
+const generateInviteCode = () => crypto.randomBytes(CODE_BYTES).toString('base64url');
+
+const createUniqueInviteCode = async () => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateInviteCode();
+    if (!(await GroupInvite.exists({ code }))) return code;
+  }
+  throw new Error('Could not generate a unique invite code');
+};
+
+// Why an invite can no longer be used, or null if it still works
+const inviteUnusableReason = (invite, now = new Date()) => {
+  if (!invite) return 'Invite link not found';
+  if (invite.revokedAt) return 'This invite link has been revoked';
+  if (invite.expiresAt && invite.expiresAt <= now) return 'This invite link has expired';
+  if (invite.maxUses && invite.uses >= invite.maxUses) return 'This invite link has reached its usage limit';
+  return null;
+};
+
+// Atomically take one use of the invite; returns null if it stopped being usable meanwhile
+const claimInviteUse = (code, now = new Date()) =>
+  GroupInvite.findOneAndUpdate(
+    {
+      code,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+      ]
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+
+const releaseInviteUse = (inviteId) =>
+  GroupInvite.updateOne({ _id: inviteId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+
+module.exports = {
+  createUniqueInviteCode,
+  inviteUnusableReason,
+  claimInviteUse,
+  releaseInviteUse
+};
@@ -0,0 +1,54 @@
+const GroupJoinRequest = require('../Models/GroupJoinRequest');
+
+const REQUESTER_FIELDS = 'name username profileImage';
+
+const populateRequest = (request) =>
+  request.populate([
+    { path: 'user', select: REQUESTER_FIELDS },
+    { path: 'reviewedBy', select: REQUESTER_FIELDS }
+  ]);
+
+// Tell every admin of the group that a request is waiting for them
+const notifyAdminsOfRequest = (io, group, request) => {
+  if (!io) return;
+  group.admins.forEach(adminId => {
+    io.to(adminId.toString()).emit('groupJoinRequest', {
+      groupId: group._id.toString(),
+      groupName: group.name,
+      request
+    });
+  });
+};
+
+// Tell the requester (and the other admins, so their lists stay in sync) how a request was decided
+const notifyRequestReviewed = (io, group, request) => {
+  if (!io) return;
+  const requesterId = (request.user._id || request.user).toString();
+  const payload = {
+    groupId: group._id.toString(),
+    groupName: group.name,
+    requestId: request._id.toString(),
+    userId: requesterId,
+    status: request.status
+  };
+  const recipients = new Set([
+    requesterId,
+    ...group.admins.map(adminId => adminId.toString())
+  ]);
+  recipients.forEach(recipientId => io.to(recipientId).emit('groupJoinRequestReviewed', payload));
+};
+
+// Users who got in some other way (added by an admin, invite link) no longer need their request;
+// banned users get theirs rejected
+const closePendingRequests = (groupId, userIds, reviewerId, status = 'approved') =>
+  GroupJoinRequest.updateMany(
+    { group: groupId, user: { $in: userIds }, status: 'pending' },
+    { status, reviewedBy: reviewerId, reviewedAt: new Date() }
+  );
+
+module.exports = {
+  populateRequest,
+  notifyAdminsOfRequest,
+  notifyRequestReviewed,
+  closePendingRequests
+};
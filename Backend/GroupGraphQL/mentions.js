@@ -0,0 +1,59 @@
+const User = require('../Models/user');
+const { isAdmin } = require('./permissions');
+
+// "@name" preceded by start of text or a non-word character, so emails don't count
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_.]+)/g;
+const MENTION_ALL = 'all';
+
+const mentionedHandles = (content) => {
+  const handles = new Set();
+  for (const match of (content || '').matchAll(MENTION_PATTERN)) {
+    // Trailing dots are sentence punctuation, not part of the username
+    handles.add(match[2].replace(/\.+$/, '').toLowerCase());
+  }
+  handles.delete('');
+  return handles;
+};
+
+// Resolve @username and @all in `content` to group members. Only admins may use @all;
+// for everyone else it stays plain text. The sender is never mentioned.
+const parseMentions = async (content, group, senderId) => {
+  const handles = mentionedHandles(content);
+  const mentionsAll = handles.delete(MENTION_ALL) && isAdmin(group, senderId);
+
+  let mentions = [];
+  if (handles.size > 0) {
+    const escaped = [...handles].map(handle => handle.replace(/[.]/g, '\\.'));
+    const users = await User.find({
+      _id: { $in: group.members, $ne: senderId },
+      username: { $regex: `^(${escaped.join('|')})$`, $options: 'i' }
+    }).select('_id');
+    mentions = users.map(u => u._id);
+  }
+
+  return { mentions, mentionsAll };
+};
+
+// Everyone a message tags: explicit mentions, or every other member for @all
+const mentionRecipients = (message, group) => {
+  const senderId = (message.sender._id || message.sender).toString();
+  const ids = message.mentionsAll ? group.members : message.mentions;
+  return [...new Set(ids.map(id => id.toString()))].filter(id => id !== senderId);
+};
+
+// Sent on its own event (not just newGroupMessage) so it still gets through when the group is muted
+const notifyMentions = (io, message, group, sender) => {
+  if (!io) return;
+  const payload = {
+    groupId: group._id.toString(),
+    groupName: group.name,
+    messageId: message._id.toString(),
+    threadRoot: message.threadRoot ? message.threadRoot.toString() : null,
+    sender: { id: sender.id, name: sender.name },
+    content: message.content,
+    mentionsAll: Boolean(message.mentionsAll)
+  };
+  mentionRecipients(message, group).forEach(userId => io.to(userId).emit('groupMention', payload));
+};
+
+module.exports = { parseMentions, mentionRecipients, notifyMentions };
@@ -0,0 +1,74 @@
+const { ForbiddenError } = require('apollo-server-express');
+const GroupMessage = require('../Models/GroupMessage');
+const { isOwner, isAdmin, isMember, can } = require('./permissions');
+
+const MAX_MUTE_MINUTES = 30 * 24 * 60;
+const MAX_SLOW_MODE_SECONDS = 6 * 60 * 60;
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+const isBanned = (group, userId) => (group.bans || []).some(ban => idOf(ban.user) === String(userId));
+
+// The member's mute if it hasn't run out yet
+const activeMute = (group, userId, now = new Date()) =>
+  (group.mutes || []).find(mute => idOf(mute.user) === String(userId) && mute.until > now) || null;
+
+// Admins moderate members; only the owner can moderate other admins, and nobody moderates the owner
+const assertCanModerate = (group, actorId, targetId) => {
+  if (!isAdmin(group, actorId)) {
+    throw new ForbiddenError('Only admins can moderate members');
+  }
+  if (String(actorId) === String(targetId)) {
+    throw new ForbiddenError('You cannot moderate yourself');
+  }
+  if (isOwner(group, targetId)) {
+    throw new Error('The group owner cannot be moderated');
+  }
+  if (isAdmin(group, targetId) && !isOwner(group, actorId)) {
+    throw new ForbiddenError('Only the owner can moderate other admins');
+  }
+};
+
+// "5 minutes", "2 hours", "3 days"
+const describeDuration = (minutes) => {
+  const [amount, unit] = minutes % 1440 === 0
+    ? [minutes / 1440, 'day']
+    : minutes % 60 === 0 ? [minutes / 60, 'hour'] : [minutes, 'minute'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+// Everything that can stop a member from posting right now: the sendMessages permission,
+// a running mute, or slow mode (admins are exempt from slow mode)
+const assertCanPost = async (group, userId, now = new Date()) => {
+  if (!isMember(group, userId)) {
+    throw new ForbiddenError('You are not a member of this group');
+  }
+  if (!can(group, userId, 'sendMessages')) {
+    throw new ForbiddenError('Only admins can send messages in this group');
+  }
+
+  const mute = activeMute(group, userId, now);
+  if (mute) {
+    throw new Error(`You are muted in this group until ${mute.until.toISOString()}`);
+  }
+
+  if (group.slowModeSeconds > 0 && !isAdmin(group, userId)) {
+    const last = await GroupMessage.findOne({ group: group._id, sender: userId, messageType: { $ne: 'system' } })
+      .sort({ createdAt: -1 })
+      .select('createdAt');
+    const waitMs = last ? last.createdAt.getTime() + group.slowModeSeconds * 1000 - now.getTime() : 0;
+    if (waitMs > 0) {
+      throw new Error(`Slow mode is on: wait ${Math.ceil(waitMs / 1000)}s before sending another message`);
+    }
+  }
+};
+
+module.exports = {
+  MAX_MUTE_MINUTES,
+  MAX_SLOW_MODE_SECONDS,
+  isBanned,
+  activeMute,
+  assertCanModerate,
+  describeDuration,
+  assertCanPost
+};
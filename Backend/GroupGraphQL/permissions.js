@@ -0,0 +1,52 @@
+// Per-group permission settings. Each one is either open to every member ('all')
+// or restricted to admins ('admins'); the owner always counts as an admin.
+const PERMISSION_LEVELS = ['all', 'admins'];
+
+const DEFAULT_PERMISSIONS = {
+  sendMessages: 'all',
+  editInfo: 'admins',
+  addMembers: 'admins',
+  pinMessages: 'admins',
+  startCalls: 'all'
+};
+
+const PERMISSION_NAMES = Object.keys(DEFAULT_PERMISSIONS);
+
+// Works for both populated refs and raw ObjectIds
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// Groups created before owners existed are owned by their creator
+const ownerIdOf = (group) => idOf(group.owner || group.createdBy);
+
+const isOwner = (group, userId) => ownerIdOf(group) === String(userId);
+
+const isMember = (group, userId) => group.members.some(id => idOf(id) === String(userId));
+
+const isAdmin = (group, userId) =>
+  isOwner(group, userId) || group.admins.some(id => idOf(id) === String(userId));
+
+const roleOf = (group, userId) => {
+  if (!userId || !isMember(group, userId)) return null;
+  if (isOwner(group, userId)) return 'owner';
+  return isAdmin(group, userId) ? 'admin' : 'member';
+};
+
+const permissionsOf = (group) => ({ ...DEFAULT_PERMISSIONS, ...(group.permissions?.toObject?.() || group.permissions || {}) });
+
+const can = (group, userId, permission) => {
+  if (!isMember(group, userId)) return false;
+  return permissionsOf(group)[permission] === 'all' || isAdmin(group, userId);
+};
+
+module.exports = {
+  PERMISSION_LEVELS,
+  DEFAULT_PERMISSIONS,
+  PERMISSION_NAMES,
+  ownerIdOf,
+  isOwner,
+  isMember,
+  isAdmin,
+  roleOf,
+  permissionsOf,
+  can
+};
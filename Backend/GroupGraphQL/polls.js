@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const GroupMessage = require('../Models/GroupMessage');
+const User = require('../Models/user');
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const VOTER_FIELDS = 'name username profileImage';
+
+// Validate a PollInput and turn it into the embedded poll document
+const buildPoll = ({ question, options, allowMultiple, anonymous, closesAt }) => {
+  const text = (question || '').trim();
+  if (!text) {
+    throw new Error('Poll question is required');
+  }
+
+  const choices = (options || []).map(option => (option || '').trim()).filter(Boolean);
+  if (choices.length < MIN_OPTIONS || choices.length > MAX_OPTIONS) {
+    throw new Error(`A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`);
+  }
+  if (new Set(choices.map(choice => choice.toLowerCase())).size !== choices.length) {
+    throw new Error('Poll options must be different from each other');
+  }
+
+  let closeTime;
+  if (closesAt) {
+    closeTime = new Date(isNaN(closesAt) ? closesAt : Number(closesAt));
+    if (isNaN(closeTime.getTime()) || closeTime <= new Date()) {
+      throw new Error('Close time must be in the future');
+    }
+  }
+
+  return {
+    question: text,
+    options: choices.map(choice => ({ text: choice, votes: [] })),
+    allowMultiple: Boolean(allowMultiple),
+    anonymous: Boolean(anonymous),
+    closesAt: closeTime
+  };
+};
+
+const isPollClosed = (poll, now = new Date()) =>
+  Boolean(poll.closedAt || (poll.closesAt && poll.closesAt <= now));
+
+// Replace the caller's votes with `optionIds` in one atomic update (an empty list retracts them).
+// Returns null if the poll closed in the meantime.
+const castVote = (messageId, userId, optionIds) => {
+  const voter = new mongoose.Types.ObjectId(userId);
+  const chosen = optionIds.map(id => new mongoose.Types.ObjectId(id));
+  const now = new Date();
+
+  return GroupMessage.findOneAndUpdate(
+    {
+      _id: messageId,
+      messageType: 'poll',
+      'poll.closedAt': null,
+      $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: now } }]
+    },
+    [{
+      $set: {
+        'poll.options': {
+          $map: {
+            input: '$poll.options',
+            as: 'option',
+            in: {
+              $mergeObjects: ['$$option', {
+                votes: {
+                  $cond: [
+                    { $in: ['$$option._id', chosen] },
+                    { $concatArrays: [{ $setDifference: ['$$option.votes', [voter]] }, [voter]] },
+                    { $setDifference: ['$$option.votes', [voter]] }
+                  ]
+                }
+              }]
+            }
+          }
+        }
+      }
+    }],
+    { new: true }
+  );
+};
+
+// GraphQL shape of a poll. Voter lists are hidden for anonymous polls;
+// `myVotes` is only filled in when we know who is asking.
+const summarizePoll = async (poll, viewerId) => {
+  if (!poll) return null;
+
+  let usersById = new Map();
+  if (!poll.anonymous) {
+    const voterIds = [...new Set(poll.options.flatMap(option => option.votes.map(id => id.toString())))];
+    const users = voterIds.length
+      ? await User.find({ _id: { $in: voterIds } }).select(VOTER_FIELDS)
+      : [];
+    usersById = new Map(users.map(u => [u._id.toString(), { ...u._doc, id: u._id.toString() }]));
+  }
+
+  const voters = new Set();
+  const options = poll.options.map(option => {
+    const votes = option.votes.map(id => id.toString());
+    votes.forEach(id => voters.add(id));
+    return {
+      id: option._id.toString(),
+      text: option.text,
+      voteCount: votes.length,
+      voters: poll.anonymous ? null : votes.map(id => usersById.get(id)).filter(Boolean)
+    };
+  });
+
+  return {
+    question: poll.question,
+    options,
+    allowMultiple: poll.allowMultiple,
+    anonymous: poll.anonymous,
+    closesAt: poll.closesAt ? poll.closesAt.toISOString() : null,
+    closed: isPollClosed(poll),
+    totalVotes: options.reduce((sum, option) => sum + option.voteCount, 0),
+    voterCount: voters.size,
+    myVotes: viewerId
+      ? poll.options.filter(option => option.votes.some(id => id.toString() === viewerId)).map(option => option._id.toString())
+      : []
+  };
+};
+
+// Push fresh tallies to everyone in the group room. The payload is viewer-neutral (no myVotes).
+const broadcastPoll = async (io, message) => {
+  if (!io) return;
+  const groupId = (message.group._id || message.group).toString();
+  io.to(`group_${groupId}`).emit('pollUpdated', {
+    groupId,
+    messageId: message._id.toString(),
+    poll: await summarizePoll(message.poll, null)
+  });
+};
+
+module.exports = {
+  buildPoll,
+  isPollClosed,
+  castVote,
+  summarizePoll,
+  broadcastPoll
+};
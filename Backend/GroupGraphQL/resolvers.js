@@ -1,7 +1,200 @@
 const Group = require('../Models/Group');
 const GroupMessage = require('../Models/GroupMessage');
 const User = require('../Models/user');
+const { ForbiddenError } = require('apollo-server-express');
 const { uploadToCloudinary } = require('../Utils/cloudinary');
+const { requireUser, wrapError } = require('../Utils/auth');
+const reactions = require('../Utils/reactions');
+const pins = require('../Utils/pins');
+const GroupInvite = require('../Models/GroupInvite');
+const {
+  createUniqueInviteCode,
+  inviteUnusableReason,
+  claimInviteUse,
+  releaseInviteUse
+} = require('./invites');
+const { postSystemMessage } = require('./systemMessages');
+const GroupJoinRequest = require('../Models/GroupJoinRequest');
+const {
+  populateRequest,
+  notifyAdminsOfRequest,
+  notifyRequestReviewed,
+  closePendingRequests
+} = require('./joinRequests');
+const {
+  PERMISSION_NAMES,
+  PERMISSION_LEVELS,
+  ownerIdOf,
+  isOwner,
+  isAdmin,
+  roleOf,
+  permissionsOf,
+  can
+} = require('./permissions');
+const {
+  buildPoll,
+  isPollClosed,
+  castVote,
+  summarizePoll,
+  broadcastPoll
+} = require('./polls');
+const { parseMentions, mentionRecipients, notifyMentions } = require('./mentions');
+const {
+  PARTICIPANT_FIELDS,
+  findThreadRoot,
+  recordThreadReply,
+  isFollowingThread,
+  notifyThreadReply
+} = require('./threads');
+const {
+  MAX_MUTE_MINUTES,
+  MAX_SLOW_MODE_SECONDS,
+  isBanned,
+  activeMute,
+  assertCanModerate,
+  describeDuration,
+  assertCanPost
+} = require('./moderation');
+const GroupAuditEvent = require('../Models/GroupAuditEvent');
+const { recordAuditEvent, changedFields, auditChanges } = require('./audit');
+const GroupCall = require('../Models/GroupCall');
+const {
+  populateCall,
+  findActiveCall,
+  formatCall,
+  startCall,
+  endCall,
+  canEndCall
+} = require('./calls');
+const { extractLinks } = require('../Utils/links');
+const { notifyNewMessage } = require('../Utils/conversationSettings');
+const { paginate } = require('../Utils/cursor');
+
+// What each shared-media tab pages through
+const GROUP_MEDIA_FILTERS = {
+  media: { messageType: { $in: ['image', 'video'] }, 'media.url': { $exists: true } },
+  files: { messageType: { $in: ['file', 'audio'] }, 'media.url': { $exists: true } },
+  links: { 'links.0': { $exists: true } }
+};
+
+// Message types that only the server creates, through their own mutations
+const RESERVED_MESSAGE_TYPES = ['system', 'poll'];
+
+// Add or remove the caller's reaction and broadcast the new totals to the group room
+const reactToGroupMessage = async (messageId, emoji, { user, io }, action) => {
+  try {
+    requireUser({ user });
+    const value = reactions.normalizeEmoji(emoji);
+
+    const message = await GroupMessage.findById(messageId);
+    if (!message || message.isDeleted) {
+      throw new Error('Message not found');
+    }
+
+    const group = await Group.findById(message.group);
+    if (!group || !group.members.includes(user.id)) {
+      throw new ForbiddenError('You are not a member of this group');
+    }
+
+    const update = action === 'add' ? reactions.addReaction : reactions.removeReaction;
+    await update(GroupMessage, messageId, user.id, value);
+
+    const updatedMessage = await GroupMessage.findById(messageId)
+      .populate('sender', 'name username profileImage')
+      .populate('replyTo')
+      .populate('readBy.user', 'name username profileImage');
+
+    if (io) {
+      const groupId = group._id.toString();
+      io.to(`group_${groupId}`).emit('messageReaction', {
+        groupId,
+        messageId: updatedMessage._id.toString(),
+        userId: user.id,
+        emoji: value,
+        action,
+        reactions: await reactions.summarizeReactions(updatedMessage.reactions)
+      });
+    }
+
+    return updatedMessage;
+  } catch (error) {
+    throw wrapError(error, 'Error updating reaction');
+  }
+};
+
+// Pin or unpin a group message (subject to the group's pinMessages permission) and tell the room
+const toggleGroupPin = async (messageId, { user, io }, pinned) => {
+  try {
+    requireUser({ user });
+
+    const message = await GroupMessage.findById(messageId);
+    if (!message || message.isDeleted) {
+      throw new Error('Message not found');
+    }
+
+    const group = await Group.findById(message.group);
+    if (!group || !group.members.includes(user.id)) {
+      throw new ForbiddenError('You are not a member of this group');
+    }
+    if (!can(group, user.id, 'pinMessages')) {
+      throw new ForbiddenError('Only admins can pin messages in this group');
+    }
+
+    if (pinned) {
+      await pins.pinMessage(GroupMessage, messageId, user.id, { group: group._id });
+    } else {
+      await pins.unpinMessage(GroupMessage, messageId);
+    }
+
+    const updatedMessage = await GroupMessage.findById(messageId)
+      .populate('sender', 'name username profileImage')
+      .populate('pinnedBy', 'name username profileImage');
+
+    if (io) {
+      const groupId = group._id.toString();
+      io.to(`group_${groupId}`).emit('messagePinned', {
+        groupId,
+        messageId: updatedMessage._id.toString(),
+        pinned,
+        pinnedBy: user.id,
+        message: updatedMessage
+      });
+    }
+
+    return updatedMessage;
+  } catch (error) {
+    throw wrapError(error, `Error ${pinned ? 'pinning' : 'unpinning'} message`);
+  }
+};
+
+// Follow or unfollow a thread to get (or stop getting) notified about its replies
+const setThreadFollow = async (messageId, { user }, follow) => {
+  try {
+    requireUser({ user });
+
+    const root = await GroupMessage.findById(messageId);
+    if (!root || root.isDeleted) {
+      throw new Error('Message not found');
+    }
+    if (root.threadRoot) {
+      throw new Error('Follow the thread from its first message');
+    }
+
+    const group = await Group.findById(root.group);
+    if (!group || !group.members.includes(user.id)) {
+      throw new ForbiddenError('You are not a member of this group');
+    }
+
+    const update = follow
+      ? { $addToSet: { threadFollowers: user.id } }
+      : { $pull: { threadFollowers: user.id } };
+    return await GroupMessage.findByIdAndUpdate(messageId, update, { new: true })
+      .populate('sender', 'name username profileImage')
+      .populate('threadParticipants', PARTICIPANT_FIELDS);
+  } catch (error) {
+    throw wrapError(error, `Error ${follow ? 'following' : 'unfollowing'} thread`);
+  }
+};
 
 module.exports = {
   Query: {
@@ -16,18 +209,21 @@ module.exports = {
         
         return groups;
       } catch (error) {
-        throw new Error(`Error fetching user groups: ${error.message}`);
+        throw wrapError(error, 'Error fetching user groups');
       }
     },
 
     getGroupMessages: async (_, { groupId, limit = 50, offset = 0 }) => {
       try {
+        // Thread replies live in their thread, not the main timeline
         const messages = await GroupMessage.find({ 
           group: groupId, 
+          threadRoot: null,
           isDeleted: false 
         })
           .populate('sender', 'name username profileImage')
           .populate('replyTo')
+          .populate('threadParticipants', PARTICIPANT_FIELDS)
           .populate('readBy.user', 'name username profileImage')
           .sort({ createdAt: -1 })
           .limit(limit)
@@ -35,7 +231,7 @@ module.exports = {
         
         return messages.reverse(); // Return in chronological order
       } catch (error) {
-        throw new Error(`Error fetching group messages: ${error.message}`);
+        throw wrapError(error, 'Error fetching group messages');
       }
     },
 
@@ -53,15 +249,20 @@ module.exports = {
         
         return group;
       } catch (error) {
-        throw new Error(`Error fetching group details: ${error.message}`);
+        throw wrapError(error, 'Error fetching group details');
       }
     },
 
-    searchGroups: async (_, { query, limit = 10 }) => {
+    searchGroups: async (_, { query, limit = 10 }, { user }) => {
       try {
+        // Private groups only show up for their own members
+        const visibility = user
+          ? { $or: [{ isPrivate: false }, { members: user.id }] }
+          : { isPrivate: false };
+
         const groups = await Group.find({
           $and: [
-            { isPrivate: false },
+            visibility,
             {
               $or: [
                 { name: { $regex: query, $options: 'i' } },
@@ -77,7 +278,263 @@ module.exports = {
         
         return groups;
       } catch (error) {
-        throw new Error(`Error searching groups: ${error.message}`);
+        throw wrapError(error, 'Error searching groups');
+      }
+    },
+
+    getGroupInvites: async (_, { groupId }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can view invite links');
+        }
+
+        return await GroupInvite.find({ group: groupId })
+          .populate('createdBy', 'name username profileImage')
+          .sort({ createdAt: -1 });
+      } catch (error) {
+        throw wrapError(error, 'Error fetching group invites');
+      }
+    },
+
+    previewGroupInvite: async (_, { code }, { user }) => {
+      try {
+        const invite = await GroupInvite.findOne({ code });
+        const group = invite && await Group.findById(invite.group);
+        const reason = !group
+          ? 'Invite link not found'
+          : inviteUnusableReason(invite) || (user && isBanned(group, user.id) ? 'You are banned from this group' : null);
+
+        if (!group) {
+          return { code, alreadyMember: false, valid: false, reason };
+        }
+
+        return {
+          code,
+          groupId: group._id,
+          name: group.name,
+          description: group.description,
+          groupImage: group.groupImage,
+          memberCount: group.members.length,
+          maxMembers: group.maxMembers,
+          alreadyMember: Boolean(user && group.members.includes(user.id)),
+          isPrivate: group.isPrivate,
+          hasPendingRequest: Boolean(user && await GroupJoinRequest.exists({
+            group: group._id,
+            user: user.id,
+            status: 'pending'
+          })),
+          valid: !reason,
+          reason
+        };
+      } catch (error) {
+        throw wrapError(error, 'Error previewing invite');
+      }
+    },
+
+    getPinnedGroupMessages: async (_, { groupId }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group || !group.members.includes(user.id)) {
+          throw new ForbiddenError('You are not a member of this group');
+        }
+
+        return await GroupMessage.find({ group: groupId, pinnedAt: { $ne: null }, isDeleted: false })
+          .populate('sender', 'name username profileImage')
+          .populate('pinnedBy', 'name username profileImage')
+          .sort({ pinnedAt: -1 });
+      } catch (error) {
+        throw wrapError(error, 'Error fetching pinned messages');
+      }
+    },
+
+    // A thread's root message and a page of its replies (oldest first)
+    getThread: async (_, { messageId, before, after, limit }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const root = await GroupMessage.findById(messageId)
+          .populate('sender', 'name username profileImage')
+          .populate('threadParticipants', PARTICIPANT_FIELDS);
+        if (!root || root.isDeleted || root.threadRoot) {
+          throw new Error('Thread not found');
+        }
+
+        const group = await Group.findById(root.group);
+        if (!group || !group.members.includes(user.id)) {
+          throw new ForbiddenError('You are not a member of this group');
+        }
+
+        const { nodes, pageInfo } = await paginate(
+          GroupMessage,
+          { threadRoot: root._id, isDeleted: false },
+          { before, after, limit },
+          (query) => query
+            .populate('sender', 'name username profileImage')
+            .populate('replyTo')
+        );
+
+        return { root, replies: nodes, pageInfo };
+      } catch (error) {
+        throw wrapError(error, 'Error fetching thread');
+      }
+    },
+
+    // Shared images/videos, files or links in a group, a page at a time (oldest first within the page).
+    // `cursor` is the startCursor of the previous page and walks back in time.
+    getGroupMedia: async (_, { groupId, type, cursor, limit }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const filter = GROUP_MEDIA_FILTERS[type];
+        if (!filter) {
+          throw new Error(`Unknown media type "${type}"`);
+        }
+
+        const group = await Group.findById(groupId);
+        if (!group || !group.members.includes(user.id)) {
+          throw new ForbiddenError('You are not a member of this group');
+        }
+
+        const { nodes, pageInfo } = await paginate(
+          GroupMessage,
+          { group: groupId, isDeleted: false, ...filter },
+          { before: cursor, limit },
+          (query) => query.populate('sender', 'name username profileImage')
+        );
+
+        return { items: nodes, pageInfo };
+      } catch (error) {
+        throw wrapError(error, 'Error fetching group media');
+      }
+    },
+
+    // The call going on in the group right now, if any, so late joiners can find it
+    getActiveGroupCall: async (_, { groupId }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group || !group.members.includes(user.id)) {
+          throw new ForbiddenError('You are not a member of this group');
+        }
+
+        const call = await findActiveCall(groupId);
+        if (!call) return null;
+        await populateCall(call);
+        return formatCall(call);
+      } catch (error) {
+        throw wrapError(error, 'Error fetching group call');
+      }
+    },
+
+    // Group messages that tagged the caller, directly or through @all (oldest first, like other pages)
+    getMyMentions: async (_, { before, after, limit }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const groupIds = await Group.find({ members: user.id }).distinct('_id');
+        const { nodes, pageInfo } = await paginate(
+          GroupMessage,
+          {
+            group: { $in: groupIds },
+            sender: { $ne: user.id },
+            isDeleted: false,
+            $or: [{ mentions: user.id }, { mentionsAll: true }]
+          },
+          { before, after, limit },
+          (query) => query
+            .populate('sender', 'name username profileImage')
+            .populate('group')
+        );
+
+        return { mentions: nodes, pageInfo };
+      } catch (error) {
+        throw wrapError(error, 'Error fetching mentions');
+      }
+    },
+
+    // Current bans, running mutes and the slow mode setting, for the admins' moderation panel
+    getGroupModeration: async (_, { groupId }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId)
+          .populate('bans.user', 'name username profileImage')
+          .populate('bans.bannedBy', 'name username profileImage')
+          .populate('mutes.user', 'name username profileImage')
+          .populate('mutes.mutedBy', 'name username profileImage');
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can view moderation settings');
+        }
+
+        const now = new Date();
+        return {
+          bans: group.bans.filter(ban => ban.user),
+          mutes: group.mutes.filter(mute => mute.user && mute.until > now),
+          slowModeSeconds: group.slowModeSeconds || 0
+        };
+      } catch (error) {
+        throw wrapError(error, 'Error fetching moderation settings');
+      }
+    },
+
+    // Admin actions in a group, oldest first like other pages
+    getGroupAuditLog: async (_, { groupId, before, after, limit }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can view the activity log');
+        }
+
+        const { nodes, pageInfo } = await paginate(
+          GroupAuditEvent,
+          { group: groupId },
+          { before, after, limit },
+          (query) => query
+            .populate('actor', 'name username profileImage')
+            .populate('targetUsers', 'name username profileImage')
+        );
+
+        return { events: nodes, pageInfo };
+      } catch (error) {
+        throw wrapError(error, 'Error fetching activity log');
+      }
+    },
+
+    getGroupJoinRequests: async (_, { groupId, status = 'pending' }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can view join requests');
+        }
+
+        return await GroupJoinRequest.find({ group: groupId, status })
+          .populate('user', 'name username profileImage')
+          .populate('reviewedBy', 'name username profileImage')
+          .sort({ createdAt: -1 });
+      } catch (error) {
+        throw wrapError(error, 'Error fetching join requests');
       }
     }
   },
@@ -88,10 +545,7 @@ module.exports = {
         console.log('🔍 CreateGroup called with input:', JSON.stringify(input, null, 2));
         console.log('🔍 User context:', user ? { id: user.id, name: user.name } : 'No user');
         
-        if (!user || !user.id) {
-          console.error('❌ Authentication required - no user in context or missing user.id');
-          throw new Error('Authentication required');
-        }
+        requireUser({ user });
 
         // Validate input
         if (!input.name || input.name.trim().length === 0) {
@@ -177,6 +631,7 @@ module.exports = {
           members,
           admins: [user.id],
           createdBy: user.id,
+          owner: user.id,
           isPrivate: input.isPrivate || false,
           maxMembers: input.maxMembers || 256
         };
@@ -200,21 +655,25 @@ module.exports = {
       } catch (error) {
         console.error('❌ Error in createGroup resolver:', error);
         console.error('❌ Error stack:', error.stack);
-        throw new Error(`Error creating group: ${error.message}`);
+        throw wrapError(error, 'Error creating group');
       }
     },
 
-    sendGroupMessage: async (_, { groupId, content, messageType = 'text', media, replyTo }, { user, io }) => {
+    sendGroupMessage: async (_, { groupId, content, messageType = 'text', media, replyTo, threadRoot }, { user, io }) => {
       try {
-        if (!user) {
-          throw new Error('Authentication required');
-        }
+        requireUser({ user });
 
-        // Check if user is a member of the group
         const group = await Group.findById(groupId);
-        if (!group || !group.members.includes(user.id)) {
-          throw new Error('You are not a member of this group');
+        if (!group) {
+          throw new Error('Group not found');
         }
+        await assertCanPost(group, user.id);
+        if (RESERVED_MESSAGE_TYPES.includes(messageType)) {
+          throw new Error(`Cannot send ${messageType} messages directly`);
+        }
+        const root = threadRoot ? await findThreadRoot(threadRoot, group) : null;
+
+        const { mentions, mentionsAll } = await parseMentions(content, group, user.id);
 
         const message = await GroupMessage.create({
           group: groupId,
@@ -222,13 +681,79 @@ module.exports = {
           content,
           messageType,
           media,
-          replyTo
+          replyTo,
+          threadRoot: root ? root._id : undefined,
+          mentions,
+          mentionsAll,
+          links: extractLinks(content)
+        });
+
+        // Update group's last message (thread replies don't count as group activity)
+        if (!root) {
+          await Group.findByIdAndUpdate(groupId, {
+            lastMessage: {
+              content: content || `Sent a ${messageType}`,
+              sender: user.id,
+              timestamp: new Date()
+            },
+            updatedAt: new Date()
+          });
+        }
+
+        const populatedMessage = await GroupMessage.findById(message._id)
+          .populate('sender', 'name username profileImage')
+          .populate('group', 'name')
+          .populate('replyTo');
+
+        if (root) {
+          const updatedRoot = await recordThreadReply(root, message);
+          await notifyThreadReply(io, group, updatedRoot, populatedMessage, user);
+        } else if (io) {
+          // Emit to all group members
+          group.members.forEach(memberId => {
+            io.to(memberId.toString()).emit('newGroupMessage', populatedMessage);
+          });
+          // Mentioned members get the mention alert instead
+          const mentioned = new Set(mentionRecipients(message, group));
+          await notifyNewMessage(io, {
+            chatType: 'group',
+            chatId: group._id,
+            recipients: group.members.map(id => id.toString()).filter(id => id !== user.id && !mentioned.has(id)),
+            title: group.name,
+            body: `${user.name}: ${content || `Sent a ${messageType}`}`,
+            messageId: message._id
+          });
+        }
+        notifyMentions(io, message, group, user);
+
+        return populatedMessage;
+      } catch (error) {
+        throw wrapError(error, 'Error sending group message');
+      }
+    },
+
+    createGroupPoll: async (_, { groupId, input }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        await assertCanPost(group, user.id);
+
+        const poll = buildPoll(input);
+        const message = await GroupMessage.create({
+          group: groupId,
+          sender: user.id,
+          content: poll.question,
+          messageType: 'poll',
+          poll
         });
 
-        // Update group's last message
         await Group.findByIdAndUpdate(groupId, {
           lastMessage: {
-            content: content || `Sent a ${messageType}`,
+            content: `📊 ${poll.question}`,
             sender: user.id,
             timestamp: new Date()
           },
@@ -237,36 +762,115 @@ module.exports = {
 
         const populatedMessage = await GroupMessage.findById(message._id)
           .populate('sender', 'name username profileImage')
-          .populate('group', 'name')
-          .populate('replyTo');
+          .populate('group', 'name');
 
-        // Emit to all group members
+        // Socket payloads skip the field resolvers, so send the poll already summarized
         if (io) {
+          const payload = { ...populatedMessage.toObject(), poll: await summarizePoll(populatedMessage.poll, null) };
           group.members.forEach(memberId => {
-            io.to(memberId.toString()).emit('newGroupMessage', populatedMessage);
+            io.to(memberId.toString()).emit('newGroupMessage', payload);
+          });
+          await notifyNewMessage(io, {
+            chatType: 'group',
+            chatId: group._id,
+            recipients: group.members.map(id => id.toString()).filter(id => id !== user.id),
+            title: group.name,
+            body: `${user.name}: 📊 ${poll.question}`,
+            messageId: message._id
           });
         }
 
         return populatedMessage;
       } catch (error) {
-        throw new Error(`Error sending group message: ${error.message}`);
+        throw wrapError(error, 'Error creating poll');
       }
     },
 
-    addGroupMembers: async (_, { groupId, memberIds }, { user, io }) => {
+    voteInPoll: async (_, { messageId, optionIds }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const message = await GroupMessage.findById(messageId);
+        if (!message || message.isDeleted || message.messageType !== 'poll') {
+          throw new Error('Poll not found');
+        }
+
+        const group = await Group.findById(message.group);
+        if (!group || !group.members.includes(user.id)) {
+          throw new ForbiddenError('You are not a member of this group');
+        }
+        if (isPollClosed(message.poll)) {
+          throw new Error('This poll is closed');
+        }
+
+        const choices = [...new Set(optionIds)];
+        const validIds = new Set(message.poll.options.map(option => option._id.toString()));
+        if (choices.some(id => !validIds.has(id))) {
+          throw new Error('Invalid poll option');
+        }
+        if (!message.poll.allowMultiple && choices.length > 1) {
+          throw new Error('This poll allows only one choice');
+        }
+
+        const updated = await castVote(messageId, user.id, choices);
+        if (!updated) {
+          throw new Error('This poll is closed');
+        }
+
+        await broadcastPoll(io, updated);
+
+        return await GroupMessage.findById(messageId)
+          .populate('sender', 'name username profileImage');
+      } catch (error) {
+        throw wrapError(error, 'Error voting in poll');
+      }
+    },
+
+    closePoll: async (_, { messageId }, { user, io }) => {
       try {
-        if (!user) {
-          throw new Error('Authentication required');
+        requireUser({ user });
+
+        const message = await GroupMessage.findById(messageId);
+        if (!message || message.isDeleted || message.messageType !== 'poll') {
+          throw new Error('Poll not found');
+        }
+
+        const group = await Group.findById(message.group);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (message.sender.toString() !== user.id && !isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only the poll creator or an admin can close this poll');
         }
 
+        if (!isPollClosed(message.poll)) {
+          message.poll.closedAt = new Date();
+          message.poll.closedBy = user.id;
+          await message.save();
+          await broadcastPoll(io, message);
+        }
+
+        return await GroupMessage.findById(messageId)
+          .populate('sender', 'name username profileImage');
+      } catch (error) {
+        throw wrapError(error, 'Error closing poll');
+      }
+    },
+
+    addGroupMembers: async (_, { groupId, memberIds }, { user, io }) => {
+      try {
+        requireUser({ user });
+
         const group = await Group.findById(groupId);
         if (!group) {
           throw new Error('Group not found');
         }
 
-        // Check if user is admin
-        if (!group.admins.includes(user.id)) {
-          throw new Error('Only admins can add members');
+        if (!can(group, user.id, 'addMembers')) {
+          throw new ForbiddenError('You do not have permission to add members');
+        }
+        if (memberIds.some(id => isBanned(group, id))) {
+          throw new Error('Banned users must be unbanned before they can be added');
         }
 
         // Check max members limit
@@ -279,6 +883,10 @@ module.exports = {
         const uniqueNewMembers = memberIds.filter(id => !group.members.includes(id));
         group.members.push(...uniqueNewMembers);
         await group.save();
+        await closePendingRequests(groupId, uniqueNewMembers, user.id);
+        if (uniqueNewMembers.length > 0) {
+          await recordAuditEvent({ group, actor: user.id, action: 'members_added', targetUsers: uniqueNewMembers });
+        }
 
         const updatedGroup = await Group.findById(groupId)
           .populate('members', 'name username profileImage')
@@ -310,9 +918,7 @@ module.exports = {
 
     removeGroupMember: async (_, { groupId, memberId }, { user, io }) => {
       try {
-        if (!user) {
-          throw new Error('Authentication required');
-        }
+        requireUser({ user });
 
         const group = await Group.findById(groupId);
         if (!group) {
@@ -320,19 +926,22 @@ module.exports = {
         }
 
         // Check if user is admin or removing themselves
-        if (!group.admins.includes(user.id) && user.id !== memberId) {
-          throw new Error('Only admins can remove members');
+        if (!isAdmin(group, user.id) && user.id !== memberId) {
+          throw new ForbiddenError('Only admins can remove members');
         }
 
-        // Cannot remove the creator
-        if (group.createdBy.toString() === memberId) {
-          throw new Error('Cannot remove group creator');
+        // Cannot remove the owner
+        if (isOwner(group, memberId)) {
+          throw new Error('Cannot remove the group owner');
         }
 
         // Remove member
         group.members = group.members.filter(id => id.toString() !== memberId);
         group.admins = group.admins.filter(id => id.toString() !== memberId);
         await group.save();
+        if (user.id !== memberId) {
+          await recordAuditEvent({ group, actor: user.id, action: 'member_removed', targetUsers: [memberId] });
+        }
 
         const updatedGroup = await Group.findById(groupId)
           .populate('members', 'name username profileImage')
@@ -347,8 +956,9 @@ module.exports = {
             });
           });
           
-          // Notify removed member
+          // Notify removed member and drop their sockets from the group room
           io.to(memberId).emit('removedFromGroup', { group: updatedGroup });
+          io.in(memberId).socketsLeave(`group_${groupId}`);
         }
 
         return {
@@ -367,18 +977,16 @@ module.exports = {
 
     leaveGroup: async (_, { groupId }, { user, io }) => {
       try {
-        if (!user) {
-          throw new Error('Authentication required');
-        }
+        requireUser({ user });
 
         const group = await Group.findById(groupId);
         if (!group) {
           throw new Error('Group not found');
         }
 
-        // Creator cannot leave, must transfer ownership first
-        if (group.createdBy.toString() === user.id) {
-          throw new Error('Group creator cannot leave. Transfer ownership first or delete the group.');
+        // Owner cannot leave, must transfer ownership first
+        if (isOwner(group, user.id)) {
+          throw new Error('Group owner cannot leave. Transfer ownership first or delete the group.');
         }
 
         // Remove user from members and admins
@@ -398,6 +1006,7 @@ module.exports = {
               leftMember: user.id
             });
           });
+          io.in(user.id).socketsLeave(`group_${groupId}`);
         }
 
         return {
@@ -416,18 +1025,15 @@ module.exports = {
 
     updateGroup: async (_, { groupId, name, description, groupImage }, { user, io }) => {
       try {
-        if (!user) {
-          throw new Error('Authentication required');
-        }
+        requireUser({ user });
 
         const group = await Group.findById(groupId);
         if (!group) {
           throw new Error('Group not found');
         }
 
-        // Check if user is admin
-        if (!group.admins.includes(user.id)) {
-          throw new Error('Only admins can update group');
+        if (!can(group, user.id, 'editInfo')) {
+          throw new ForbiddenError('You do not have permission to edit group info');
         }
 
         const updateData = {};
@@ -444,6 +1050,14 @@ module.exports = {
           .populate('admins', 'name username profileImage')
           .populate('createdBy', 'name username profileImage');
 
+        const changes = changedFields(
+          { name: group.name, description: group.description, groupImage: group.groupImage },
+          updateData
+        );
+        if (Object.keys(changes.after).length > 0) {
+          await recordAuditEvent({ group, actor: user.id, action: 'group_updated', ...changes });
+        }
+
         // Emit to all group members
         if (io) {
           group.members.forEach(memberId => {
@@ -453,28 +1067,36 @@ module.exports = {
 
         return updatedGroup;
       } catch (error) {
-        throw new Error(`Error updating group: ${error.message}`);
+        throw wrapError(error, 'Error updating group');
       }
     },
 
     deleteGroup: async (_, { groupId }, { user, io }) => {
       try {
-        if (!user) {
-          throw new Error('Authentication required');
-        }
+        requireUser({ user });
 
         const group = await Group.findById(groupId);
         if (!group) {
           throw new Error('Group not found');
         }
 
-        // Only creator can delete group
-        if (group.createdBy.toString() !== user.id) {
-          throw new Error('Only group creator can delete the group');
+        // Only the owner can delete the group
+        if (!isOwner(group, user.id)) {
+          throw new ForbiddenError('Only the group owner can delete the group');
+        }
+
+        // Hang up a call still going on, so its participants' screens close and nobody stays "busy"
+        const ongoingCall = await findActiveCall(groupId);
+        if (ongoingCall) {
+          await endCall(io, ongoingCall, user);
         }
 
-        // Delete all group messages
+        // Delete all group messages, invite links, join requests, calls and the activity log
         await GroupMessage.deleteMany({ group: groupId });
+        await GroupInvite.deleteMany({ group: groupId });
+        await GroupJoinRequest.deleteMany({ group: groupId });
+        await GroupCall.deleteMany({ group: groupId });
+        await GroupAuditEvent.deleteMany({ group: groupId });
         
         // Delete the group
         await Group.findByIdAndDelete(groupId);
@@ -484,6 +1106,7 @@ module.exports = {
           group.members.forEach(memberId => {
             io.to(memberId.toString()).emit('groupDeleted', { groupId });
           });
+          io.in(`group_${groupId}`).socketsLeave(`group_${groupId}`);
         }
 
         return {
@@ -502,9 +1125,7 @@ module.exports = {
 
     makeGroupAdmin: async (_, { groupId, memberId }, { user, io }) => {
       try {
-        if (!user) {
-          throw new Error('Authentication required');
-        }
+        requireUser({ user });
 
         const group = await Group.findById(groupId);
         if (!group) {
@@ -512,8 +1133,8 @@ module.exports = {
         }
 
         // Check if user is admin
-        if (!group.admins.includes(user.id)) {
-          throw new Error('Only admins can promote members');
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can promote members');
         }
 
         // Check if member exists in group
@@ -525,6 +1146,7 @@ module.exports = {
         if (!group.admins.includes(memberId)) {
           group.admins.push(memberId);
           await group.save();
+          await recordAuditEvent({ group, actor: user.id, action: 'admin_added', targetUsers: [memberId] });
         }
 
         const updatedGroup = await Group.findById(groupId)
@@ -555,14 +1177,860 @@ module.exports = {
       }
     },
 
-    markGroupMessageAsRead: async (_, { messageId }, { user }) => {
+    removeGroupAdmin: async (_, { groupId, memberId }, { user, io }) => {
       try {
-        if (!user) {
-          throw new Error('Authentication required');
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
         }
 
-        const message = await GroupMessage.findById(messageId);
-        if (!message) {
+        // Admins can demote other admins (or step down themselves), but never the owner
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can demote admins');
+        }
+        if (isOwner(group, memberId)) {
+          throw new Error('The group owner cannot be demoted');
+        }
+
+        if (group.admins.includes(memberId)) {
+          group.admins = group.admins.filter(id => id.toString() !== memberId);
+          await group.save();
+          await recordAuditEvent({ group, actor: user.id, action: 'admin_removed', targetUsers: [memberId] });
+        }
+
+        const updatedGroup = await Group.findById(groupId)
+          .populate('members', 'name username profileImage')
+          .populate('admins', 'name username profileImage');
+
+        if (io) {
+          group.members.forEach(memberIdInGroup => {
+            io.to(memberIdInGroup.toString()).emit('groupAdminRemoved', {
+              group: updatedGroup,
+              removedAdmin: memberId
+            });
+          });
+        }
+
+        return {
+          success: true,
+          message: 'Admin demoted to member successfully',
+          group: updatedGroup
+        };
+      } catch (error) {
+        return {
+          success: false,
+          message: error.message,
+          group: null
+        };
+      }
+    },
+
+    transferGroupOwnership: async (_, { groupId, memberId }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!isOwner(group, user.id)) {
+          throw new ForbiddenError('Only the group owner can transfer ownership');
+        }
+        if (!group.members.includes(memberId)) {
+          throw new Error('User is not a member of this group');
+        }
+        if (memberId === user.id) {
+          throw new Error('You already own this group');
+        }
+
+        // The new owner is always an admin; the previous owner stays on as one
+        const previousOwner = ownerIdOf(group);
+        group.owner = memberId;
+        if (!group.admins.includes(memberId)) {
+          group.admins.push(memberId);
+        }
+        await group.save();
+        await recordAuditEvent({
+          group,
+          actor: user.id,
+          action: 'ownership_transferred',
+          targetUsers: [memberId],
+          before: { owner: previousOwner },
+          after: { owner: memberId }
+        });
+
+        const newOwner = await User.findById(memberId).select('name');
+        await postSystemMessage(io, group, user.id, `${user.name || 'The owner'} made ${newOwner?.name || 'a member'} the group owner`);
+
+        const updatedGroup = await Group.findById(groupId)
+          .populate('members', 'name username profileImage')
+          .populate('admins', 'name username profileImage')
+          .populate('createdBy', 'name username profileImage');
+
+        if (io) {
+          group.members.forEach(memberIdInGroup => {
+            io.to(memberIdInGroup.toString()).emit('groupUpdated', updatedGroup);
+          });
+        }
+
+        return {
+          success: true,
+          message: 'Ownership transferred successfully',
+          group: updatedGroup
+        };
+      } catch (error) {
+        return {
+          success: false,
+          message: error.message,
+          group: null
+        };
+      }
+    },
+
+    updateGroupPermissions: async (_, { groupId, permissions }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can change group permissions');
+        }
+
+        const previous = permissionsOf(group);
+        const update = {};
+        for (const name of PERMISSION_NAMES) {
+          const level = permissions[name];
+          if (level === undefined || level === null) continue;
+          if (!PERMISSION_LEVELS.includes(level)) {
+            throw new Error(`Invalid level "${level}" for ${name}`);
+          }
+          update[`permissions.${name}`] = level;
+        }
+
+        const updatedGroup = await Group.findByIdAndUpdate(
+          groupId,
+          { $set: update },
+          { new: true, runValidators: true }
+        )
+          .populate('members', 'name username profileImage')
+          .populate('admins', 'name username profileImage')
+          .populate('createdBy', 'name username profileImage');
+
+        const changes = changedFields(previous, permissionsOf(updatedGroup));
+        if (Object.keys(changes.after).length > 0) {
+          await recordAuditEvent({ group, actor: user.id, action: 'permissions_updated', ...changes });
+        }
+
+        // Announcement mode affects everyone, so say so in the chat
+        const sendMessages = permissionsOf(updatedGroup).sendMessages;
+        if (sendMessages !== previous.sendMessages) {
+          await postSystemMessage(
+            io,
+            group,
+            user.id,
+            sendMessages === 'admins'
+              ? `${user.name || 'An admin'} changed the group so only admins can send messages`
+              : `${user.name || 'An admin'} changed the group so all members can send messages`
+          );
+        }
+
+        if (io) {
+          group.members.forEach(memberId => {
+            io.to(memberId.toString()).emit('groupUpdated', updatedGroup);
+          });
+        }
+
+        return updatedGroup;
+      } catch (error) {
+        throw wrapError(error, 'Error updating group permissions');
+      }
+    },
+
+    pinGroupMessage: (_, { messageId }, context) => toggleGroupPin(messageId, context, true),
+
+    unpinGroupMessage: (_, { messageId }, context) => toggleGroupPin(messageId, context, false),
+
+    addGroupReaction: (_, { messageId, emoji }, context) =>
+      reactToGroupMessage(messageId, emoji, context, 'add'),
+
+    removeGroupReaction: (_, { messageId, emoji }, context) =>
+      reactToGroupMessage(messageId, emoji, context, 'remove'),
+
+    banGroupMember: async (_, { groupId, memberId, reason }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        assertCanModerate(group, user.id, memberId);
+        if (isBanned(group, memberId)) {
+          throw new Error('User is already banned');
+        }
+
+        // Banning works for non-members too, so someone can be kept out before they join
+        const wasMember = group.members.includes(memberId);
+        group.members = group.members.filter(id => id.toString() !== memberId);
+        group.admins = group.admins.filter(id => id.toString() !== memberId);
+        group.mutes = group.mutes.filter(mute => mute.user.toString() !== memberId);
+        group.bans.push({ user: memberId, bannedBy: user.id, reason });
+        await group.save();
+        await closePendingRequests(groupId, [memberId], user.id, 'rejected');
+        await recordAuditEvent({
+          group,
+          actor: user.id,
+          action: 'member_banned',
+          targetUsers: [memberId],
+          after: { reason: reason || null }
+        });
+
+        const banned = await User.findById(memberId).select('name');
+        await postSystemMessage(io, group, user.id, `${user.name || 'An admin'} banned ${banned?.name || 'a user'} from the group`);
+
+        const updatedGroup = await Group.findById(groupId)
+          .populate('members', 'name username profileImage')
+          .populate('admins', 'name username profileImage');
+
+        if (io && wasMember) {
+          group.members.forEach(memberIdInGroup => {
+            io.to(memberIdInGroup.toString()).emit('groupMemberRemoved', {
+              group: updatedGroup,
+              removedMember: memberId
+            });
+          });
+
+          io.to(memberId).emit('removedFromGroup', { group: updatedGroup });
+          io.in(memberId).socketsLeave(`group_${groupId}`);
+        }
+
+        return {
+          success: true,
+          message: 'User banned successfully',
+          group: updatedGroup
+        };
+      } catch (error) {
+        return {
+          success: false,
+          message: error.message,
+          group: null
+        };
+      }
+    },
+
+    unbanGroupMember: async (_, { groupId, memberId }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can unban users');
+        }
+        if (!isBanned(group, memberId)) {
+          throw new Error('User is not banned');
+        }
+
+        group.bans = group.bans.filter(ban => ban.user.toString() !== memberId);
+        await group.save();
+        await recordAuditEvent({ group, actor: user.id, action: 'member_unbanned', targetUsers: [memberId] });
+
+        const unbanned = await User.findById(memberId).select('name');
+        await postSystemMessage(io, group, user.id, `${user.name || 'An admin'} unbanned ${unbanned?.name || 'a user'}`);
+
+        const updatedGroup = await Group.findById(groupId)
+          .populate('members', 'name username profileImage')
+          .populate('admins', 'name username profileImage');
+
+        if (io) {
+          group.members.forEach(memberIdInGroup => {
+            io.to(memberIdInGroup.toString()).emit('groupUpdated', updatedGroup);
+          });
+        }
+
+        return {
+          success: true,
+          message: 'User unbanned successfully',
+          group: updatedGroup
+        };
+      } catch (error) {
+        return {
+          success: false,
+          message: error.message,
+          group: null
+        };
+      }
+    },
+
+    muteGroupMember: async (_, { groupId, memberId, minutes, reason }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!group.members.includes(memberId)) {
+          throw new Error('User is not a member of this group');
+        }
+        assertCanModerate(group, user.id, memberId);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+          throw new Error(`Mute duration must be between 1 minute and ${describeDuration(MAX_MUTE_MINUTES)}`);
+        }
+
+        // Muting again replaces the previous mute instead of stacking
+        group.mutes = group.mutes.filter(mute => mute.user.toString() !== memberId);
+        const until = new Date(Date.now() + minutes * 60 * 1000);
+        group.mutes.push({ user: memberId, mutedBy: user.id, reason, until });
+        await group.save();
+        await recordAuditEvent({
+          group,
+          actor: user.id,
+          action: 'member_muted',
+          targetUsers: [memberId],
+          after: { until, reason: reason || null }
+        });
+
+        const muted = await User.findById(memberId).select('name');
+        await postSystemMessage(io, group, user.id, `${user.name || 'An admin'} muted ${muted?.name || 'a member'} for ${describeDuration(minutes)}`);
+
+        const updatedGroup = await Group.findById(groupId)
+          .populate('members', 'name username profileImage')
+          .populate('admins', 'name username profileImage');
+
+        if (io) {
+          group.members.forEach(memberIdInGroup => {
+            io.to(memberIdInGroup.toString()).emit('groupUpdated', updatedGroup);
+          });
+        }
+
+        return {
+          success: true,
+          message: 'Member muted successfully',
+          group: updatedGroup
+        };
+      } catch (error) {
+        return {
+          success: false,
+          message: error.message,
+          group: null
+        };
+      }
+    },
+
+    unmuteGroupMember: async (_, { groupId, memberId }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can unmute members');
+        }
+        if (!activeMute(group, memberId)) {
+          throw new Error('Member is not muted');
+        }
+
+        group.mutes = group.mutes.filter(mute => mute.user.toString() !== memberId);
+        await group.save();
+        await recordAuditEvent({ group, actor: user.id, action: 'member_unmuted', targetUsers: [memberId] });
+
+        const unmuted = await User.findById(memberId).select('name');
+        await postSystemMessage(io, group, user.id, `${user.name || 'An admin'} unmuted ${unmuted?.name || 'a member'}`);
+
+        const updatedGroup = await Group.findById(groupId)
+          .populate('members', 'name username profileImage')
+          .populate('admins', 'name username profileImage');
+
+        if (io) {
+          group.members.forEach(memberIdInGroup => {
+            io.to(memberIdInGroup.toString()).emit('groupUpdated', updatedGroup);
+          });
+        }
+
+        return {
+          success: true,
+          message: 'Member unmuted successfully',
+          group: updatedGroup
+        };
+      } catch (error) {
+        return {
+          success: false,
+          message: error.message,
+          group: null
+        };
+      }
+    },
+
+    setGroupSlowMode: async (_, { groupId, seconds }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can change slow mode');
+        }
+        if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_SLOW_MODE_SECONDS) {
+          throw new Error(`Slow mode must be between 0 and ${MAX_SLOW_MODE_SECONDS} seconds`);
+        }
+
+        const previousSeconds = group.slowModeSeconds || 0;
+        if (previousSeconds !== seconds) {
+          group.slowModeSeconds = seconds;
+          await group.save();
+          await recordAuditEvent({
+            group,
+            actor: user.id,
+            action: 'slow_mode_changed',
+            before: { slowModeSeconds: previousSeconds },
+            after: { slowModeSeconds: seconds }
+          });
+
+          const interval = seconds % 60 === 0 ? describeDuration(seconds / 60) : `${seconds} seconds`;
+          await postSystemMessage(io, group, user.id, seconds
+            ? `${user.name || 'An admin'} turned on slow mode: one message every ${interval}`
+            : `${user.name || 'An admin'} turned off slow mode`);
+        }
+
+        const updatedGroup = await Group.findById(groupId)
+          .populate('members', 'name username profileImage')
+          .populate('admins', 'name username profileImage');
+
+        if (io) {
+          group.members.forEach(memberIdInGroup => {
+            io.to(memberIdInGroup.toString()).emit('groupUpdated', updatedGroup);
+          });
+        }
+
+        return updatedGroup;
+      } catch (error) {
+        throw wrapError(error, 'Error updating slow mode');
+      }
+    },
+
+    startGroupCall: async (_, { groupId, callType }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group || !group.members.includes(user.id)) {
+          throw new ForbiddenError('You are not a member of this group');
+        }
+        // Anyone can join a call that is already going on
+        const ongoing = await findActiveCall(groupId);
+        if (!ongoing && !can(group, user.id, 'startCalls')) {
+          throw new ForbiddenError('You do not have permission to start calls in this group');
+        }
+
+        // The caller's call screen joins the call over its socket
+        const call = await startCall(io, group, user, callType || 'video', { join: false });
+        await populateCall(call);
+        return formatCall(call);
+      } catch (error) {
+        throw wrapError(error, 'Error starting group call');
+      }
+    },
+
+    // Hang up for everyone; only whoever started the call or an admin may do this
+    endGroupCall: async (_, { callId }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const call = await GroupCall.findById(callId);
+        if (!call || call.status !== 'active') {
+          throw new Error('This call has already ended');
+        }
+        const group = await Group.findById(call.group);
+        if (!group || !group.members.includes(user.id)) {
+          throw new ForbiddenError('You are not a member of this group');
+        }
+        if (!canEndCall(group, call, user.id)) {
+          throw new ForbiddenError('Only the person who started the call or an admin can end it');
+        }
+
+        const ended = await endCall(io, call, user);
+        if (!ended) {
+          throw new Error('This call has already ended');
+        }
+        await populateCall(ended);
+        return formatCall(ended);
+      } catch (error) {
+        throw wrapError(error, 'Error ending group call');
+      }
+    },
+
+    createGroupInvite: async (_, { groupId, expiresAt, maxUses }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can create invite links');
+        }
+
+        let expiry;
+        if (expiresAt) {
+          expiry = new Date(isNaN(expiresAt) ? expiresAt : Number(expiresAt));
+          if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+            throw new Error('Expiry must be a date in the future');
+          }
+        }
+        if (maxUses !== undefined && maxUses !== null && maxUses < 1) {
+          throw new Error('Max uses must be at least 1');
+        }
+
+        const invite = await GroupInvite.create({
+          group: groupId,
+          code: await createUniqueInviteCode(),
+          createdBy: user.id,
+          expiresAt: expiry,
+          maxUses: maxUses || undefined
+        });
+
+        return await invite.populate('createdBy', 'name username profileImage');
+      } catch (error) {
+        throw wrapError(error, 'Error creating invite link');
+      }
+    },
+
+    revokeGroupInvite: async (_, { inviteId }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const invite = await GroupInvite.findById(inviteId);
+        if (!invite) {
+          throw new Error('Invite link not found');
+        }
+        const group = await Group.findById(invite.group);
+        if (!group || !isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can revoke invite links');
+        }
+
+        if (!invite.revokedAt) {
+          invite.revokedAt = new Date();
+          await invite.save();
+        }
+
+        return await invite.populate('createdBy', 'name username profileImage');
+      } catch (error) {
+        throw wrapError(error, 'Error revoking invite link');
+      }
+    },
+
+    joinGroupByInvite: async (_, { code }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const invite = await GroupInvite.findOne({ code });
+        const unusable = inviteUnusableReason(invite);
+        if (unusable) {
+          throw new Error(unusable);
+        }
+
+        const group = await Group.findById(invite.group);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (group.members.includes(user.id)) {
+          return {
+            success: true,
+            message: 'You are already a member of this group',
+            group
+          };
+        }
+        if (isBanned(group, user.id)) {
+          throw new ForbiddenError('You are banned from this group');
+        }
+
+        const claimed = await claimInviteUse(code);
+        if (!claimed) {
+          throw new Error(inviteUnusableReason(await GroupInvite.findOne({ code })) || 'Invite link is no longer valid');
+        }
+
+        // Only add while there is room, so concurrent joins cannot overshoot maxMembers
+        const joinedGroup = await Group.findOneAndUpdate(
+          {
+            _id: group._id,
+            members: { $ne: user.id },
+            'bans.user': { $ne: user.id },
+            $expr: { $lt: [{ $size: '$members' }, '$maxMembers'] }
+          },
+          { $addToSet: { members: user.id }, updatedAt: new Date() },
+          { new: true }
+        );
+        if (!joinedGroup) {
+          await releaseInviteUse(claimed._id);
+          throw new Error(`This group is full (maximum ${group.maxMembers} members)`);
+        }
+
+        await closePendingRequests(group._id, [user.id], claimed.createdBy);
+        await postSystemMessage(io, joinedGroup, user.id, `${user.name || 'Someone'} joined using an invite link`);
+
+        const updatedGroup = await Group.findById(group._id)
+          .populate('members', 'name username profileImage')
+          .populate('admins', 'name username profileImage')
+          .populate('createdBy', 'name username profileImage');
+
+        if (io) {
+          joinedGroup.members.forEach(memberId => {
+            io.to(memberId.toString()).emit('groupMembersAdded', {
+              group: updatedGroup,
+              newMembers: [user.id]
+            });
+          });
+        }
+
+        return {
+          success: true,
+          message: `You joined ${group.name}`,
+          group: updatedGroup
+        };
+      } catch (error) {
+        return {
+          success: false,
+          message: error.message,
+          group: null
+        };
+      }
+    },
+
+    requestToJoinGroup: async (_, { groupId, message }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (group.members.includes(user.id)) {
+          throw new Error('You are already a member of this group');
+        }
+        if (!group.isPrivate) {
+          throw new Error('This group is public and does not need approval');
+        }
+        if (isBanned(group, user.id)) {
+          throw new ForbiddenError('You are banned from this group');
+        }
+
+        // Asking twice just returns the request that is already waiting
+        const existing = await GroupJoinRequest.findOne({ group: groupId, user: user.id, status: 'pending' });
+        if (existing) {
+          return await populateRequest(existing);
+        }
+
+        const request = await GroupJoinRequest.create({
+          group: groupId,
+          user: user.id,
+          message
+        });
+        await populateRequest(request);
+
+        notifyAdminsOfRequest(io, group, request);
+
+        return request;
+      } catch (error) {
+        throw wrapError(error, 'Error requesting to join group');
+      }
+    },
+
+    approveJoinRequest: async (_, { requestId }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const request = await GroupJoinRequest.findById(requestId);
+        if (!request) {
+          throw new Error('Join request not found');
+        }
+        const group = await Group.findById(request.group);
+        if (!group) {
+          throw new Error('Group not found');
+        }
+        if (!isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can approve join requests');
+        }
+
+        // Claim the request first so two admins approving at once only add the member once
+        const reviewed = await GroupJoinRequest.findOneAndUpdate(
+          { _id: requestId, status: 'pending' },
+          { status: 'approved', reviewedBy: user.id, reviewedAt: new Date() },
+          { new: true }
+        );
+        if (!reviewed) {
+          throw new Error('This request has already been reviewed');
+        }
+
+        const joinedGroup = await Group.findOneAndUpdate(
+          {
+            _id: group._id,
+            $expr: { $lt: [{ $size: '$members' }, '$maxMembers'] }
+          },
+          { $addToSet: { members: reviewed.user }, updatedAt: new Date() },
+          { new: true }
+        );
+        if (!joinedGroup) {
+          await GroupJoinRequest.updateOne(
+            { _id: requestId },
+            { status: 'pending', $unset: { reviewedBy: 1, reviewedAt: 1 } }
+          );
+          throw new Error(`This group is full (maximum ${group.maxMembers} members)`);
+        }
+
+        await populateRequest(reviewed);
+        await postSystemMessage(
+          io,
+          joinedGroup,
+          user.id,
+          `${user.name || 'An admin'} approved ${reviewed.user.name}'s request to join`
+        );
+
+        const updatedGroup = await Group.findById(group._id)
+          .populate('members', 'name username profileImage')
+          .populate('admins', 'name username profileImage')
+          .populate('createdBy', 'name username profileImage');
+
+        if (io) {
+          joinedGroup.members.forEach(memberId => {
+            io.to(memberId.toString()).emit('groupMembersAdded', {
+              group: updatedGroup,
+              newMembers: [reviewed.user._id]
+            });
+          });
+        }
+        notifyRequestReviewed(io, joinedGroup, reviewed);
+
+        return {
+          success: true,
+          message: `${reviewed.user.name} joined the group`,
+          group: updatedGroup
+        };
+      } catch (error) {
+        return {
+          success: false,
+          message: error.message,
+          group: null
+        };
+      }
+    },
+
+    rejectJoinRequest: async (_, { requestId }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const request = await GroupJoinRequest.findById(requestId);
+        if (!request) {
+          throw new Error('Join request not found');
+        }
+        const group = await Group.findById(request.group);
+        if (!group || !isAdmin(group, user.id)) {
+          throw new ForbiddenError('Only admins can reject join requests');
+        }
+
+        const reviewed = await GroupJoinRequest.findOneAndUpdate(
+          { _id: requestId, status: 'pending' },
+          { status: 'rejected', reviewedBy: user.id, reviewedAt: new Date() },
+          { new: true }
+        );
+        if (!reviewed) {
+          throw new Error('This request has already been reviewed');
+        }
+
+        await populateRequest(reviewed);
+        notifyRequestReviewed(io, group, reviewed);
+
+        return reviewed;
+      } catch (error) {
+        throw wrapError(error, 'Error rejecting join request');
+      }
+    },
+
+    // Senders can delete their own messages; admins can delete anyone's, which goes in the audit log
+    deleteGroupMessage: async (_, { messageId }, { user, io }) => {
+      try {
+        requireUser({ user });
+
+        const message = await GroupMessage.findById(messageId);
+        if (!message || message.isDeleted) {
+          throw new Error('Message not found');
+        }
+        if (message.messageType === 'system') {
+          throw new Error('System messages cannot be deleted');
+        }
+
+        const group = await Group.findById(message.group);
+        if (!group || !group.members.includes(user.id)) {
+          throw new ForbiddenError('You are not a member of this group');
+        }
+        const isSender = message.sender.toString() === user.id;
+        if (!isSender && !isAdmin(group, user.id)) {
+          throw new ForbiddenError("Only admins can delete other members' messages");
+        }
+
+        const originalContent = message.content;
+        message.isDeleted = true;
+        message.deletedAt = new Date();
+        message.pinnedAt = undefined;
+        message.pinnedBy = undefined;
+        await message.save();
+
+        if (message.threadRoot) {
+          await GroupMessage.updateOne(
+            { _id: message.threadRoot, threadReplyCount: { $gt: 0 } },
+            { $inc: { threadReplyCount: -1 } }
+          );
+        }
+        if (!isSender) {
+          await recordAuditEvent({
+            group,
+            actor: user.id,
+            action: 'message_deleted',
+            targetUsers: [message.sender],
+            targetMessage: message._id,
+            before: { content: originalContent || `(${message.messageType})` }
+          });
+        }
+
+        if (io) {
+          const groupId = group._id.toString();
+          io.to(`group_${groupId}`).emit('groupMessageDeleted', {
+            groupId,
+            messageId: message._id.toString(),
+            threadRoot: message.threadRoot ? message.threadRoot.toString() : null,
+            deletedBy: user.id
+          });
+        }
+
+        return await GroupMessage.findById(messageId)
+          .populate('sender', 'name username profileImage');
+      } catch (error) {
+        throw wrapError(error, 'Error deleting message');
+      }
+    },
+
+    followThread: async (_, { messageId }, context) => setThreadFollow(messageId, context, true),
+
+    unfollowThread: async (_, { messageId }, context) => setThreadFollow(messageId, context, false),
+
+    markGroupMessageAsRead: async (_, { messageId }, { user }) => {
+      try {
+        requireUser({ user });
+
+        const message = await GroupMessage.findById(messageId);
+        if (!message) {
           throw new Error('Message not found');
         }
 
@@ -581,17 +2049,74 @@ module.exports = {
           .populate('sender', 'name username profileImage')
           .populate('readBy.user', 'name username profileImage');
       } catch (error) {
-        throw new Error(`Error marking message as read: ${error.message}`);
+        throw wrapError(error, 'Error marking message as read');
       }
     }
   },
 
   // Field resolvers
   Group: {
-    memberCount: (group) => group.members.length
+    memberCount: (group) => group.members.length,
+    owner: (group) => group.owner && group.owner._doc ? group.owner : User.findById(ownerIdOf(group)),
+    permissions: (group) => permissionsOf(group),
+    myRole: (group, _, { user }) => user ? roleOf(group, user.id) : null,
+    slowModeSeconds: (group) => group.slowModeSeconds || 0,
+    myMutedUntil: (group, _, { user }) => {
+      const mute = user && group.mutes ? activeMute(group, user.id) : null;
+      return mute ? mute.until.toISOString() : null;
+    }
+  },
+  GroupAuditEvent: {
+    targetMessageId: (event) => event.targetMessage ? event.targetMessage.toString() : null,
+    changes: (event) => auditChanges(event),
+    createdAt: (event) => event.createdAt.toISOString()
+  },
+  GroupBan: {
+    createdAt: (ban) => ban.createdAt ? ban.createdAt.toISOString() : null
+  },
+  GroupMute: {
+    until: (mute) => mute.until.toISOString()
+  },
+  GroupInvite: {
+    groupId: (invite) => invite.group.toString(),
+    revoked: (invite) => Boolean(invite.revokedAt),
+    expiresAt: (invite) => invite.expiresAt ? invite.expiresAt.toISOString() : null,
+    createdAt: (invite) => invite.createdAt.toISOString()
+  },
+  GroupJoinRequest: {
+    groupId: (request) => request.group.toString(),
+    reviewedAt: (request) => request.reviewedAt ? request.reviewedAt.toISOString() : null,
+    createdAt: (request) => request.createdAt.toISOString()
   },
   GroupMessage: {
     createdAt: (msg) => msg.createdAt instanceof Date ? msg.createdAt.toISOString() : msg.createdAt,
     updatedAt: (msg) => msg.updatedAt instanceof Date ? msg.updatedAt.toISOString() : msg.updatedAt,
+    reactions: (msg) => reactions.summarizeReactions(msg.reactions),
+    poll: (msg, _, { user }) => summarizePoll(msg.poll, user?.id),
+    mentions: (msg) => {
+      const mentions = msg.mentions || [];
+      if (mentions.length === 0 || mentions[0]._doc) return mentions;
+      return User.find({ _id: { $in: mentions } }).select('name username profileImage');
+    },
+    mentionsAll: (msg) => Boolean(msg.mentionsAll),
+    pinnedAt: (msg) => msg.pinnedAt instanceof Date ? msg.pinnedAt.toISOString() : msg.pinnedAt,
+    pinnedBy: (msg) => {
+      if (!msg.pinnedBy || msg.pinnedBy._doc) return msg.pinnedBy || null;
+      return User.findById(msg.pinnedBy).select('name username profileImage');
+    },
+    threadRoot: (msg) => msg.threadRoot ? (msg.threadRoot._id || msg.threadRoot).toString() : null,
+    threadReplyCount: (msg) => msg.threadReplyCount || 0,
+    threadLastReplyAt: (msg) => msg.threadLastReplyAt instanceof Date ? msg.threadLastReplyAt.toISOString() : msg.threadLastReplyAt || null,
+    threadParticipants: async (msg) => {
+      const participants = msg.threadParticipants || [];
+      if (participants.length === 0 || participants[0]._doc) return participants;
+      // Keep the most-recent-first order, which $in doesn't
+      const users = await User.find({ _id: { $in: participants } }).select(PARTICIPANT_FIELDS);
+      return participants
+        .map(id => users.find(u => u._id.equals(id)))
+        .filter(Boolean);
+    },
+    isFollowingThread: (msg, _, { user }) => isFollowingThread(msg, user?.id),
+    links: (msg) => msg.links || [],
   }
 };
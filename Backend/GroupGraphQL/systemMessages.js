@@ -0,0 +1,36 @@
+const Group = require('../Models/Group');
+const GroupMessage = require('../Models/GroupMessage');
+
+// Post a "system" message (joins, moderation, ...) to a group and push it to every member.
+// `group` must already reflect the membership after the change being announced.
+const postSystemMessage = async (io, group, actorId, content) => {
+  const message = await GroupMessage.create({
+    group: group._id,
+    sender: actorId,
+    content,
+    messageType: 'system'
+  });
+
+  await Group.findByIdAndUpdate(group._id, {
+    lastMessage: {
+      content,
+      sender: actorId,
+      timestamp: new Date()
+    },
+    updatedAt: new Date()
+  });
+
+  const populatedMessage = await GroupMessage.findById(message._id)
+    .populate('sender', 'name username profileImage')
+    .populate('group', 'name');
+
+  if (io) {
+    group.members.forEach(memberId => {
+      io.to(memberId.toString()).emit('newGroupMessage', populatedMessage);
+    });
+  }
+
+  return populatedMessage;
+};
+
+module.exports = { postSystemMessage };
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const GroupMessage = require('../Models/GroupMessage');
+const { mentionRecipients } = require('./mentions');
+const { unmutedRecipients } = require('../Utils/conversationSettings');
+
+// How many recent repliers a thread root keeps for its "last replied by" avatars
+const THREAD_PARTICIPANT_LIMIT = 3;
+const PARTICIPANT_FIELDS = 'name username profileImage';
+
+// The message `threadRootId` points at, checked to be a valid root in `group`
+const findThreadRoot = async (threadRootId, group) => {
+  const root = await GroupMessage.findById(threadRootId);
+  if (!root || root.isDeleted || !root.group.equals(group._id)) {
+    throw new Error('Thread not found');
+  }
+  if (root.threadRoot) {
+    throw new Error('Replies cannot have threads of their own');
+  }
+  if (root.messageType === 'system') {
+    throw new Error('System messages cannot have threads');
+  }
+  return root;
+};
+
+// Bump the root's reply count in one atomic update, move the sender to the front of the
+// recent participants and make them a follower. The root's author starts following on the first reply.
+const recordThreadReply = (root, reply) => {
+  const sender = new mongoose.Types.ObjectId((reply.sender._id || reply.sender).toString());
+  const followers = { $ifNull: ['$threadFollowers', []] };
+
+  return GroupMessage.findByIdAndUpdate(
+    root._id,
+    [{
+      $set: {
+        threadReplyCount: { $add: [{ $ifNull: ['$threadReplyCount', 0] }, 1] },
+        threadLastReplyAt: reply.createdAt,
+        threadParticipants: {
+          $slice: [
+            {
+              $concatArrays: [
+                [sender],
+                { $filter: { input: { $ifNull: ['$threadParticipants', []] }, cond: { $ne: ['$$this', sender] } } }
+              ]
+            },
+            THREAD_PARTICIPANT_LIMIT
+          ]
+        },
+        threadFollowers: {
+          $cond: [
+            { $gt: [{ $ifNull: ['$threadReplyCount', 0] }, 0] },
+            { $setUnion: [followers, [sender]] },
+            { $setUnion: [followers, [sender, '$sender']] }
+          ]
+        }
+      }
+    }],
+    { new: true }
+  ).populate('threadParticipants', PARTICIPANT_FIELDS);
+};
+
+const isFollowingThread = (root, userId) =>
+  Boolean(userId) && (root.threadFollowers || []).some(id => id.toString() === userId);
+
+// Replies go to the group room on their own event so they stay out of the main timeline,
+// and followers get a notification unless they sent the reply, are already getting a mention
+// for it, or have muted the group
+const notifyThreadReply = async (io, group, root, reply, sender) => {
+  if (!io) return;
+  const groupId = group._id.toString();
+  const rootId = root._id.toString();
+
+  io.to(`group_${groupId}`).emit('threadReply', {
+    groupId,
+    rootId,
+    message: reply,
+    replyCount: root.threadReplyCount,
+    lastReplyAt: root.threadLastReplyAt,
+    participants: root.threadParticipants
+  });
+
+  const payload = {
+    groupId,
+    groupName: group.name,
+    rootId,
+    messageId: reply._id.toString(),
+    sender: { id: sender.id, name: sender.name },
+    content: reply.content
+  };
+  const mentioned = new Set(mentionRecipients(reply, group));
+  const followers = (root.threadFollowers || [])
+    .map(id => id.toString())
+    .filter(id => id !== sender.id && !mentioned.has(id));
+  const recipients = await unmutedRecipients(followers, 'group', group._id);
+  recipients.forEach(userId => io.to(userId).emit('threadNotification', payload));
+};
+
+module.exports = {
+  PARTICIPANT_FIELDS,
+  findThreadRoot,
+  recordThreadReply,
+  isFollowingThread,
+  notifyThreadReply
+};
@@ -10,6 +10,14 @@ module.exports = gql`
     members: [User!]!
     admins: [User!]!
     createdBy: User!
+    owner: User!
+    # Caller's role in the group: owner, admin, member, or null for non-members
+    myRole: String
+    permissions: GroupPermissions!
+    # Seconds members must wait between messages; 0 when slow mode is off
+    slowModeSeconds: Int!
+    # When the caller's mute ends, or null if they aren't muted
+    myMutedUntil: String
     isPrivate: Boolean!
     maxMembers: Int!
     lastMessage: LastMessage
@@ -18,6 +26,15 @@ module.exports = gql`
     updatedAt: String!
   }
 
+  # Each permission is either "all" (every member) or "admins"
+  type GroupPermissions {
+    sendMessages: String!
+    editInfo: String!
+    addMembers: String!
+    pinMessages: String!
+    startCalls: String!
+  }
+
   type LastMessage {
     content: String
     sender: User
@@ -31,7 +48,21 @@ module.exports = gql`
     content: String
     messageType: String!
     media: Media
+    links: [String!]!
     replyTo: GroupMessage
+    poll: Poll
+    mentions: [User!]!
+    mentionsAll: Boolean!
+    pinnedAt: String
+    pinnedBy: User
+    # Root message id, set on thread replies
+    threadRoot: ID
+    threadReplyCount: Int!
+    threadLastReplyAt: String
+    # Most recent repliers first
+    threadParticipants: [User!]!
+    isFollowingThread: Boolean!
+    reactions: [Reaction!]!
     isEdited: Boolean!
     editedAt: String
     isDeleted: Boolean!
@@ -41,6 +72,27 @@ module.exports = gql`
     updatedAt: String!
   }
 
+  type PollOption {
+    id: ID!
+    text: String!
+    voteCount: Int!
+    # null for anonymous polls
+    voters: [User!]
+  }
+
+  type Poll {
+    question: String!
+    options: [PollOption!]!
+    allowMultiple: Boolean!
+    anonymous: Boolean!
+    closesAt: String
+    closed: Boolean!
+    totalVotes: Int!
+    voterCount: Int!
+    # Option ids the caller voted for
+    myVotes: [ID!]!
+  }
+
   type ReadStatus {
     user: User!
     readAt: String!
@@ -51,6 +103,122 @@ module.exports = gql`
     type: String
     filename: String
     size: Int
+    duration: Float
+  }
+
+  type GroupInvite {
+    _id: ID!
+    code: String!
+    groupId: ID!
+    createdBy: User!
+    expiresAt: String
+    maxUses: Int
+    uses: Int!
+    revoked: Boolean!
+    createdAt: String!
+  }
+
+  # What someone opening an invite link sees before joining
+  type GroupInvitePreview {
+    code: String!
+    groupId: ID
+    name: String
+    description: String
+    groupImage: String
+    memberCount: Int
+    maxMembers: Int
+    alreadyMember: Boolean!
+    isPrivate: Boolean
+    hasPendingRequest: Boolean
+    valid: Boolean!
+    reason: String
+  }
+
+  type GroupJoinRequest {
+    _id: ID!
+    groupId: ID!
+    user: User!
+    message: String
+    status: String!
+    reviewedBy: User
+    reviewedAt: String
+    createdAt: String!
+  }
+
+  type GroupThread {
+    root: GroupMessage!
+    replies: [GroupMessage!]!
+    pageInfo: PageInfo!
+  }
+
+  type GroupMediaConnection {
+    items: [GroupMessage!]!
+    pageInfo: PageInfo!
+  }
+
+  type GroupMentionConnection {
+    mentions: [GroupMessage!]!
+    pageInfo: PageInfo!
+  }
+
+  type GroupBan {
+    user: User!
+    bannedBy: User
+    reason: String
+    createdAt: String
+  }
+
+  type GroupMute {
+    user: User!
+    mutedBy: User
+    reason: String
+    until: String!
+  }
+
+  type GroupModeration {
+    bans: [GroupBan!]!
+    # Only mutes that haven't run out yet
+    mutes: [GroupMute!]!
+    slowModeSeconds: Int!
+  }
+
+  type GroupAuditChange {
+    field: String!
+    before: String
+    after: String
+  }
+
+  type GroupAuditEvent {
+    _id: ID!
+    action: String!
+    actor: User!
+    targetUsers: [User!]!
+    targetMessageId: ID
+    changes: [GroupAuditChange!]!
+    createdAt: String!
+  }
+
+  type GroupAuditLogConnection {
+    events: [GroupAuditEvent!]!
+    pageInfo: PageInfo!
+  }
+
+  type GroupCallParticipant {
+    user: User!
+    joinedAt: String!
+  }
+
+  # A voice or video call; roomId is the Zego room to join
+  type GroupCall {
+    id: ID!
+    groupId: ID!
+    roomId: String!
+    callType: String!
+    status: String!
+    startedBy: User!
+    participants: [GroupCallParticipant!]!
+    startedAt: String!
+    endedAt: String
   }
 
   type GroupMembershipResult {
@@ -64,6 +232,17 @@ module.exports = gql`
     getGroupMessages(groupId: ID!, limit: Int, offset: Int): [GroupMessage!]!
     getGroupDetails(groupId: ID!): Group
     searchGroups(query: String!, limit: Int): [Group!]!
+    getGroupInvites(groupId: ID!): [GroupInvite!]!
+    previewGroupInvite(code: String!): GroupInvitePreview!
+    getGroupJoinRequests(groupId: ID!, status: String): [GroupJoinRequest!]!
+    getGroupModeration(groupId: ID!): GroupModeration!
+    getGroupAuditLog(groupId: ID!, before: String, after: String, limit: Int): GroupAuditLogConnection!
+    getPinnedGroupMessages(groupId: ID!): [GroupMessage!]!
+    getThread(messageId: ID!, before: String, after: String, limit: Int): GroupThread!
+    getMyMentions(before: String, after: String, limit: Int): GroupMentionConnection!
+    # type is "media" (images and videos), "files" or "links"
+    getGroupMedia(groupId: ID!, type: String!, cursor: String, limit: Int): GroupMediaConnection!
+    getActiveGroupCall(groupId: ID!): GroupCall
   }
 
   input MediaInput {
@@ -71,6 +250,23 @@ module.exports = gql`
     type: String
     filename: String
     size: Int
+    duration: Float
+  }
+
+  input GroupPermissionsInput {
+    sendMessages: String
+    editInfo: String
+    addMembers: String
+    pinMessages: String
+    startCalls: String
+  }
+
+  input PollInput {
+    question: String!
+    options: [String!]!
+    allowMultiple: Boolean
+    anonymous: Boolean
+    closesAt: String
   }
 
   input CreateGroupInput {
@@ -89,8 +285,12 @@ module.exports = gql`
       content: String, 
       messageType: String, 
       media: MediaInput,
-      replyTo: ID
+      replyTo: ID,
+      threadRoot: ID
     ): GroupMessage!
+    createGroupPoll(groupId: ID!, input: PollInput!): GroupMessage!
+    voteInPoll(messageId: ID!, optionIds: [ID!]!): GroupMessage!
+    closePoll(messageId: ID!): GroupMessage!
     addGroupMembers(groupId: ID!, memberIds: [ID!]!): GroupMembershipResult!
     removeGroupMember(groupId: ID!, memberId: ID!): GroupMembershipResult!
     leaveGroup(groupId: ID!): GroupMembershipResult!
@@ -103,9 +303,31 @@ module.exports = gql`
     deleteGroup(groupId: ID!): GroupMembershipResult!
     makeGroupAdmin(groupId: ID!, memberId: ID!): GroupMembershipResult!
     removeGroupAdmin(groupId: ID!, memberId: ID!): GroupMembershipResult!
+    transferGroupOwnership(groupId: ID!, memberId: ID!): GroupMembershipResult!
+    updateGroupPermissions(groupId: ID!, permissions: GroupPermissionsInput!): Group!
+    banGroupMember(groupId: ID!, memberId: ID!, reason: String): GroupMembershipResult!
+    unbanGroupMember(groupId: ID!, memberId: ID!): GroupMembershipResult!
+    muteGroupMember(groupId: ID!, memberId: ID!, minutes: Int!, reason: String): GroupMembershipResult!
+    unmuteGroupMember(groupId: ID!, memberId: ID!): GroupMembershipResult!
+    setGroupSlowMode(groupId: ID!, seconds: Int!): Group!
+    # Joins the group's ongoing call instead if there already is one
+    startGroupCall(groupId: ID!, callType: String): GroupCall!
+    endGroupCall(callId: ID!): GroupCall!
     markGroupMessageAsRead(messageId: ID!): GroupMessage!
     editGroupMessage(messageId: ID!, content: String!): GroupMessage!
     deleteGroupMessage(messageId: ID!): GroupMessage!
+    addGroupReaction(messageId: ID!, emoji: String!): GroupMessage!
+    removeGroupReaction(messageId: ID!, emoji: String!): GroupMessage!
+    pinGroupMessage(messageId: ID!): GroupMessage!
+    unpinGroupMessage(messageId: ID!): GroupMessage!
+    followThread(messageId: ID!): GroupMessage!
+    unfollowThread(messageId: ID!): GroupMessage!
+    createGroupInvite(groupId: ID!, expiresAt: String, maxUses: Int): GroupInvite!
+    revokeGroupInvite(inviteId: ID!): GroupInvite!
+    joinGroupByInvite(code: String!): GroupMembershipResult!
+    requestToJoinGroup(groupId: ID!, message: String): GroupJoinRequest!
+    approveJoinRequest(requestId: ID!): GroupMembershipResult!
+    rejectJoinRequest(requestId: ID!): GroupJoinRequest!
   }
 
 
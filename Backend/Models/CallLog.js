@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One 1:1 call attempt, from the moment it starts ringing. createdAt is when the call was placed.
+const callLogSchema = new mongoose.Schema({
+  caller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  callee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Zego room both sides join
+  roomId: { type: String, required: true, unique: true },
+  callType: { type: String, enum: ['voice', 'video'], default: 'video' },
+  // ringing -> answered, or ringing -> missed / declined / cancelled / failed
+  status: {
+    type: String,
+    enum: ['ringing', 'answered', 'missed', 'declined', 'cancelled', 'failed'],
+    default: 'ringing'
+  },
+  answeredAt: { type: Date, default: null },
+  endedAt: { type: Date, default: null },
+  // Seconds of actual conversation; 0 for calls that were never answered
+  duration: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Call history is paged newest-first for either side of the call
+callLogSchema.index({ caller: 1, createdAt: -1, _id: -1 });
+callLogSchema.index({ callee: 1, createdAt: -1, _id: -1 });
+callLogSchema.index({ status: 1 });
+
+module.exports = mongoose.model('CallLog', callLogSchema);
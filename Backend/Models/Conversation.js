@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One document per pair of users chatting 1:1
+const conversationSchema = new mongoose.Schema({
+  participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }],
+  // Sorted "userA:userB" so each pair maps to exactly one conversation
+  participantsKey: { type: String, required: true, unique: true },
+  lastMessage: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+  lastMessageAt: { type: Date, default: Date.now },
+  // userId -> when that participant last read the conversation
+  lastReadAt: { type: Map, of: Date, default: {} }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One user's preferences for one chat. `chatId` is the other user for 1:1 chats
+// and the group for group chats. Chats without a document use the defaults.
+const conversationSettingsSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  chatType: { type: String, enum: ['direct', 'group'], required: true },
+  chatId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  muted: { type: Boolean, default: false },
+  // Only meaningful while muted; null means muted until turned off
+  mutedUntil: { type: Date, default: null },
+  archived: { type: Boolean, default: false },
+  notificationSound: { type: String, enum: ['default', 'chime', 'pop', 'bell', 'none'], default: 'default' },
+  hidePreviews: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+conversationSettingsSchema.index({ user: 1, chatType: 1, chatId: 1 }, { unique: true });
+// Notification fan-out looks up every member's settings for one chat
+conversationSettingsSchema.index({ chatType: 1, chatId: 1 });
+
+module.exports = mongoose.model('ConversationSettings', conversationSettingsSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PERMISSION_LEVELS, DEFAULT_PERMISSIONS } = require('../GroupGraphQL/permissions');
 
 const groupSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
@@ -7,6 +8,31 @@ const groupSchema = new mongoose.Schema({
   members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }],
   admins: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }],
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // The owner can't be removed or demoted by other admins; defaults to the creator
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  permissions: {
+    sendMessages: { type: String, enum: PERMISSION_LEVELS, default: DEFAULT_PERMISSIONS.sendMessages },
+    editInfo: { type: String, enum: PERMISSION_LEVELS, default: DEFAULT_PERMISSIONS.editInfo },
+    addMembers: { type: String, enum: PERMISSION_LEVELS, default: DEFAULT_PERMISSIONS.addMembers },
+    pinMessages: { type: String, enum: PERMISSION_LEVELS, default: DEFAULT_PERMISSIONS.pinMessages },
+    startCalls: { type: String, enum: PERMISSION_LEVELS, default: DEFAULT_PERMISSIONS.startCalls }
+  },
+  // Banned users can't be added back or join again until they are unbanned
+  bans: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    bannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String, trim: true, maxlength: 500 },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Muted members can still read the group but not post until `until`
+  mutes: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    mutedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String, trim: true, maxlength: 500 },
+    until: { type: Date, required: true }
+  }],
+  // Minimum gap between two messages from the same member; 0 turns slow mode off
+  slowModeSeconds: { type: Number, default: 0, min: 0 },
   isPrivate: { type: Boolean, default: false },
   maxMembers: { type: Number, default: 256 },
   lastMessage: {
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'members_added',
+  'member_removed',
+  'admin_added',
+  'admin_removed',
+  'ownership_transferred',
+  'group_updated',
+  'permissions_updated',
+  'message_deleted',
+  'member_banned',
+  'member_unbanned',
+  'member_muted',
+  'member_unmuted',
+  'slow_mode_changed'
+];
+
+// One admin action in a group, kept for the admins' activity log.
+// `before`/`after` hold only the values the action changed.
+const groupAuditEventSchema = new mongoose.Schema({
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  targetUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  targetMessage: { type: mongoose.Schema.Types.ObjectId, ref: 'GroupMessage' },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+groupAuditEventSchema.index({ group: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GroupAuditEvent', groupAuditEventSchema);
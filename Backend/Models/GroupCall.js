@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A voice or video call in a group, from the first person starting it until the last one leaves
+const groupCallSchema = new mongoose.Schema({
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  // Zego room everyone in the call joins
+  roomId: { type: String, required: true, unique: true },
+  callType: { type: String, enum: ['voice', 'video'], default: 'video' },
+  status: { type: String, enum: ['active', 'ended'], default: 'active' },
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Who is in the call right now
+  participants: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  // Everyone who was in the call at some point
+  attendees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  startedAt: { type: Date, default: Date.now },
+  endedAt: { type: Date, default: null },
+  // Null when the call ended because everyone left
+  endedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+});
+
+// At most one ongoing call per group
+groupCallSchema.index(
+  { group: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+groupCallSchema.index({ 'participants.user': 1, status: 1 });
+
+module.exports = mongoose.model('GroupCall', groupCallSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Shareable link/code that lets anyone holding it join a group
+const groupInviteSchema = new mongoose.Schema({
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  code: { type: String, required: true, unique: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Both limits are optional: no expiresAt = never expires, no maxUses = unlimited
+  expiresAt: { type: Date },
+  maxUses: { type: Number, min: 1 },
+  uses: { type: Number, default: 0 },
+  revokedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+groupInviteSchema.index({ group: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GroupInvite', groupInviteSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A user's request to join a private group, reviewed by one of its admins
+const groupJoinRequestSchema = new mongoose.Schema({
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  message: { type: String, trim: true, maxlength: 500 },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// At most one open request per user and group
+groupJoinRequestSchema.index(
+  { group: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+groupJoinRequestSchema.index({ group: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GroupJoinRequest', groupJoinRequestSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const reactionSchema = require('./Reaction');
+const pollSchema = require('./Poll');
 
 const groupMessageSchema = new mongoose.Schema({
   group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
@@ -6,16 +8,34 @@ const groupMessageSchema = new mongoose.Schema({
   content: { type: String, trim: true },
   messageType: { 
     type: String, 
-    enum: ['text', 'image', 'video', 'audio', 'file', 'system'], 
+    enum: ['text', 'image', 'video', 'audio', 'file', 'system', 'poll'], 
     default: 'text' 
   },
   media: {
     url: String,
-    type: String,
+    // Nested as { type: String } so mongoose doesn't read this key as the type of `media` itself
+    type: { type: String }, // mimetype
     filename: String,
-    size: Number
+    size: Number,
+    duration: Number // seconds, for video and voice notes
   },
+  // http(s) URLs found in the content, for the group's shared links
+  links: { type: [String], default: undefined },
   replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'GroupMessage' },
+  // Set on thread replies; they are left out of the main timeline
+  threadRoot: { type: mongoose.Schema.Types.ObjectId, ref: 'GroupMessage' },
+  // Kept on the thread root
+  threadReplyCount: { type: Number, default: 0 },
+  threadLastReplyAt: { type: Date },
+  threadParticipants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  threadFollowers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  poll: { type: pollSchema },
+  // Members tagged with @username; mentionsAll is set when an admin used @all
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  mentionsAll: { type: Boolean, default: false },
+  reactions: { type: [reactionSchema], default: [] },
+  pinnedAt: { type: Date },
+  pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   isEdited: { type: Boolean, default: false },
   editedAt: { type: Date },
   isDeleted: { type: Boolean, default: false },
@@ -33,5 +53,10 @@ const groupMessageSchema = new mongoose.Schema({
 // Index for better performance
 groupMessageSchema.index({ group: 1, createdAt: -1 });
 groupMessageSchema.index({ sender: 1 });
+groupMessageSchema.index({ mentions: 1, createdAt: -1 });
+groupMessageSchema.index({ group: 1, pinnedAt: -1 });
+groupMessageSchema.index({ threadRoot: 1, createdAt: -1 });
+groupMessageSchema.index({ group: 1, messageType: 1, createdAt: -1 });
+groupMessageSchema.index({ content: 'text' });
 
 module.exports = mongoose.model('GroupMessage', groupMessageSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Embedded in GroupMessage when messageType is 'poll'
+const pollOptionSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true, maxlength: 100 },
+  // Kept even for anonymous polls so each user votes once; never exposed in that case
+  votes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+});
+
+const pollSchema = new mongoose.Schema({
+  question: { type: String, required: true, trim: true, maxlength: 300 },
+  options: { type: [pollOptionSchema], required: true },
+  allowMultiple: { type: Boolean, default: false },
+  anonymous: { type: Boolean, default: false },
+  closesAt: { type: Date },
+  closedAt: { type: Date },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  _id: false
+});
+
+module.exports = pollSchema;
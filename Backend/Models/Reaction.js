@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Embedded in Message and GroupMessage: one entry per (user, emoji) pair
+const reactionSchema = new mongoose.Schema({
+  emoji: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reactedAt: { type: Date, default: Date.now }
+}, {
+  _id: false
+});
+
+module.exports = reactionSchema;
@@ -45,6 +45,12 @@ const userSchema = new mongoose.Schema({
     default: false,
   },
 
+  // Privacy: when false, nobody sees read receipts to or from this user
+  readReceipts: {
+    type: Boolean,
+    default: true,
+  },
+
   // Add last active timestamp
   lastActive: {
     type: Date,
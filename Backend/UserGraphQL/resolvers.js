@@ -5,9 +5,11 @@ const { user_token } = require('../Utils/token');
 require('dotenv').config();
 
 const { GraphQLUpload } = require('graphql-upload');
+const { ForbiddenError } = require('apollo-server-express');
 const Post = require('../Models/Post');
 const Video = require('../Models/Video');
 const { uploadToCloudinary } = require('../Utils/cloudinary');
+const { requireUser, authenticated, assertSelf, assertOwner } = require('../Utils/auth');
 
 const otpStore = {};
 
@@ -28,9 +30,7 @@ const resolvers = {
 
       getMe: async (_, args, { user }) => {
         try {
-          if (!user) {
-            throw new Error('Authentication required');
-          }
+          requireUser({ user });
 
           const currentUser = await User.findOne({ _id: user.id })
             .populate('posts')
@@ -269,24 +269,28 @@ const resolvers = {
       return "User logged out successfully";
     },
 
-    changePassword: async (_, { email, oldPassword, newPassword }) => {
-      const user = await User.findOne({ email });
+    changePassword: authenticated(async (_, { email, oldPassword, newPassword }, context) => {
+      const user = await User.findById(context.user.id);
       if (!user) throw new Error('User not found');
+      if (email && email !== user.email) {
+        throw new ForbiddenError('You can only change your own password');
+      }
       const isMatch = await bcrypt.compare(oldPassword, user.password);
       if (!isMatch) throw new Error('Old password incorrect');
 
       user.password = await bcrypt.hash(newPassword, 6);
       await user.save();
       return 'Password updated successfully';
-    },
+    }),
 
-    createPost: async (_, { id, caption, image, video, thumbnail }) => {
+    createPost: async (_, { id, caption, image, video, thumbnail }, context) => {
+      const authorId = assertSelf(context, id);
       let imageUrl = null;
       let videoUrl = null;
       let thumbnailUrl = null;
       
       if (image) {
-        imageUrl = await uploadToCloudinary(image, 'image');
+        imageUrl = (await uploadToCloudinary(image, 'image')).url;
       }
 
       if (video) {
@@ -300,7 +304,7 @@ const resolvers = {
 
       // Handle thumbnail for video posts
       if (thumbnail) {
-        thumbnailUrl = await uploadToCloudinary(thumbnail, 'image');
+        thumbnailUrl = (await uploadToCloudinary(thumbnail, 'image')).url;
       }
 
       if (!imageUrl && !videoUrl) {
@@ -312,13 +316,17 @@ const resolvers = {
         imageUrl, 
         videoUrl, 
         thumbnailUrl, 
-        createdBy: id 
+        createdBy: authorId 
       });
-      await User.findByIdAndUpdate(id, { $push: { posts: post._id } });
+      await User.findByIdAndUpdate(authorId, { $push: { posts: post._id } });
       return post;
     },
     
-    DeletePost: async (_, { id}) => {      
+    DeletePost: authenticated(async (_, { id }, context) => {
+      const post = await Post.findById(id);
+      if (!post) throw new Error("Post not found");
+      assertOwner(context, post.createdBy, "You can only delete your own posts");
+
       const deletePost = await Post.findByIdAndDelete(id);
 
 if (deletePost) {
@@ -334,10 +342,11 @@ if (deletePost) {
   }
 }
       return "DeletePost Successfully..."
-    },
+    }),
 
-     CommentPost : async (_, { userId, postId, text }) => {
-  if (!userId || !postId || !text.trim()) {
+     CommentPost : async (_, { userId: claimedUserId, postId, text }, context) => {
+  const userId = assertSelf(context, claimedUserId);
+  if (!postId || !text.trim()) {
     throw new Error("Missing fields");
   }
 
@@ -360,10 +369,10 @@ if (deletePost) {
   return post.comments;
 },
 
-    LikePost: async (_, { userId, postId }) => {
-   
-  if (!userId || !postId) {
-    throw new Error("userId and postId are required");
+    LikePost: async (_, { userId: claimedUserId, postId }, context) => {
+  const userId = assertSelf(context, claimedUserId);
+  if (!postId) {
+    throw new Error("postId is required");
   }
 
   try {
@@ -391,8 +400,8 @@ if (deletePost) {
   }
 },
 
-    editProfile: async (_, { id, username, name, caption, image }) => {
-      const user = await User.findById(id);
+    editProfile: async (_, { id, username, name, caption, image }, context) => {
+      const user = await User.findById(assertSelf(context, id));
       if (!user) throw new Error("User not found");
       if (name) user.name = name;
       if (username && username !== user.username) {
@@ -404,13 +413,25 @@ if (deletePost) {
         user.username = username;
       }
       if (caption) user.bio = caption;
-      if (image) user.profileImage = await uploadToCloudinary(image);
+      if (image) user.profileImage = (await uploadToCloudinary(image)).url;
       await user.save();
       return user;
     },
 
+    updateReadReceipts: async (_, { enabled }, { user }) => {
+      requireUser({ user });
+
+      const updatedUser = await User.findByIdAndUpdate(
+        user.id,
+        { readReceipts: enabled },
+        { new: true }
+      );
+      if (!updatedUser) throw new Error("User not found");
+      return updatedUser;
+    },
+
     followAndUnfollow: async (_, { id }, context) => {
-      if (!context?.user?.id) throw new Error("Unauthorized");
+      requireUser(context);
       const reqUserId = context.user.id;
       if (reqUserId === id) throw new Error("You cannot follow yourself");
 
@@ -15,6 +15,7 @@ const typeDefs = gql`
     bio: String
     isOnline: Boolean           # Online status field
     lastActive: String          # Last active timestamp
+    readReceipts: Boolean       # Privacy: share read receipts in direct chats
     followers: [User]           # Suggestion System Support
     following: [User]           # Suggestion System Support
     posts: [Post]               # Added to support searchUsers query
@@ -78,15 +79,15 @@ const typeDefs = gql`
     logout: String
 
     changePassword(
-      email: String!
+      email: String
       oldPassword: String!
       newPassword: String!
     ): String
 
     createPost(id: ID, caption: String!, image: Upload, video: Upload, thumbnail: Upload): Post
     DeletePost(id: ID!) : String!
-    LikePost(userId: ID!,postId: ID!) : String!
-    CommentPost(userId: ID!,postId: ID!, text:String!):[Comment]!
+    LikePost(userId: ID, postId: ID!) : String!
+    CommentPost(userId: ID, postId: ID!, text:String!):[Comment]!
 
     editProfile(
       id: ID
@@ -96,6 +97,7 @@ const typeDefs = gql`
       image: Upload
     ): User
 
+    updateReadReceipts(enabled: Boolean!): User
     followAndUnfollow(id: ID!): User
     getUserInformation(id: ID!): User
   }
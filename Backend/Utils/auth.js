@@ -0,0 +1,41 @@
+const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+
+// The acting user always comes from the verified JWT in the GraphQL context
+const requireUser = (context) => {
+  if (!context?.user?.id) {
+    throw new AuthenticationError('Authentication required');
+  }
+  return context.user;
+};
+
+// Wrap a resolver so it only runs for an authenticated caller
+const authenticated = (resolver) => (parent, args, context, info) => {
+  requireUser(context);
+  return resolver(parent, args, context, info);
+};
+
+// Older clients still send the actor's id as an argument. It is optional now,
+// but if present it must be the caller. Returns the caller's id.
+const assertSelf = (context, claimedUserId) => {
+  const userId = requireUser(context).id.toString();
+  if (claimedUserId && claimedUserId.toString() !== userId) {
+    throw new ForbiddenError('You can only perform this action as yourself');
+  }
+  return userId;
+};
+
+// Only the owner of a resource may change it
+const assertOwner = (context, ownerId, message = 'You do not have permission to modify this resource') => {
+  const userId = requireUser(context).id.toString();
+  if (!ownerId || ownerId.toString() !== userId) {
+    throw new ForbiddenError(message);
+  }
+  return userId;
+};
+
+// For a resolver's catch block. Errors raised with a code (UNAUTHENTICATED, FORBIDDEN, ...) reach
+// the client as they are, so it can rely on extensions.code; anything else is prefixed with what failed.
+const wrapError = (error, prefix) =>
+  error.extensions?.code ? error : new Error(`${prefix}: ${error.message}`);
+
+module.exports = { requireUser, authenticated, assertSelf, assertOwner, wrapError };
@@ -66,7 +66,7 @@ cloudinary.config({
 
 
 
-const uploadToCloudinary = async (file, type = 'image') => {
+const uploadToCloudinary = async (file, type = 'image', folder = 'posts') => {
   const { createReadStream, filename, mimetype } = await file;
 
   return new Promise(async (resolve, reject) => {
@@ -101,8 +101,8 @@ const uploadToCloudinary = async (file, type = 'image') => {
 
       const uploadStream = cloudinary.uploader.upload_stream(
         {
-          resource_type: type, // 'image' or 'video'
-          folder: 'posts',
+          resource_type: type, // 'image', 'video' or 'raw'
+          folder,
           format: format, // only used for image
           // Add timeout for upload
           timeout: 600000, // 10 minutes
@@ -137,8 +137,11 @@ const uploadToCloudinary = async (file, type = 'image') => {
                 bytes: result.bytes || buffer.length
               });
             } else {
-              // For images, just return URL
-              resolve(result.secure_url);
+              // Images and raw files: URL plus the stored size
+              resolve({
+                url: result.secure_url,
+                bytes: result.bytes || uploadBuffer.length
+              });
             }
           }
         }
@@ -0,0 +1,86 @@
+const ConversationSettings = require('../Models/ConversationSettings');
+
+const CHAT_TYPES = ['direct', 'group'];
+
+// Longest timed mute; anything longer is "until I turn it off"
+const MAX_MUTE_MINUTES = 365 * 24 * 60;
+
+const isMuted = (settings, now = new Date()) =>
+  Boolean(settings?.muted) && (!settings.mutedUntil || settings.mutedUntil > now);
+
+const assertChatType = (chatType) => {
+  if (!CHAT_TYPES.includes(chatType)) {
+    throw new Error(`Chat type must be one of: ${CHAT_TYPES.join(', ')}`);
+  }
+};
+
+// Chats nobody has customised have no document, so fall back to the schema defaults
+const formatSettings = (settings, chatType, chatId) => {
+  const doc = settings || new ConversationSettings({ chatType, chatId });
+  return {
+    chatType: doc.chatType,
+    chatId: doc.chatId.toString(),
+    isMuted: isMuted(doc),
+    mutedUntil: isMuted(doc) && doc.mutedUntil ? doc.mutedUntil.toISOString() : null,
+    archived: doc.archived,
+    notificationSound: doc.notificationSound,
+    hidePreviews: doc.hidePreviews
+  };
+};
+
+const updateSettings = async (userId, chatType, chatId, changes) => {
+  const settings = await ConversationSettings.findOneAndUpdate(
+    { user: userId, chatType, chatId },
+    { $set: changes },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  return formatSettings(settings);
+};
+
+// Settings of every recipient for one chat, keyed by user id
+const settingsByUser = async (userIds, chatType, chatId) => {
+  if (userIds.length === 0) return new Map();
+  const docs = await ConversationSettings.find({ user: { $in: userIds }, chatType, chatId });
+  return new Map(docs.map(doc => [doc.user.toString(), doc]));
+};
+
+const unmutedRecipients = async (userIds, chatType, chatId) => {
+  const settings = await settingsByUser(userIds, chatType, chatId);
+  return userIds.filter(userId => !isMuted(settings.get(userId)));
+};
+
+// Alert recipients about a new message, honouring each one's mute, sound and preview settings.
+// For 1:1 chats `chatId` is the sender, since that is the chat from the recipient's side.
+// Mentions have their own event and go out regardless of this.
+const notifyNewMessage = async (io, { chatType, chatId, recipients, title, body, messageId }) => {
+  if (!io) return;
+  try {
+    const ids = [...new Set(recipients.map(id => id.toString()))];
+    const settings = await settingsByUser(ids, chatType, chatId);
+    ids.forEach(userId => {
+      const prefs = settings.get(userId);
+      if (isMuted(prefs)) return;
+      io.to(userId).emit('chatNotification', {
+        chatType,
+        chatId: chatId.toString(),
+        messageId: messageId.toString(),
+        title,
+        body: prefs?.hidePreviews ? null : body,
+        sound: prefs?.notificationSound || 'default'
+      });
+    });
+  } catch (error) {
+    // A missed notification shouldn't fail the send
+    console.error('Error sending chat notifications:', error);
+  }
+};
+
+module.exports = {
+  MAX_MUTE_MINUTES,
+  isMuted,
+  assertChatType,
+  formatSettings,
+  updateSettings,
+  unmutedRecipients,
+  notifyNewMessage
+};
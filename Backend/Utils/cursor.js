@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Cursors are opaque to the client: base64 of "<createdAt ms>:<_id>"
+const encodeCursor = (doc) => {
+  if (!doc) return null;
+  const time = new Date(doc.createdAt).getTime();
+  return Buffer.from(`${time}:${doc._id.toString()}`).toString('base64');
+};
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(cursor, 'base64').toString('utf8').split(':');
+  if (!time || isNaN(Number(time)) || !mongoose.Types.ObjectId.isValid(id)) {
+    throw new Error('Invalid cursor');
+  }
+  return {
+    createdAt: new Date(Number(time)),
+    _id: new mongoose.Types.ObjectId(id)
+  };
+};
+
+// Filter matching documents strictly older ('before') or newer ('after') than the cursor.
+// _id breaks ties between documents created in the same millisecond.
+const cursorFilter = (cursor, direction) => {
+  const { createdAt, _id } = decodeCursor(cursor);
+  const op = direction === 'before' ? '$lt' : '$gt';
+  return {
+    $or: [
+      { createdAt: { [op]: createdAt } },
+      { createdAt, _id: { [op]: _id } }
+    ]
+  };
+};
+
+// Pages through `model` ordered by (createdAt, _id).
+// Without a cursor the newest page is returned. Nodes always come back oldest first.
+const paginate = async (model, filter, { before, after, limit } = {}, decorate = (q) => q) => {
+  const pageSize = Math.min(Math.max(limit || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const forward = Boolean(after) && !before;
+
+  const conditions = [filter];
+  if (before) conditions.push(cursorFilter(before, 'before'));
+  if (forward) conditions.push(cursorFilter(after, 'after'));
+
+  const sortOrder = forward ? 1 : -1;
+  const docs = await decorate(
+    model.find({ $and: conditions })
+      .sort({ createdAt: sortOrder, _id: sortOrder })
+      .limit(pageSize + 1)
+  );
+
+  const hasMore = docs.length > pageSize;
+  const nodes = docs.slice(0, pageSize);
+  if (!forward) nodes.reverse();
+
+  return {
+    nodes,
+    pageInfo: {
+      startCursor: encodeCursor(nodes[0]),
+      endCursor: encodeCursor(nodes[nodes.length - 1]),
+      hasPreviousPage: forward ? true : hasMore,
+      hasNextPage: forward ? hasMore : Boolean(before)
+    }
+  };
+};
+
+module.exports = { encodeCursor, decodeCursor, cursorFilter, paginate };
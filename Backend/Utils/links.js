@@ -0,0 +1,17 @@
+// http(s) URLs in free text; trailing punctuation is usually the sentence, not the link
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/gi;
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}]+$/;
+const MAX_LINKS = 10;
+
+// Unique links in `content`, in the order they appear
+const extractLinks = (content) => {
+  const links = [];
+  for (const match of (content || '').matchAll(URL_PATTERN)) {
+    const link = match[0].replace(TRAILING_PUNCTUATION, '');
+    if (!links.includes(link)) links.push(link);
+    if (links.length === MAX_LINKS) break;
+  }
+  return links;
+};
+
+module.exports = { extractLinks };
@@ -0,0 +1,35 @@
+// Shared by direct and group messages: a conversation or group can have a few pinned messages
+const MAX_PINNED_MESSAGES = 5;
+
+// Pin `messageId` within `scope` (the filter selecting the rest of its conversation/group).
+// Pinning an already pinned message is a no-op; returns the updated message.
+const pinMessage = async (model, messageId, userId, scope) => {
+  const alreadyPinned = await model.exists({ _id: messageId, pinnedAt: { $ne: null } });
+  if (alreadyPinned) {
+    return model.findById(messageId);
+  }
+
+  const pinnedCount = await model.countDocuments({
+    ...scope,
+    pinnedAt: { $ne: null },
+    isDeleted: { $ne: true }
+  });
+  if (pinnedCount >= MAX_PINNED_MESSAGES) {
+    throw new Error(`You can pin up to ${MAX_PINNED_MESSAGES} messages. Unpin one first.`);
+  }
+
+  return model.findByIdAndUpdate(
+    messageId,
+    { $set: { pinnedAt: new Date(), pinnedBy: userId } },
+    { new: true }
+  );
+};
+
+const unpinMessage = (model, messageId) =>
+  model.findByIdAndUpdate(
+    messageId,
+    { $unset: { pinnedAt: 1, pinnedBy: 1 } },
+    { new: true }
+  );
+
+module.exports = { MAX_PINNED_MESSAGES, pinMessage, unpinMessage };
@@ -0,0 +1,57 @@
+const User = require('../Models/user');
+
+// Long enough for ZWJ sequences and skin tones, short enough to reject free text
+const MAX_EMOJI_LENGTH = 32;
+const REACTOR_FIELDS = 'name username profileImage';
+
+const normalizeEmoji = (emoji) => {
+  const value = (emoji || '').trim();
+  if (!value || value.length > MAX_EMOJI_LENGTH) {
+    throw new Error('Invalid emoji');
+  }
+  return value;
+};
+
+// Add `userId`'s `emoji` reaction unless it is already there; returns the updated message
+const addReaction = async (model, messageId, userId, emoji) => {
+  const updated = await model.findOneAndUpdate(
+    { _id: messageId, reactions: { $not: { $elemMatch: { user: userId, emoji } } } },
+    { $push: { reactions: { user: userId, emoji, reactedAt: new Date() } } },
+    { new: true }
+  );
+  return updated || model.findById(messageId);
+};
+
+const removeReaction = (model, messageId, userId, emoji) =>
+  model.findByIdAndUpdate(
+    messageId,
+    { $pull: { reactions: { user: userId, emoji } } },
+    { new: true }
+  );
+
+// Collapse raw reactions into one entry per emoji, in the order each emoji was first used
+const summarizeReactions = async (reactions = []) => {
+  if (reactions.length === 0) return [];
+
+  const userIds = [...new Set(reactions.map((r) => r.user.toString()))];
+  const users = await User.find({ _id: { $in: userIds } }).select(REACTOR_FIELDS);
+  const usersById = new Map(users.map((u) => [u._id.toString(), { ...u._doc, id: u._id.toString() }]));
+
+  const byEmoji = new Map();
+  [...reactions]
+    .sort((a, b) => new Date(a.reactedAt) - new Date(b.reactedAt))
+    .forEach((reaction) => {
+      const reactor = usersById.get(reaction.user.toString());
+      if (!reactor) return;
+      if (!byEmoji.has(reaction.emoji)) byEmoji.set(reaction.emoji, []);
+      byEmoji.get(reaction.emoji).push(reactor);
+    });
+
+  return [...byEmoji.entries()].map(([emoji, reactors]) => ({
+    emoji,
+    count: reactors.length,
+    users: reactors
+  }));
+};
+
+module.exports = { normalizeEmoji, addReaction, removeReaction, summarizeReactions };
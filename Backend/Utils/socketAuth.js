@@ -0,0 +1,33 @@
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Group = require('../Models/Group');
+
+const parseCookies = cookieParser();
+
+// socket.io middleware: verify the same `token` cookie the GraphQL context uses.
+// The user id always comes from the JWT, never from anything the client sends.
+const authenticateSocket = (socket, next) => {
+  parseCookies(socket.request, {}, () => {
+    const token = socket.request.cookies?.token;
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    try {
+      const user = jwt.verify(token, process.env.JWT_SECRET);
+      socket.user = user;
+      socket.userId = user.id.toString();
+      next();
+    } catch (err) {
+      next(new Error('Invalid or expired token'));
+    }
+  });
+};
+
+const isGroupMember = async (groupId, userId) => {
+  if (!groupId || !userId || !mongoose.Types.ObjectId.isValid(groupId)) return false;
+  return Boolean(await Group.exists({ _id: groupId, members: userId }));
+};
+
+module.exports = { authenticateSocket, isGroupMember };
@@ -2,6 +2,12 @@ const { GraphQLUpload } = require('graphql-upload');
 const Video = require('../Models/Video');
 const User = require('../Models/user');
 const { uploadToCloudinary } = require('../Utils/cloudinary');
+const { ForbiddenError } = require('apollo-server-express');
+const { requireUser } = require('../Utils/auth');
+
+// A failure's own message reaches the client as it is; UNAUTHENTICATED / FORBIDDEN also keep their code
+const passError = (error, fallback) =>
+  error.extensions?.code ? error : new Error(error.message || fallback);
 
 const videoResolvers = {
   Upload: GraphQLUpload,
@@ -109,9 +115,7 @@ const videoResolvers = {
   Mutation: {
     uploadVideo: async (_, { title, description, video, thumbnail, tags, category, isPublic, resolution }, context) => {
       try {
-        if (!context?.user?.id) {
-          throw new Error("Unauthorized - Please login");
-        }
+        requireUser(context);
 
         if (!title || !video) {
           throw new Error("Title and video file are required");
@@ -135,7 +139,7 @@ const videoResolvers = {
         // Upload thumbnail if provided
         let thumbnailUrl = "";
         if (thumbnail) {
-          thumbnailUrl = await uploadToCloudinary(thumbnail, 'image');
+          thumbnailUrl = (await uploadToCloudinary(thumbnail, 'image')).url;
         }
 
         // Extract video metadata from cloudinary response
@@ -179,15 +183,13 @@ const videoResolvers = {
 
       } catch (error) {
         console.error('Upload video error:', error);
-        throw new Error(error.message || 'Failed to upload video');
+        throw passError(error, 'Failed to upload video');
       }
     },
 
     updateVideo: async (_, { videoId, title, description, thumbnail, tags, category, isPublic }, context) => {
       try {
-        if (!context?.user?.id) {
-          throw new Error("Unauthorized - Please login");
-        }
+        requireUser(context);
 
         const video = await Video.findById(videoId);
         if (!video) {
@@ -196,7 +198,7 @@ const videoResolvers = {
 
         // Check if user owns the video
         if (video.createdBy.toString() !== context.user.id) {
-          throw new Error("You can only update your own videos");
+          throw new ForbiddenError("You can only update your own videos");
         }
 
         // Update fields
@@ -208,7 +210,7 @@ const videoResolvers = {
 
         // Upload new thumbnail if provided
         if (thumbnail) {
-          video.thumbnailUrl = await uploadToCloudinary(thumbnail, 'image');
+          video.thumbnailUrl = (await uploadToCloudinary(thumbnail, 'image')).url;
         }
 
         await video.save();
@@ -220,15 +222,13 @@ const videoResolvers = {
 
       } catch (error) {
         console.error('Update video error:', error);
-        throw new Error(error.message || 'Failed to update video');
+        throw passError(error, 'Failed to update video');
       }
     },
 
     deleteVideo: async (_, { videoId }, context) => {
       try {
-        if (!context?.user?.id) {
-          throw new Error("Unauthorized - Please login");
-        }
+        requireUser(context);
 
         const video = await Video.findById(videoId);
         if (!video) {
@@ -237,7 +237,7 @@ const videoResolvers = {
 
         // Check if user owns the video
         if (video.createdBy.toString() !== context.user.id) {
-          throw new Error("You can only delete your own videos");
+          throw new ForbiddenError("You can only delete your own videos");
         }
 
         // Delete video
@@ -252,15 +252,13 @@ const videoResolvers = {
 
       } catch (error) {
         console.error('Delete video error:', error);
-        throw new Error(error.message || 'Failed to delete video');
+        throw passError(error, 'Failed to delete video');
       }
     },
 
     likeVideo: async (_, { videoId }, context) => {
       try {
-        if (!context?.user?.id) {
-          throw new Error("Unauthorized - Please login");
-        }
+        requireUser(context);
 
         const video = await Video.findById(videoId);
         if (!video) {
@@ -283,15 +281,13 @@ const videoResolvers = {
 
       } catch (error) {
         console.error('Like video error:', error);
-        throw new Error(error.message || 'Failed to like/unlike video');
+        throw passError(error, 'Failed to like/unlike video');
       }
     },
 
     commentOnVideo: async (_, { videoId, text }, context) => {
       try {
-        if (!context?.user?.id) {
-          throw new Error("Unauthorized - Please login");
-        }
+        requireUser(context);
 
         if (!text || !text.trim()) {
           throw new Error("Comment text is required");
@@ -319,15 +315,13 @@ const videoResolvers = {
 
       } catch (error) {
         console.error('Comment on video error:', error);
-        throw new Error(error.message || 'Failed to add comment');
+        throw passError(error, 'Failed to add comment');
       }
     },
 
     deleteVideoComment: async (_, { videoId, commentId }, context) => {
       try {
-        if (!context?.user?.id) {
-          throw new Error("Unauthorized - Please login");
-        }
+        requireUser(context);
 
         const video = await Video.findById(videoId);
         if (!video) {
@@ -341,7 +335,7 @@ const videoResolvers = {
 
         // Check if user owns the comment or the video
         if (comment.user.toString() !== context.user.id && video.createdBy.toString() !== context.user.id) {
-          throw new Error("You can only delete your own comments");
+          throw new ForbiddenError("You can only delete your own comments");
         }
 
         video.comments.pull(commentId);
@@ -355,7 +349,7 @@ const videoResolvers = {
 
       } catch (error) {
         console.error('Delete video comment error:', error);
-        throw new Error(error.message || 'Failed to delete comment');
+        throw passError(error, 'Failed to delete comment');
       }
     },
 
@@ -77,9 +77,11 @@ try {
   console.error("Error initializing Socket.io server:", error);
   // Create a dummy io object to prevent crashes
   io = {
+    use: () => {},
     on: () => {},
     emit: () => {},
-    to: () => ({ emit: () => {} })
+    to: () => ({ emit: () => {} }),
+    in: () => ({ socketsLeave: () => {} })
   };
 }
 
@@ -90,10 +92,58 @@ app.set("io", io);
 const User = require('./Models/user');
 const Group = require('./Models/Group');
 const GroupMessage = require('./Models/GroupMessage');
+const { markDelivered } = require('./ChatGraphQL/receipts');
+const { createTypingTracker } = require('./ChatGraphQL/typing');
+const { authenticateSocket, isGroupMember } = require('./Utils/socketAuth');
+const mongoose = require('mongoose');
+const GroupCall = require('./Models/GroupCall');
+const { isMember, can } = require('./GroupGraphQL/permissions');
+const {
+  findActiveCall,
+  startCall,
+  joinCall,
+  leaveCall,
+  endCall,
+  endOrphanedCalls,
+  canEndCall
+} = require('./GroupGraphQL/calls');
+
+const { failStaleCalls } = require('./ChatGraphQL/callLog');
+const { createCallSignaling } = require('./ChatGraphQL/callSignaling');
+
+// Calls can't survive a restart: every socket that was in one is gone.
+// Waits for the connection, since DB() keeps retrying until Mongo is reachable.
+mongoose.connection.once("open", () => {
+  endOrphanedCalls().catch(err => console.error("Error ending orphaned group calls:", err));
+  failStaleCalls().catch(err => console.error("Error failing stale calls:", err));
+});
 
 // Track online users
 const onlineUsers = new Map();
 
+// A closed tab or device only leaves the group calls it was in itself (socket.data.groupCalls),
+// and not those the user is still in from another of their sockets
+const leaveSocketGroupCalls = async (socket) => {
+  const callIds = [...socket.data.groupCalls];
+  if (callIds.length === 0) return;
+
+  const otherSockets = await io.in(socket.userId).fetchSockets();
+  const stillIn = new Set(otherSockets.flatMap(other => [...(other.data.groupCalls || [])]));
+  const calls = await GroupCall.find({
+    _id: { $in: callIds.filter(id => !stillIn.has(id)) },
+    status: 'active'
+  });
+  for (const call of calls) {
+    await leaveCall(io, call, socket.userId);
+  }
+};
+
+// Direct chat typing indicators
+const typingTracker = createTypingTracker(io);
+
+// Ringing, answering and hanging up 1:1 calls
+const callSignaling = createCallSignaling(io);
+
 // Function to broadcast online users to all clients
 const broadcastOnlineUsers = async () => {
   try {
@@ -176,20 +226,23 @@ setInterval(async () => {
     console.error("Error in periodic online users sync:", error);
   }
 }, 5000);
+// Every socket must carry a valid JWT cookie; sets socket.userId
+io.use(authenticateSocket);
+
 // Handle socket connections
 io.on("connection", (socket) => {
   try {
     console.log("⚡ Socket connected:", socket.id);
+    // Ids of the group calls this socket has joined
+    socket.data.groupCalls = new Set();
     
-    // Get userId from query params (sent during connection)
-    const userId = socket.handshake.query.userId;
+    // userId was verified from the JWT by authenticateSocket
+    const userId = socket.userId;
     
-    // If userId exists in the connection query
     if (userId) {
       try {
         // Store user as online
         onlineUsers.set(userId, socket.id);
-        socket.userId = userId;
         socket.join(userId);
         
         // Update user's online status in database
@@ -201,6 +254,9 @@ io.on("connection", (socket) => {
           console.log(`🟢 User ${userId} connected and joined room`);
           console.log(`Current online users: ${Array.from(onlineUsers.keys())}`);
           
+          // Anything sent while this user was offline is now delivered
+          markDelivered(io, userId).catch(err => console.error("Error marking messages delivered:", err));
+          
           // Broadcast updated online users list to all clients
           broadcastOnlineUsers();
         })
@@ -212,17 +268,18 @@ io.on("connection", (socket) => {
       console.log("Socket connected without userId");
     }
     
-    // Handle explicit join events (when user logs in after socket connection)
-    socket.on("join", (userId) => {
-      if (!userId) {
-        console.warn("Join event received without userId");
+    // Handle explicit join events (re-join after reconnects).
+    // A socket may only ever join its own user room.
+    socket.on("join", (requestedUserId) => {
+      const userId = socket.userId;
+      if (requestedUserId && requestedUserId.toString() !== userId) {
+        console.warn(`Socket ${socket.id} tried to join room of ${requestedUserId} as ${userId}`);
         return;
       }
       
       try {
         // Update socket data and room
         socket.join(userId);
-        socket.userId = userId;
         onlineUsers.set(userId, socket.id);
         
         // Update user's online status in database
@@ -243,68 +300,69 @@ io.on("connection", (socket) => {
       }
     });
 
-   socket.on("call-user", async ({ calleeID, roomID, callerID, callerName, callerImage }) => {
-  const calleeSocketID = onlineUsers.get(calleeID); // ✅ Fixed here
+    // Receiver's client acknowledges a "receiveMessage" event
+    socket.on("messageDelivered", async ({ messageId }) => {
+      try {
+        if (messageId && socket.userId) {
+          await markDelivered(io, socket.userId, { _id: messageId });
+        }
+      } catch (error) {
+        console.error("Error handling message delivered ack:", error);
+      }
+    });
 
-  if (calleeSocketID) {
-    try {
-      // Get caller info from database if not provided
-      let callerInfo = { callerName, callerImage };
-      if (!callerName || !callerImage) {
-        const caller = await User.findById(callerID).select('name profileImage');
-        if (caller) {
-          callerInfo.callerName = callerInfo.callerName || caller.name;
-          callerInfo.callerImage = callerInfo.callerImage || caller.profileImage;
+    // Direct chat typing indicator, relayed to the peer's user room
+    socket.on("typing", ({ receiverId } = {}) => {
+      try {
+        if (receiverId && socket.userId && receiverId !== socket.userId) {
+          typingTracker.start(socket.userId, receiverId, socket.id);
         }
+      } catch (error) {
+        console.error("Error handling typing:", error);
       }
+    });
 
-      io.to(calleeSocketID).emit("incoming-call", { 
-        roomID, 
-        callerID, 
-        callerName: callerInfo.callerName,
-        callerImage: callerInfo.callerImage
-      });
-      console.log(`📞 Call from ${callerID} (${callerInfo.callerName}) to ${calleeID}`);
-    } catch (error) {
-      console.error("Error processing call-user event:", error);
-      // Fallback to basic call info
-      io.to(calleeSocketID).emit("incoming-call", { roomID, callerID });
-    }
-  } else {
-    console.log(`⚠️ Callee ${calleeID} not connected`);
-  }
-});
+    socket.on("stopTyping", ({ receiverId } = {}) => {
+      try {
+        if (receiverId && socket.userId) {
+          typingTracker.stop(socket.userId, receiverId);
+        }
+      } catch (error) {
+        console.error("Error handling stopTyping:", error);
+      }
+    });
 
-// Handle call accepted
-socket.on("call-accepted", ({ callerID, roomID, calleeID }) => {
-  const callerSocketID = onlineUsers.get(callerID);
-  if (callerSocketID) {
-    io.to(callerSocketID).emit("call-accepted", { roomID, calleeID });
-    console.log(`✅ Call accepted by ${calleeID} for room ${roomID}`);
-  }
-});
+    // 1:1 call signalling; see ChatGraphQL/callSignaling.js for the state machine
+    socket.on("call-user", (payload) => {
+      callSignaling.placeCall(socket, payload).catch(err => console.error("Error processing call-user event:", err));
+    });
 
-// Handle call declined
-socket.on("call-declined", ({ callerID, roomID }) => {
-  const callerSocketID = onlineUsers.get(callerID);
-  if (callerSocketID) {
-    io.to(callerSocketID).emit("call-declined", { roomID });
-    console.log(`❌ Call declined for room ${roomID}`);
-  }
-});
+    socket.on("call-accepted", (payload) => {
+      callSignaling.acceptCall(socket, payload).catch(err => console.error("Error accepting call:", err));
+    });
 
-// Handle call cancelled
-socket.on("call-cancelled", ({ roomID }) => {
-  console.log(`🚫 Call cancelled for room ${roomID}`);
-  // Notify all participants that call was cancelled
-  io.emit("call-cancelled", { roomID });
-});
+    socket.on("call-declined", (payload) => {
+      callSignaling.declineCall(socket, payload).catch(err => console.error("Error declining call:", err));
+    });
+
+    socket.on("call-cancelled", (payload) => {
+      callSignaling.cancelCall(socket, payload).catch(err => console.error("Error cancelling call:", err));
+    });
 
+    // Either side left the call screen
+    socket.on("call-ended", ({ roomID } = {}) => {
+      callSignaling.endCall(socket.userId, roomID).catch(err => console.error("Error ending call:", err));
+    });
 
     // Handle disconnections
     socket.on("disconnect", () => {
       try {
         console.log("❌ Socket disconnected:", socket.id);
+        typingTracker.stopAllFromSocket(socket.id);
+        if (socket.userId) {
+          leaveSocketGroupCalls(socket).catch(err => console.error("Error leaving group calls:", err));
+          callSignaling.handleDisconnect(socket).catch(err => console.error("Error closing calls:", err));
+        }
         
         if (socket.userId) {
           console.log(`User ${socket.userId} went offline`);
@@ -361,11 +419,13 @@ socket.on("call-cancelled", ({ roomID }) => {
     // ========== GROUP CHAT SOCKET EVENTS ==========
     
     // Join group rooms
-    socket.on("joinGroup", (groupId) => {
+    socket.on("joinGroup", async (groupId) => {
       try {
-        if (groupId && socket.userId) {
+        if (await isGroupMember(groupId, socket.userId)) {
           socket.join(`group_${groupId}`);
           console.log(`🏠 User ${socket.userId} joined group room: group_${groupId}`);
+        } else {
+          console.warn(`User ${socket.userId} is not a member of group ${groupId}`);
         }
       } catch (error) {
         console.error("Error joining group room:", error);
@@ -373,9 +433,9 @@ socket.on("call-cancelled", ({ roomID }) => {
     });
 
     // Leave group rooms
-    socket.on("leaveGroup", (groupId) => {
+    socket.on("leaveGroup", async (groupId) => {
       try {
-        if (groupId && socket.userId) {
+        if (await isGroupMember(groupId, socket.userId)) {
           socket.leave(`group_${groupId}`);
           console.log(`🚪 User ${socket.userId} left group room: group_${groupId}`);
         }
@@ -387,7 +447,7 @@ socket.on("call-cancelled", ({ roomID }) => {
     // Handle group message typing
     socket.on("groupTyping", async ({ groupId, isTyping, userName }) => {
       try {
-        if (groupId && socket.userId) {
+        if (await isGroupMember(groupId, socket.userId)) {
           // Fetch the user's profile image from the database
           const user = await User.findById(socket.userId).select('profileImage');
           socket.to(`group_${groupId}`).emit("groupUserTyping", {
@@ -407,7 +467,7 @@ socket.on("call-cancelled", ({ roomID }) => {
     // Handle group message read status
     socket.on("markGroupMessageRead", async ({ messageId, groupId }) => {
       try {
-        if (messageId && groupId && socket.userId) {
+        if (messageId && await isGroupMember(groupId, socket.userId)) {
           // This will be handled by GraphQL mutation, but we can emit real-time update
           socket.to(`group_${groupId}`).emit("groupMessageRead", {
             messageId,
@@ -446,46 +506,55 @@ socket.on("call-cancelled", ({ roomID }) => {
       }
     });
 
-    // Handle group voice/video call events
-    socket.on("startGroupCall", ({ groupId, callType, roomId }) => {
+    // Group voice/video calls. The session lives in GroupCall (see GroupGraphQL/calls);
+    // the call screen joins and leaves it so everyone sees who is in the call.
+    const callActor = () => ({ id: socket.userId, name: socket.user?.name });
+    const findGroupCall = (groupId, roomId) =>
+      GroupCall.findOne({ group: groupId, roomId, status: "active" });
+
+    socket.on("startGroupCall", async ({ groupId, callType } = {}) => {
       try {
-        if (groupId && socket.userId) {
-          socket.to(`group_${groupId}`).emit("groupCallStarted", {
-            callerId: socket.userId,
+        const group = mongoose.Types.ObjectId.isValid(groupId) && await Group.findById(groupId);
+        const ongoing = group && await findActiveCall(groupId);
+        if (!group || !(ongoing ? isMember(group, socket.userId) : can(group, socket.userId, "startCalls"))) {
+          socket.emit("groupCallError", {
             groupId,
-            callType, // 'voice' or 'video'
-            roomId
+            message: "You do not have permission to start calls in this group"
           });
-          console.log(`📞 User ${socket.userId} started ${callType} call in group ${groupId}`);
+          return;
         }
+        const call = await startCall(io, group, callActor(), callType || "video");
+        socket.data.groupCalls.add(call._id.toString());
+        console.log(`📞 User ${socket.userId} started ${call.callType} call in group ${groupId}`);
       } catch (error) {
         console.error("Error starting group call:", error);
+        socket.emit("groupCallError", { groupId, message: error.message });
       }
     });
 
-    socket.on("joinGroupCall", ({ groupId, roomId }) => {
+    socket.on("joinGroupCall", async ({ groupId, roomId } = {}) => {
       try {
-        if (groupId && socket.userId) {
-          socket.to(`group_${groupId}`).emit("userJoinedGroupCall", {
-            userId: socket.userId,
-            groupId,
-            roomId
-          });
-          console.log(`📞 User ${socket.userId} joined group call in group ${groupId}`);
+        if (!(await isGroupMember(groupId, socket.userId))) return;
+        const call = await findGroupCall(groupId, roomId);
+        if (!call) {
+          socket.emit("groupCallError", { groupId, message: "This call has already ended" });
+          return;
         }
+        await joinCall(io, call, callActor());
+        socket.data.groupCalls.add(call._id.toString());
+        console.log(`📞 User ${socket.userId} joined group call in group ${groupId}`);
       } catch (error) {
         console.error("Error joining group call:", error);
       }
     });
 
-    socket.on("leaveGroupCall", ({ groupId, roomId }) => {
+    socket.on("leaveGroupCall", async ({ groupId, roomId } = {}) => {
       try {
-        if (groupId && socket.userId) {
-          socket.to(`group_${groupId}`).emit("userLeftGroupCall", {
-            userId: socket.userId,
-            groupId,
-            roomId
-          });
+        if (!mongoose.Types.ObjectId.isValid(groupId)) return;
+        const call = await findGroupCall(groupId, roomId);
+        if (call) {
+          socket.data.groupCalls.delete(call._id.toString());
+          await leaveCall(io, call, socket.userId);
           console.log(`📞 User ${socket.userId} left group call in group ${groupId}`);
         }
       } catch (error) {
@@ -493,16 +562,20 @@ socket.on("call-cancelled", ({ roomID }) => {
       }
     });
 
-    socket.on("endGroupCall", ({ groupId, roomId }) => {
+    socket.on("endGroupCall", async ({ groupId, roomId } = {}) => {
       try {
-        if (groupId && socket.userId) {
-          socket.to(`group_${groupId}`).emit("groupCallEnded", {
-            endedBy: socket.userId,
+        if (!mongoose.Types.ObjectId.isValid(groupId)) return;
+        const [group, call] = await Promise.all([Group.findById(groupId), findGroupCall(groupId, roomId)]);
+        if (!group || !call || !isMember(group, socket.userId)) return;
+        if (!canEndCall(group, call, socket.userId)) {
+          socket.emit("groupCallError", {
             groupId,
-            roomId
+            message: "Only the person who started the call or an admin can end it"
           });
-          console.log(`📞 User ${socket.userId} ended group call in group ${groupId}`);
+          return;
         }
+        await endCall(io, call, callActor());
+        console.log(`📞 User ${socket.userId} ended group call in group ${groupId}`);
       } catch (error) {
         console.error("Error ending group call:", error);
       }
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ForbiddenError } = require('apollo-server-express');
+const { requireUser, authenticated, assertSelf, assertOwner, wrapError } = require('../Utils/auth');
+
+const codeOf = (error) => error.extensions?.code;
+const context = { user: { id: 'u1' } };
+
+test('requireUser rejects a missing user as UNAUTHENTICATED', () => {
+  assert.throws(() => requireUser({}), (error) => codeOf(error) === 'UNAUTHENTICATED');
+  assert.throws(() => requireUser(undefined), (error) => codeOf(error) === 'UNAUTHENTICATED');
+  assert.equal(requireUser(context), context.user);
+});
+
+test('authenticated only runs the resolver for a signed-in caller', async () => {
+  const resolver = authenticated(async (_, args) => args.value);
+  assert.throws(() => resolver(null, { value: 1 }, {}), (error) => codeOf(error) === 'UNAUTHENTICATED');
+  assert.equal(await resolver(null, { value: 1 }, context), 1);
+});
+
+test('assertSelf accepts a missing or matching id and rejects anyone else as FORBIDDEN', () => {
+  assert.equal(assertSelf(context), 'u1');
+  assert.equal(assertSelf(context, 'u1'), 'u1');
+  assert.throws(() => assertSelf(context, 'u2'), (error) => codeOf(error) === 'FORBIDDEN');
+  assert.throws(() => assertSelf({}, 'u1'), (error) => codeOf(error) === 'UNAUTHENTICATED');
+});
+
+test('assertOwner rejects a missing or foreign owner as FORBIDDEN', () => {
+  assert.equal(assertOwner(context, 'u1'), 'u1');
+  assert.throws(() => assertOwner(context, 'u2', 'Not yours'), (error) => codeOf(error) === 'FORBIDDEN' && error.message === 'Not yours');
+  assert.throws(() => assertOwner(context, null), (error) => codeOf(error) === 'FORBIDDEN');
+});
+
+test('wrapError keeps coded errors and prefixes the rest', () => {
+  const forbidden = new ForbiddenError('Not yours');
+  assert.equal(wrapError(forbidden, 'Failed'), forbidden);
+  assert.equal(wrapError(new Error('boom'), 'Failed').message, 'Failed: boom');
+});
@@ -0,0 +1,71 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CallLog = require('../Models/CallLog');
+const GroupCall = require('../Models/GroupCall');
+const { createCallSignaling } = require('../ChatGraphQL/callSignaling');
+
+const id = () => new mongoose.Types.ObjectId().toString();
+const [ann, bob, cat] = [id(), id(), id()];
+
+// Every user is connected with one socket, and emits are recorded per room
+const fakeIo = () => {
+  const emitted = [];
+  const rooms = new Map([ann, bob, cat].map(userId => [userId, new Set([`${userId}-socket`])]));
+  const to = (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) });
+  return { emitted, to, sockets: { adapter: { rooms } } };
+};
+
+const socketOf = (userId) => ({ id: `${userId}-socket`, userId, emit: () => {}, to: () => ({ emit: () => {} }) });
+
+// Rooms whose answered call was closed in the call history
+let endedRooms;
+
+beforeEach(() => {
+  endedRooms = [];
+  mock.timers.enable({ apis: ['setTimeout'] });
+  mock.method(CallLog, 'create', async (fields) => ({ _id: id(), ...fields, status: 'ringing' }));
+  mock.method(CallLog, 'findOneAndUpdate', async () => null);
+  mock.method(CallLog, 'findOne', async (filter) => {
+    endedRooms.push(filter.roomId);
+    return null;
+  });
+  mock.method(GroupCall, 'exists', async () => null);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+// Ann calls Bob in room r1 and he picks up
+const connect = async (io, signaling) => {
+  await signaling.placeCall(socketOf(ann), { calleeID: bob, roomID: 'r1', callerName: 'Ann', callerImage: 'a.png' });
+  await signaling.acceptCall(socketOf(bob), { roomID: 'r1' });
+};
+
+test('placing a new call ends the call the caller was still in', async () => {
+  const io = fakeIo();
+  const signaling = createCallSignaling(io);
+  await connect(io, signaling);
+
+  await signaling.placeCall(socketOf(bob), { calleeID: cat, roomID: 'r2', callerName: 'Bob', callerImage: 'b.png' });
+  assert.deepEqual(endedRooms, ['r1']);
+  assert.ok(io.emitted.some(e => e.room === cat && e.event === 'incoming-call'));
+
+  // Ann is free again too
+  await signaling.placeCall(socketOf(cat), { calleeID: ann, roomID: 'r3', callerName: 'Cat', callerImage: 'c.png' });
+  assert.ok(io.emitted.some(e => e.room === ann && e.event === 'incoming-call'));
+});
+
+test('an answered call ends when the callee\'s socket goes away', async () => {
+  const io = fakeIo();
+  const signaling = createCallSignaling(io);
+  await connect(io, signaling);
+
+  await signaling.handleDisconnect(socketOf(bob));
+  assert.deepEqual(endedRooms, ['r1']);
+
+  await signaling.placeCall(socketOf(cat), { calleeID: ann, roomID: 'r2', callerName: 'Cat', callerImage: 'c.png' });
+  assert.ok(io.emitted.some(e => e.room === ann && e.event === 'incoming-call'));
+});
@@ -0,0 +1,74 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const chatSchema = require('../ChatGraphQL/chatSchema');
+const CallLog = require('../Models/CallLog');
+const Group = require('../Models/Group');
+const GroupMessage = require('../Models/GroupMessage');
+const chatResolvers = require('../ChatGraphQL/resolvers');
+const groupResolvers = require('../GroupGraphQL/resolvers');
+
+const codeOf = (error) => error.extensions?.code;
+const unauthenticated = (error) => codeOf(error) === 'UNAUTHENTICATED';
+const forbidden = (error) => codeOf(error) === 'FORBIDDEN';
+
+const me = { user: { id: 'u1' } };
+
+afterEach(() => mock.restoreAll());
+
+test('getMessages needs a caller and only reads their own conversations', async () => {
+  const { getMessages } = chatResolvers.Query;
+  await assert.rejects(async () => getMessages(null, { receiverId: 'u2' }, {}), unauthenticated);
+  await assert.rejects(async () => getMessages(null, { senderId: 'u3', receiverId: 'u2' }, me), forbidden);
+});
+
+test('sendMessage needs a caller and only sends as them', async () => {
+  const { sendMessage } = chatResolvers.Mutation;
+  await assert.rejects(async () => sendMessage(null, { receiverId: 'u2', message: 'hi' }, {}), unauthenticated);
+  await assert.rejects(async () => sendMessage(null, { senderId: 'u3', receiverId: 'u2', message: 'hi' }, me), forbidden);
+});
+
+test('getConversations reports a missing caller as UNAUTHENTICATED', async () => {
+  await assert.rejects(chatResolvers.Query.getConversations(null, {}, {}), unauthenticated);
+});
+
+test('addReaction keeps FORBIDDEN for a conversation the caller is not part of', async () => {
+  mock.method(chatSchema, 'findById', async () => ({ sender: { _id: 'u2' }, receiver: { _id: 'u3' } }));
+  await assert.rejects(chatResolvers.Mutation.addReaction(null, { messageId: 'm1', emoji: '👍' }, me), forbidden);
+});
+
+test('addGroupReaction keeps FORBIDDEN for a group the caller is not in', async () => {
+  const { addGroupReaction } = groupResolvers.Mutation;
+  await assert.rejects(addGroupReaction(null, { messageId: 'm1', emoji: '👍' }, {}), unauthenticated);
+
+  mock.method(GroupMessage, 'findById', async () => ({ group: 'g1' }));
+  mock.method(Group, 'findById', async () => ({ members: ['u2'], admins: [] }));
+  await assert.rejects(addGroupReaction(null, { messageId: 'm1', emoji: '👍' }, me), forbidden);
+});
+
+test('Message.replyTo comes back with the quoted sender, or null once their account is gone', async () => {
+  const { replyTo } = chatResolvers.Message;
+  const person = (id, name) => ({ _id: id, _doc: { _id: id, name } });
+  const quoted = (sender) => ({ _id: 'm1', _doc: { _id: 'm1', message: 'hi' }, sender, receiver: person('u1', 'Me') });
+  const findById = mock.method(chatSchema, 'findById', () => ({ populate: async () => quoted(person('u2', 'Ann')) }));
+
+  const formatted = await replyTo({ replyTo: 'm1' });
+  assert.equal(formatted.sender.name, 'Ann');
+  assert.equal(formatted.sender.id, 'u2');
+  assert.equal(findById.mock.calls[0].arguments[0], 'm1');
+
+  findById.mock.mockImplementation(() => ({ populate: async () => quoted(null) }));
+  assert.equal(await replyTo({ replyTo: 'm1' }), null);
+});
+
+test('getCallHistory leaves out calls with someone whose account is gone', async () => {
+  const ann = { _id: 'u2', name: 'Ann' };
+  const call = (id, callee) => ({ _id: id, caller: { _id: 'u1' }, callee, callType: 'voice', status: 'answered', createdAt: new Date(), duration: 5 });
+  const logs = [call('c2', ann), call('c1', null)];
+  const q = { sort: () => q, limit: () => q, populate: () => q, then: (resolve, reject) => Promise.resolve(logs).then(resolve, reject) };
+  mock.method(CallLog, 'find', () => q);
+
+  const { calls } = await chatResolvers.Query.getCallHistory(null, {}, me);
+  assert.deepEqual(calls.map(c => c.id), ['c2']);
+  assert.equal(calls[0].peer, ann);
+  assert.equal(calls[0].direction, 'outgoing');
+});
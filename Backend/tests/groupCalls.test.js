@@ -0,0 +1,71 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GroupCall = require('../Models/GroupCall');
+const GroupMessage = require('../Models/GroupMessage');
+const Group = require('../Models/Group');
+const { startCall } = require('../GroupGraphQL/calls');
+
+const group = { _id: 'g1', name: 'Team', members: ['u1', 'u2'] };
+const caller = { id: 'u1', name: 'Ann' };
+
+// Resolves to `value` however the query is chained
+const query = (value) => {
+  const q = { populate: () => q, select: () => q, then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) };
+  return q;
+};
+
+const stubCreate = () => mock.method(GroupCall, 'create', async (fields) => ({
+  _id: 'c1',
+  ...fields,
+  startedAt: new Date(),
+  populate: async () => {}
+}));
+
+const stubSystemMessage = () => {
+  mock.method(GroupMessage, 'create', async () => ({ _id: 'sys' }));
+  mock.method(GroupMessage, 'findById', () => query({ _id: 'sys' }));
+  mock.method(Group, 'findByIdAndUpdate', async () => ({}));
+};
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+test('a call started from a socket counts its caller straight away', async () => {
+  stubSystemMessage();
+  mock.method(GroupCall, 'findOne', async () => null);
+  const create = stubCreate();
+
+  await startCall(null, group, caller, 'voice');
+  const fields = create.mock.calls[0].arguments[0];
+  assert.deepEqual(fields.participants, [{ user: 'u1' }]);
+  assert.deepEqual(fields.attendees, ['u1']);
+});
+
+test('a call started without joining waits for a socket, then ends if nobody came', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  stubSystemMessage();
+  mock.method(GroupCall, 'findOne', async () => null);
+  const create = stubCreate();
+  const end = mock.method(GroupCall, 'findOneAndUpdate', async () => null);
+
+  await startCall(null, group, caller, 'video', { join: false });
+  const fields = create.mock.calls[0].arguments[0];
+  assert.deepEqual(fields.participants, []);
+  assert.deepEqual(fields.attendees, []);
+
+  mock.timers.tick(60 * 1000);
+  assert.equal(end.mock.callCount(), 1);
+  // Only if it is still empty
+  assert.deepEqual(end.mock.calls[0].arguments[0], { _id: 'c1', status: 'active', participants: { $size: 0 } });
+});
+
+test('joining without a socket leaves an ongoing call as it is', async () => {
+  const ongoing = { _id: 'c0', participants: [{ user: 'u2' }] };
+  mock.method(GroupCall, 'findOne', async () => ongoing);
+  const join = mock.method(GroupCall, 'findOneAndUpdate', async () => ongoing);
+
+  assert.equal(await startCall(null, group, caller, 'video', { join: false }), ongoing);
+  assert.equal(join.mock.callCount(), 0);
+});
@@ -0,0 +1,96 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Group = require('../Models/Group');
+const GroupInvite = require('../Models/GroupInvite');
+const GroupMessage = require('../Models/GroupMessage');
+const GroupAuditEvent = require('../Models/GroupAuditEvent');
+const GroupCall = require('../Models/GroupCall');
+const GroupJoinRequest = require('../Models/GroupJoinRequest');
+const User = require('../Models/user');
+const { Query, Mutation } = require('../GroupGraphQL/resolvers');
+
+const codeOf = (error) => error.extensions?.code;
+const forbidden = (error) => codeOf(error) === 'FORBIDDEN';
+
+const group = { _id: 'g1', owner: 'owner', createdBy: 'owner', members: ['owner', 'admin', 'member'], admins: ['admin'] };
+const as = (id) => ({ user: { id } });
+
+// A mongoose query stand-in: chainable, and resolves to `value` when awaited
+const query = (value) => {
+  const q = { populate: () => q, select: () => q, sort: () => q, then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) };
+  return q;
+};
+
+// Records what was emitted to which room
+const fakeIo = () => {
+  const emitted = [];
+  return { emitted, to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) };
+};
+
+// System messages and audit events are written, but their content doesn't matter here
+const stubSideEffects = () => {
+  mock.method(GroupAuditEvent, 'create', async () => ({}));
+  mock.method(GroupMessage, 'create', async () => ({ _id: 'sys' }));
+  mock.method(GroupMessage, 'findById', () => query({ _id: 'sys' }));
+  mock.method(Group, 'findByIdAndUpdate', async () => ({}));
+  mock.method(User, 'findById', () => query({ name: 'Bob' }));
+};
+
+afterEach(() => mock.restoreAll());
+
+test('the owner and admins see invite links, members do not', async () => {
+  mock.method(Group, 'findById', async () => group);
+  const invites = [{ code: 'abc' }];
+  mock.method(GroupInvite, 'find', () => ({ populate: () => ({ sort: async () => invites }) }));
+
+  assert.equal(await Query.getGroupInvites(null, { groupId: 'g1' }, as('owner')), invites);
+  assert.equal(await Query.getGroupInvites(null, { groupId: 'g1' }, as('admin')), invites);
+  await assert.rejects(Query.getGroupInvites(null, { groupId: 'g1' }, as('member')), forbidden);
+});
+
+test('unbanGroupMember returns the populated group and tells the members', async () => {
+  stubSideEffects();
+  const stored = { ...group, bans: [{ user: 'banned' }], save: async () => {} };
+  const populated = { ...group, members: [{ _id: 'owner', name: 'Owner' }] };
+  const findById = mock.method(Group, 'findById', () => query(populated));
+  findById.mock.mockImplementationOnce(async () => stored);
+  const io = fakeIo();
+
+  const result = await Mutation.unbanGroupMember(null, { groupId: 'g1', memberId: 'banned' }, { ...as('admin'), io });
+  assert.equal(result.success, true);
+  assert.equal(result.group, populated);
+  assert.deepEqual(stored.bans, []);
+  const updates = io.emitted.filter(e => e.event === 'groupUpdated');
+  assert.deepEqual(updates.map(e => e.room), group.members);
+  assert.ok(updates.every(e => e.payload === populated));
+});
+
+test('a member cannot delete someone else\'s message', async () => {
+  mock.method(GroupMessage, 'findById', async () => ({ _id: 'm1', group: 'g1', sender: 'admin', messageType: 'text' }));
+  mock.method(Group, 'findById', async () => group);
+
+  await assert.rejects(Mutation.deleteGroupMessage(null, { messageId: 'm1' }, as('member')), forbidden);
+});
+
+test('deleteGroup ends the ongoing call and removes calls and audit events', async () => {
+  stubSideEffects();
+  const findById = mock.method(Group, 'findById', () => query(group));
+  findById.mock.mockImplementationOnce(async () => group);
+  const call = { _id: 'c1', group: 'g1', roomId: 'r1', callType: 'video', participants: [{ user: 'member' }], startedAt: new Date() };
+  mock.method(GroupCall, 'findOne', async () => call);
+  mock.method(GroupCall, 'findOneAndUpdate', async () => call);
+  mock.method(GroupCall, 'findById', async () => ({ ...call, participants: [], status: 'ended' }));
+  const deleted = [];
+  for (const Model of [GroupMessage, GroupInvite, GroupJoinRequest, GroupCall, GroupAuditEvent]) {
+    mock.method(Model, 'deleteMany', async () => { deleted.push(Model); });
+  }
+  mock.method(Group, 'findByIdAndDelete', async () => group);
+  const io = { ...fakeIo(), in: () => ({ socketsLeave: () => {} }) };
+
+  const result = await Mutation.deleteGroup(null, { groupId: 'g1' }, { user: { id: 'owner', name: 'Owner' }, io });
+  assert.equal(result.success, true);
+  const ended = io.emitted.find(e => e.event === 'groupCallEnded');
+  assert.deepEqual(ended.room, ['group_g1', 'member']);
+  assert.ok(deleted.includes(GroupCall));
+  assert.ok(deleted.includes(GroupAuditEvent));
+});
@@ -0,0 +1,94 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const User = require('../Models/user');
+const Post = require('../Models/Post');
+const { Mutation } = require('../UserGraphQL/resolvers');
+
+const codeOf = (error) => error.extensions?.code;
+const unauthenticated = (error) => codeOf(error) === 'UNAUTHENTICATED';
+const forbidden = (error) => codeOf(error) === 'FORBIDDEN';
+
+const me = { user: { id: 'u1' } };
+const fakePost = (fields = {}) => ({
+  _id: 'p1',
+  createdBy: 'u1',
+  likes: [],
+  comments: [],
+  save: mock.fn(async () => {}),
+  ...fields
+});
+
+afterEach(() => mock.restoreAll());
+
+test('LikePost needs a caller and only likes as them', async () => {
+  await assert.rejects(Mutation.LikePost(null, { postId: 'p1' }, {}), unauthenticated);
+  await assert.rejects(Mutation.LikePost(null, { userId: 'u2', postId: 'p1' }, me), forbidden);
+
+  const post = fakePost();
+  mock.method(Post, 'findById', async () => post);
+  assert.equal(await Mutation.LikePost(null, { postId: 'p1' }, me), 'Liked');
+  assert.equal(post.likes[0].user, 'u1');
+  assert.equal(await Mutation.LikePost(null, { userId: 'u1', postId: 'p1' }, me), 'Unliked');
+  assert.equal(post.likes.length, 0);
+});
+
+test('CommentPost needs a caller and comments as them', async () => {
+  await assert.rejects(Mutation.CommentPost(null, { postId: 'p1', text: 'hi' }, {}), unauthenticated);
+  await assert.rejects(Mutation.CommentPost(null, { userId: 'u2', postId: 'p1', text: 'hi' }, me), forbidden);
+
+  const post = fakePost();
+  mock.method(Post, 'findById', async () => post);
+  const comments = await Mutation.CommentPost(null, { postId: 'p1', text: 'hi' }, me);
+  assert.equal(comments[0].user, 'u1');
+  assert.equal(post.save.mock.callCount(), 1);
+});
+
+test('createPost needs a caller and posts as them', async () => {
+  await assert.rejects(Mutation.createPost(null, { caption: 'x' }, {}), unauthenticated);
+  await assert.rejects(Mutation.createPost(null, { id: 'u2', caption: 'x' }, me), forbidden);
+  await assert.rejects(Mutation.createPost(null, { caption: 'x' }, me), /Either image or video must be provided/);
+});
+
+test('DeletePost needs a caller and only deletes their own posts', async () => {
+  await assert.rejects(async () => Mutation.DeletePost(null, { id: 'p1' }, {}), unauthenticated);
+
+  mock.method(Post, 'findById', async () => fakePost({ createdBy: 'u2' }));
+  const remove = mock.method(Post, 'findByIdAndDelete', async () => null);
+  await assert.rejects(Mutation.DeletePost(null, { id: 'p1' }, me), forbidden);
+  assert.equal(remove.mock.callCount(), 0);
+
+  Post.findById.mock.mockImplementation(async () => fakePost());
+  assert.equal(await Mutation.DeletePost(null, { id: 'p1' }, me), 'DeletePost Successfully...');
+  assert.equal(remove.mock.callCount(), 1);
+});
+
+test('editProfile needs a caller and only edits their own profile', async () => {
+  await assert.rejects(Mutation.editProfile(null, { name: 'New' }, {}), unauthenticated);
+  await assert.rejects(Mutation.editProfile(null, { id: 'u2', name: 'New' }, me), forbidden);
+
+  const user = { _id: 'u1', name: 'Old', save: mock.fn(async () => {}) };
+  const findById = mock.method(User, 'findById', async () => user);
+  const updated = await Mutation.editProfile(null, { name: 'New' }, me);
+  assert.equal(findById.mock.calls[0].arguments[0], 'u1');
+  assert.equal(updated.name, 'New');
+});
+
+test('changePassword needs a caller and only changes their own password', async () => {
+  await assert.rejects(
+    async () => Mutation.changePassword(null, { oldPassword: 'a', newPassword: 'b' }, {}),
+    unauthenticated
+  );
+
+  const user = { email: 'me@example.com', password: await bcrypt.hash('a', 4), save: mock.fn(async () => {}) };
+  mock.method(User, 'findById', async () => user);
+  await assert.rejects(
+    Mutation.changePassword(null, { email: 'other@example.com', oldPassword: 'a', newPassword: 'b' }, me),
+    forbidden
+  );
+  assert.equal(
+    await Mutation.changePassword(null, { email: 'me@example.com', oldPassword: 'a', newPassword: 'b' }, me),
+    'Password updated successfully'
+  );
+  assert.ok(await bcrypt.compare('b', user.password));
+});
@@ -0,0 +1,24 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Video = require('../Models/Video');
+const { Mutation } = require('../VideoGraphQL/resolvers');
+
+const codeOf = (error) => error.extensions?.code;
+const me = { user: { id: 'u1' } };
+
+afterEach(() => mock.restoreAll());
+
+test('uploadVideo and commentOnVideo need a caller', async () => {
+  await assert.rejects(Mutation.uploadVideo(null, { title: 'x' }, {}), (error) => codeOf(error) === 'UNAUTHENTICATED');
+  await assert.rejects(Mutation.commentOnVideo(null, { videoId: 'v1', text: 'hi' }, {}), (error) => codeOf(error) === 'UNAUTHENTICATED');
+});
+
+test('validation failures reach the client with their own message', async () => {
+  await assert.rejects(Mutation.uploadVideo(null, { title: 'x' }, me), { message: 'Title and video file are required' });
+  await assert.rejects(Mutation.commentOnVideo(null, { videoId: 'v1', text: ' ' }, me), { message: 'Comment text is required' });
+});
+
+test('only the owner can delete a video', async () => {
+  mock.method(Video, 'findById', async () => ({ createdBy: 'u2' }));
+  await assert.rejects(Mutation.deleteVideo(null, { videoId: 'v1' }, me), (error) => codeOf(error) === 'FORBIDDEN');
+});
@@ -5,6 +5,7 @@ import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import Main from './components/main/Main';
 import ChatPage from './pages/ChatPage';
+import JoinGroupPage from './pages/JoinGroupPage';
 import ProfilePage from './pages/profile';
 import { ChatProvider } from './context/ChatContext';
 import RegisterForm from './components/login/RegisterForm';
@@ -38,6 +39,7 @@ function App() {
           <Route path="/otp" element={<Otp />} />
           <Route path="/login" element={<Login />} />
           <Route path="/chat" element={<ChatPage />} />
+          <Route path="/join/:code" element={<JoinGroupPage />} />
           <Route path="/profile" element={<ProfilePage />} />
           <Route path="/profile/:userId" element={<ProfilePage />} />
           <Route path="/change" element={<Password_change />} />
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery } from '@apollo/client';
+import moment from 'moment';
+import { MdCall, MdVideocam, MdCallMade, MdCallReceived, MdCallMissed } from 'react-icons/md';
+import { GET_CALL_HISTORY } from '../../graphql/mutations';
+import { formatDuration } from '../../utils/formatters';
+import socket from '../socket_io/Socket';
+
+const CALLS_PAGE_SIZE = 30;
+
+const FILTERS = [
+  { value: null, label: 'All' },
+  { value: 'missed', label: 'Missed' }
+];
+
+const STATUS_TEXT = {
+  answered: (call) => formatDuration(call.duration),
+  missed: (call) => (call.direction === 'incoming' ? 'Missed' : 'No answer'),
+  declined: () => 'Declined',
+  cancelled: () => 'Cancelled',
+  failed: () => 'Failed',
+  ringing: () => 'Ringing...'
+};
+
+const DirectionIcon = ({ call }) => {
+  if (call.direction === 'incoming' && call.status === 'missed') {
+    return <MdCallMissed className="flex-shrink-0 text-red-500" title="Missed" />;
+  }
+  return call.direction === 'incoming'
+    ? <MdCallReceived className="flex-shrink-0 text-green-600" title="Incoming" />
+    : <MdCallMade className="flex-shrink-0 text-gray-500" title="Outgoing" />;
+};
+
+// "Calls" tab of the chat sidebar: 1:1 calls newest first, with call-back buttons
+const CallHistory = ({ onCall }) => {
+  const [status, setStatus] = useState(null);
+  const [older, setOlder] = useState([]);
+  const [olderPageInfo, setOlderPageInfo] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+
+  const { data, loading, error, fetchMore, refetch } = useQuery(GET_CALL_HISTORY, {
+    variables: { status, limit: CALLS_PAGE_SIZE },
+    fetchPolicy: 'network-only'
+  });
+
+  // Switching filter starts from the newest page again
+  useEffect(() => {
+    setOlder([]);
+    setOlderPageInfo(null);
+  }, [status]);
+
+  useEffect(() => {
+    const handleCallLogged = () => refetch();
+    socket.on('callLogged', handleCallLogged);
+    return () => socket.off('callLogged', handleCallLogged);
+  }, [refetch]);
+
+  const latest = data?.getCallHistory;
+  // Pages come back oldest first; the list reads newest first
+  const calls = [...older, ...(latest?.calls || [])].reverse();
+  const pageInfo = olderPageInfo || latest?.pageInfo;
+
+  const loadOlder = async () => {
+    if (!pageInfo?.hasPreviousPage || loadingOlder) return;
+    setLoadingOlder(true);
+    try {
+      const { data: more } = await fetchMore({
+        variables: { status, before: pageInfo.startCursor, limit: CALLS_PAGE_SIZE },
+        updateQuery: (prev) => prev
+      });
+      setOlder((prev) => [...(more?.getCallHistory?.calls || []), ...prev]);
+      setOlderPageInfo(more?.getCallHistory?.pageInfo || null);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex gap-2 px-4 pt-3">
+        {FILTERS.map((filter) => (
+          <button
+            key={filter.label}
+            type="button"
+            onClick={() => setStatus(filter.value)}
+            className={`px-3 py-1 rounded-full text-xs font-semibold ${status === filter.value ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      {loading && !latest ? (
+        <p className="text-sm text-gray-400 p-8 text-center">Loading calls...</p>
+      ) : error ? (
+        <p className="text-sm text-red-500 p-8 text-center">{error.message}</p>
+      ) : calls.length === 0 ? (
+        <p className="text-sm text-gray-400 p-8 text-center">{status === 'missed' ? 'No missed calls' : 'No calls yet'}</p>
+      ) : (
+        <ul className="divide-y">
+          {calls.map((call) => {
+            const describe = STATUS_TEXT[call.status];
+            const missed = call.direction === 'incoming' && call.status === 'missed';
+            return (
+              <li key={call.id} className="flex items-center gap-3 p-4">
+                <img
+                  src={call.peer.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(call.peer.name)}&background=8B5CF6&color=fff`}
+                  alt={call.peer.name}
+                  className="w-12 h-12 rounded-full object-cover ring-2 ring-purple-100"
+                />
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm font-semibold truncate ${missed ? 'text-red-600' : 'text-gray-900'}`}>{call.peer.name}</p>
+                  <p className="text-xs text-gray-500 flex items-center gap-1">
+                    <DirectionIcon call={call} />
+                    <span className="truncate">
+                      {call.callType === 'voice' ? 'Voice' : 'Video'} · {describe ? describe(call) : call.status} · {moment(call.startedAt).calendar()}
+                    </span>
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => onCall(call.peer, 'voice')}
+                  className="p-2 rounded-full hover:bg-gray-100 text-gray-600"
+                  title="Voice call"
+                >
+                  <MdCall size={20} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onCall(call.peer, 'video')}
+                  className="p-2 rounded-full hover:bg-gray-100 text-gray-600"
+                  title="Video call"
+                >
+                  <MdVideocam size={20} />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {pageInfo?.hasPreviousPage && (
+        <button type="button" onClick={loadOlder} disabled={loadingOlder} className="w-full my-2 text-xs text-purple-600 hover:underline disabled:opacity-50">
+          {loadingOlder ? 'Loading...' : 'Load older calls'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CallHistory;
@@ -1,5 +1,5 @@
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useLayoutEffect, useCallback } from 'react';
 import axios from 'axios';
 import {
   PhoneIcon,
@@ -14,8 +14,78 @@ import socket from "../socket_io/Socket";
 import moment from 'moment';
 import { useNavigate } from 'react-router-dom';
 import GroupChat from './GroupChat';
-import { useQuery } from '@apollo/client';
-import { GET_USER_GROUPS } from '../../graphql/mutations';
+import { useQuery, useMutation } from '@apollo/client';
+import { GET_USER_GROUPS, SEND_DIRECT_MEDIA_MESSAGE } from '../../graphql/mutations';
+import MessageMedia, { MediaLightbox } from './MessageMedia';
+import MessageReactions, { ReactionPicker } from './MessageReactions';
+import MessageSearch from './MessageSearch';
+import GroupMentions from './GroupMentions';
+import PinnedBanner from './PinnedBanner';
+import CallHistory from './CallHistory';
+import { ConversationSettingsModal, useConversationSettings } from './ConversationSettingsPanel';
+import { playNotificationSound } from '../../utils/notificationSound';
+import { MdNotificationsOff } from 'react-icons/md';
+import { parseTimestamp } from '../../utils/formatters';
+import { toast } from 'react-toastify';
+
+const STATUS_RANK = { sending: 0, sent: 1, delivered: 2, read: 3 };
+const MEDIA_PREVIEW_LABELS = {
+  image: '📷 Photo',
+  video: '🎥 Video',
+  audio: '🎤 Voice message',
+  file: '📄 File',
+};
+// Why a call we placed didn't connect, by the server's `reason`
+const CALL_DECLINED_TEXT = {
+  declined: 'declined the call',
+  busy: 'is on another call',
+  timeout: "didn't answer",
+  unavailable: 'is not available right now',
+  failed: "couldn't be called",
+};
+// Fields of the quoted message shown above a reply
+const REACTION_FIELDS = `
+  reactions {
+    emoji
+    count
+    users {
+      id
+      name
+    }
+  }
+`;
+const REPLY_TO_FIELDS = `
+  replyTo {
+    id
+    message
+    messageType
+    isDeleted
+    sender {
+      id
+    }
+  }
+`;
+const PINNED_MESSAGE_FIELDS = `
+  id
+  message
+  messageType
+  pinnedAt
+  sender {
+    id
+    name
+  }
+  receiver {
+    id
+  }
+`;
+// Safety cap when paging back through history to find a quoted message
+const MAX_JUMP_PAGES = 50;
+// Re-send "typing" at most this often; the server expires the indicator if it stops coming
+const TYPING_THROTTLE_MS = 2000;
+// Send "stopTyping" after this long without a keystroke
+const TYPING_IDLE_MS = 3000;
+// Must match DELETE_FOR_EVERYONE_WINDOW_MS on the server
+const DELETE_FOR_EVERYONE_WINDOW_MS = 60 * 60 * 1000;
 
 const ChatList = ({ activeTab, createdGroups }) => {
   const [users, setUsers] = useState([]);
@@ -28,13 +98,56 @@ const ChatList = ({ activeTab, createdGroups }) => {
   const [showAttachmentBar, setShowAttachmentBar] = useState(false);
   const attachmentBarRef = useRef(null);
   const photoInputRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [previewMedia, setPreviewMedia] = useState(null);
+  // Voice note recording
+  const [isRecording, setIsRecording] = useState(false);
+  const mediaRecorderRef = useRef(null);
+  const recordedChunksRef = useRef([]);
   const [hoveredMsgId, setHoveredMsgId] = useState(null);
   const [openMenuMsgId, setOpenMenuMsgId] = useState(null);
   const [replyToMsg, setReplyToMsg] = useState(null);
+  const [editingMsg, setEditingMsg] = useState(null);
+  const [reactionPickerMsgId, setReactionPickerMsgId] = useState(null);
   const [touchTimer, setTouchTimer] = useState(null);
   const [mobileMenuMsgId, setMobileMenuMsgId] = useState(null);
   const [headerMenuOpen, setHeaderMenuOpen] = useState(false);
+  const [showChatSettings, setShowChatSettings] = useState(false);
   const headerMenuRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  // Pagination state for the open conversation
+  const [pageInfo, setPageInfo] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const newestCursorRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  // Chat whose messages are on screen; a poll that comes back for another chat is dropped
+  const activeChatIdRef = useRef(null);
+  const getNewerMessagesRef = useRef(null);
+  const jumpToMessageRef = useRef(null);
+  const markConversationReadRef = useRef(null);
+  const getReadReceiptsSettingRef = useRef(null);
+  // Message to scroll to once it has been rendered, and the one currently highlighted
+  const pendingJumpRef = useRef(null);
+  const [highlightedMsgId, setHighlightedMsgId] = useState(null);
+  // Message search in the sidebar; a search result opened in a chat that still has to load
+  const [messageSearch, setMessageSearch] = useState('');
+  const [searchScope, setSearchScope] = useState(null);
+  const searchJumpRef = useRef(null);
+  const openGroupMessageRef = useRef(null);
+  const openDirectChatRef = useRef(null);
+  const applyPinUpdateRef = useRef(null);
+  const fetchPinnedMessagesRef = useRef(null);
+  const [pinnedMessages, setPinnedMessages] = useState([]);
+  const [groupFocusMsgId, setGroupFocusMsgId] = useState(null);
+  const [groupThreadId, setGroupThreadId] = useState(null);
+  // Stable, since GroupChat's jump-to-message and open-thread effects depend on them
+  const clearGroupFocus = useCallback(() => setGroupFocusMsgId(null), []);
+  const clearGroupThread = useCallback(() => setGroupThreadId(null), []);
+  // Peers currently typing to us, and our own outgoing typing state
+  const [typingUserIds, setTypingUserIds] = useState(() => new Set());
+  const typingStateRef = useRef({ peerId: null, lastSentAt: 0, idleTimer: null });
+  // Direct conversations keyed by peer id (last message, unread count)
+  const [conversations, setConversations] = useState({});
   const navigate = useNavigate();
 
   const sampleMessages = {
@@ -256,12 +369,155 @@ const updateUsersOnlineStatus = () => {
     };
   }, []);
 
+  const [readReceiptsEnabled, setReadReceiptsEnabled] = useState(true);
+
+  const postGraphQL = (query, variables) => axios.post(
+    "http://localhost:5000/graphql",
+    { query, variables },
+    {
+      headers: {
+        "Content-Type": "application/json",
+      },
+      withCredentials: true,
+    }
+  );
+
+  // Clears unread for this peer and sends read receipts (if both users allow them)
+  const markConversationRead = async (peerId) => {
+    if (!peerId) return;
+    setConversations(prev => (
+      prev[peerId] ? { ...prev, [peerId]: { ...prev[peerId], unreadCount: 0 } } : prev
+    ));
+    try {
+      await postGraphQL(`
+        mutation markConversationRead($peerId: ID!) {
+          markConversationRead(peerId: $peerId) {
+            id
+            unreadCount
+          }
+        }
+      `, { peerId });
+    } catch (error) {
+      console.error(error.response?.data?.errors?.[0]?.message || "Unknown error");
+    }
+  };
+  markConversationReadRef.current = markConversationRead;
+
+  const getReadReceiptsSetting = async () => {
+    try {
+      const response = await postGraphQL(`
+        query {
+          getMe {
+            id
+            readReceipts
+          }
+        }
+      `);
+      const enabled = response?.data?.data?.getMe?.readReceipts;
+      setReadReceiptsEnabled(enabled !== false);
+    } catch (error) {
+      console.error(error.response?.data?.errors?.[0]?.message || "Unknown error");
+    }
+  };
+  getReadReceiptsSettingRef.current = getReadReceiptsSetting;
+
+  const toggleReadReceipts = async () => {
+    const enabled = !readReceiptsEnabled;
+    setReadReceiptsEnabled(enabled);
+    try {
+      await postGraphQL(`
+        mutation updateReadReceipts($enabled: Boolean!) {
+          updateReadReceipts(enabled: $enabled) {
+            id
+            readReceipts
+          }
+        }
+      `, { enabled });
+    } catch (error) {
+      setReadReceiptsEnabled(!enabled);
+      console.error(error.response?.data?.errors?.[0]?.message || "Unknown error");
+      alert("Failed to update read receipts. Please try again.");
+    }
+  };
+
+  useEffect(() => {
+    if (sender?.id) {
+      getReadReceiptsSettingRef.current();
+    }
+  }, [sender?.id]);
+
+  const getConversations = async () => {
+    try {
+      const query = `
+        query {
+          getConversations {
+            id
+            peer {
+              id
+            }
+            lastMessage {
+              id
+              message
+              messageType
+              isDeleted
+              sender {
+                id
+              }
+              createdAt
+            }
+            unreadCount
+            lastMessageAt
+          }
+        }
+      `;
+      const response = await axios.post(
+        "http://localhost:5000/graphql",
+        { query },
+        {
+          headers: {
+            "Content-Type": "application/json",
+          },
+          withCredentials: true,
+        }
+      );
+      const fetchedConversations = response?.data?.data?.getConversations || [];
+      setConversations(
+        Object.fromEntries(fetchedConversations.map(c => [c.peer.id, c]))
+      );
+    } catch (error) {
+      console.error(error.response?.data?.errors?.[0]?.message || "Unknown error");
+    }
+  };
+
+  useEffect(() => {
+    if (sender?.id) {
+      getConversations();
+    }
+  }, [sender?.id]);
+
+  // Server pushes the updated conversation to both participants' rooms
+  useEffect(() => {
+    const handleConversationUpdated = (conversation) => {
+      const peerId = conversation?.peer?.id || conversation?.peer?._id;
+      if (!peerId) return;
+      setConversations(prev => ({ ...prev, [peerId.toString()]: conversation }));
+    };
+
+    socket.on("conversationUpdated", handleConversationUpdated);
+    return () => {
+      socket.off("conversationUpdated", handleConversationUpdated);
+    };
+  }, []);
+
   // Apollo query for groups
   const { data: groupsData, loading: groupsLoading, refetch: refetchGroups } = useQuery(GET_USER_GROUPS, {
     variables: { userId: sender?.id },
     skip: !sender?.id
   });
 
+  // Mute, archive and notification preferences for every chat
+  const settingsFor = useConversationSettings();
+
   // When a new group is created, refetch groups from backend
   useEffect(() => {
     if (activeTab === 'groups' && sender?.id) {
@@ -269,7 +525,164 @@ const updateUsersOnlineStatus = () => {
     }
   }, [createdGroups, activeTab, sender?.id, refetchGroups]);
 
+  // Join requests for private groups: admins hear about new ones, requesters about the decision
+  useEffect(() => {
+    const handleJoinRequest = ({ groupName, request }) => {
+      toast.info(`${request?.user?.name || 'Someone'} asked to join ${groupName}`);
+    };
+    const handleJoinRequestReviewed = ({ groupName, status, userId }) => {
+      // Admins get this event too; only the requester is told the outcome
+      if (userId !== sender?.id) return;
+      if (status === 'approved') {
+        refetchGroups && refetchGroups();
+        toast.success(`You joined ${groupName}`);
+      } else {
+        toast.info(`Your request to join ${groupName} was declined`);
+      }
+    };
+
+    socket.on("groupJoinRequest", handleJoinRequest);
+    socket.on("groupJoinRequestReviewed", handleJoinRequestReviewed);
+    return () => {
+      socket.off("groupJoinRequest", handleJoinRequest);
+      socket.off("groupJoinRequestReviewed", handleJoinRequestReviewed);
+    };
+  }, [sender?.id, refetchGroups]);
+
+  // Someone tagged us in a group, replied in a thread we follow or started a call; shown even for a group we aren't looking at
+  useEffect(() => {
+    const handleGroupMention = ({ groupId, groupName, messageId, threadRoot, sender: from, mentionsAll }) => {
+      if (selectedChat?.isGroup && selectedChat.id === groupId) return;
+      toast.info(
+        `${from?.name || 'Someone'} mentioned ${mentionsAll ? 'everyone' : 'you'} in ${groupName}`,
+        { onClick: () => openGroupMessageRef.current?.({ _id: groupId, name: groupName }, messageId, threadRoot) }
+      );
+    };
+
+    // A new reply in a thread we follow
+    const handleThreadNotification = ({ groupId, groupName, rootId, messageId, sender: from }) => {
+      if (selectedChat?.isGroup && selectedChat.id === groupId) return;
+      toast.info(
+        `${from?.name || 'Someone'} replied to a thread in ${groupName}`,
+        { onClick: () => openGroupMessageRef.current?.({ _id: groupId, name: groupName }, messageId, rootId) }
+      );
+    };
+
+    // Someone started a call in one of our groups; the open group shows its own banner
+    const handleGroupCallStarted = ({ groupId, groupName, callerName, callType, roomId }) => {
+      if (selectedChat?.isGroup && selectedChat.id === groupId) return;
+      toast.info(
+        `${callerName || 'Someone'} started a ${callType} call in ${groupName}. Click to join.`,
+        { onClick: () => navigate(`/video-call?roomID=${encodeURIComponent(roomId)}&groupId=${groupId}&callType=${callType}`) }
+      );
+    };
+
+    socket.on("groupMention", handleGroupMention);
+    socket.on("threadNotification", handleThreadNotification);
+    socket.on("groupCallStarted", handleGroupCallStarted);
+    return () => {
+      socket.off("groupMention", handleGroupMention);
+      socket.off("threadNotification", handleThreadNotification);
+      socket.off("groupCallStarted", handleGroupCallStarted);
+    };
+  }, [selectedChat?.id, selectedChat?.isGroup, navigate]);
+
+  // New message in a chat we aren't looking at. The server leaves out muted chats and
+  // blanks the body when previews are hidden.
+  useEffect(() => {
+    const handleChatNotification = ({ chatType, chatId, messageId, title, body, sound }) => {
+      if (selectedChat?.id === chatId) return;
+      const isGroup = chatType === 'group';
+      const fallback = isGroup ? `New message in ${title}` : `New message from ${title}`;
+      toast.info(body ? `${title}: ${body}` : fallback, {
+        onClick: () => (isGroup
+          ? openGroupMessageRef.current?.({ _id: chatId, name: title }, messageId)
+          : openDirectChatRef.current?.(chatId))
+      });
+      playNotificationSound(sound);
+    };
+
+    socket.on("chatNotification", handleChatNotification);
+    return () => socket.off("chatNotification", handleChatNotification);
+  }, [selectedChat?.id]);
+
   let receiverId = selectedChat?.id;
+  const MESSAGES_PAGE_SIZE = 30;
+
+  const fetchMessagesPage = async ({ before, after } = {}) => {
+    const query = `
+      query getMessages($senderId: ID!, $receiverId: ID!, $before: String, $after: String, $limit: Int) {
+        getMessages(senderId: $senderId, receiverId: $receiverId, before: $before, after: $after, limit: $limit) {
+          messages {
+            id
+            message
+            sender {
+              id
+            }
+            receiver {
+              id
+            }
+            messageType
+            media {
+              url
+              type
+              filename
+              size
+              duration
+            }
+            ${REPLY_TO_FIELDS}
+            ${REACTION_FIELDS}
+            status
+            isEdited
+            isDeleted
+            pinnedAt
+            createdAt
+          }
+          pageInfo {
+            startCursor
+            endCursor
+            hasPreviousPage
+            hasNextPage
+          }
+        }
+      }
+    `;
+    const variables = {
+      senderId: sender?.id,
+      receiverId,
+      before,
+      after,
+      limit: MESSAGES_PAGE_SIZE,
+    };
+
+    const response = await axios.post(
+      "http://localhost:5000/graphql",
+      { query, variables },
+      {
+        headers: {
+          "Content-Type": "application/json",
+        },
+        withCredentials: true,
+      }
+    );
+    return response?.data?.data?.getMessages;
+  };
+
+  // Merge a page into the current list, skipping messages we already have
+  const mergeMessages = (prev, incoming, position) => {
+    const existingIds = new Set(prev.map(msg => msg.id));
+    const fresh = incoming.filter(msg => !existingIds.has(msg.id));
+    return position === 'start' ? [...fresh, ...prev] : [...prev, ...fresh];
+  };
+
+  const scrollMessagesToBottom = () => {
+    const container = messagesContainerRef.current;
+    if (container) {
+      container.scrollTop = container.scrollHeight;
+    }
+  };
+
+  // Loads the newest page of the selected conversation
   const getChat = async () => {
     if (!sender?.id || !selectedChat?.id) {
       alert("Sender ya Receiver select nahi hua");
@@ -277,40 +690,201 @@ const updateUsersOnlineStatus = () => {
     }
 
     try {
-      const query = `
-      query {
-        getMessages(senderId: "${sender?.id}", receiverId: "${receiverId}") {
-        id
-      message
-      sender {
-        id
+      const page = await fetchMessagesPage();
+      if (!page) return;
+      setMessages(page.messages);
+      setPageInfo(page.pageInfo);
+      newestCursorRef.current = page.pageInfo.endCursor;
+      if (!searchJumpRef.current) {
+        setTimeout(scrollMessagesToBottom, 50);
       }
-      receiver {
-        id
+    } catch (error) {
+      console.error(error.response?.data?.errors?.[0]?.message || "Unknown error");
+    }
+  };
+
+  // Polls for messages newer than the last one we loaded
+  const getNewerMessages = async () => {
+    const chatId = selectedChat?.id;
+    // Nothing to poll until getChat has loaded the first page
+    if (!sender?.id || !chatId || !pageInfo) return;
+
+    try {
+      // An empty conversation has no cursor yet, so its newest page is what's new
+      const cursor = newestCursorRef.current;
+      const page = await fetchMessagesPage(cursor ? { after: cursor } : {});
+      if (activeChatIdRef.current !== chatId) return;
+      if (!page || page.messages.length === 0) return;
+      setMessages(prev => mergeMessages(prev, page.messages, 'end'));
+      newestCursorRef.current = page.pageInfo.endCursor || cursor;
+      if (page.messages.some(msg => msg.sender.id === chatId && msg.status !== 'read')) {
+        markConversationRead(chatId);
       }
-      createdAt
-        }
+    } catch (error) {
+      console.error(error.response?.data?.errors?.[0]?.message || "Unknown error");
+    }
+  };
+  getNewerMessagesRef.current = getNewerMessages;
+
+  // "Load older messages": prepend the previous page and keep the viewport anchored
+  const loadOlderMessages = async () => {
+    if (loadingOlder || !pageInfo?.hasPreviousPage || !pageInfo?.startCursor) return;
+
+    setLoadingOlder(true);
+    try {
+      const page = await fetchMessagesPage({ before: pageInfo.startCursor });
+      if (!page) return;
+      const container = messagesContainerRef.current;
+      if (container) {
+        scrollAnchorRef.current = {
+          scrollHeight: container.scrollHeight,
+          scrollTop: container.scrollTop
+        };
       }
-    `;
+      setMessages(prev => mergeMessages(prev, page.messages, 'start'));
+      setPageInfo(prev => ({
+        ...prev,
+        startCursor: page.pageInfo.startCursor || prev.startCursor,
+        hasPreviousPage: page.pageInfo.hasPreviousPage
+      }));
+    } catch (error) {
+      console.error(error.response?.data?.errors?.[0]?.message || "Unknown error");
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
 
-      const response = await axios.post(
-        "http://localhost:5000/graphql",
-        { query },
-        {
-          headers: {
-            "Content-Type": "application/json",
-          },
-          withCredentials: true,
-        }
-      );
-      setMessages(response?.data?.data?.getMessages);
+  // Restore the scroll position after older messages are prepended
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current;
+    const container = messagesContainerRef.current;
+    if (anchor && container) {
+      container.scrollTop = container.scrollHeight - anchor.scrollHeight + anchor.scrollTop;
+      scrollAnchorRef.current = null;
+    }
+  }, [messages]);
+
+  // Scroll to a quoted message, paging in older history first if it isn't loaded yet
+  const jumpToMessage = async (messageId) => {
+    if (!messageId) return;
+    if (messages.some(m => m.id === messageId)) {
+      pendingJumpRef.current = messageId;
+      setMessages(prev => [...prev]);
+      return;
+    }
+
+    let cursor = pageInfo?.startCursor;
+    let hasMore = pageInfo?.hasPreviousPage;
+    let older = [];
+    setLoadingOlder(true);
+    try {
+      for (let page = 0; hasMore && cursor && page < MAX_JUMP_PAGES; page++) {
+        const result = await fetchMessagesPage({ before: cursor });
+        if (!result) break;
+        older = [...result.messages, ...older];
+        cursor = result.pageInfo.startCursor || cursor;
+        hasMore = result.pageInfo.hasPreviousPage;
+        if (result.messages.some(m => m.id === messageId)) break;
+      }
     } catch (error) {
       console.error(error.response?.data?.errors?.[0]?.message || "Unknown error");
+    } finally {
+      setLoadingOlder(false);
+    }
+
+    if (!older.some(m => m.id === messageId)) {
+      alert("The original message is no longer available.");
+    } else {
+      pendingJumpRef.current = messageId;
+    }
+    if (older.length > 0) {
+      setMessages(prev => mergeMessages(prev, older, 'start'));
+      setPageInfo(prev => ({ ...prev, startCursor: cursor, hasPreviousPage: hasMore }));
     }
   };
+  jumpToMessageRef.current = jumpToMessage;
+
+  // Finish a jump once the target message is on screen, then fade the highlight
+  useEffect(() => {
+    const messageId = pendingJumpRef.current;
+    if (!messageId) return;
+    const element = document.getElementById(`message-${messageId}`);
+    if (!element) return;
+
+    pendingJumpRef.current = null;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setHighlightedMsgId(messageId);
+    const timer = setTimeout(() => setHighlightedMsgId(null), 2000);
+    return () => clearTimeout(timer);
+  }, [messages]);
 
+  // A search result was opened before its conversation loaded: jump once the first page is in
   useEffect(() => {
+    const messageId = searchJumpRef.current;
+    if (!messageId || !pageInfo) return;
+    searchJumpRef.current = null;
+    jumpToMessageRef.current(messageId);
+  }, [pageInfo]);
+
+  // Open a group chat scrolled to one of its messages; thread replies open their thread on top of the root
+  const openGroupMessage = (groupRef, messageId, threadRoot) => {
+    const group = (groupsData?.getUserGroups || []).find(g => g._id === groupRef._id) || groupRef;
+    setGroupFocusMsgId(threadRoot || messageId);
+    setGroupThreadId(threadRoot || null);
+    setSelectedChat({ ...group, id: group._id, isGroup: true, profileImage: group.groupImage });
+  };
+
+  // The mention toast outlives the render it was created in
+  openGroupMessageRef.current = openGroupMessage;
+  openDirectChatRef.current = (peerId) => {
+    const user = (Array.isArray(users) ? users : []).find(u => u.id === peerId);
+    if (user) handleChatSelect(user);
+  };
+
+  const openSearchResult = (result) => {
+    if (result.kind === 'group') {
+      openGroupMessage(result.group, result.id, result.threadRoot);
+      return;
+    }
+
+    if (selectedChat?.id === result.peer.id) {
+      jumpToMessage(result.id);
+      return;
+    }
+    searchJumpRef.current = result.id;
+    const user = (Array.isArray(users) ? users : []).find(u => u.id === result.peer.id) || result.peer;
+    handleChatSelect(user);
+  };
+
+  const openChatSettings = () => {
+    setShowChatSettings(true);
+    setHeaderMenuOpen(false);
+  };
+
+  const searchInChat = () => {
+    const conversationId = conversations[selectedChat?.id]?.id;
+    if (!conversationId) {
+      alert("There are no messages to search in this chat yet.");
+      return;
+    }
+    setSearchScope({ conversationId, name: selectedChat.name });
+    setHeaderMenuOpen(false);
+  };
+
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < 40) {
+      loadOlderMessages();
+    }
+  };
+
+  useEffect(() => {
+    activeChatIdRef.current = receiverId;
     if (sender?.id && receiverId) {
+      setMessages([]);
+      setPageInfo(null);
+      setEditingMsg(null);
+      setReactionPickerMsgId(null);
+      newestCursorRef.current = null;
       getChat();
     }
   }, [sender, receiverId]);
@@ -321,10 +895,70 @@ const updateUsersOnlineStatus = () => {
     }
   }, [sender?.id]);
 
+  // Peer typing indicators, independent of which chat is open
+  useEffect(() => {
+    const setTyping = (userId, isTyping) => {
+      setTypingUserIds(prev => {
+        if (prev.has(userId) === isTyping) return prev;
+        const next = new Set(prev);
+        if (isTyping) next.add(userId); else next.delete(userId);
+        return next;
+      });
+    };
+    const handleTyping = ({ userId }) => setTyping(userId, true);
+    const handleStopTyping = ({ userId }) => setTyping(userId, false);
+    // A message arriving means the peer has finished typing it
+    const handleMessageArrived = (msg) => msg?.sender?.id && setTyping(msg.sender.id, false);
+
+    socket.on("typing", handleTyping);
+    socket.on("stopTyping", handleStopTyping);
+    socket.on("receiveMessage", handleMessageArrived);
+    return () => {
+      socket.off("typing", handleTyping);
+      socket.off("stopTyping", handleStopTyping);
+      socket.off("receiveMessage", handleMessageArrived);
+    };
+  }, []);
+
+  const stopTyping = () => {
+    const state = typingStateRef.current;
+    clearTimeout(state.idleTimer);
+    if (state.peerId) {
+      socket.sendStopTyping(state.peerId);
+    }
+    typingStateRef.current = { peerId: null, lastSentAt: 0, idleTimer: null };
+  };
+
+  // Called on every keystroke in the composer
+  const notifyTyping = () => {
+    const peerId = selectedChat?.id;
+    if (!peerId || selectedChat?.isGroup) return;
+
+    const state = typingStateRef.current;
+    if (state.peerId && state.peerId !== peerId) {
+      stopTyping();
+    }
+    const now = Date.now();
+    const current = typingStateRef.current;
+    if (now - current.lastSentAt > TYPING_THROTTLE_MS) {
+      socket.sendTyping(peerId);
+      current.lastSentAt = now;
+    }
+    current.peerId = peerId;
+    clearTimeout(current.idleTimer);
+    current.idleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  // Leaving a chat ends any typing indicator we started in it
+  useEffect(() => stopTyping, [receiverId]);
+
   const handleChatSelect = (user) => {
     try {
       setIsAnimating(true);
       setSelectedChat(user);
+      if (!user.isGroup) {
+        markConversationRead(user.id);
+      }
       setTimeout(() => setIsAnimating(false), 300);
     } catch (error) {
       console.error("Error selecting chat:", error);
@@ -337,20 +971,23 @@ const updateUsersOnlineStatus = () => {
       alert("Sender ya Receiver select nahi hua");
       return;
     }
+    if (editingMsg) {
+      saveEdit();
+      return;
+    }
     try {
-      let finalMessage = text;
-      let replyMeta = null;
-      if (replyToMsg) {
-        // Prepend quoted text for UI
-        finalMessage = `> ${replyToMsg.message}\n${text}`;
-        replyMeta = { replyToId: replyToMsg.id, replyToText: replyToMsg.message };
-      }
-      
+      const finalMessage = text;
+      const replyTo = replyToMsg;
+
+      stopTyping();
+
       // Create a temporary message to display immediately
       const tempMessage = {
         id: `temp-${Date.now()}`,
         message: finalMessage,
+        replyTo,
         createdAt: Date.now().toString(),
+        status: 'sending',
         sender: {
           id: sender.id,
           name: sender.name
@@ -365,12 +1002,7 @@ const updateUsersOnlineStatus = () => {
       setMessages(prev => [...prev, tempMessage]);
       
       // Scroll to bottom to show the new message
-      setTimeout(() => {
-        const chatContainer = document.querySelector('.overflow-y-auto');
-        if (chatContainer) {
-          chatContainer.scrollTop = chatContainer.scrollHeight;
-        }
-      }, 50);
+      setTimeout(scrollMessagesToBottom, 50);
       
       // Clear input after send
       setText("");
@@ -378,10 +1010,13 @@ const updateUsersOnlineStatus = () => {
       
       // Now send the message to the server
       const query = `
-    mutation sendMessage($senderId: ID!, $receiverId: ID!, $message: String!) {
-    sendMessage(senderId: $senderId, receiverId: $receiverId, message: $message) {
+    mutation sendMessage($senderId: ID!, $receiverId: ID!, $message: String!, $replyTo: ID) {
+    sendMessage(senderId: $senderId, receiverId: $receiverId, message: $message, replyTo: $replyTo) {
       id
       message
+      ${REPLY_TO_FIELDS}
+      ${REACTION_FIELDS}
+      status
       createdAt
       sender {
         id
@@ -397,6 +1032,7 @@ const updateUsersOnlineStatus = () => {
         senderId: sender?.id,
         receiverId: selectedChat?.id,
         message: finalMessage,
+        replyTo: replyTo?.id,
       }
       const response = await axios.post(
         "http://localhost:5000/graphql",
@@ -424,42 +1060,297 @@ const updateUsersOnlineStatus = () => {
     }
   }
   
-  // Function to delete a message
-  const deleteMessage = async (messageId) => {
+  const [sendDirectMediaMessage] = useMutation(SEND_DIRECT_MEDIA_MESSAGE);
+
+  const messageTypeForFile = (file) => {
+    if (file.type.startsWith('image/')) return 'image';
+    if (file.type.startsWith('video/')) return 'video';
+    if (file.type.startsWith('audio/')) return 'audio';
+    return 'file';
+  };
+
+  // Upload an attachment (with the typed text as caption) and show it optimistically
+  const sendAttachment = async (file) => {
+    if (!file || !sender?.id || !selectedChat?.id) return;
+    setShowAttachmentBar(false);
+    stopTyping();
+
+    const caption = text.trim();
+    const replyTo = replyToMsg;
+    const localUrl = URL.createObjectURL(file);
+    const tempMessage = {
+      id: `temp-${Date.now()}`,
+      message: caption,
+      replyTo,
+      messageType: messageTypeForFile(file),
+      media: { url: localUrl, type: file.type, filename: file.name, size: file.size },
+      createdAt: Date.now().toString(),
+      status: 'sending',
+      sender: { id: sender.id, name: sender.name },
+      receiver: { id: selectedChat.id, name: selectedChat.name }
+    };
+    setMessages(prev => [...prev, tempMessage]);
+    setText("");
+    setReplyToMsg(null);
+    setTimeout(scrollMessagesToBottom, 50);
+
+    try {
+      const { data } = await sendDirectMediaMessage({
+        variables: {
+          senderId: sender.id,
+          receiverId: selectedChat.id,
+          message: caption,
+          file,
+          replyTo: replyTo?.id
+        }
+      });
+      const realMessage = data?.sendMessage;
+      setMessages(prev => prev.map(msg => (msg.id === tempMessage.id && realMessage ? realMessage : msg)));
+    } catch (error) {
+      console.error("Error sending attachment:", error);
+      setMessages(prev => prev.filter(msg => msg.id !== tempMessage.id));
+      alert("Failed to send attachment. Please try again.");
+    } finally {
+      URL.revokeObjectURL(localUrl);
+    }
+  };
+
+  const handleFileSelected = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    sendAttachment(file);
+  };
+
+  // Mic button: first click starts recording, second click stops and sends the voice note
+  const toggleVoiceRecording = async () => {
+    if (isRecording) {
+      mediaRecorderRef.current?.stop();
+      setIsRecording(false);
+      return;
+    }
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new MediaRecorder(stream);
+      recordedChunksRef.current = [];
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) recordedChunksRef.current.push(e.data);
+      };
+      recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        const blob = new Blob(recordedChunksRef.current, { type: recorder.mimeType || 'audio/webm' });
+        if (blob.size > 0) {
+          sendAttachment(new File([blob], `voice-note-${Date.now()}.webm`, { type: blob.type }));
+        }
+      };
+      mediaRecorderRef.current = recorder;
+      recorder.start();
+      setIsRecording(true);
+    } catch (error) {
+      console.error("Error starting voice recording:", error);
+      alert("Microphone access is required to record a voice message.");
+    }
+  };
+
+  // Split a stored message into its quoted line and body.
+  // Only older replies carry the quote inline; new ones use msg.replyTo.
+  const splitQuoted = (message = '') => {
+    if (message.startsWith('> ')) {
+      const split = message.split('\n');
+      return { quoted: split[0].replace('> ', ''), body: split.slice(1).join('\n') };
+    }
+    return { quoted: null, body: message };
+  };
+
+  const startEditing = (msg) => {
+    setEditingMsg(msg);
+    setReplyToMsg(null);
+    setText(splitQuoted(msg.message).body);
+  };
+
+  const cancelEditing = () => {
+    setEditingMsg(null);
+    setText("");
+  };
+
+  const saveEdit = async () => {
+    const msg = editingMsg;
+    if (!msg || !text.trim()) return;
+
+    // Keep the quoted line of a reply intact
+    const { quoted } = splitQuoted(msg.message);
+    const newText = quoted !== null ? `> ${quoted}\n${text}` : text;
+    setEditingMsg(null);
+    setText("");
+
+    try {
+      const response = await postGraphQL(`
+        mutation editMessage($messageId: ID!, $message: String!) {
+          editMessage(messageId: $messageId, message: $message) {
+            id
+            message
+            isEdited
+            editedAt
+          }
+        }
+      `, { messageId: msg.id, message: newText });
+
+      const errorMessage = response?.data?.errors?.[0]?.message;
+      if (errorMessage) throw new Error(errorMessage);
+
+      const edited = response?.data?.data?.editMessage;
+      if (edited) {
+        setMessages(prev => prev.map(m => (m.id === edited.id ? { ...m, ...edited } : m)));
+      }
+    } catch (error) {
+      console.error("Error editing message:", error);
+      alert(error.message || "Failed to edit message. Please try again.");
+    }
+  };
+
+  const canDeleteForEveryone = (msg) => {
+    const createdAt = parseTimestamp(msg.createdAt);
+    return msg?.sender?.id === sender?.id &&
+      !msg.isDeleted &&
+      !String(msg.id).startsWith('temp-') &&
+      createdAt && Date.now() - createdAt.getTime() <= DELETE_FOR_EVERYONE_WINDOW_MS;
+  };
+
+  // Function to delete a message ("FOR_ME" hides it for us, "FOR_EVERYONE" leaves a tombstone)
+  const deleteMessage = async (messageId, scope = 'FOR_ME') => {
     try {
       const query = `
-        mutation deleteMessage($messageId: ID!) {
-          deleteMessage(messageId: $messageId)
+        mutation deleteMessage($messageId: ID!, $scope: DeleteScope) {
+          deleteMessage(messageId: $messageId, scope: $scope)
         }
       `;
       
       const variables = {
-        messageId: messageId
+        messageId: messageId,
+        scope
       };
       
-      const response = await axios.post(
-        "http://localhost:5000/graphql",
-        { query, variables },
-        {
-          headers: {
-            "Content-Type": "application/json",
-          },
-          withCredentials: true,
-        }
-      );
+      const response = await postGraphQL(query, variables);
+      const errorMessage = response?.data?.errors?.[0]?.message;
+      if (errorMessage) throw new Error(errorMessage);
       
       // Close any open menus
       setOpenMenuMsgId(null);
       setMobileMenuMsgId(null);
       
-      // The socket event will handle removing the message from the UI
-      console.log("Message deleted:", messageId);
+      // The socket event will handle updating the message in the UI
+      console.log("Message deleted:", messageId, scope);
     } catch (error) {
       console.error("Error deleting message:", error);
-      alert("Failed to delete message. Please try again.");
+      alert(error.message || "Failed to delete message. Please try again.");
     }
   }
 
+  // Add or remove the current user's reaction; the messageReaction socket event syncs both sides
+  const toggleReaction = async (messageId, emoji, reactedByMe) => {
+    const mutation = reactedByMe ? 'removeReaction' : 'addReaction';
+    try {
+      const response = await postGraphQL(`
+        mutation ${mutation}($messageId: ID!, $emoji: String!) {
+          ${mutation}(messageId: $messageId, emoji: $emoji) {
+            id
+            ${REACTION_FIELDS}
+          }
+        }
+      `, { messageId, emoji });
+      const errorMessage = response?.data?.errors?.[0]?.message;
+      if (errorMessage) throw new Error(errorMessage);
+
+      const updated = response?.data?.data?.[mutation];
+      if (updated) {
+        setMessages(prev => prev.map(msg => (msg.id === updated.id ? { ...msg, reactions: updated.reactions } : msg)));
+      }
+    } catch (error) {
+      console.error("Error updating reaction:", error);
+    }
+  };
+
+  const hasReacted = (msg, emoji) =>
+    (msg.reactions || []).some(r => r.emoji === emoji && (r.users || []).some(u => u.id === sender?.id));
+
+  // Pins are shared by both participants; the messagePinned socket event keeps the banner in sync
+  const togglePin = async (msg) => {
+    const mutation = msg.pinnedAt ? 'unpinMessage' : 'pinMessage';
+    try {
+      const response = await postGraphQL(`
+        mutation ${mutation}($messageId: ID!) {
+          ${mutation}(messageId: $messageId) {
+            ${PINNED_MESSAGE_FIELDS}
+          }
+        }
+      `, { messageId: msg.id });
+      const errorMessage = response?.data?.errors?.[0]?.message;
+      if (errorMessage) throw new Error(errorMessage);
+      applyPinUpdate(response?.data?.data?.[mutation]);
+    } catch (error) {
+      console.error("Error updating pin:", error);
+      alert(error.message || "Failed to update pin. Please try again.");
+    }
+  };
+
+  const fetchPinnedMessages = async (peerId) => {
+    try {
+      const response = await postGraphQL(`
+        query getPinnedMessages($peerId: ID!) {
+          getPinnedMessages(peerId: $peerId) {
+            ${PINNED_MESSAGE_FIELDS}
+          }
+        }
+      `, { peerId });
+      setPinnedMessages(response?.data?.data?.getPinnedMessages || []);
+    } catch (error) {
+      console.error(error.response?.data?.errors?.[0]?.message || "Unknown error");
+    }
+  };
+  fetchPinnedMessagesRef.current = fetchPinnedMessages;
+
+  const applyPinUpdate = (updated) => {
+    if (!updated) return;
+    setMessages(prev => prev.map(msg => (msg.id === updated.id ? { ...msg, pinnedAt: updated.pinnedAt } : msg)));
+    setPinnedMessages(prev => {
+      const others = prev.filter(pin => pin.id !== updated.id);
+      return updated.pinnedAt ? [updated, ...others] : others;
+    });
+  };
+  applyPinUpdateRef.current = applyPinUpdate;
+
+  // Menu entries shared by the desktop dropdowns and the mobile long-press menu
+  const renderMessageActions = (msg, closeMenu) => {
+    const isOwn = msg?.sender?.id === sender?.id;
+    return (
+      <>
+        {!msg.isDeleted && !String(msg.id).startsWith('temp-') && (
+          <button className="px-4 py-2 text-left text-sm hover:bg-gray-100" type="button" onClick={() => { setReplyToMsg(msg); setEditingMsg(null); closeMenu(); }}>Reply</button>
+        )}
+        {!msg.isDeleted && !String(msg.id).startsWith('temp-') && (
+          <button className="px-4 py-2 text-left text-sm hover:bg-gray-100" type="button" onClick={() => { setReactionPickerMsgId(msg.id); closeMenu(); }}>React</button>
+        )}
+        {!msg.isDeleted && !String(msg.id).startsWith('temp-') && (
+          <button className="px-4 py-2 text-left text-sm hover:bg-gray-100" type="button" onClick={() => { togglePin(msg); closeMenu(); }}>{msg.pinnedAt ? 'Unpin' : 'Pin'}</button>
+        )}
+        {isOwn && !msg.isDeleted && !String(msg.id).startsWith('temp-') && (
+          <button className="px-4 py-2 text-left text-sm hover:bg-gray-100" type="button" onClick={() => { startEditing(msg); closeMenu(); }}>Edit</button>
+        )}
+        <button className="px-4 py-2 text-left text-sm hover:bg-gray-100 text-red-500" type="button" onClick={() => { deleteMessage(msg.id, 'FOR_ME'); closeMenu(); }}>Delete for me</button>
+        {canDeleteForEveryone(msg) && (
+          <button className="px-4 py-2 text-left text-sm hover:bg-gray-100 text-red-500" type="button" onClick={() => { deleteMessage(msg.id, 'FOR_EVERYONE'); closeMenu(); }}>Delete for everyone</button>
+        )}
+      </>
+    );
+  };
+
+  // Load the pinned banner for the open direct chat
+  useEffect(() => {
+    setPinnedMessages([]);
+    if (!selectedChat?.id || selectedChat.isGroup) return;
+    fetchPinnedMessagesRef.current?.(selectedChat.id);
+  }, [selectedChat?.id, selectedChat?.isGroup]);
+
   // Direct socket event handler
   useEffect(() => {
     if (!socket) return;
@@ -467,6 +1358,14 @@ const updateUsersOnlineStatus = () => {
     const handleIncomingMessage = (msg) => {
       console.log("Socket message received:", msg);
       
+      // Acknowledge delivery of messages addressed to us
+      if (msg.receiver.id === sender?.id) {
+        socket.emit("messageDelivered", { messageId: msg.id });
+        if (selectedChat && msg.sender.id === selectedChat.id) {
+          markConversationReadRef.current(selectedChat.id);
+        }
+      }
+
       // If we have a selected chat and the message is related to it, update the messages
       if (selectedChat && (
         msg.sender.id === selectedChat.id ||
@@ -506,12 +1405,7 @@ const updateUsersOnlineStatus = () => {
         });
         
         // Force refresh the UI to ensure the message appears
-        setTimeout(() => {
-          const chatContainer = document.querySelector('.overflow-y-auto');
-          if (chatContainer) {
-            chatContainer.scrollTop = chatContainer.scrollHeight;
-          }
-        }, 100);
+        setTimeout(scrollMessagesToBottom, 100);
       }
     };
 
@@ -519,20 +1413,66 @@ const updateUsersOnlineStatus = () => {
     const handleMessageDeleted = (deleteInfo) => {
       console.log("Socket message deleted event received:", deleteInfo);
       
-      // Remove the deleted message from our messages state
-      setMessages(prev => prev.filter(msg => msg.id !== deleteInfo.messageId));
+      setPinnedMessages(prev => prev.filter(pin => pin.id !== deleteInfo.messageId));
+      if (deleteInfo.scope === 'FOR_EVERYONE') {
+        // Replace the message with a tombstone
+        setMessages(prev => prev.map(msg => (
+          msg.id === deleteInfo.messageId ? { ...msg, message: '', isDeleted: true, isEdited: false, media: null, reactions: [] } : msg
+        )));
+      } else {
+        // Deleted for us only: remove it from our messages state
+        setMessages(prev => prev.filter(msg => msg.id !== deleteInfo.messageId));
+      }
+    };
+
+    const handleMessageEdited = (edited) => {
+      setMessages(prev => prev.map(msg => (
+        msg.id === edited.id
+          ? { ...msg, message: edited.message, isEdited: true, editedAt: edited.editedAt }
+          : msg
+      )));
+    };
+    
+    // Delivery / read receipts for messages we sent
+    const handleMessageStatusUpdated = ({ messageIds, status }) => {
+      const ids = new Set(messageIds);
+      setMessages(prev => prev.map(msg => (
+        ids.has(msg.id) && STATUS_RANK[status] > (STATUS_RANK[msg.status] || 0)
+          ? { ...msg, status }
+          : msg
+      )));
+    };
+    
+    const handleMessageReaction = ({ messageId, reactions }) => {
+      setMessages(prev => prev.map(msg => (msg.id === messageId ? { ...msg, reactions } : msg)));
+    };
+
+    // Group pins arrive on the same event name but carry a groupId
+    const handleMessagePinned = ({ groupId, message }) => {
+      if (groupId || !message) return;
+      const peerIds = [message.sender?.id, message.receiver?.id];
+      if (!peerIds.includes(selectedChat?.id)) return;
+      applyPinUpdateRef.current?.(message);
     };
     
     // Add socket event listeners
     socket.on("receiveMessage", handleIncomingMessage);
     socket.on("messageDeleted", handleMessageDeleted);
+    socket.on("messageEdited", handleMessageEdited);
+    socket.on("messageStatusUpdated", handleMessageStatusUpdated);
+    socket.on("messageReaction", handleMessageReaction);
+    socket.on("messagePinned", handleMessagePinned);
 
     // Cleanup on unmount
     return () => {
       socket.off("receiveMessage", handleIncomingMessage);
       socket.off("messageDeleted", handleMessageDeleted);
+      socket.off("messageEdited", handleMessageEdited);
+      socket.off("messageStatusUpdated", handleMessageStatusUpdated);
+      socket.off("messageReaction", handleMessageReaction);
+      socket.off("messagePinned", handleMessagePinned);
     };
-  }, [selectedChat]);
+  }, [selectedChat, sender?.id]);
   
   // Add a polling mechanism as a fallback
   useEffect(() => {
@@ -540,7 +1480,7 @@ const updateUsersOnlineStatus = () => {
     
     // Poll for new messages every 3 seconds
     const intervalId = setInterval(() => {
-      getChat();
+      getNewerMessagesRef.current();
     }, 3000);
     
     return () => clearInterval(intervalId);
@@ -601,89 +1541,185 @@ const updateUsersOnlineStatus = () => {
       console.error("Error setting up header menu click handler:", error);
     }
   }, [headerMenuOpen]);
-   const videocall = () => {
-     if (!selectedChat) {
-       alert('Please select a user to call');
-       return;
-     }
-
-     const decodedUser = GetTokenFromCookie();
-     const roomID = `room_${Date.now()}`;
-     const callerID = decodedUser?.id;
-     const calleeID = selectedChat.id;
-
-     console.log('📞 Initiating video call:', { callerID, calleeID, roomID });
-
-     // Send socket event to notify callee
-     socket.emit("call-user", {
-       calleeID,
-       roomID,
-       callerID,
-       callerName: decodedUser?.name,
-       callerImage: decodedUser?.profileImage
-     });
-
-     // Show calling status to caller
-     const callingToast = alert(`📞 Calling ${selectedChat.name || selectedChat.username}...\nWaiting for response...`);
-     
-     // Listen for call response
-     const handleCallAccepted = ({ roomID: acceptedRoomID, calleeID: acceptedCalleeID }) => {
-       if (acceptedRoomID === roomID) {
-         console.log('✅ Call accepted by callee');
-         socket.off('call-accepted', handleCallAccepted);
-         socket.off('call-declined', handleCallDeclined);
-         navigate(`/video-call?roomID=${roomID}&userID=${callerID}`);
-       }
-     };
-
-     const handleCallDeclined = ({ roomID: declinedRoomID }) => {
-       if (declinedRoomID === roomID) {
-         console.log('❌ Call declined by callee');
-         socket.off('call-accepted', handleCallAccepted);
-         socket.off('call-declined', handleCallDeclined);
-         alert(`❌ ${selectedChat.name || selectedChat.username} declined the call`);
-       }
-     };
-
-     // Set up listeners for call response
-     socket.on('call-accepted', handleCallAccepted);
-     socket.on('call-declined', handleCallDeclined);
-
-     // Auto cleanup after 30 seconds if no response
-     setTimeout(() => {
-       socket.off('call-accepted', handleCallAccepted);
-       socket.off('call-declined', handleCallDeclined);
-       console.log('⏰ Call timeout - no response');
-       alert(`⏰ ${selectedChat.name || selectedChat.username} didn't answer the call`);
-     }, 30000);
-   }
+  // Ring `peer` and go to the call screen once they pick up. Also used by the Calls tab to call back.
+  const startDirectCall = (peer, callType = 'video') => {
+    if (!peer) {
+      alert('Please select a user to call');
+      return;
+    }
+
+    const decodedUser = GetTokenFromCookie();
+    const roomID = `room_${Date.now()}`;
+    const callerID = decodedUser?.id;
+    const calleeID = peer.id;
+    const peerName = peer.name || peer.username;
+
+    console.log(`📞 Initiating ${callType} call:`, { callerID, calleeID, roomID });
+
+    // Send socket event to notify callee
+    socket.emit("call-user", {
+      calleeID,
+      roomID,
+      callerID,
+      callerName: decodedUser?.name,
+      callerImage: decodedUser?.profileImage,
+      callType
+    });
+
+    // Rings until the callee answers or the server tells us why not (it times the call out itself)
+    let callingToastId;
+    const stopListening = () => {
+      toast.dismiss(callingToastId);
+      socket.off('call-accepted', handleCallAccepted);
+      socket.off('call-declined', handleCallDeclined);
+    };
+    const handleCallAccepted = ({ roomID: acceptedRoomID }) => {
+      if (acceptedRoomID === roomID) {
+        console.log('✅ Call accepted by callee');
+        stopListening();
+        navigate(`/video-call?roomID=${roomID}&userID=${callerID}&callType=${callType}`);
+      }
+    };
+
+    const handleCallDeclined = ({ roomID: declinedRoomID, reason }) => {
+      if (declinedRoomID === roomID) {
+        console.log(`❌ Call not answered (${reason})`);
+        stopListening();
+        toast.info(`📞 ${peerName} ${CALL_DECLINED_TEXT[reason] || CALL_DECLINED_TEXT.declined}`);
+      }
+    };
+
+    const cancelCall = () => {
+      stopListening();
+      socket.emit('call-cancelled', { roomID });
+    };
+
+    // Set up listeners for call response
+    socket.on('call-accepted', handleCallAccepted);
+    socket.on('call-declined', handleCallDeclined);
+
+    // Show calling status to caller
+    callingToastId = toast.info(
+      <div className="flex items-center justify-between gap-3">
+        <span>📞 Calling {peerName}...</span>
+        <button type="button" onClick={cancelCall} className="px-3 py-1 rounded-full bg-red-500 text-white text-xs font-semibold">
+          Cancel
+        </button>
+      </div>,
+      { autoClose: false, closeOnClick: false, closeButton: false }
+    );
+  };
 
  
 
-  // Filter users for group or all chats based on activeTab
-  let displayedUsers = Array.isArray(users) ? users : [];
-  if (activeTab === 'groups') {
-    // Show backend groups, plus any new groups created in this session (not yet in backend response)
-    const backendGroups = (groupsData?.getUserGroups || []).map(g => ({
-      ...g,
-      id: g._id,
-      isGroup: true,
-      profileImage: g.groupImage // for compatibility
-    }));
-    // Add any createdGroups not present in backendGroups (by id)
-    const sessionGroups = (Array.isArray(createdGroups) ? createdGroups : []).filter(
-      cg => !backendGroups.some(bg => bg.id === cg.id)
+  // sending (clock) -> sent (✓) -> delivered (✓✓) -> read (blue ✓✓)
+  const renderTicks = (status) => {
+    if (status === 'sending') {
+      return <span className="ml-1 text-purple-200" title="Sending">🕓</span>;
+    }
+    const double = status === 'delivered' || status === 'read';
+    return (
+      <span
+        className={`ml-1 font-semibold tracking-tighter ${status === 'read' ? 'text-sky-300' : 'text-purple-200'}`}
+        title={status === 'read' ? 'Read' : double ? 'Delivered' : 'Sent'}
+      >
+        {double ? '✓✓' : '✓'}
+      </span>
     );
-    displayedUsers = [...backendGroups, ...sessionGroups];
+  };
+
+  // One-line preview of a conversation's last message
+  const previewText = (lastMessage) => {
+    if (lastMessage.isDeleted) return 'This message was deleted';
+    if (lastMessage.messageType === 'call') return `📞 ${lastMessage.message}`;
+    let body = lastMessage.message || MEDIA_PREVIEW_LABELS[lastMessage.messageType] || '';
+    if (body.startsWith('> ')) {
+      body = body.split('\n').slice(1).join(' ');
+    }
+    const senderId = lastMessage.sender?.id || lastMessage.sender?._id;
+    return senderId?.toString() === sender?.id ? `You: ${body}` : body;
+  };
+
+  // Quote block shown inside a reply bubble; clicking it jumps to the original
+  const renderReplyQuote = (replyTo, isSent) => {
+    const fromMe = replyTo.sender?.id === sender?.id;
+    const body = replyTo.isDeleted
+      ? '🚫 This message was deleted'
+      : splitQuoted(replyTo.message || '').body || MEDIA_PREVIEW_LABELS[replyTo.messageType] || '';
+    return (
+      <button
+        type="button"
+        onClick={() => jumpToMessage(replyTo.id)}
+        className={`block w-full text-left text-xs border-l-4 pl-2 mb-1 rounded ${isSent ? 'border-purple-300 text-purple-100 hover:bg-purple-500' : 'border-purple-400 text-gray-600 hover:bg-gray-200'}`}
+      >
+        <span className="block font-semibold">{fromMe ? 'You' : selectedChat?.name}</span>
+        <span className={`block truncate ${replyTo.isDeleted ? 'italic' : ''}`}>{body}</span>
+      </button>
+    );
+  };
+
+  const formatConversationTime = (value) => {
+    const date = parseTimestamp(value);
+    if (!date) return '';
+    return moment(date).isSame(moment(), 'day') ? moment(date).format('hh:mm A') : moment(date).format('DD/MM/YY');
+  };
+
+  const chatSettings = (chat) => settingsFor(chat.isGroup ? 'group' : 'direct', chat.id);
+
+  // Users we have talked to come first, most recent conversation on top
+  const lastActivity = (user) => parseTimestamp(conversations[user.id]?.lastMessageAt)?.getTime() || 0;
+  const directChats = [...(Array.isArray(users) ? users : [])].sort((a, b) => lastActivity(b) - lastActivity(a));
+  // Show backend groups, plus any new groups created in this session (not yet in backend response)
+  const backendGroups = (groupsData?.getUserGroups || []).map(g => ({
+    ...g,
+    id: g._id,
+    isGroup: true,
+    profileImage: g.groupImage // for compatibility
+  }));
+  // Add any createdGroups not present in backendGroups (by id)
+  const sessionGroups = (Array.isArray(createdGroups) ? createdGroups : []).filter(
+    cg => !backendGroups.some(bg => bg.id === cg.id)
+  );
+  const groupChats = [...backendGroups, ...sessionGroups];
+
+  // Archived chats only show up on their own tab
+  let displayedUsers;
+  if (activeTab === 'archived') {
+    displayedUsers = [...directChats, ...groupChats].filter(chat => chatSettings(chat).archived);
+  } else {
+    displayedUsers = (activeTab === 'groups' ? groupChats : directChats).filter(chat => !chatSettings(chat).archived);
   }
 
   return (
     <div className="flex flex-col md:flex-row h-full w-full">
+      <MediaLightbox item={previewMedia} onClose={() => setPreviewMedia(null)} />
+      {showChatSettings && selectedChat && !selectedChat.isGroup && (
+        <ConversationSettingsModal
+          chatType="direct"
+          chatId={selectedChat.id}
+          title={selectedChat.name}
+          onClose={() => setShowChatSettings(false)}
+        />
+      )}
       {/* Chat List */}
       <div className={`w-full md:w-1/3 bg-white rounded-2xl shadow-[0_8px_30px_rgb(0,0,0,0.12)] overflow-hidden transition-all duration-300 ease-in-out md:ml-8 ${selectedChat ? 'hidden md:block' : 'block'}`}>
         <div className="overflow-y-auto h-full custom-scrollbar">
-          {activeTab === 'groups' && displayedUsers.length === 0 ? (
+          <MessageSearch
+            query={messageSearch}
+            onQueryChange={setMessageSearch}
+            scope={searchScope}
+            onClearScope={() => setSearchScope(null)}
+            onOpenResult={openSearchResult}
+          />
+          {!messageSearch.trim() && activeTab === 'groups' && (
+            <GroupMentions onOpen={(mention) => openGroupMessage(mention.group, mention._id, mention.threadRoot)} />
+          )}
+          {messageSearch.trim() ? null : activeTab === 'calls' ? (
+            <CallHistory onCall={startDirectCall} />
+          ) : activeTab === 'groups' && displayedUsers.length === 0 ? (
             <div className="flex items-center justify-center h-full text-gray-400 text-sm p-8">There is no group chat</div>
+          ) : activeTab === 'archived' && displayedUsers.length === 0 ? (
+            <div className="flex items-center justify-center h-full text-gray-400 text-sm p-8">No archived chats</div>
           ) : (
             displayedUsers.map((user) => (
               <div
@@ -709,11 +1745,36 @@ const updateUsersOnlineStatus = () => {
                     <span className={`absolute -bottom-1 -right-1 w-3 h-3 rounded-full border-2 border-white ${onlineUsers.has(user.id) || user.isOnline === true ? 'bg-green-500 animate-pulse' : 'bg-gray-400'} transition-colors duration-300`}></span>
                   </div>
                   <div className="ml-3 flex-1 min-w-0">
-                    <h3 className="text-sm font-semibold text-gray-900 truncate">{user.name}</h3>
-                    <p className={`text-xs ${onlineUsers.has(user.id) || user.isOnline === true ? 'text-green-500' : 'text-gray-400'} truncate transition-colors duration-300 flex items-center`}>
-                      <span className={`inline-block w-2 h-2 rounded-full mr-1 ${onlineUsers.has(user.id) || user.isOnline === true ? 'bg-green-500 animate-pulse' : 'bg-gray-400'} transition-colors duration-300`}></span>
-                      {onlineUsers.has(user.id) || user.isOnline === true ? 'Online' : 'Offline'}
-                    </p>
+                    <div className="flex items-center justify-between">
+                      <h3 className="text-sm font-semibold text-gray-900 truncate flex items-center gap-1">
+                        {user.name}
+                        {chatSettings(user).isMuted && <MdNotificationsOff className="flex-shrink-0 text-gray-400" title="Muted" />}
+                      </h3>
+                      {!user.isGroup && conversations[user.id]?.lastMessageAt && (
+                        <span className={`ml-2 text-[10px] flex-shrink-0 ${conversations[user.id].unreadCount > 0 ? 'text-purple-600 font-semibold' : 'text-gray-400'}`}>
+                          {formatConversationTime(conversations[user.id].lastMessageAt)}
+                        </span>
+                      )}
+                    </div>
+                    {!user.isGroup && typingUserIds.has(user.id) ? (
+                      <p className="text-xs text-purple-600 italic truncate">typing...</p>
+                    ) : !user.isGroup && conversations[user.id]?.lastMessage ? (
+                      <div className="flex items-center justify-between">
+                        <p className={`text-xs truncate ${conversations[user.id].unreadCount > 0 ? 'text-gray-900 font-semibold' : 'text-gray-500'}`}>
+                          {previewText(conversations[user.id].lastMessage)}
+                        </p>
+                        {conversations[user.id].unreadCount > 0 && (
+                          <span className="ml-2 flex-shrink-0 min-w-[18px] h-[18px] px-1 rounded-full bg-purple-600 text-white text-[10px] font-semibold flex items-center justify-center">
+                            {conversations[user.id].unreadCount > 99 ? '99+' : conversations[user.id].unreadCount}
+                          </span>
+                        )}
+                      </div>
+                    ) : (
+                      <p className={`text-xs ${onlineUsers.has(user.id) || user.isOnline === true ? 'text-green-500' : 'text-gray-400'} truncate transition-colors duration-300 flex items-center`}>
+                        <span className={`inline-block w-2 h-2 rounded-full mr-1 ${onlineUsers.has(user.id) || user.isOnline === true ? 'bg-green-500 animate-pulse' : 'bg-gray-400'} transition-colors duration-300`}></span>
+                        {onlineUsers.has(user.id) || user.isOnline === true ? 'Online' : 'Offline'}
+                      </p>
+                    )}
                   </div>
                 </div>
               </div>
@@ -728,6 +1789,10 @@ const updateUsersOnlineStatus = () => {
               <GroupChat 
                 group={selectedChat} 
                 onBack={() => setSelectedChat(null)} 
+                focusMessageId={groupFocusMsgId}
+                onFocusHandled={clearGroupFocus}
+                openThreadId={groupThreadId}
+                onThreadOpened={clearGroupThread}
               />
             </div>
           ) : (
@@ -750,37 +1815,65 @@ const updateUsersOnlineStatus = () => {
                 />
                 <div className="ml-3">
                   <h2 className="text-lg font-semibold text-gray-900">{selectedChat.name}</h2>
-                  <p className={`text-xs flex items-center ${onlineUsers.has(selectedChat?.id) || selectedChat?.isOnline === true ? 'text-green-500' : 'text-gray-400'} transition-colors duration-300`}>
-                    <span className={`inline-block w-2 h-2 rounded-full mr-1 ${onlineUsers.has(selectedChat?.id) || selectedChat?.isOnline === true ? 'bg-green-500 animate-pulse' : 'bg-gray-400'} transition-colors duration-300`}></span>
-                    {onlineUsers.has(selectedChat?.id) || selectedChat?.isOnline === true ? 'Online' : 'Offline'}
-                  </p>
+                  {typingUserIds.has(selectedChat?.id) ? (
+                    <p className="text-xs text-purple-600 italic">typing...</p>
+                  ) : (
+                    <p className={`text-xs flex items-center ${onlineUsers.has(selectedChat?.id) || selectedChat?.isOnline === true ? 'text-green-500' : 'text-gray-400'} transition-colors duration-300`}>
+                      <span className={`inline-block w-2 h-2 rounded-full mr-1 ${onlineUsers.has(selectedChat?.id) || selectedChat?.isOnline === true ? 'bg-green-500 animate-pulse' : 'bg-gray-400'} transition-colors duration-300`}></span>
+                      {onlineUsers.has(selectedChat?.id) || selectedChat?.isOnline === true ? 'Online' : 'Offline'}
+                    </p>
+                  )}
                 </div>
               </div>
-              <div className="flex items-center space-x-2 mb-[80px] md:mb-0 relative">
-                <button className="p-2 hover:bg-gray-100 rounded-full"><PhoneIcon className="h-5 w-5 text-gray-600" /></button>
-                <button className="p-2 hover:bg-gray-100 rounded-full" onClick={videocall}><VideoCameraIcon className="h-5 w-5 text-gray-600" /></button>
-                <button className="p-2 hover:bg-gray-100 rounded-full" onClick={() => setHeaderMenuOpen((v) => !v)} ref={headerMenuRef}>
+              <div className="flex items-center space-x-2 mb-[80px] md:mb-0 relative" ref={headerMenuRef}>
+                <button className="p-2 hover:bg-gray-100 rounded-full" onClick={() => startDirectCall(selectedChat, 'voice')} title="Voice call"><PhoneIcon className="h-5 w-5 text-gray-600" /></button>
+                <button className="p-2 hover:bg-gray-100 rounded-full" onClick={() => startDirectCall(selectedChat, 'video')} title="Video call"><VideoCameraIcon className="h-5 w-5 text-gray-600" /></button>
+                <button className="p-2 hover:bg-gray-100 rounded-full" onClick={() => setHeaderMenuOpen((v) => !v)}>
                   <EllipsisVerticalIcon className="h-5 w-5 text-gray-600" />
                 </button>
                 {headerMenuOpen && (
-                  <div className="absolute right-0 top-10 z-50 bg-white border border-gray-200 rounded shadow-md py-1 w-32 flex flex-col animate-fadeIn">
+                  <div className="absolute right-0 top-10 z-50 bg-white border border-gray-200 rounded shadow-md py-1 w-44 flex flex-col animate-fadeIn">
+                    <button className="px-4 py-2 text-left text-sm hover:bg-gray-100" type="button" onClick={searchInChat}>
+                      Search in chat
+                    </button>
+                    <button className="px-4 py-2 text-left text-sm hover:bg-gray-100" type="button" onClick={toggleReadReceipts}>
+                      Read receipts: {readReceiptsEnabled ? 'On' : 'Off'}
+                    </button>
+                    <button className="px-4 py-2 text-left text-sm hover:bg-gray-100" type="button" onClick={openChatSettings}>
+                      {chatSettings(selectedChat).isMuted ? 'Notifications: Muted' : 'Notifications & archive'}
+                    </button>
                     <button className="px-4 py-2 text-left text-sm hover:bg-red-100 text-red-600 font-semibold" type="button">Block</button>
                   </div>
                 )}
               </div>
             </div>
+            <PinnedBanner
+              pins={pinnedMessages.map(pin => ({ id: pin.id, text: pin.message, senderName: pin.sender?.name }))}
+              onOpen={jumpToMessage}
+              onUnpin={(id) => togglePin({ id, pinnedAt: true })}
+            />
             {/* Messages */}
-            <div className="flex-1 overflow-y-auto p-4 custom-scrollbar min-h-0 bg-gray-50">
+            <div
+              ref={messagesContainerRef}
+              onScroll={handleMessagesScroll}
+              className="flex-1 overflow-y-auto p-4 custom-scrollbar min-h-0 bg-gray-50"
+            >
+              {pageInfo?.hasPreviousPage && (
+                <div className="flex justify-center mb-4">
+                  <button
+                    type="button"
+                    onClick={loadOlderMessages}
+                    disabled={loadingOlder}
+                    className="px-3 py-1 text-xs font-semibold text-purple-600 bg-white border border-purple-100 rounded-full shadow-sm hover:bg-purple-50 disabled:opacity-50"
+                  >
+                    {loadingOlder ? 'Loading...' : 'Load older messages'}
+                  </button>
+                </div>
+              )}
               <div className="space-y-4">
                 {Array.isArray(messages) && messages.length > 0 && messages.map((msg) => {
                   const isSent = msg?.sender?.id === sender?.id;
-                  let quoted = null;
-                  let mainText = msg.message;
-                  if (msg.message.startsWith('> ')) {
-                    const split = msg.message.split('\n');
-                    quoted = split[0].replace('> ', '');
-                    mainText = split.slice(1).join('\n');
-                  }
+                  const { quoted, body: mainText } = splitQuoted(msg.message);
                   // Mobile long-press handlers
                   const handleTouchStart = () => {
                     if (window.innerWidth < 768) {
@@ -796,12 +1889,23 @@ const updateUsersOnlineStatus = () => {
                       setTouchTimer(null);
                     }
                   };
+                  // Missed-call entries sit in the timeline like a divider, not a bubble
+                  if (msg.messageType === 'call') {
+                    return (
+                      <div key={msg.id} id={`message-${msg.id}`} className="flex justify-center">
+                        <span className="px-3 py-1 rounded-full bg-red-50 text-xs text-red-600">
+                          📞 {msg.message} · {moment(parseTimestamp(msg.createdAt)).format('hh:mm A')}
+                        </span>
+                      </div>
+                    );
+                  }
                   return (
                     <div
                       key={msg.id}
+                      id={`message-${msg.id}`}
                       className={`flex ${isSent ? 'justify-end' : 'justify-start'} relative`}
                       onMouseEnter={() => setHoveredMsgId(msg.id)}
-                      onMouseLeave={() => { setHoveredMsgId(null); setOpenMenuMsgId(null); }}
+                      onMouseLeave={() => { setHoveredMsgId(null); setOpenMenuMsgId(null); setReactionPickerMsgId(null); }}
                       onTouchStart={handleTouchStart}
                       onTouchEnd={handleTouchEnd}
                     >
@@ -817,22 +1921,56 @@ const updateUsersOnlineStatus = () => {
                             </svg>
                           </button>
                           {openMenuMsgId === msg.id && (
-                            <div className="absolute z-50 bg-white border border-gray-200 rounded shadow-md py-1 w-32 flex flex-col animate-fadeIn"
+                            <div className="absolute z-50 bg-white border border-gray-200 rounded shadow-md py-1 w-44 flex flex-col animate-fadeIn"
                               style={{ right: '100%', top: '50%', transform: 'translateY(-50%)', marginRight: '8px', animation: 'fadeInLeft 0.2s' }}
                             >
-                              <button className="px-4 py-2 text-left text-sm hover:bg-gray-100" type="button" onClick={() => { setReplyToMsg(msg); setOpenMenuMsgId(null); }}>Reply</button>
-                              <button className="px-4 py-2 text-left text-sm hover:bg-gray-100 text-red-500" type="button" onClick={() => { deleteMessage(msg.id); setOpenMenuMsgId(null); }}>Delete</button>
+                              {renderMessageActions(msg, () => setOpenMenuMsgId(null))}
                               <button className="px-4 py-2 text-left text-sm hover:bg-red-100 text-red-600 font-semibold" type="button">Block</button>
                             </div>
                           )}
                         </div>
                       )}
-                      <div className={`max-w-[70%] ${isSent ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-900'} rounded-2xl px-4 py-2`}>
-                        {quoted && (
-                          <div className="text-xs text-purple-300 border-l-4 border-purple-400 pl-2 mb-1 whitespace-pre-line">{quoted}</div>
+                      <div className="relative max-w-[70%]">
+                        {reactionPickerMsgId === msg.id && (
+                          <ReactionPicker
+                            align={isSent ? 'right' : 'left'}
+                            onSelect={(emoji) => toggleReaction(msg.id, emoji, hasReacted(msg, emoji))}
+                            onClose={() => setReactionPickerMsgId(null)}
+                          />
+                        )}
+                        <div className={`${isSent ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-900'} rounded-2xl px-4 py-2 transition-shadow ${highlightedMsgId === msg.id ? 'ring-4 ring-yellow-300' : ''}`}>
+                          {msg.isDeleted ? (
+                            <p className={`text-sm italic ${isSent ? 'text-purple-200' : 'text-gray-500'}`}>🚫 This message was deleted</p>
+                          ) : (
+                            <>
+                              {msg.replyTo && renderReplyQuote(msg.replyTo, isSent)}
+                              {!msg.replyTo && quoted && (
+                                <div className="text-xs text-purple-300 border-l-4 border-purple-400 pl-2 mb-1 whitespace-pre-line">{quoted}</div>
+                              )}
+                              {msg.messageType && msg.messageType !== 'text' && (
+                                <MessageMedia
+                                  messageType={msg.messageType}
+                                  media={msg.media}
+                                  isSent={isSent}
+                                  onPreview={setPreviewMedia}
+                                />
+                              )}
+                              {mainText && <p className="text-sm whitespace-pre-line">{mainText}</p>}
+                            </>
+                          )}
+                          <span className={`text-xs mt-1 block text-white ${isSent ? 'text-purple-200' : 'text-gray-500'}`}>
+                            {msg.isEdited && !msg.isDeleted && <span className="mr-1 italic">edited</span>}
+                            {moment(parseTimestamp(msg.createdAt)).format('hh:mm A')}{isSent && !msg.isDeleted && renderTicks(msg.status || 'sent')}
+                          </span>
+                        </div>
+                        {!msg.isDeleted && (
+                          <MessageReactions
+                            reactions={msg.reactions}
+                            currentUserId={sender?.id}
+                            align={isSent ? 'right' : 'left'}
+                            onToggle={(emoji, reactedByMe) => toggleReaction(msg.id, emoji, reactedByMe)}
+                          />
                         )}
-                        <p className="text-sm whitespace-pre-line">{mainText}</p>
-                        <span className={`text-xs mt-1 block text-white ${isSent ? 'text-purple-200' : 'text-gray-500'}`}>{moment(Number(msg.createdAt)).format('hh:mm A')}</span>
                       </div>
                       {!isSent && hoveredMsgId === msg.id && (
                         <div className="hidden md:flex items-center ml-2 relative">
@@ -845,11 +1983,10 @@ const updateUsersOnlineStatus = () => {
                             </svg>
                           </button>
                           {openMenuMsgId === msg.id && (
-                            <div className="absolute z-50 bg-white border border-gray-200 rounded shadow-md py-1 w-32 flex flex-col animate-fadeIn"
+                            <div className="absolute z-50 bg-white border border-gray-200 rounded shadow-md py-1 w-44 flex flex-col animate-fadeIn"
                               style={{ left: '100%', top: '50%', transform: 'translateY(-50%)', marginLeft: '8px', animation: 'fadeInLeft 0.2s' }}
                             >
-                              <button className="px-4 py-2 text-left text-sm hover:bg-gray-100" type="button" onClick={() => { setReplyToMsg(msg); setOpenMenuMsgId(null); }}>Reply</button>
-                              <button className="px-4 py-2 text-left text-sm hover:bg-gray-100 text-red-500" type="button" onClick={() => { deleteMessage(msg.id); setOpenMenuMsgId(null); }}>Delete</button>
+                              {renderMessageActions(msg, () => setOpenMenuMsgId(null))}
                               <button className="px-4 py-2 text-left text-sm hover:bg-red-100 text-red-600 font-semibold" type="button">Block</button>
                             </div>
                           )}
@@ -857,11 +1994,10 @@ const updateUsersOnlineStatus = () => {
                       )}
                       {/* Mobile: show options on long press */}
                       {mobileMenuMsgId === msg.id && (
-                        <div className="md:hidden absolute z-50 bg-white border border-gray-200 rounded shadow-md py-1 w-32 flex flex-col animate-fadeIn"
+                        <div className="md:hidden absolute z-50 bg-white border border-gray-200 rounded shadow-md py-1 w-44 flex flex-col animate-fadeIn"
                           style={{ left: '50%', top: '50%', transform: 'translate(-50%,-50%)', animation: 'fadeInLeft 0.2s' }}
                         >
-                          <button className="px-4 py-2 text-left text-sm hover:bg-gray-100" type="button" onClick={() => { setReplyToMsg(msg); setMobileMenuMsgId(null); }}>Reply</button>
-                          <button className="px-4 py-2 text-left text-sm hover:bg-gray-100 text-red-500" type="button" onClick={() => { deleteMessage(msg.id); setMobileMenuMsgId(null); }}>Delete</button>
+                          {renderMessageActions(msg, () => setMobileMenuMsgId(null))}
                         </div>
                       )}
                     </div>
@@ -871,12 +2007,26 @@ const updateUsersOnlineStatus = () => {
             </div>
             {/* Input - always at bottom, never scrolls */}
             <div className="flex-none border-t border-gray-100 p-4 bg-white relative z-10">
+              {/* Editing banner */}
+              {editingMsg && (
+                <div className="flex items-center mb-2 px-3 py-1 rounded-lg bg-purple-50 border-l-4 border-purple-400">
+                  <div className="flex-1 min-w-0">
+                    <span className="text-xs text-purple-700 font-semibold">Editing message</span>
+                    <span className="block text-xs text-gray-700 truncate max-w-xs">{splitQuoted(editingMsg.message).body}</span>
+                  </div>
+                  <button className="ml-2 p-1 rounded-full hover:bg-purple-100" onClick={cancelEditing}>
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 text-purple-700" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" /></svg>
+                  </button>
+                </div>
+              )}
               {/* Reply mention UI */}
               {replyToMsg && (
                 <div className="flex items-center mb-2 px-3 py-1 rounded-lg bg-purple-50 border-l-4 border-purple-400">
                   <div className="flex-1 min-w-0">
                     <span className="text-xs text-purple-700 font-semibold">Replying to:</span>
-                    <span className="block text-xs text-gray-700 truncate max-w-xs">{replyToMsg.message}</span>
+                    <span className="block text-xs text-gray-700 truncate max-w-xs">
+                      {splitQuoted(replyToMsg.message || '').body || MEDIA_PREVIEW_LABELS[replyToMsg.messageType]}
+                    </span>
                   </div>
                   <button className="ml-2 p-1 rounded-full hover:bg-purple-100" onClick={() => setReplyToMsg(null)}>
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 text-purple-700" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" /></svg>
@@ -913,10 +2063,10 @@ const updateUsersOnlineStatus = () => {
                         </button>
                         <input
                           type="file"
-                          accept="image/*"
+                          accept="image/*,video/*"
                           ref={photoInputRef}
                           style={{ display: 'none' }}
-                          onChange={() => { /* handle file selection here if needed */ }}
+                          onChange={handleFileSelected}
                         />
                         <button className="group p-1 rounded-xl bg-gradient-to-br from-white/80 to-purple-50 transition-all duration-150 flex flex-col items-center gap-0.5 hover:bg-purple-100 hover:scale-105" type="button">
                           <span className="flex items-center justify-center w-6 h-6 rounded-full bg-purple-100 group-hover:bg-purple-200 transition-all duration-150">
@@ -928,6 +2078,27 @@ const updateUsersOnlineStatus = () => {
                           </span>
                           <span className="text-[9px] font-semibold text-purple-700 group-hover:text-purple-900 tracking-wide transition-all duration-150">GIF</span>
                         </button>
+                        <button
+                          className="group p-1 rounded-xl bg-gradient-to-br from-white/80 to-purple-50 transition-all duration-150 flex flex-col items-center gap-0.5 hover:bg-purple-100 hover:scale-105"
+                          type="button"
+                          onClick={() => {
+                            if (fileInputRef.current) fileInputRef.current.click();
+                          }}
+                        >
+                          <span className="flex items-center justify-center w-6 h-6 rounded-full bg-purple-100 group-hover:bg-purple-200 transition-all duration-150">
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 text-purple-600 group-hover:text-purple-800 transition-all duration-150" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path d="M7 3h7l5 5v13H7z" stroke="currentColor" strokeWidth="1.5" fill="currentColor" opacity=".08" />
+                              <path d="M14 3v5h5" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                            </svg>
+                          </span>
+                          <span className="text-[9px] font-semibold text-purple-700 group-hover:text-purple-900 tracking-wide transition-all duration-150">File</span>
+                        </button>
+                        <input
+                          type="file"
+                          ref={fileInputRef}
+                          style={{ display: 'none' }}
+                          onChange={handleFileSelected}
+                        />
                         <div style={{ position: 'absolute', left: '50%', transform: 'translateX(-50%)', bottom: '-8px', width: 0, height: 0, borderLeft: '8px solid transparent', borderRight: '8px solid transparent', borderTop: '8px solid rgba(255,255,255,0.7)', filter: 'blur(0.5px) drop-shadow(0 2px 4px rgba(168,139,250,0.10)' }} />
                       </div>
                     </div>
@@ -936,7 +2107,10 @@ const updateUsersOnlineStatus = () => {
                 <input
                   type="text"
                   value={text}
-                  onChange={(q) => { setText(q.target.value) }}
+                  onChange={(q) => {
+                    setText(q.target.value);
+                    if (q.target.value) notifyTyping(); else stopTyping();
+                  }}
                   onKeyDown={(e) => {
                     try {
                       if (e.key === 'Enter' && text.trim()) {
@@ -952,7 +2126,12 @@ const updateUsersOnlineStatus = () => {
                   style={{ minWidth: 0 }}
                 />
 
-                <button className="p-2 bg-purple-600 text-white rounded-full hover:bg-purple-700 transition-colors duration-200 flex items-center justify-center" type="button">
+                <button
+                  className={`p-2 text-white rounded-full transition-colors duration-200 flex items-center justify-center ${isRecording ? 'bg-red-500 hover:bg-red-600 animate-pulse' : 'bg-purple-600 hover:bg-purple-700'}`}
+                  type="button"
+                  onClick={toggleVoiceRecording}
+                  title={isRecording ? 'Stop and send voice message' : 'Record voice message'}
+                >
                   {/* Modern, stylish mic icon */}
                   <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <rect x="9" y="5" width="6" height="8" rx="3" fill="white" />
@@ -36,7 +36,7 @@ const ChatOptions = ({ activeTab, onTabChange, onGroupCreated }) => {
               <div className="flex space-x-2">
                 <button 
                   onClick={() => onTabChange('all')}
-                  className={`px-6 py-2 text-sm font-semibold rounded-full transition-all duration-300 ease-in-out w-1/2 sm:w-auto ${
+                  className={`px-6 py-2 text-sm font-semibold rounded-full transition-all duration-300 ease-in-out w-1/4 sm:w-auto ${
                     activeTab === 'all' 
                       ? 'bg-white text-purple-600 shadow-sm transform scale-105' 
                       : 'text-gray-600 hover:text-purple-600'
@@ -46,7 +46,7 @@ const ChatOptions = ({ activeTab, onTabChange, onGroupCreated }) => {
                 </button>
                 <button 
                   onClick={() => onTabChange('groups')}
-                  className={`px-6 py-2 text-sm font-semibold rounded-full transition-all duration-300 ease-in-out w-1/2 sm:w-auto ${
+                  className={`px-6 py-2 text-sm font-semibold rounded-full transition-all duration-300 ease-in-out w-1/4 sm:w-auto ${
                     activeTab === 'groups' 
                       ? 'bg-white text-purple-600 shadow-sm transform scale-105' 
                       : 'text-gray-600 hover:text-purple-600'
@@ -54,6 +54,26 @@ const ChatOptions = ({ activeTab, onTabChange, onGroupCreated }) => {
                 >
                   Groups
                 </button>
+                <button 
+                  onClick={() => onTabChange('archived')}
+                  className={`px-6 py-2 text-sm font-semibold rounded-full transition-all duration-300 ease-in-out w-1/4 sm:w-auto ${
+                    activeTab === 'archived' 
+                      ? 'bg-white text-purple-600 shadow-sm transform scale-105' 
+                      : 'text-gray-600 hover:text-purple-600'
+                  }`}
+                >
+                  Archived
+                </button>
+                <button 
+                  onClick={() => onTabChange('calls')}
+                  className={`px-6 py-2 text-sm font-semibold rounded-full transition-all duration-300 ease-in-out w-1/4 sm:w-auto ${
+                    activeTab === 'calls' 
+                      ? 'bg-white text-purple-600 shadow-sm transform scale-105' 
+                      : 'text-gray-600 hover:text-purple-600'
+                  }`}
+                >
+                  Calls
+                </button>
               </div>
               {/* Create Group button for desktop only, next to Groups */}
               <button
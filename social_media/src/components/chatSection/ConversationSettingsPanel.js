@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation } from '@apollo/client';
+import moment from 'moment';
+import {
+  GET_CONVERSATION_SETTINGS,
+  MUTE_CONVERSATION,
+  UNMUTE_CONVERSATION,
+  SET_CONVERSATION_ARCHIVED,
+  UPDATE_NOTIFICATION_PREFERENCES
+} from '../../graphql/mutations';
+import { NOTIFICATION_SOUNDS, playNotificationSound } from '../../utils/notificationSound';
+
+// No minutes means muted until turned off
+const MUTE_OPTIONS = [
+  { minutes: 60, label: '1 hour' },
+  { minutes: 8 * 60, label: '8 hours' },
+  { minutes: 7 * 24 * 60, label: '1 week' },
+  { minutes: null, label: 'Always' }
+];
+
+// Chats nobody has customised aren't returned by the server
+const DEFAULT_SETTINGS = { isMuted: false, mutedUntil: null, archived: false, notificationSound: 'default', hidePreviews: false };
+
+/**
+ * The current user's settings for one chat, or the defaults
+ */
+export const useConversationSettings = () => {
+  const { data } = useQuery(GET_CONVERSATION_SETTINGS, { fetchPolicy: 'cache-and-network' });
+  const all = data?.getConversationSettings || [];
+  return (chatType, chatId) =>
+    all.find((settings) => settings.chatType === chatType && settings.chatId === chatId) || DEFAULT_SETTINGS;
+};
+
+// Mute, archive, sound and preview preferences for one direct or group chat
+const ConversationSettingsPanel = ({ chatType, chatId }) => {
+  const [muteIndex, setMuteIndex] = useState(1);
+  const settingsFor = useConversationSettings();
+  const settings = settingsFor(chatType, chatId);
+
+  const refetchQueries = [{ query: GET_CONVERSATION_SETTINGS }];
+  const [muteConversation] = useMutation(MUTE_CONVERSATION, { refetchQueries });
+  const [unmuteConversation] = useMutation(UNMUTE_CONVERSATION, { refetchQueries });
+  const [setArchived] = useMutation(SET_CONVERSATION_ARCHIVED, { refetchQueries });
+  const [updatePreferences] = useMutation(UPDATE_NOTIFICATION_PREFERENCES, { refetchQueries });
+
+  const run = async (mutate, variables) => {
+    try {
+      await mutate({ variables: { chatType, chatId, ...variables } });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const changeSound = (notificationSound) => {
+    playNotificationSound(notificationSound);
+    run(updatePreferences, { notificationSound });
+  };
+
+  return (
+    <div className="space-y-5">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <p className="text-sm font-semibold text-gray-800">Mute notifications</p>
+          <p className="text-xs text-gray-500">
+            {settings.isMuted
+              ? settings.mutedUntil ? `Muted until ${moment(settings.mutedUntil).format('MMM D, h:mm A')}` : 'Muted until you turn it back on'
+              : chatType === 'group' ? 'Mentions still notify you while muted.' : 'Messages still arrive, silently.'}
+          </p>
+        </div>
+        {settings.isMuted ? (
+          <button type="button" onClick={() => run(unmuteConversation)} className="px-3 py-1 rounded bg-gray-100 text-sm hover:bg-gray-200">
+            Unmute
+          </button>
+        ) : (
+          <div className="flex items-center gap-2">
+            <select value={muteIndex} onChange={(e) => setMuteIndex(Number(e.target.value))} className="border rounded px-2 py-1 text-sm">
+              {MUTE_OPTIONS.map((option, index) => (
+                <option key={option.label} value={index}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => run(muteConversation, { minutes: MUTE_OPTIONS[muteIndex].minutes })}
+              className="px-3 py-1 rounded bg-purple-500 text-white text-sm"
+            >
+              Mute
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <p className="text-sm font-semibold text-gray-800">Notification sound</p>
+          <p className="text-xs text-gray-500">Played when a message arrives in another chat</p>
+        </div>
+        <select
+          value={settings.notificationSound}
+          onChange={(e) => changeSound(e.target.value)}
+          className="border rounded px-2 py-1 text-sm"
+        >
+          {NOTIFICATION_SOUNDS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <label className="flex items-center justify-between gap-3 cursor-pointer">
+        <div>
+          <p className="text-sm font-semibold text-gray-800">Hide message previews</p>
+          <p className="text-xs text-gray-500">Notifications show who wrote, but not what</p>
+        </div>
+        <input
+          type="checkbox"
+          checked={settings.hidePreviews}
+          onChange={(e) => run(updatePreferences, { hidePreviews: e.target.checked })}
+          className="w-4 h-4 accent-purple-600"
+        />
+      </label>
+
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <p className="text-sm font-semibold text-gray-800">{settings.archived ? 'Archived' : 'Archive chat'}</p>
+          <p className="text-xs text-gray-500">Archived chats move to the Archived tab</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => run(setArchived, { archived: !settings.archived })}
+          className="px-3 py-1 rounded bg-gray-100 text-sm hover:bg-gray-200"
+        >
+          {settings.archived ? 'Unarchive' : 'Archive'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// The panel on its own, for chats without a settings modal of their own
+export const ConversationSettingsModal = ({ chatType, chatId, title, onClose }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+    <div className="bg-white rounded-lg w-[420px] max-w-[95vw] flex flex-col" onClick={(e) => e.stopPropagation()}>
+      <div className="flex items-center justify-between p-4 border-b">
+        <h2 className="text-lg font-bold truncate">{title}</h2>
+        <button type="button" onClick={onClose} className="p-1 rounded-full hover:bg-gray-100 text-gray-500">
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+      <div className="p-4">
+        <ConversationSettingsPanel chatType={chatType} chatId={chatId} />
+      </div>
+    </div>
+  </div>
+);
+
+export default ConversationSettingsPanel;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { useQuery } from '@apollo/client';
+import moment from 'moment';
+import { GET_GROUP_AUDIT_LOG } from '../../graphql/mutations';
+
+const ACTIVITY_PAGE_SIZE = 30;
+
+const names = (users) => (users || []).map((user) => user.name).join(', ') || 'someone';
+
+const ACTION_TEXT = {
+  members_added: (targets) => `added ${targets}`,
+  member_removed: (targets) => `removed ${targets}`,
+  admin_added: (targets) => `made ${targets} an admin`,
+  admin_removed: (targets) => `removed ${targets} as admin`,
+  ownership_transferred: (targets) => `transferred ownership to ${targets}`,
+  group_updated: () => 'edited the group info',
+  permissions_updated: () => 'changed group permissions',
+  message_deleted: (targets) => `deleted a message from ${targets}`,
+  member_banned: (targets) => `banned ${targets}`,
+  member_unbanned: (targets) => `unbanned ${targets}`,
+  member_muted: (targets) => `muted ${targets}`,
+  member_unmuted: (targets) => `unmuted ${targets}`,
+  slow_mode_changed: () => 'changed slow mode'
+};
+
+// Already covered by the sentence itself
+const HIDDEN_FIELDS = ['owner'];
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'until') return moment(value).format('MMM D, h:mm A');
+  if (field === 'slowModeSeconds') return value === '0' ? 'off' : `${value}s`;
+  return value;
+};
+
+// Admin tab in group settings: who did what, newest first
+const GroupActivity = ({ groupId }) => {
+  const [older, setOlder] = useState([]);
+  const [olderPageInfo, setOlderPageInfo] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+
+  const { data, loading, error, fetchMore } = useQuery(GET_GROUP_AUDIT_LOG, {
+    variables: { groupId, limit: ACTIVITY_PAGE_SIZE },
+    fetchPolicy: 'network-only'
+  });
+
+  const latest = data?.getGroupAuditLog;
+  // Pages come back oldest first; the log reads newest first
+  const events = [...older, ...(latest?.events || [])].reverse();
+  const pageInfo = olderPageInfo || latest?.pageInfo;
+
+  const loadOlder = async () => {
+    if (!pageInfo?.hasPreviousPage || loadingOlder) return;
+    setLoadingOlder(true);
+    try {
+      const { data: more } = await fetchMore({
+        variables: { before: pageInfo.startCursor, limit: ACTIVITY_PAGE_SIZE },
+        updateQuery: (prev) => prev
+      });
+      setOlder((prev) => [...(more?.getGroupAuditLog?.events || []), ...prev]);
+      setOlderPageInfo(more?.getGroupAuditLog?.pageInfo || null);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  if (loading && !latest) return <p className="text-sm text-gray-400">Loading activity...</p>;
+  if (error) return <p className="text-sm text-red-500">{error.message}</p>;
+  if (events.length === 0) return <p className="text-sm text-gray-400">No admin activity yet</p>;
+
+  return (
+    <div>
+      <ul className="divide-y">
+        {events.map((event) => {
+          const describe = ACTION_TEXT[event.action];
+          const changes = event.changes.filter((change) => !HIDDEN_FIELDS.includes(change.field));
+          return (
+            <li key={event._id} className="py-2 flex items-start gap-3">
+              <img
+                src={event.actor.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(event.actor.name)}&background=8B5CF6&color=fff`}
+                alt={event.actor.name}
+                className="w-8 h-8 rounded-full object-cover"
+              />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-gray-800">
+                  <span className="font-semibold">{event.actor.name}</span>{' '}
+                  {describe ? describe(names(event.targetUsers)) : event.action}
+                </p>
+                {changes.map((change) => (
+                  <p key={change.field} className="text-xs text-gray-500 break-words">
+                    {change.field}: {change.before !== null && <>{formatValue(change.field, change.before)} → </>}
+                    {formatValue(change.field, change.after)}
+                  </p>
+                ))}
+                <p className="text-xs text-gray-400">{moment(event.createdAt).fromNow()}</p>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      {pageInfo?.hasPreviousPage && (
+        <button type="button" onClick={loadOlder} disabled={loadingOlder} className="w-full mt-2 text-xs text-purple-600 hover:underline disabled:opacity-50">
+          {loadingOlder ? 'Loading...' : 'Load older activity'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default GroupActivity;
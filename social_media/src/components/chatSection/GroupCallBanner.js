@@ -0,0 +1,84 @@
+import React, { useEffect } from 'react';
+import { useQuery, useMutation } from '@apollo/client';
+import moment from 'moment';
+import { MdCall, MdVideocam } from 'react-icons/md';
+import { GET_ACTIVE_GROUP_CALL, END_GROUP_CALL } from '../../graphql/mutations';
+import socket from '../socket_io/Socket';
+
+const MAX_AVATARS = 4;
+
+const avatarUrl = (user) =>
+  user.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(user.name)}&background=8B5CF6&color=fff`;
+
+// "Join ongoing call" strip under the group header, kept live from the call's socket events
+const GroupCallBanner = ({ groupId, currentUserId, isAdmin, onJoin }) => {
+  const { data, refetch } = useQuery(GET_ACTIVE_GROUP_CALL, {
+    variables: { groupId },
+    fetchPolicy: 'network-only'
+  });
+  const [endGroupCall, { loading: ending }] = useMutation(END_GROUP_CALL);
+
+  useEffect(() => {
+    const handleCallChanged = ({ groupId: changedGroupId }) => {
+      if (changedGroupId === groupId) refetch();
+    };
+    const events = ['groupCallStarted', 'userJoinedGroupCall', 'userLeftGroupCall', 'groupCallEnded'];
+    events.forEach((event) => socket.on(event, handleCallChanged));
+    return () => events.forEach((event) => socket.off(event, handleCallChanged));
+  }, [groupId, refetch]);
+
+  const call = data?.getActiveGroupCall;
+  if (!call) return null;
+
+  const inCall = call.participants.some((p) => p.user.id === currentUserId);
+  const canEnd = isAdmin || call.startedBy.id === currentUserId;
+  const Icon = call.callType === 'voice' ? MdCall : MdVideocam;
+
+  const handleEnd = async () => {
+    if (!window.confirm('End this call for everyone?')) return;
+    try {
+      await endGroupCall({ variables: { callId: call.id } });
+      refetch();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-3 px-4 py-2 bg-green-50 border-b border-green-100">
+      <Icon className="flex-shrink-0 text-green-600" size={20} />
+      <div className="flex-1 min-w-0">
+        <p className="text-sm font-semibold text-green-800 truncate">
+          Ongoing {call.callType} call
+        </p>
+        <p className="text-xs text-green-700 truncate">
+          {call.participants.length} in call · started {moment(call.startedAt).fromNow()} by {call.startedBy.id === currentUserId ? 'you' : call.startedBy.name}
+        </p>
+      </div>
+      <div className="flex -space-x-2">
+        {call.participants.slice(0, MAX_AVATARS).map(({ user }) => (
+          <img key={user.id} src={avatarUrl(user)} alt={user.name} title={user.name} className="w-7 h-7 rounded-full border-2 border-white object-cover" />
+        ))}
+        {call.participants.length > MAX_AVATARS && (
+          <span className="w-7 h-7 rounded-full border-2 border-white bg-green-200 text-green-800 text-[10px] font-semibold flex items-center justify-center">
+            +{call.participants.length - MAX_AVATARS}
+          </span>
+        )}
+      </div>
+      {canEnd && (
+        <button type="button" onClick={handleEnd} disabled={ending} className="px-3 py-1 rounded-full text-xs font-semibold text-red-600 hover:bg-red-50 disabled:opacity-50">
+          End
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={() => onJoin(call)}
+        className="px-3 py-1 rounded-full bg-green-600 text-white text-xs font-semibold hover:bg-green-700"
+      >
+        {inCall ? 'Return' : 'Join'}
+      </button>
+    </div>
+  );
+};
+
+export default GroupCallBanner;
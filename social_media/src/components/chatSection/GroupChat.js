@@ -1,25 +1,94 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useQuery, useMutation } from '@apollo/client';
-import { GET_GROUP_MESSAGES, SEND_GROUP_MESSAGE, GET_ME } from '../../graphql/mutations';
+import { useQuery, useMutation, useApolloClient } from '@apollo/client';
+import { useNavigate } from 'react-router-dom';
+import {
+  GET_GROUP_MESSAGES,
+  SEND_GROUP_MESSAGE,
+  GET_ME,
+  ADD_GROUP_REACTION,
+  REMOVE_GROUP_REACTION,
+  GET_GROUP_DETAILS,
+  CREATE_GROUP_POLL,
+  VOTE_IN_POLL,
+  CLOSE_POLL,
+  GET_PINNED_GROUP_MESSAGES,
+  PIN_GROUP_MESSAGE,
+  UNPIN_GROUP_MESSAGE,
+  DELETE_GROUP_MESSAGE,
+  START_GROUP_CALL
+} from '../../graphql/mutations';
 import socket from '../socket_io/Socket';
-import { BsEmojiSmile } from "react-icons/bs";
+import { BsEmojiSmile, BsChatDots } from "react-icons/bs";
+import { MdPoll, MdPushPin, MdDelete, MdCall, MdVideocam } from "react-icons/md";
 import EmojiPicker from 'emoji-picker-react';
+import MessageReactions, { ReactionPicker } from './MessageReactions';
+import GroupSettings from './GroupSettings';
+import GroupPoll, { PollComposer } from './GroupPoll';
+import PinnedBanner from './PinnedBanner';
+import GroupThreadPanel from './GroupThreadPanel';
+import GroupCallBanner from './GroupCallBanner';
+import MentionText, {
+  MentionSuggestions,
+  activeMentionQuery,
+  insertMention,
+  filterMentionCandidates
+} from './Mentions';
 
-const GroupChat = ({ group, onBack }) => {
+const GROUP_PAGE_SIZE = 50;
+// Safety cap when paging back to a message opened from search
+const MAX_FOCUS_PAGES = 20;
+
+const GroupChat = ({ group, onBack, focusMessageId, onFocusHandled, openThreadId, onThreadOpened }) => {
   const [message, setMessage] = useState('');
   const [messages, setMessages] = useState([]);
   const [isTyping, setIsTyping] = useState(false);
   const [typingUsers, setTypingUsers] = useState([]);
   const messagesEndRef = useRef(null);
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
+  const [hoveredMsgId, setHoveredMsgId] = useState(null);
+  const [reactionPickerMsgId, setReactionPickerMsgId] = useState(null);
+  const [highlightedMsgId, setHighlightedMsgId] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showPollComposer, setShowPollComposer] = useState(false);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  // Message opened from the pinned banner that still has to be paged in
+  const [pinFocusId, setPinFocusId] = useState(null);
+  const targetMessageId = focusMessageId || pinFocusId;
+  const [threadRootId, setThreadRootId] = useState(null);
+  const inputRef = useRef(null);
+  const jumpTargetRef = useRef(null);
+  const client = useApolloClient();
+  const navigate = useNavigate();
 
   const { data: currentUserData } = useQuery(GET_ME);
   const { data: messagesData, loading } = useQuery(GET_GROUP_MESSAGES, {
-    variables: { groupId: group.id, limit: 50, offset: 0 },
+    variables: { groupId: group.id, limit: GROUP_PAGE_SIZE, offset: 0 },
+    skip: !group.id
+  });
+
+  // Live roles/permissions; the `group` prop is a snapshot from the groups list
+  const { data: detailsData, refetch: refetchDetails } = useQuery(GET_GROUP_DETAILS, {
+    variables: { groupId: group.id },
+    skip: !group.id
+  });
+  const groupInfo = { ...group, ...(detailsData?.getGroupDetails || {}), id: group.id };
+
+  const { data: pinnedData, refetch: refetchPinned } = useQuery(GET_PINNED_GROUP_MESSAGES, {
+    variables: { groupId: group.id },
     skip: !group.id
   });
+  const [pinGroupMessage] = useMutation(PIN_GROUP_MESSAGE);
+  const [unpinGroupMessage] = useMutation(UNPIN_GROUP_MESSAGE);
+  const [deleteGroupMessage] = useMutation(DELETE_GROUP_MESSAGE);
+  const [startGroupCall] = useMutation(START_GROUP_CALL);
 
   const [sendGroupMessage] = useMutation(SEND_GROUP_MESSAGE);
+  const [addGroupReaction] = useMutation(ADD_GROUP_REACTION);
+  const [removeGroupReaction] = useMutation(REMOVE_GROUP_REACTION);
+  const [createGroupPoll] = useMutation(CREATE_GROUP_POLL);
+  const [voteInPoll] = useMutation(VOTE_IN_POLL);
+  const [closePollMutation] = useMutation(CLOSE_POLL);
 
   useEffect(() => {
     if (messagesData?.getGroupMessages) {
@@ -52,18 +121,156 @@ const GroupChat = ({ group, onBack }) => {
         }
       });
 
+      // Reaction totals changed on one of this group's messages
+      const handleMessageReaction = ({ groupId, messageId, reactions }) => {
+        if (groupId !== group.id) return;
+        setMessages(prev => prev.map(msg => (msg._id === messageId ? { ...msg, reactions } : msg)));
+      };
+      socket.on('messageReaction', handleMessageReaction);
+
+      // Live poll tallies; the broadcast is the same for everyone, so keep our own myVotes
+      const handlePollUpdated = ({ groupId, messageId, poll }) => {
+        if (groupId !== group.id) return;
+        setMessages(prev => prev.map(msg => (
+          msg._id === messageId ? { ...msg, poll: { ...poll, myVotes: msg.poll?.myVotes || [] } } : msg
+        )));
+      };
+      socket.on('pollUpdated', handlePollUpdated);
+
+      const handleMessagePinned = ({ groupId, messageId, pinned, message: pinnedMessage }) => {
+        if (groupId !== group.id) return;
+        setMessages(prev => prev.map(msg => (
+          msg._id === messageId ? { ...msg, pinnedAt: pinned ? pinnedMessage?.pinnedAt : null } : msg
+        )));
+        refetchPinned();
+      };
+      socket.on('messagePinned', handleMessagePinned);
+
+      // Thread replies only update the summary under their root here; the panel shows the replies
+      const handleThreadReply = ({ groupId, rootId, replyCount, lastReplyAt, participants }) => {
+        if (groupId !== group.id) return;
+        setMessages(prev => prev.map(msg => (
+          msg._id === rootId
+            ? {
+              ...msg,
+              threadReplyCount: replyCount,
+              threadLastReplyAt: lastReplyAt,
+              threadParticipants: (participants || []).map(p => ({ ...p, id: p._id || p.id }))
+            }
+            : msg
+        )));
+      };
+      socket.on('threadReply', handleThreadReply);
+
+      // Deleted by its sender or an admin; a deleted thread reply only lowers its root's count
+      const handleMessageDeleted = ({ groupId, messageId, threadRoot }) => {
+        if (groupId !== group.id) return;
+        setMessages(prev => (threadRoot
+          ? prev.map(msg => (
+            msg._id === threadRoot ? { ...msg, threadReplyCount: Math.max((msg.threadReplyCount || 0) - 1, 0) } : msg
+          ))
+          : prev.filter(msg => msg._id !== messageId)));
+        setThreadRootId(prev => (prev === messageId ? null : prev));
+        refetchPinned();
+      };
+      socket.on('groupMessageDeleted', handleMessageDeleted);
+
       return () => {
         socket.leaveGroup(group.id);
         socket.off('newGroupMessage');
         socket.off('groupUserTyping');
+        socket.off('messageReaction', handleMessageReaction);
+        socket.off('pollUpdated', handlePollUpdated);
+        socket.off('messagePinned', handleMessagePinned);
+        socket.off('threadReply', handleThreadReply);
+        socket.off('groupMessageDeleted', handleMessageDeleted);
       };
     }
-  }, [group.id, currentUserData?.getMe?.id]);
+  }, [group.id, currentUserData?.getMe?.id, refetchPinned]);
 
+  // Membership, role and permission changes for this group
   useEffect(() => {
+    if (!group.id) return undefined;
+    const events = ['groupUpdated', 'groupMembersAdded', 'groupMemberRemoved', 'groupMemberLeft', 'groupAdminAdded', 'groupAdminRemoved'];
+    const handleGroupChange = (payload) => {
+      const changed = payload?.group || payload;
+      if ((changed?._id || changed?.id) === group.id) refetchDetails();
+    };
+    events.forEach(event => socket.on(event, handleGroupChange));
+    return () => {
+      events.forEach(event => socket.off(event, handleGroupChange));
+    };
+  }, [group.id, refetchDetails]);
+
+  // A thread opened from outside the chat (e.g. a notification)
+  useEffect(() => {
+    if (!openThreadId) return;
+    setThreadRootId(openThreadId);
+    onThreadOpened && onThreadOpened();
+  }, [openThreadId, onThreadOpened]);
+
+  // Page in older messages until the one opened from search (or a pin) is loaded, then scroll to it
+  useEffect(() => {
+    const latest = messagesData?.getGroupMessages;
+    if (!targetMessageId || loading || !latest) return undefined;
+
+    let cancelled = false;
+    const focusMessage = async () => {
+      let older = [];
+      let offset = latest.length;
+      let exhausted = latest.length < GROUP_PAGE_SIZE;
+      const isLoaded = () => [...older, ...latest].some(m => m._id === targetMessageId);
+
+      try {
+        for (let page = 0; !isLoaded() && !exhausted && page < MAX_FOCUS_PAGES; page++) {
+          const { data } = await client.query({
+            query: GET_GROUP_MESSAGES,
+            variables: { groupId: group.id, limit: GROUP_PAGE_SIZE, offset },
+            fetchPolicy: 'no-cache'
+          });
+          const pageMessages = data?.getGroupMessages || [];
+          older = [...pageMessages, ...older];
+          offset += pageMessages.length;
+          exhausted = pageMessages.length < GROUP_PAGE_SIZE;
+        }
+      } catch (error) {
+        console.error('Error loading older group messages:', error);
+      }
+      if (cancelled) return;
+
+      if (isLoaded()) {
+        jumpTargetRef.current = targetMessageId;
+      } else {
+        alert('The original message is no longer available.');
+      }
+      setMessages(prev => [...older.filter(m => !prev.some(p => p._id === m._id)), ...prev]);
+      setPinFocusId(null);
+      onFocusHandled && onFocusHandled();
+    };
+    focusMessage();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [targetMessageId, loading, messagesData, group.id, client, onFocusHandled]);
+
+  useEffect(() => {
+    const targetId = jumpTargetRef.current;
+    if (targetId) {
+      jumpTargetRef.current = null;
+      document.getElementById(`group-message-${targetId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setHighlightedMsgId(targetId);
+      return;
+    }
     scrollToBottom();
   }, [messages]);
 
+  useEffect(() => {
+    if (!highlightedMsgId) return undefined;
+    const timer = setTimeout(() => setHighlightedMsgId(null), 2000);
+    return () => clearTimeout(timer);
+  }, [highlightedMsgId]);
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
@@ -82,12 +289,95 @@ const GroupChat = ({ group, onBack }) => {
       });
       setMessage('');
     } catch (error) {
-      console.error('Error sending message:', error);
+      // Mutes and slow mode are enforced by the server
+      alert(error.message);
+    }
+  };
+
+  const toggleReaction = async (messageId, emoji, reactedByMe) => {
+    try {
+      const mutate = reactedByMe ? removeGroupReaction : addGroupReaction;
+      const { data } = await mutate({ variables: { messageId, emoji } });
+      const updated = data?.addGroupReaction || data?.removeGroupReaction;
+      if (updated) {
+        setMessages(prev => prev.map(msg => (msg._id === updated._id ? { ...msg, reactions: updated.reactions } : msg)));
+      }
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+    }
+  };
+
+  const openPinnedMessage = (messageId) => {
+    if (messages.some(msg => msg._id === messageId)) {
+      document.getElementById(`group-message-${messageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setHighlightedMsgId(messageId);
+      return;
+    }
+    setPinFocusId(messageId);
+  };
+
+  const togglePin = async (messageId, pinned) => {
+    try {
+      const mutate = pinned ? unpinGroupMessage : pinGroupMessage;
+      await mutate({ variables: { messageId } });
+      refetchPinned();
+    } catch (error) {
+      alert(error.message);
     }
   };
 
+  const handleDeleteMessage = async (messageId, isOwnMessage) => {
+    const prompt = isOwnMessage ? 'Delete this message for everyone?' : "Delete this member's message? This is recorded in the group's activity log.";
+    if (!window.confirm(prompt)) return;
+    try {
+      await deleteGroupMessage({ variables: { messageId } });
+      setMessages(prev => prev.filter(msg => msg._id !== messageId));
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleCreatePoll = async (input) => {
+    try {
+      await createGroupPoll({ variables: { groupId: group.id, input } });
+      setShowPollComposer(false);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // Mutation responses carry the caller's own myVotes, unlike the socket broadcast
+  const applyPollUpdate = (updated) => {
+    if (!updated) return;
+    setMessages(prev => prev.map(msg => (msg._id === updated._id ? { ...msg, poll: updated.poll } : msg)));
+  };
+
+  const handleVote = async (messageId, optionIds) => {
+    try {
+      const { data } = await voteInPoll({ variables: { messageId, optionIds } });
+      applyPollUpdate(data?.voteInPoll);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleClosePoll = async (messageId) => {
+    if (!window.confirm('Close this poll? No one will be able to vote afterwards.')) return;
+    try {
+      const { data } = await closePollMutation({ variables: { messageId } });
+      applyPollUpdate(data?.closePoll);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const hasReacted = (msg, emoji) =>
+    (msg.reactions || []).some(r => r.emoji === emoji && (r.users || []).some(u => u.id === currentUserData?.getMe?.id));
+
   const handleTyping = (e) => {
     setMessage(e.target.value);
+    setMentionQuery(activeMentionQuery(e.target.value, e.target.selectionStart));
+    setMentionIndex(0);
     
     if (!isTyping) {
       setIsTyping(true);
@@ -120,8 +410,63 @@ const GroupChat = ({ group, onBack }) => {
     );
   }
 
+  const currentUserId = currentUserData?.getMe?.id;
+  const isAdmin = groupInfo.myRole
+    ? groupInfo.myRole === 'owner' || groupInfo.myRole === 'admin'
+    : (groupInfo.admins || []).some((admin) => (admin.id || admin._id) === currentUserId);
+  const canSendMessages = groupInfo.permissions?.sendMessages !== 'admins' || isAdmin;
+  const mutedUntil = groupInfo.myMutedUntil && new Date(groupInfo.myMutedUntil) > new Date() ? groupInfo.myMutedUntil : null;
+  const slowModeSeconds = isAdmin ? 0 : groupInfo.slowModeSeconds || 0;
+  const canPinMessages = groupInfo.permissions?.pinMessages !== 'admins' || isAdmin;
+  const canStartCalls = groupInfo.permissions?.startCalls !== 'admins' || isAdmin;
+  const pinnedMessages = pinnedData?.getPinnedGroupMessages || [];
+
+  const memberHandles = [...(groupInfo.members || []).map((member) => member.username).filter(Boolean), 'all'];
+  const mentionCandidates = mentionQuery
+    ? filterMentionCandidates(groupInfo.members, mentionQuery.query, { includeAll: isAdmin, excludeId: currentUserId })
+    : [];
+
+  const selectMention = (candidate) => {
+    const caret = inputRef.current?.selectionStart ?? message.length;
+    const next = insertMention(message, caret, mentionQuery.start, candidate.handle);
+    setMessage(next.text);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(next.caret, next.caret);
+    });
+  };
+
+  const joinCall = (call) => {
+    navigate(`/video-call?roomID=${encodeURIComponent(call.roomId)}&groupId=${group.id}&callType=${call.callType}`);
+  };
+
+  // Starting a call while one is already going on just joins it
+  const handleStartCall = async (callType) => {
+    try {
+      const { data } = await startGroupCall({ variables: { groupId: group.id, callType } });
+      if (data?.startGroupCall) joinCall(data.startGroupCall);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleComposerKeyDown = (e) => {
+    if (!mentionCandidates.length) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMentionIndex((prev) => (prev + step + mentionCandidates.length) % mentionCandidates.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      selectMention(mentionCandidates[Math.min(mentionIndex, mentionCandidates.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setMentionQuery(null);
+    }
+  };
+
   return (
-    <div className="flex flex-col h-full bg-white">
+    <div className="relative flex flex-col h-full bg-white">
       {/* Header */}
       <div className="flex items-center p-4 border-b bg-white shadow-sm">
         <button
@@ -133,28 +478,132 @@ const GroupChat = ({ group, onBack }) => {
           </svg>
         </button>
         <img
-          src={group.groupImage || group.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(group.name)}&background=8B5CF6&color=fff`}
-          alt={group.name}
+          src={groupInfo.groupImage || groupInfo.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(groupInfo.name)}&background=8B5CF6&color=fff`}
+          alt={groupInfo.name}
           className="w-10 h-10 rounded-full mr-3 object-cover"
         />
-        <div>
-          <h3 className="font-semibold">{group.name}</h3>
-          <p className="text-sm text-gray-500">{group.memberCount} members</p>
+        <div className="flex-1 min-w-0">
+          <h3 className="font-semibold">{groupInfo.name}</h3>
+          <p className="text-sm text-gray-500">{groupInfo.memberCount} members</p>
         </div>
+        {canStartCalls && (
+          <>
+            <button type="button" onClick={() => handleStartCall('voice')} className="p-2 rounded-full hover:bg-gray-100 text-gray-500" title="Voice call">
+              <MdCall size={20} />
+            </button>
+            <button type="button" onClick={() => handleStartCall('video')} className="p-2 rounded-full hover:bg-gray-100 text-gray-500" title="Video call">
+              <MdVideocam size={20} />
+            </button>
+          </>
+        )}
+        <button
+          type="button"
+          onClick={() => setShowSettings(true)}
+          className="p-2 rounded-full hover:bg-gray-100 text-gray-500"
+          title="Group settings"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v.01M12 12v.01M12 18v.01" />
+          </svg>
+        </button>
       </div>
 
+      {showPollComposer && (
+        <PollComposer onSubmit={handleCreatePoll} onCancel={() => setShowPollComposer(false)} />
+      )}
+
+      {threadRootId && (
+        <GroupThreadPanel
+          key={threadRootId}
+          groupId={group.id}
+          rootId={threadRootId}
+          currentUserId={currentUserId}
+          memberHandles={memberHandles}
+          canReply={canSendMessages && !mutedUntil}
+          onClose={() => setThreadRootId(null)}
+        />
+      )}
+
+      {showSettings && (
+        <GroupSettings group={groupInfo} isAdmin={isAdmin} currentUserId={currentUserId} onClose={() => setShowSettings(false)} />
+      )}
+
+      <GroupCallBanner groupId={group.id} currentUserId={currentUserId} isAdmin={isAdmin} onJoin={joinCall} />
+
+      <PinnedBanner
+        pins={pinnedMessages.map(pin => ({ id: pin._id, text: pin.content, senderName: pin.sender?.name }))}
+        onOpen={openPinnedMessage}
+        onUnpin={canPinMessages ? (id) => togglePin(id, true) : undefined}
+      />
+
       {/* Messages */}
       <div className="flex-1 overflow-y-auto p-4 space-y-4">
         {messages.map((msg) => {
           const senderId = msg.sender._id || msg.sender.id;
-          const currentUserId = currentUserData?.getMe?.id;
           const isOwnMessage = senderId === currentUserId;
+          if (msg.messageType === 'system') {
+            return (
+              <div key={msg._id} id={`group-message-${msg._id}`} className="flex justify-center">
+                <span className="px-3 py-1 rounded-full bg-gray-100 text-xs text-gray-500">{msg.content}</span>
+              </div>
+            );
+          }
           return (
             <div
               key={msg._id}
+              id={`group-message-${msg._id}`}
               className={`flex ${isOwnMessage ? 'justify-end' : 'justify-start'}`}
+              onMouseEnter={() => setHoveredMsgId(msg._id)}
+              onMouseLeave={() => { setHoveredMsgId(null); setReactionPickerMsgId(null); }}
             >
-              <div className="flex flex-col items-start">
+              {isOwnMessage && hoveredMsgId === msg._id && (
+                <button
+                  type="button"
+                  className="self-center mr-2 p-1 rounded-full text-gray-400 hover:text-purple-500 hover:bg-gray-100"
+                  title="React"
+                  onClick={() => setReactionPickerMsgId(msg._id)}
+                >
+                  <BsEmojiSmile />
+                </button>
+              )}
+              {isOwnMessage && canPinMessages && hoveredMsgId === msg._id && (
+                <button
+                  type="button"
+                  className={`self-center mr-2 p-1 rounded-full hover:bg-gray-100 ${msg.pinnedAt ? 'text-purple-500' : 'text-gray-400 hover:text-purple-500'}`}
+                  title={msg.pinnedAt ? 'Unpin' : 'Pin'}
+                  onClick={() => togglePin(msg._id, Boolean(msg.pinnedAt))}
+                >
+                  <MdPushPin />
+                </button>
+              )}
+              {isOwnMessage && hoveredMsgId === msg._id && (
+                <button
+                  type="button"
+                  className="self-center mr-2 p-1 rounded-full text-gray-400 hover:text-purple-500 hover:bg-gray-100"
+                  title="Reply in thread"
+                  onClick={() => setThreadRootId(msg._id)}
+                >
+                  <BsChatDots />
+                </button>
+              )}
+              {isOwnMessage && hoveredMsgId === msg._id && (
+                <button
+                  type="button"
+                  className="self-center mr-2 p-1 rounded-full text-gray-400 hover:text-red-500 hover:bg-gray-100"
+                  title="Delete"
+                  onClick={() => handleDeleteMessage(msg._id, isOwnMessage)}
+                >
+                  <MdDelete />
+                </button>
+              )}
+              <div className={`relative flex flex-col ${isOwnMessage ? 'items-end' : 'items-start'}`}>
+                {reactionPickerMsgId === msg._id && (
+                  <ReactionPicker
+                    align={isOwnMessage ? 'right' : 'left'}
+                    onSelect={(emoji) => toggleReaction(msg._id, emoji, hasReacted(msg, emoji))}
+                    onClose={() => setReactionPickerMsgId(null)}
+                  />
+                )}
                 {!isOwnMessage && (
                   <img
                     src={msg.sender.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(msg.sender.name)}&background=8B5CF6&color=fff`}
@@ -162,22 +611,103 @@ const GroupChat = ({ group, onBack }) => {
                     className="w-7 h-7 rounded-full mb-1 object-cover"
                   />
                 )}
-                <div className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
+                <div className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg transition-shadow ${
                   isOwnMessage
                     ? 'bg-purple-500 text-white'
                     : 'bg-gray-200 text-gray-800'
-                }`}>
+                } ${highlightedMsgId === msg._id ? 'ring-4 ring-yellow-300' : ''}`}>
                   {!isOwnMessage && (
                     <p className="text-xs font-semibold mb-1">{msg.sender.name}</p>
                   )}
-                  <p>{msg.content}</p>
+                  {msg.messageType === 'poll' && msg.poll ? (
+                    <GroupPoll
+                      poll={msg.poll}
+                      isOwnMessage={isOwnMessage}
+                      canClose={isOwnMessage || isAdmin}
+                      onVote={(optionIds) => handleVote(msg._id, optionIds)}
+                      onClose={() => handleClosePoll(msg._id)}
+                    />
+                  ) : (
+                    <MentionText content={msg.content} handles={memberHandles} isOwnMessage={isOwnMessage} />
+                  )}
                   <p className={`text-xs mt-1 ${
                     isOwnMessage ? 'text-purple-100' : 'text-gray-500'
                   }`}>
                     {formatTime(msg.createdAt)}
                   </p>
                 </div>
+                <MessageReactions
+                  reactions={msg.reactions}
+                  currentUserId={currentUserId}
+                  align={isOwnMessage ? 'right' : 'left'}
+                  onToggle={(emoji, reactedByMe) => toggleReaction(msg._id, emoji, reactedByMe)}
+                />
+                {msg.threadReplyCount > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => setThreadRootId(msg._id)}
+                    className="mt-1 flex items-center gap-2 px-2 py-1 rounded-lg text-xs hover:bg-purple-50"
+                  >
+                    <span className="flex -space-x-2">
+                      {(msg.threadParticipants || []).map((participant) => (
+                        <img
+                          key={participant.id}
+                          src={participant.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(participant.name)}&background=8B5CF6&color=fff`}
+                          alt={participant.name}
+                          title={participant.name}
+                          className="w-5 h-5 rounded-full border border-white object-cover"
+                        />
+                      ))}
+                    </span>
+                    <span className="font-semibold text-purple-600">
+                      {msg.threadReplyCount} {msg.threadReplyCount === 1 ? 'reply' : 'replies'}
+                    </span>
+                    {msg.threadLastReplyAt && (
+                      <span className="text-gray-400">Last reply {formatTime(msg.threadLastReplyAt)}</span>
+                    )}
+                  </button>
+                )}
               </div>
+              {!isOwnMessage && hoveredMsgId === msg._id && (
+                <button
+                  type="button"
+                  className="self-center ml-2 p-1 rounded-full text-gray-400 hover:text-purple-500 hover:bg-gray-100"
+                  title="React"
+                  onClick={() => setReactionPickerMsgId(msg._id)}
+                >
+                  <BsEmojiSmile />
+                </button>
+              )}
+              {!isOwnMessage && canPinMessages && hoveredMsgId === msg._id && (
+                <button
+                  type="button"
+                  className={`self-center ml-2 p-1 rounded-full hover:bg-gray-100 ${msg.pinnedAt ? 'text-purple-500' : 'text-gray-400 hover:text-purple-500'}`}
+                  title={msg.pinnedAt ? 'Unpin' : 'Pin'}
+                  onClick={() => togglePin(msg._id, Boolean(msg.pinnedAt))}
+                >
+                  <MdPushPin />
+                </button>
+              )}
+              {!isOwnMessage && hoveredMsgId === msg._id && (
+                <button
+                  type="button"
+                  className="self-center ml-2 p-1 rounded-full text-gray-400 hover:text-purple-500 hover:bg-gray-100"
+                  title="Reply in thread"
+                  onClick={() => setThreadRootId(msg._id)}
+                >
+                  <BsChatDots />
+                </button>
+              )}
+              {!isOwnMessage && isAdmin && hoveredMsgId === msg._id && (
+                <button
+                  type="button"
+                  className="self-center ml-2 p-1 rounded-full text-gray-400 hover:text-red-500 hover:bg-gray-100"
+                  title="Delete"
+                  onClick={() => handleDeleteMessage(msg._id, isOwnMessage)}
+                >
+                  <MdDelete />
+                </button>
+              )}
             </div>
           );
         })}
@@ -201,12 +731,34 @@ const GroupChat = ({ group, onBack }) => {
       </div>
 
       {/* Message Input */}
+      {!canSendMessages || mutedUntil ? (
+        <div className="p-4 border-t bg-gray-50 text-center text-sm text-gray-500">
+          {mutedUntil
+            ? `You are muted in this group until ${formatTime(mutedUntil)}`
+            : 'Only admins can send messages in this group'}
+        </div>
+      ) : (
       <form onSubmit={handleSendMessage} className="p-4 border-t bg-white">
+        {slowModeSeconds > 0 && (
+          <p className="mb-2 text-xs text-gray-500 text-center">Slow mode is on: one message every {slowModeSeconds}s</p>
+        )}
         <div className="flex items-center space-x-2 relative">
+          <MentionSuggestions candidates={mentionCandidates} activeIndex={mentionIndex} onSelect={selectMention} />
+          <button
+            type="button"
+            onClick={() => setShowPollComposer(true)}
+            className="p-2 text-2xl text-gray-500 hover:text-purple-500 rounded-full"
+            title="Create poll"
+          >
+            <MdPoll />
+          </button>
           <input
             type="text"
+            ref={inputRef}
             value={message}
             onChange={handleTyping}
+            onKeyDown={handleComposerKeyDown}
+            onBlur={() => setMentionQuery(null)}
             placeholder="Type a message..."
             className="flex-1 p-3 border rounded-full focus:outline-none focus:ring-2 focus:ring-purple-500 pr-10"
           />
@@ -238,6 +790,7 @@ const GroupChat = ({ group, onBack }) => {
           </button>
         </div>
       </form>
+      )}
     </div>
   );
 };
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery } from '@apollo/client';
+import moment from 'moment';
+import { GET_GROUP_INVITES, CREATE_GROUP_INVITE, REVOKE_GROUP_INVITE } from '../../graphql/mutations';
+
+const EXPIRY_OPTIONS = [
+  { label: '1 hour', hours: 1 },
+  { label: '1 day', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: 'Never', hours: null }
+];
+
+export const inviteUrl = (code) => `${window.location.origin}/join/${code}`;
+
+const inviteStatus = (invite) => {
+  if (invite.revoked) return 'Revoked';
+  if (invite.expiresAt && moment(invite.expiresAt).isBefore(moment())) return 'Expired';
+  if (invite.maxUses && invite.uses >= invite.maxUses) return 'Used up';
+  return 'Active';
+};
+
+// Admin tab in group settings: create, copy and revoke invite links
+const GroupInviteLinks = ({ groupId }) => {
+  const [expiryHours, setExpiryHours] = useState(24);
+  const [maxUses, setMaxUses] = useState('');
+  const [copiedCode, setCopiedCode] = useState(null);
+
+  const { data, loading, error } = useQuery(GET_GROUP_INVITES, {
+    variables: { groupId },
+    fetchPolicy: 'cache-and-network'
+  });
+  const [createInvite, { loading: creating }] = useMutation(CREATE_GROUP_INVITE, {
+    refetchQueries: [{ query: GET_GROUP_INVITES, variables: { groupId } }]
+  });
+  const [revokeInvite] = useMutation(REVOKE_GROUP_INVITE);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await createInvite({
+        variables: {
+          groupId,
+          expiresAt: expiryHours ? moment().add(expiryHours, 'hours').toISOString() : null,
+          maxUses: maxUses ? parseInt(maxUses, 10) : null
+        }
+      });
+      setMaxUses('');
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleCopy = async (code) => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl(code));
+      setCopiedCode(code);
+      setTimeout(() => setCopiedCode(null), 2000);
+    } catch (err) {
+      console.error('Error copying invite link:', err);
+    }
+  };
+
+  const handleRevoke = async (inviteId) => {
+    if (!window.confirm('Revoke this invite link? People who have it will no longer be able to join.')) return;
+    try {
+      await revokeInvite({ variables: { inviteId } });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const invites = data?.getGroupInvites || [];
+
+  return (
+    <div>
+      <form onSubmit={handleCreate} className="mb-4 p-3 rounded-lg bg-purple-50 space-y-2">
+        <div className="flex items-center gap-2 text-sm">
+          <label className="w-24 text-gray-700">Expires after</label>
+          <select
+            value={expiryHours ?? ''}
+            onChange={(e) => setExpiryHours(e.target.value ? Number(e.target.value) : null)}
+            className="flex-1 border rounded px-2 py-1"
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.label} value={option.hours ?? ''}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center gap-2 text-sm">
+          <label className="w-24 text-gray-700">Max uses</label>
+          <input
+            type="number"
+            min="1"
+            value={maxUses}
+            onChange={(e) => setMaxUses(e.target.value)}
+            placeholder="Unlimited"
+            className="flex-1 border rounded px-2 py-1"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={creating}
+          className="w-full py-2 bg-purple-500 text-white rounded-lg text-sm font-semibold hover:bg-purple-600 disabled:opacity-50"
+        >
+          {creating ? 'Creating...' : 'Create invite link'}
+        </button>
+      </form>
+
+      {loading && !data && <p className="text-sm text-gray-400">Loading invite links...</p>}
+      {error && <p className="text-sm text-red-500">{error.message}</p>}
+      {!loading && invites.length === 0 && <p className="text-sm text-gray-400">No invite links yet</p>}
+
+      <ul className="space-y-2">
+        {invites.map((invite) => {
+          const status = inviteStatus(invite);
+          return (
+            <li key={invite._id} className="p-3 border rounded-lg text-sm">
+              <div className="flex items-center justify-between">
+                <span className="font-mono text-gray-800 truncate">{invite.code}</span>
+                <span className={`text-xs font-semibold ${status === 'Active' ? 'text-green-600' : 'text-gray-400'}`}>{status}</span>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {invite.uses}{invite.maxUses ? ` / ${invite.maxUses}` : ''} uses
+                {' · '}
+                {invite.expiresAt ? `expires ${moment(invite.expiresAt).fromNow()}` : 'never expires'}
+                {' · '}
+                by {invite.createdBy?.name}
+              </p>
+              {status === 'Active' && (
+                <div className="flex gap-2 mt-2">
+                  <button
+                    type="button"
+                    onClick={() => handleCopy(invite.code)}
+                    className="px-3 py-1 rounded-full bg-gray-100 hover:bg-gray-200 text-xs font-semibold"
+                  >
+                    {copiedCode === invite.code ? 'Copied!' : 'Copy link'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(invite._id)}
+                    className="px-3 py-1 rounded-full bg-red-50 hover:bg-red-100 text-red-600 text-xs font-semibold"
+                  >
+                    Revoke
+                  </button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default GroupInviteLinks;
@@ -0,0 +1,92 @@
+import React, { useEffect } from 'react';
+import { useMutation, useQuery } from '@apollo/client';
+import moment from 'moment';
+import { GET_GROUP_JOIN_REQUESTS, APPROVE_JOIN_REQUEST, REJECT_JOIN_REQUEST } from '../../graphql/mutations';
+import socket from '../socket_io/Socket';
+
+// Admin tab in group settings: pending requests to join a private group
+const GroupJoinRequests = ({ groupId }) => {
+  const { data, loading, error, refetch } = useQuery(GET_GROUP_JOIN_REQUESTS, {
+    variables: { groupId, status: 'pending' },
+    fetchPolicy: 'cache-and-network'
+  });
+  const [approveRequest] = useMutation(APPROVE_JOIN_REQUEST);
+  const [rejectRequest] = useMutation(REJECT_JOIN_REQUEST);
+
+  // New requests, and requests another admin decided, refresh the list
+  useEffect(() => {
+    const handleRequestChange = (payload) => {
+      if (payload?.groupId === groupId) refetch();
+    };
+    socket.on('groupJoinRequest', handleRequestChange);
+    socket.on('groupJoinRequestReviewed', handleRequestChange);
+    return () => {
+      socket.off('groupJoinRequest', handleRequestChange);
+      socket.off('groupJoinRequestReviewed', handleRequestChange);
+    };
+  }, [groupId, refetch]);
+
+  const handleApprove = async (requestId) => {
+    try {
+      const { data: result } = await approveRequest({ variables: { requestId } });
+      if (!result?.approveJoinRequest?.success) {
+        alert(result?.approveJoinRequest?.message || 'Could not approve request');
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+    refetch();
+  };
+
+  const handleReject = async (requestId) => {
+    try {
+      await rejectRequest({ variables: { requestId } });
+    } catch (err) {
+      alert(err.message);
+    }
+    refetch();
+  };
+
+  const requests = data?.getGroupJoinRequests || [];
+
+  if (loading && !data) return <p className="text-sm text-gray-400">Loading requests...</p>;
+  if (error) return <p className="text-sm text-red-500">{error.message}</p>;
+  if (requests.length === 0) return <p className="text-sm text-gray-400">No pending requests</p>;
+
+  return (
+    <ul className="space-y-2">
+      {requests.map((request) => (
+        <li key={request._id} className="p-3 border rounded-lg flex items-start gap-3">
+          <img
+            src={request.user.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(request.user.name)}&background=8B5CF6&color=fff`}
+            alt={request.user.name}
+            className="w-10 h-10 rounded-full object-cover"
+          />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-semibold truncate">{request.user.name}</p>
+            <p className="text-xs text-gray-500">@{request.user.username} · {moment(request.createdAt).fromNow()}</p>
+            {request.message && <p className="text-sm text-gray-700 mt-1 break-words">{request.message}</p>}
+            <div className="flex gap-2 mt-2">
+              <button
+                type="button"
+                onClick={() => handleApprove(request._id)}
+                className="px-3 py-1 rounded-full bg-purple-500 hover:bg-purple-600 text-white text-xs font-semibold"
+              >
+                Approve
+              </button>
+              <button
+                type="button"
+                onClick={() => handleReject(request._id)}
+                className="px-3 py-1 rounded-full bg-gray-100 hover:bg-gray-200 text-xs font-semibold"
+              >
+                Reject
+              </button>
+            </div>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default GroupJoinRequests;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { useMutation } from '@apollo/client';
+import {
+  GET_GROUP_DETAILS,
+  MAKE_GROUP_ADMIN,
+  REMOVE_GROUP_ADMIN,
+  REMOVE_GROUP_MEMBER,
+  TRANSFER_GROUP_OWNERSHIP
+} from '../../graphql/mutations';
+
+const ROLE_BADGES = {
+  owner: 'bg-purple-100 text-purple-700',
+  admin: 'bg-blue-100 text-blue-700'
+};
+
+// Members tab in group settings. Everyone sees roles; admins (and the owner) get actions.
+const GroupMembers = ({ group, currentUserId }) => {
+  const refetchQueries = [{ query: GET_GROUP_DETAILS, variables: { groupId: group.id } }];
+  const [makeAdmin] = useMutation(MAKE_GROUP_ADMIN, { refetchQueries });
+  const [removeAdmin] = useMutation(REMOVE_GROUP_ADMIN, { refetchQueries });
+  const [removeMember] = useMutation(REMOVE_GROUP_MEMBER, { refetchQueries });
+  const [transferOwnership] = useMutation(TRANSFER_GROUP_OWNERSHIP, { refetchQueries });
+
+  const ownerId = group.owner?.id;
+  const adminIds = new Set((group.admins || []).map((admin) => admin.id));
+  const roleOf = (memberId) => {
+    if (memberId === ownerId) return 'owner';
+    return adminIds.has(memberId) ? 'admin' : 'member';
+  };
+  const viewerRole = group.myRole || roleOf(currentUserId);
+  const viewerIsAdmin = viewerRole === 'owner' || viewerRole === 'admin';
+
+  // All membership mutations answer with { success, message } instead of throwing
+  const run = async (mutate, memberId, resultKey, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) return;
+    try {
+      const { data } = await mutate({ variables: { groupId: group.id, memberId } });
+      if (!data?.[resultKey]?.success) {
+        alert(data?.[resultKey]?.message || 'Something went wrong');
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const members = [...(group.members || [])].sort((a, b) => {
+    const rank = { owner: 0, admin: 1, member: 2 };
+    return rank[roleOf(a.id)] - rank[roleOf(b.id)];
+  });
+
+  return (
+    <ul className="divide-y">
+      {members.map((member) => {
+        const role = roleOf(member.id);
+        const isSelf = member.id === currentUserId;
+        return (
+          <li key={member.id} className="py-2 flex items-center gap-3">
+            <img
+              src={member.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(member.name)}&background=8B5CF6&color=fff`}
+              alt={member.name}
+              className="w-9 h-9 rounded-full object-cover"
+            />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-semibold truncate">{member.name}{isSelf ? ' (you)' : ''}</p>
+              <p className="text-xs text-gray-500 truncate">@{member.username}</p>
+            </div>
+            {ROLE_BADGES[role] && (
+              <span className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${ROLE_BADGES[role]}`}>{role}</span>
+            )}
+            {viewerIsAdmin && role !== 'owner' && (
+              <div className="flex flex-col items-end gap-1 text-xs">
+                {role === 'member' ? (
+                  <button type="button" onClick={() => run(makeAdmin, member.id, 'makeGroupAdmin')} className="text-purple-600 hover:underline">
+                    Make admin
+                  </button>
+                ) : (
+                  <button type="button" onClick={() => run(removeAdmin, member.id, 'removeGroupAdmin')} className="text-gray-600 hover:underline">
+                    {isSelf ? 'Step down' : 'Remove admin'}
+                  </button>
+                )}
+                {viewerRole === 'owner' && (
+                  <button
+                    type="button"
+                    onClick={() => run(transferOwnership, member.id, 'transferGroupOwnership', `Make ${member.name} the owner of this group? You will stay on as an admin.`)}
+                    className="text-purple-600 hover:underline"
+                  >
+                    Make owner
+                  </button>
+                )}
+                {!isSelf && (
+                  <button
+                    type="button"
+                    onClick={() => run(removeMember, member.id, 'removeGroupMember', `Remove ${member.name} from the group?`)}
+                    className="text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default GroupMembers;
@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery } from '@apollo/client';
+import moment from 'moment';
+import { GET_MY_MENTIONS } from '../../graphql/mutations';
+import socket from '../socket_io/Socket';
+
+const MENTIONS_PAGE_SIZE = 20;
+
+// Collapsible "where was I tagged" list shown above the group chats
+const GroupMentions = ({ onOpen }) => {
+  const [open, setOpen] = useState(false);
+  const [older, setOlder] = useState([]);
+  const [olderPageInfo, setOlderPageInfo] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+
+  const { data, loading, refetch, fetchMore } = useQuery(GET_MY_MENTIONS, {
+    variables: { limit: MENTIONS_PAGE_SIZE },
+    fetchPolicy: 'cache-and-network'
+  });
+
+  useEffect(() => {
+    // Start over from the newest page so the older pages can't leave a gap
+    const handleMention = () => {
+      setOlder([]);
+      setOlderPageInfo(null);
+      refetch();
+    };
+    socket.on('groupMention', handleMention);
+    return () => {
+      socket.off('groupMention', handleMention);
+    };
+  }, [refetch]);
+
+  const latest = data?.getMyMentions;
+  // Pages come back oldest first; the list reads newest first
+  const mentions = [...(latest?.mentions || []), ...older].reverse();
+  const pageInfo = olderPageInfo || latest?.pageInfo;
+
+  const loadOlder = async () => {
+    if (!pageInfo?.hasPreviousPage || loadingOlder) return;
+    setLoadingOlder(true);
+    try {
+      const { data: more } = await fetchMore({
+        variables: { before: pageInfo.startCursor, limit: MENTIONS_PAGE_SIZE },
+        updateQuery: (prev) => prev
+      });
+      setOlder((prev) => [...(more?.getMyMentions?.mentions || []), ...prev]);
+      setOlderPageInfo(more?.getMyMentions?.pageInfo || null);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  return (
+    <div className="border-b border-gray-100">
+      <button
+        type="button"
+        onClick={() => setOpen((prev) => !prev)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm font-semibold text-gray-700 hover:bg-gray-50"
+      >
+        <span>@ Mentions</span>
+        <span className="text-xs text-gray-400">{open ? 'Hide' : mentions.length ? `${mentions.length}${pageInfo?.hasPreviousPage ? '+' : ''}` : ''}</span>
+      </button>
+      {open && (
+        <div className="max-h-72 overflow-y-auto">
+          {loading && !latest && <p className="px-4 pb-3 text-xs text-gray-400">Loading mentions...</p>}
+          {latest && mentions.length === 0 && <p className="px-4 pb-3 text-xs text-gray-400">No one has mentioned you yet</p>}
+          {mentions.map((mention) => (
+            <button
+              key={mention._id}
+              type="button"
+              onClick={() => onOpen(mention)}
+              className="w-full text-left px-4 py-2 hover:bg-purple-50 flex items-start gap-2"
+            >
+              <img
+                src={mention.sender.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(mention.sender.name)}&background=8B5CF6&color=fff`}
+                alt={mention.sender.name}
+                className="w-8 h-8 rounded-full object-cover"
+              />
+              <span className="min-w-0 flex-1">
+                <span className="block text-xs text-gray-500 truncate">
+                  {mention.sender.name} in {mention.group?.name} · {moment(mention.createdAt).fromNow()}
+                </span>
+                <span className="block text-sm text-gray-800 truncate">{mention.content}</span>
+              </span>
+            </button>
+          ))}
+          {pageInfo?.hasPreviousPage && (
+            <button
+              type="button"
+              onClick={loadOlder}
+              disabled={loadingOlder}
+              className="w-full py-2 text-xs text-purple-600 font-semibold hover:underline disabled:opacity-50"
+            >
+              {loadingOlder ? 'Loading...' : 'Show older mentions'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GroupMentions;
@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation } from '@apollo/client';
+import moment from 'moment';
+import {
+  GET_GROUP_DETAILS,
+  GET_GROUP_MODERATION,
+  BAN_GROUP_MEMBER,
+  UNBAN_GROUP_MEMBER,
+  MUTE_GROUP_MEMBER,
+  UNMUTE_GROUP_MEMBER,
+  SET_GROUP_SLOW_MODE
+} from '../../graphql/mutations';
+
+const SLOW_MODE_OPTIONS = [
+  { seconds: 0, label: 'Off' },
+  { seconds: 10, label: '10 seconds' },
+  { seconds: 30, label: '30 seconds' },
+  { seconds: 60, label: '1 minute' },
+  { seconds: 300, label: '5 minutes' },
+  { seconds: 900, label: '15 minutes' },
+  { seconds: 3600, label: '1 hour' }
+];
+
+const MUTE_OPTIONS = [
+  { minutes: 15, label: '15 minutes' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 8 * 60, label: '8 hours' },
+  { minutes: 24 * 60, label: '1 day' },
+  { minutes: 7 * 24 * 60, label: '1 week' }
+];
+
+const avatarUrl = (user) =>
+  user.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(user.name)}&background=8B5CF6&color=fff`;
+
+// Admin tab in group settings: slow mode, timed mutes and bans
+const GroupModeration = ({ group, currentUserId }) => {
+  const [memberId, setMemberId] = useState('');
+  const [minutes, setMinutes] = useState(MUTE_OPTIONS[1].minutes);
+  const [reason, setReason] = useState('');
+
+  const { data, loading, error } = useQuery(GET_GROUP_MODERATION, {
+    variables: { groupId: group.id },
+    fetchPolicy: 'network-only'
+  });
+  const refetchQueries = [
+    { query: GET_GROUP_MODERATION, variables: { groupId: group.id } },
+    { query: GET_GROUP_DETAILS, variables: { groupId: group.id } }
+  ];
+  const [banMember] = useMutation(BAN_GROUP_MEMBER, { refetchQueries });
+  const [unbanMember] = useMutation(UNBAN_GROUP_MEMBER, { refetchQueries });
+  const [muteMember] = useMutation(MUTE_GROUP_MEMBER, { refetchQueries });
+  const [unmuteMember] = useMutation(UNMUTE_GROUP_MEMBER, { refetchQueries });
+  const [setSlowMode, { loading: savingSlowMode }] = useMutation(SET_GROUP_SLOW_MODE, { refetchQueries });
+
+  const moderation = data?.getGroupModeration;
+  const ownerId = group.owner?.id;
+  const viewerIsOwner = (group.myRole || (currentUserId === ownerId ? 'owner' : null)) === 'owner';
+  const adminIds = new Set((group.admins || []).map((admin) => admin.id));
+  // Same rules as the server: never the owner or yourself, and other admins only for the owner
+  const candidates = (group.members || []).filter((member) => (
+    member.id !== ownerId && member.id !== currentUserId && (viewerIsOwner || !adminIds.has(member.id))
+  ));
+
+  // Membership mutations answer with { success, message } instead of throwing
+  const run = async (mutate, variables, resultKey, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) return false;
+    try {
+      const { data: result } = await mutate({ variables: { groupId: group.id, ...variables } });
+      if (!result?.[resultKey]?.success) {
+        alert(result?.[resultKey]?.message || 'Something went wrong');
+        return false;
+      }
+      return true;
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+  };
+
+  const selected = candidates.find((member) => member.id === memberId);
+
+  const handleMute = async () => {
+    if (!selected) return;
+    const done = await run(muteMember, { memberId, minutes: Number(minutes), reason: reason.trim() || null }, 'muteGroupMember');
+    if (done) setReason('');
+  };
+
+  const handleBan = async () => {
+    if (!selected) return;
+    const done = await run(
+      banMember,
+      { memberId, reason: reason.trim() || null },
+      'banGroupMember',
+      `Ban ${selected.name}? They will be removed and can't rejoin until unbanned.`
+    );
+    if (done) {
+      setMemberId('');
+      setReason('');
+    }
+  };
+
+  const handleSlowMode = async (seconds) => {
+    try {
+      await setSlowMode({ variables: { groupId: group.id, seconds } });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  if (loading && !moderation) return <p className="text-sm text-gray-400">Loading moderation settings...</p>;
+  if (error) return <p className="text-sm text-red-500">{error.message}</p>;
+
+  return (
+    <div className="space-y-5">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <p className="text-sm font-semibold text-gray-800">Slow mode</p>
+          <p className="text-xs text-gray-500">How long members wait between messages. Admins are exempt.</p>
+        </div>
+        <select
+          value={moderation?.slowModeSeconds || 0}
+          disabled={savingSlowMode}
+          onChange={(e) => handleSlowMode(Number(e.target.value))}
+          className="border rounded px-2 py-1 text-sm"
+        >
+          {SLOW_MODE_OPTIONS.map(({ seconds, label }) => (
+            <option key={seconds} value={seconds}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="space-y-2">
+        <p className="text-sm font-semibold text-gray-800">Mute or ban a member</p>
+        <select value={memberId} onChange={(e) => setMemberId(e.target.value)} className="w-full border rounded px-2 py-1 text-sm">
+          <option value="">Choose a member...</option>
+          {candidates.map((member) => (
+            <option key={member.id} value={member.id}>{member.name} (@{member.username})</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={500}
+          placeholder="Reason (optional)"
+          className="w-full border rounded px-2 py-1 text-sm"
+        />
+        <div className="flex items-center gap-2">
+          <select value={minutes} onChange={(e) => setMinutes(e.target.value)} className="border rounded px-2 py-1 text-sm">
+            {MUTE_OPTIONS.map((option) => (
+              <option key={option.minutes} value={option.minutes}>{option.label}</option>
+            ))}
+          </select>
+          <button type="button" disabled={!selected} onClick={handleMute} className="px-3 py-1 rounded bg-purple-500 text-white text-sm disabled:opacity-50">
+            Mute
+          </button>
+          <button type="button" disabled={!selected} onClick={handleBan} className="px-3 py-1 rounded bg-red-500 text-white text-sm disabled:opacity-50">
+            Ban
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <p className="text-sm font-semibold text-gray-800 mb-1">Muted</p>
+        {!moderation?.mutes.length && <p className="text-xs text-gray-400">No one is muted</p>}
+        <ul className="divide-y">
+          {(moderation?.mutes || []).map((mute) => (
+            <li key={mute.user.id} className="py-2 flex items-center gap-3">
+              <img src={avatarUrl(mute.user)} alt={mute.user.name} className="w-8 h-8 rounded-full object-cover" />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-semibold truncate">{mute.user.name}</p>
+                <p className="text-xs text-gray-500 truncate">
+                  Until {moment(mute.until).format('MMM D, h:mm A')}{mute.reason ? ` · ${mute.reason}` : ''}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => run(unmuteMember, { memberId: mute.user.id }, 'unmuteGroupMember')}
+                className="text-xs text-purple-600 hover:underline"
+              >
+                Unmute
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div>
+        <p className="text-sm font-semibold text-gray-800 mb-1">Banned</p>
+        {!moderation?.bans.length && <p className="text-xs text-gray-400">No one is banned</p>}
+        <ul className="divide-y">
+          {(moderation?.bans || []).map((ban) => (
+            <li key={ban.user.id} className="py-2 flex items-center gap-3">
+              <img src={avatarUrl(ban.user)} alt={ban.user.name} className="w-8 h-8 rounded-full object-cover" />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-semibold truncate">{ban.user.name}</p>
+                <p className="text-xs text-gray-500 truncate">
+                  {ban.bannedBy ? `By ${ban.bannedBy.name}` : 'Banned'}
+                  {ban.createdAt ? ` ${moment(ban.createdAt).fromNow()}` : ''}
+                  {ban.reason ? ` · ${ban.reason}` : ''}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => run(unbanMember, { memberId: ban.user.id }, 'unbanGroupMember', `Unban ${ban.user.name}?`)}
+                className="text-xs text-purple-600 hover:underline"
+              >
+                Unban
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default GroupModeration;
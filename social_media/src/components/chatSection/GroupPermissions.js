@@ -0,0 +1,50 @@
+import React from 'react';
+import { useMutation } from '@apollo/client';
+import { UPDATE_GROUP_PERMISSIONS } from '../../graphql/mutations';
+
+const PERMISSION_LABELS = [
+  { name: 'sendMessages', label: 'Send messages', hint: 'Set to admins only for an announcement group' },
+  { name: 'editInfo', label: 'Edit group info' },
+  { name: 'addMembers', label: 'Add members' },
+  { name: 'pinMessages', label: 'Pin messages' },
+  { name: 'startCalls', label: 'Start group calls' }
+];
+
+// Admin tab in group settings: who may do what in this group
+const GroupPermissions = ({ group }) => {
+  const [updatePermissions, { loading }] = useMutation(UPDATE_GROUP_PERMISSIONS);
+  const permissions = group.permissions || {};
+
+  const handleChange = async (name, level) => {
+    try {
+      await updatePermissions({ variables: { groupId: group.id, permissions: { [name]: level } } });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {PERMISSION_LABELS.map(({ name, label, hint }) => (
+        <div key={name} className="flex items-center justify-between gap-3">
+          <div>
+            <p className="text-sm font-semibold text-gray-800">{label}</p>
+            {hint && <p className="text-xs text-gray-500">{hint}</p>}
+          </div>
+          <select
+            value={permissions[name] || 'all'}
+            disabled={loading}
+            onChange={(e) => handleChange(name, e.target.value)}
+            className="border rounded px-2 py-1 text-sm"
+          >
+            <option value="all">All members</option>
+            <option value="admins">Admins only</option>
+          </select>
+        </div>
+      ))}
+      <p className="text-xs text-gray-400">The owner can always do everything and can't be removed by other admins.</p>
+    </div>
+  );
+};
+
+export default GroupPermissions;
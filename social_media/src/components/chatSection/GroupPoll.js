@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import moment from 'moment';
+
+const MAX_OPTIONS = 10;
+
+const CLOSE_OPTIONS = [
+  { label: 'Never', hours: null },
+  { label: '1 hour', hours: 1 },
+  { label: '1 day', hours: 24 },
+  { label: '1 week', hours: 24 * 7 }
+];
+
+// Modal for writing a new poll
+export const PollComposer = ({ onSubmit, onCancel }) => {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [allowMultiple, setAllowMultiple] = useState(false);
+  const [anonymous, setAnonymous] = useState(false);
+  const [closeHours, setCloseHours] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const filledOptions = options.map((option) => option.trim()).filter(Boolean);
+  const canSubmit = question.trim() && filledOptions.length >= 2 && !submitting;
+
+  const updateOption = (index, value) => {
+    setOptions((prev) => prev.map((option, i) => (i === index ? value : option)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    setSubmitting(true);
+    try {
+      await onSubmit({
+        question: question.trim(),
+        options: filledOptions,
+        allowMultiple,
+        anonymous,
+        closesAt: closeHours ? moment().add(closeHours, 'hours').toISOString() : null
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onCancel}>
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white rounded-lg p-6 w-[450px] max-h-[80vh] overflow-y-auto space-y-3"
+      >
+        <h2 className="text-xl font-bold">Create poll</h2>
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          maxLength={300}
+          placeholder="Ask a question"
+          className="w-full p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+        />
+        <div className="space-y-2">
+          {options.map((option, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={option}
+                onChange={(e) => updateOption(index, e.target.value)}
+                maxLength={100}
+                placeholder={`Option ${index + 1}`}
+                className="flex-1 p-2 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+              {options.length > 2 && (
+                <button
+                  type="button"
+                  onClick={() => setOptions((prev) => prev.filter((_, i) => i !== index))}
+                  className="text-gray-400 hover:text-red-500 text-sm"
+                  title="Remove option"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+          {options.length < MAX_OPTIONS && (
+            <button
+              type="button"
+              onClick={() => setOptions((prev) => [...prev, ''])}
+              className="text-sm text-purple-600 font-semibold hover:underline"
+            >
+              + Add option
+            </button>
+          )}
+        </div>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={allowMultiple} onChange={(e) => setAllowMultiple(e.target.checked)} />
+          Allow multiple answers
+        </label>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={anonymous} onChange={(e) => setAnonymous(e.target.checked)} />
+          Anonymous voting
+        </label>
+        <div className="flex items-center gap-2 text-sm">
+          <span>Closes after</span>
+          <select
+            value={closeHours ?? ''}
+            onChange={(e) => setCloseHours(e.target.value ? Number(e.target.value) : null)}
+            className="border rounded px-2 py-1"
+          >
+            {CLOSE_OPTIONS.map((option) => (
+              <option key={option.label} value={option.hours ?? ''}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex justify-end gap-2 pt-2">
+          <button type="button" onClick={onCancel} className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-sm font-semibold">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!canSubmit}
+            className="px-4 py-2 rounded-lg bg-purple-500 hover:bg-purple-600 text-white text-sm font-semibold disabled:opacity-50"
+          >
+            {submitting ? 'Posting...' : 'Post poll'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Poll question, options with live tallies, and voting controls inside a message bubble
+const GroupPoll = ({ poll, isOwnMessage, canClose, onVote, onClose }) => {
+  const myVotes = poll.myVotes || [];
+  const [selected, setSelected] = useState(myVotes);
+  const hasVoted = myVotes.length > 0;
+  const showResults = hasVoted || poll.closed;
+  const barColor = isOwnMessage ? 'bg-purple-300' : 'bg-purple-200';
+
+  const handleOptionClick = (optionId) => {
+    if (poll.closed) return;
+    if (!poll.allowMultiple) {
+      // Clicking your current answer again takes the vote back
+      onVote(myVotes.includes(optionId) ? [] : [optionId]);
+      return;
+    }
+    setSelected((prev) => (prev.includes(optionId) ? prev.filter((id) => id !== optionId) : [...prev, optionId]));
+  };
+
+  const selectionChanged = selected.length !== myVotes.length || selected.some((id) => !myVotes.includes(id));
+
+  return (
+    <div className="min-w-[220px]">
+      <p className="font-semibold mb-1">📊 {poll.question}</p>
+      <p className={`text-xs mb-2 ${isOwnMessage ? 'text-purple-100' : 'text-gray-500'}`}>
+        {poll.allowMultiple ? 'Select one or more' : 'Select one'}
+        {poll.anonymous ? ' · Anonymous' : ''}
+        {poll.closed ? ' · Closed' : poll.closesAt ? ` · Closes ${moment(poll.closesAt).fromNow()}` : ''}
+      </p>
+      <div className="space-y-1">
+        {poll.options.map((option) => {
+          const percent = poll.totalVotes ? Math.round((option.voteCount / poll.totalVotes) * 100) : 0;
+          const isChosen = poll.allowMultiple ? selected.includes(option.id) : myVotes.includes(option.id);
+          return (
+            <button
+              key={option.id}
+              type="button"
+              disabled={poll.closed}
+              onClick={() => handleOptionClick(option.id)}
+              title={option.voters?.map((voter) => voter.name).join(', ')}
+              className={`relative w-full text-left rounded-md overflow-hidden border text-sm ${
+                isOwnMessage ? 'border-purple-300 text-white' : 'border-gray-300 text-gray-800'
+              } ${poll.closed ? 'cursor-default' : 'hover:opacity-90'}`}
+            >
+              {showResults && (
+                <span className={`absolute inset-y-0 left-0 ${barColor} opacity-50`} style={{ width: `${percent}%` }} />
+              )}
+              <span className="relative flex items-center justify-between px-2 py-1 gap-2">
+                <span className="truncate">{isChosen ? '✓ ' : ''}{option.text}</span>
+                {showResults && <span className="text-xs">{option.voteCount} · {percent}%</span>}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+      <div className={`flex items-center justify-between mt-2 text-xs ${isOwnMessage ? 'text-purple-100' : 'text-gray-500'}`}>
+        <span>{poll.voterCount} {poll.voterCount === 1 ? 'voter' : 'voters'}</span>
+        <span className="flex gap-3">
+          {poll.allowMultiple && !poll.closed && selectionChanged && (
+            <button type="button" onClick={() => onVote(selected)} className="font-semibold underline">
+              {selected.length ? 'Vote' : 'Clear vote'}
+            </button>
+          )}
+          {canClose && !poll.closed && (
+            <button type="button" onClick={onClose} className="font-semibold underline">
+              Close poll
+            </button>
+          )}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default GroupPoll;
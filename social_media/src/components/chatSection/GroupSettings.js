@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import GroupInviteLinks from './GroupInviteLinks';
+import GroupJoinRequests from './GroupJoinRequests';
+import GroupMembers from './GroupMembers';
+import GroupPermissions from './GroupPermissions';
+import GroupModeration from './GroupModeration';
+import GroupActivity from './GroupActivity';
+import GroupSharedMedia from './GroupSharedMedia';
+import ConversationSettingsPanel from './ConversationSettingsPanel';
+
+// Group settings modal. Each tab declares whether only admins may open it.
+const TABS = [
+  { id: 'members', label: 'Members', render: ({ group, currentUserId }) => <GroupMembers group={group} currentUserId={currentUserId} /> },
+  { id: 'media', label: 'Media', render: ({ group }) => <GroupSharedMedia groupId={group.id} /> },
+  { id: 'notifications', label: 'Notifications', render: ({ group }) => <ConversationSettingsPanel chatType="group" chatId={group.id} /> },
+  { id: 'permissions', label: 'Permissions', adminOnly: true, render: ({ group }) => <GroupPermissions group={group} /> },
+  { id: 'moderation', label: 'Moderation', adminOnly: true, render: ({ group, currentUserId }) => <GroupModeration group={group} currentUserId={currentUserId} /> },
+  { id: 'invites', label: 'Invite links', adminOnly: true, render: ({ group }) => <GroupInviteLinks groupId={group.id} /> },
+  { id: 'requests', label: 'Join requests', adminOnly: true, render: ({ group }) => <GroupJoinRequests groupId={group.id} /> },
+  { id: 'activity', label: 'Activity', adminOnly: true, render: ({ group }) => <GroupActivity groupId={group.id} /> }
+];
+
+const GroupSettings = ({ group, isAdmin, currentUserId, onClose }) => {
+  const tabs = TABS.filter((tab) => isAdmin || !tab.adminOnly);
+  const [activeTab, setActiveTab] = useState(tabs[0]?.id);
+  const current = tabs.find((tab) => tab.id === activeTab);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg w-[480px] max-h-[80vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-bold truncate">{group.name}</h2>
+          <button type="button" onClick={onClose} className="p-1 rounded-full hover:bg-gray-100 text-gray-500">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        {tabs.length > 1 && (
+          <div className="flex border-b overflow-x-auto">
+            {tabs.map((tab) => (
+              <button
+                key={tab.id}
+                type="button"
+                onClick={() => setActiveTab(tab.id)}
+                className={`px-4 py-2 text-sm font-semibold whitespace-nowrap ${activeTab === tab.id ? 'text-purple-600 border-b-2 border-purple-600' : 'text-gray-500'}`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="p-4 overflow-y-auto">
+          {current ? current.render({ group, isAdmin, currentUserId }) : (
+            <p className="text-sm text-gray-400">Nothing to manage here yet</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GroupSettings;
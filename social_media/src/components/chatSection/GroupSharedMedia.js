@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { useQuery } from '@apollo/client';
+import moment from 'moment';
+import { GET_GROUP_MEDIA } from '../../graphql/mutations';
+import MessageMedia, { MediaLightbox } from './MessageMedia';
+
+const MEDIA_PAGE_SIZE = 24;
+
+const KINDS = [
+  { type: 'media', label: 'Media', empty: 'No photos or videos shared yet' },
+  { type: 'files', label: 'Files', empty: 'No files shared yet' },
+  { type: 'links', label: 'Links', empty: 'No links shared yet' }
+];
+
+const MediaGrid = ({ items, onOpen }) => (
+  <div className="grid grid-cols-3 gap-1">
+    {items.map((item) => (
+      <button
+        key={item._id}
+        type="button"
+        onClick={() => onOpen(item)}
+        className="relative aspect-square bg-gray-100 overflow-hidden rounded"
+        title={item.media.filename || ''}
+      >
+        {item.messageType === 'video' ? (
+          <>
+            <video src={item.media.url} preload="metadata" muted className="w-full h-full object-cover" />
+            <span className="absolute inset-0 flex items-center justify-center text-white text-2xl bg-black/20">▶</span>
+          </>
+        ) : (
+          <img src={item.media.url} alt={item.media.filename || 'Photo'} className="w-full h-full object-cover" />
+        )}
+      </button>
+    ))}
+  </div>
+);
+
+const FileList = ({ items }) => (
+  <ul className="space-y-2">
+    {items.map((item) => (
+      <li key={item._id}>
+        <MessageMedia messageType={item.messageType} media={item.media} isSent={false} />
+        <p className="text-xs text-gray-400">{item.sender.name} · {moment(item.createdAt).format('MMM D, YYYY')}</p>
+      </li>
+    ))}
+  </ul>
+);
+
+const LinkList = ({ items }) => (
+  <ul className="divide-y">
+    {items.flatMap((item) => item.links.map((link) => (
+      <li key={`${item._id}-${link}`} className="py-2">
+        <a href={link} target="_blank" rel="noopener noreferrer" className="text-sm text-purple-600 hover:underline break-all">
+          {link}
+        </a>
+        <p className="text-xs text-gray-400">{item.sender.name} · {moment(item.createdAt).format('MMM D, YYYY')}</p>
+      </li>
+    )))}
+  </ul>
+);
+
+// One kind of shared content, newest first, with "load more" going back in time
+const SharedMediaList = ({ groupId, kind }) => {
+  const [older, setOlder] = useState([]);
+  const [olderPageInfo, setOlderPageInfo] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  const { data, loading, error, fetchMore } = useQuery(GET_GROUP_MEDIA, {
+    variables: { groupId, type: kind.type, limit: MEDIA_PAGE_SIZE },
+    fetchPolicy: 'cache-and-network'
+  });
+
+  const latest = data?.getGroupMedia;
+  // Pages come back oldest first; the gallery reads newest first
+  const items = [...older, ...(latest?.items || [])].reverse();
+  const pageInfo = olderPageInfo || latest?.pageInfo;
+
+  const loadOlder = async () => {
+    if (!pageInfo?.hasPreviousPage || loadingOlder) return;
+    setLoadingOlder(true);
+    try {
+      const { data: more } = await fetchMore({
+        variables: { cursor: pageInfo.startCursor, limit: MEDIA_PAGE_SIZE },
+        updateQuery: (prev) => prev
+      });
+      setOlder((prev) => [...(more?.getGroupMedia?.items || []), ...prev]);
+      setOlderPageInfo(more?.getGroupMedia?.pageInfo || null);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  if (loading && !latest) return <p className="text-sm text-gray-400">Loading...</p>;
+  if (error) return <p className="text-sm text-red-500">{error.message}</p>;
+  if (items.length === 0) return <p className="text-sm text-gray-400">{kind.empty}</p>;
+
+  return (
+    <div>
+      {kind.type === 'media' && <MediaGrid items={items} onOpen={setPreview} />}
+      {kind.type === 'files' && <FileList items={items} />}
+      {kind.type === 'links' && <LinkList items={items} />}
+      {pageInfo?.hasPreviousPage && (
+        <button type="button" onClick={loadOlder} disabled={loadingOlder} className="w-full mt-3 text-xs text-purple-600 hover:underline disabled:opacity-50">
+          {loadingOlder ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+      <MediaLightbox item={preview} onClose={() => setPreview(null)} />
+    </div>
+  );
+};
+
+// Group settings tab: everything shared in the group, split into media, files and links
+const GroupSharedMedia = ({ groupId }) => {
+  const [activeType, setActiveType] = useState(KINDS[0].type);
+  const kind = KINDS.find((k) => k.type === activeType);
+
+  return (
+    <div>
+      <div className="flex gap-2 mb-3">
+        {KINDS.map((k) => (
+          <button
+            key={k.type}
+            type="button"
+            onClick={() => setActiveType(k.type)}
+            className={`px-3 py-1 rounded-full text-xs font-semibold ${activeType === k.type ? 'bg-purple-500 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+          >
+            {k.label}
+          </button>
+        ))}
+      </div>
+      <SharedMediaList key={kind.type} groupId={groupId} kind={kind} />
+    </div>
+  );
+};
+
+export default GroupSharedMedia;
@@ -0,0 +1,198 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useQuery, useMutation, useApolloClient } from '@apollo/client';
+import moment from 'moment';
+import {
+  GET_THREAD,
+  SEND_GROUP_MESSAGE,
+  FOLLOW_THREAD,
+  UNFOLLOW_THREAD
+} from '../../graphql/mutations';
+import socket from '../socket_io/Socket';
+import MentionText from './Mentions';
+
+const THREAD_PAGE_SIZE = 30;
+
+const avatarUrl = (user) =>
+  user?.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(user?.name || '?')}&background=8B5CF6&color=fff`;
+
+const ThreadMessage = ({ message, currentUserId, handles }) => (
+  <div className="flex items-start gap-2">
+    <img src={avatarUrl(message.sender)} alt={message.sender?.name} className="w-7 h-7 rounded-full object-cover" />
+    <div className="min-w-0 flex-1">
+      <p className="text-xs text-gray-500">
+        <span className="font-semibold text-gray-800">{message.sender?.id === currentUserId ? 'You' : message.sender?.name}</span>
+        {' · '}{moment(message.createdAt).format('MMM D, h:mm A')}
+      </p>
+      <div className="text-sm text-gray-800 break-words">
+        {message.messageType === 'poll' ? <span className="italic text-gray-500">Poll</span> : <MentionText content={message.content} handles={handles} />}
+      </div>
+    </div>
+  </div>
+);
+
+// Side panel for reading and replying to one thread without posting to the main timeline
+const GroupThreadPanel = ({ groupId, rootId, currentUserId, memberHandles, canReply, onClose }) => {
+  const [reply, setReply] = useState('');
+  const [older, setOlder] = useState([]);
+  const [olderPageInfo, setOlderPageInfo] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  // Replies that arrived after the panel loaded, and replies deleted since
+  const [live, setLive] = useState([]);
+  const [deletedIds, setDeletedIds] = useState([]);
+  const repliesEndRef = useRef(null);
+  const client = useApolloClient();
+
+  const { data, loading, error, fetchMore } = useQuery(GET_THREAD, {
+    variables: { messageId: rootId, limit: THREAD_PAGE_SIZE },
+    fetchPolicy: 'network-only'
+  });
+  const [sendGroupMessage, { loading: sending }] = useMutation(SEND_GROUP_MESSAGE);
+  const [followThread] = useMutation(FOLLOW_THREAD);
+  const [unfollowThread] = useMutation(UNFOLLOW_THREAD);
+
+  const thread = data?.getThread;
+  const root = thread?.root;
+  const pageInfo = olderPageInfo || thread?.pageInfo;
+
+  const addLiveReply = useCallback((message) => {
+    setLive((prev) => (prev.some((m) => m._id === message._id) ? prev : [...prev, message]));
+  }, []);
+
+  // Replying makes you a follower, and the root's author starts following on the first reply
+  const markFollowing = useCallback(() => {
+    if (!root) return;
+    client.cache.modify({
+      id: client.cache.identify(root),
+      fields: { isFollowingThread: () => true }
+    });
+  }, [client, root]);
+
+  useEffect(() => {
+    const handleThreadReply = ({ groupId: replyGroupId, rootId: replyRootId, message, replyCount }) => {
+      if (replyGroupId !== groupId || replyRootId !== rootId) return;
+      addLiveReply({ ...message, sender: { ...message.sender, id: message.sender?._id || message.sender?.id } });
+      if (replyCount === 1 && root?.sender?.id === currentUserId) markFollowing();
+    };
+    const handleMessageDeleted = ({ groupId: deletedGroupId, messageId }) => {
+      if (deletedGroupId === groupId) setDeletedIds((prev) => [...prev, messageId]);
+    };
+    socket.on('threadReply', handleThreadReply);
+    socket.on('groupMessageDeleted', handleMessageDeleted);
+    return () => {
+      socket.off('threadReply', handleThreadReply);
+      socket.off('groupMessageDeleted', handleMessageDeleted);
+    };
+  }, [groupId, rootId, currentUserId, root, addLiveReply, markFollowing]);
+
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [thread, live.length]);
+
+  const loadOlder = async () => {
+    if (!pageInfo?.hasPreviousPage || loadingOlder) return;
+    setLoadingOlder(true);
+    try {
+      const { data: more } = await fetchMore({
+        variables: { before: pageInfo.startCursor, limit: THREAD_PAGE_SIZE },
+        updateQuery: (prev) => prev
+      });
+      setOlder((prev) => [...(more?.getThread?.replies || []), ...prev]);
+      setOlderPageInfo(more?.getThread?.pageInfo || null);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+    try {
+      const { data: sent } = await sendGroupMessage({
+        variables: { groupId, content: reply.trim(), messageType: 'text', threadRoot: rootId }
+      });
+      if (sent?.sendGroupMessage) addLiveReply(sent.sendGroupMessage);
+      markFollowing();
+      setReply('');
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const toggleFollow = async () => {
+    try {
+      const mutate = root.isFollowingThread ? unfollowThread : followThread;
+      await mutate({ variables: { messageId: rootId } });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const loaded = thread?.replies || [];
+  const replies = [...older, ...loaded, ...live.filter((m) => !loaded.some((r) => r._id === m._id))]
+    .filter((m) => !deletedIds.includes(m._id));
+
+  return (
+    <div className="absolute inset-y-0 right-0 z-40 w-full sm:w-96 flex flex-col bg-white border-l shadow-xl">
+      <div className="flex items-center justify-between p-4 border-b">
+        <h4 className="font-semibold">Thread</h4>
+        <div className="flex items-center gap-2">
+          {root && (
+            <button
+              type="button"
+              onClick={toggleFollow}
+              className={`px-3 py-1 rounded-full text-xs font-semibold ${root.isFollowingThread ? 'bg-purple-100 text-purple-700' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+            >
+              {root.isFollowingThread ? 'Following' : 'Follow thread'}
+            </button>
+          )}
+          <button type="button" onClick={onClose} className="p-1 rounded-full text-gray-500 hover:bg-gray-100" title="Close thread">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        {loading && !thread && <p className="text-sm text-gray-400">Loading thread...</p>}
+        {error && <p className="text-sm text-red-500">{error.message}</p>}
+        {root && (
+          <>
+            <div className="pb-3 border-b">
+              <ThreadMessage message={root} currentUserId={currentUserId} handles={memberHandles} />
+            </div>
+            {pageInfo?.hasPreviousPage && (
+              <button type="button" onClick={loadOlder} disabled={loadingOlder} className="w-full text-xs text-purple-600 hover:underline disabled:opacity-50">
+                {loadingOlder ? 'Loading...' : 'Load earlier replies'}
+              </button>
+            )}
+            {replies.length === 0 && <p className="text-xs text-gray-400">No replies yet</p>}
+            {replies.map((message) => (
+              <ThreadMessage key={message._id} message={message} currentUserId={currentUserId} handles={memberHandles} />
+            ))}
+          </>
+        )}
+        <div ref={repliesEndRef} />
+      </div>
+
+      {root && canReply && (
+        <form onSubmit={handleSend} className="p-3 border-t flex items-center gap-2">
+          <input
+            type="text"
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            placeholder="Reply in thread..."
+            className="flex-1 p-2 border rounded-full text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+          <button
+            type="submit"
+            disabled={!reply.trim() || sending}
+            className="px-4 py-2 bg-purple-500 text-white text-sm rounded-full hover:bg-purple-600 disabled:opacity-50"
+          >
+            Reply
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default GroupThreadPanel;
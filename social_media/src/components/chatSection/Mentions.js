@@ -0,0 +1,90 @@
+import React from 'react';
+
+// Keep in sync with the server-side pattern in GroupGraphQL/mentions.js
+const MENTION_TOKEN = /(@[A-Za-z0-9_.]+)/g;
+const MAX_SUGGESTIONS = 6;
+
+// The "@partial" being typed right before the caret, if any
+export const activeMentionQuery = (text, caret) => {
+  const match = /(^|[^\w@])@([A-Za-z0-9_.]*)$/.exec(text.slice(0, caret));
+  if (!match) return null;
+  return { query: match[2].toLowerCase(), start: caret - match[2].length - 1 };
+};
+
+// Replace the "@partial" at `start` with the full handle; returns the new text and caret
+export const insertMention = (text, caret, start, handle) => {
+  const before = text.slice(0, start);
+  const after = text.slice(caret).replace(/^\S*/, '');
+  const inserted = `@${handle} `;
+  return { text: `${before}${inserted}${after}`, caret: before.length + inserted.length };
+};
+
+export const filterMentionCandidates = (members, query, { includeAll, excludeId }) => {
+  const candidates = (members || [])
+    .filter((member) => member.username && member.id !== excludeId)
+    .filter((member) => !query
+      || member.username.toLowerCase().startsWith(query)
+      || (member.name || '').toLowerCase().split(/\s+/).some((part) => part.startsWith(query)))
+    .map((member) => ({ handle: member.username, name: member.name, profileImage: member.profileImage }));
+
+  if (includeAll && 'all'.startsWith(query)) {
+    candidates.unshift({ handle: 'all', name: 'Everyone in this group' });
+  }
+  return candidates.slice(0, MAX_SUGGESTIONS);
+};
+
+// Dropdown above the composer while an @mention is being typed
+export const MentionSuggestions = ({ candidates, activeIndex, onSelect }) => {
+  if (!candidates.length) return null;
+
+  return (
+    <ul className="absolute bottom-14 left-12 z-50 w-64 bg-white border rounded-lg shadow-lg overflow-hidden">
+      {candidates.map((candidate, index) => (
+        <li key={candidate.handle}>
+          <button
+            type="button"
+            // mousedown so the input keeps focus and its caret position
+            onMouseDown={(e) => { e.preventDefault(); onSelect(candidate); }}
+            className={`w-full flex items-center gap-2 px-3 py-2 text-left text-sm ${index === activeIndex ? 'bg-purple-50' : 'hover:bg-gray-50'}`}
+          >
+            {candidate.handle === 'all' ? (
+              <span className="w-7 h-7 rounded-full bg-purple-500 text-white flex items-center justify-center text-xs font-bold">@</span>
+            ) : (
+              <img
+                src={candidate.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(candidate.name)}&background=8B5CF6&color=fff`}
+                alt={candidate.name}
+                className="w-7 h-7 rounded-full object-cover"
+              />
+            )}
+            <span className="min-w-0">
+              <span className="block font-semibold truncate">@{candidate.handle}</span>
+              <span className="block text-xs text-gray-500 truncate">{candidate.name}</span>
+            </span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Message text with @handles that belong to known members (or @all) emphasised
+const MentionText = ({ content, handles, isOwnMessage }) => {
+  if (!content) return null;
+  const known = new Set([...(handles || [])].map((handle) => handle.toLowerCase()));
+
+  return (
+    <p>
+      {content.split(MENTION_TOKEN).map((part, index) => {
+        const handle = part.startsWith('@') ? part.slice(1).replace(/\.+$/, '').toLowerCase() : null;
+        if (!handle || !known.has(handle)) return <React.Fragment key={index}>{part}</React.Fragment>;
+        return (
+          <span key={index} className={`font-semibold ${isOwnMessage ? 'text-white underline' : 'text-purple-600'}`}>
+            {part}
+          </span>
+        );
+      })}
+    </p>
+  );
+};
+
+export default MentionText;
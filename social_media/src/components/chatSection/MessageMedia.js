@@ -0,0 +1,109 @@
+import React from 'react';
+import { ArrowDownTrayIcon, DocumentIcon } from '@heroicons/react/24/outline';
+import { formatDuration } from '../../utils/formatters';
+
+// Cloudinary serves the original file as a download with the fl_attachment flag
+export const toDownloadUrl = (url) => (url ? url.replace('/upload/', '/upload/fl_attachment/') : url);
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Renders the attachment of a chat message (image, video, voice note or file)
+const MessageMedia = ({ messageType, media, isSent, onPreview }) => {
+  if (!media?.url) return null;
+
+  const downloadLink = (
+    <a
+      href={toDownloadUrl(media.url)}
+      target="_blank"
+      rel="noopener noreferrer"
+      className={`p-1 rounded-full flex-shrink-0 ${isSent ? 'hover:bg-purple-500' : 'hover:bg-gray-200'}`}
+      title="Download"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <ArrowDownTrayIcon className="h-4 w-4" />
+    </a>
+  );
+
+  if (messageType === 'image') {
+    return (
+      <div className="relative mb-1">
+        <img
+          src={media.url}
+          alt={media.filename || 'Photo'}
+          className="rounded-xl max-h-64 w-full object-cover cursor-pointer"
+          onClick={() => onPreview && onPreview({ messageType, media })}
+        />
+      </div>
+    );
+  }
+
+  if (messageType === 'video') {
+    return (
+      <div className="mb-1">
+        <video src={media.url} controls preload="metadata" className="rounded-xl max-h-64 w-full bg-black" />
+        <div className="flex items-center justify-between mt-1 text-xs opacity-80">
+          <span className="truncate">{media.filename}</span>
+          {downloadLink}
+        </div>
+      </div>
+    );
+  }
+
+  if (messageType === 'audio') {
+    return (
+      <div className="flex items-center gap-2 mb-1">
+        <audio src={media.url} controls preload="metadata" className="max-w-[220px]" />
+        {media.duration ? <span className="text-xs opacity-80">{formatDuration(media.duration)}</span> : null}
+      </div>
+    );
+  }
+
+  // Generic file
+  return (
+    <div className={`flex items-center gap-2 mb-1 p-2 rounded-xl ${isSent ? 'bg-purple-500' : 'bg-white'}`}>
+      <DocumentIcon className="h-8 w-8 flex-shrink-0" />
+      <div className="min-w-0 flex-1">
+        <p className="text-sm font-semibold truncate">{media.filename || 'File'}</p>
+        {media.size ? <p className="text-xs opacity-80">{formatBytes(media.size)}</p> : null}
+      </div>
+      {downloadLink}
+    </div>
+  );
+};
+
+// Full-screen preview for images opened from a chat bubble
+export const MediaLightbox = ({ item, onClose }) => {
+  if (!item?.media?.url) return null;
+
+  return (
+    <div className="fixed inset-0 z-[100] bg-black/80 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="relative max-w-4xl w-full" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-end gap-2 mb-2">
+          <a
+            href={toDownloadUrl(item.media.url)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="px-3 py-1 rounded-full bg-white/90 text-sm font-semibold text-gray-800 flex items-center gap-1"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4" /> Download
+          </a>
+          <button type="button" onClick={onClose} className="px-3 py-1 rounded-full bg-white/90 text-sm font-semibold text-gray-800">
+            Close
+          </button>
+        </div>
+        {item.messageType === 'video' ? (
+          <video src={item.media.url} controls autoPlay className="max-h-[80vh] w-full rounded-xl bg-black" />
+        ) : (
+          <img src={item.media.url} alt={item.media.filename || 'Preview'} className="max-h-[80vh] w-full object-contain rounded-xl" />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MessageMedia;
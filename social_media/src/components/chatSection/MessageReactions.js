@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import Picker from '@emoji-mart/react';
+import data from '@emoji-mart/data';
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Quick reaction row with a "+" that opens the full emoji picker
+export const ReactionPicker = ({ onSelect, onClose, align = 'left' }) => {
+  const [showFullPicker, setShowFullPicker] = useState(false);
+
+  const select = (emoji) => {
+    onSelect(emoji);
+    onClose && onClose();
+  };
+
+  return (
+    <div
+      className={`absolute z-50 bottom-full mb-2 ${align === 'right' ? 'right-0' : 'left-0'}`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      {showFullPicker ? (
+        <Picker
+          data={data}
+          onEmojiSelect={(emoji) => select(emoji.native)}
+          onClickOutside={onClose}
+          theme="light"
+          emojiSize={22}
+          previewPosition="none"
+          skinTonePosition="none"
+        />
+      ) : (
+        <div className="flex items-center gap-1 bg-white border border-gray-200 rounded-full shadow-md px-2 py-1">
+          {QUICK_REACTIONS.map((emoji) => (
+            <button
+              key={emoji}
+              type="button"
+              className="text-xl leading-none p-1 rounded-full hover:bg-gray-100 hover:scale-125 transition-transform"
+              onClick={() => select(emoji)}
+            >
+              {emoji}
+            </button>
+          ))}
+          <button
+            type="button"
+            className="w-7 h-7 rounded-full bg-gray-100 hover:bg-gray-200 text-gray-600 font-bold"
+            title="More reactions"
+            onClick={() => setShowFullPicker(true)}
+          >
+            +
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Reaction chips under a message bubble; clicking a chip toggles the current user's reaction
+const MessageReactions = ({ reactions, currentUserId, onToggle, align = 'left' }) => {
+  if (!reactions?.length) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1 mt-1 ${align === 'right' ? 'justify-end' : 'justify-start'}`}>
+      {reactions.map((reaction) => {
+        const users = reaction.users || [];
+        const reactedByMe = users.some((u) => u.id === currentUserId);
+        return (
+          <button
+            key={reaction.emoji}
+            type="button"
+            title={users.map((u) => u.name).join(', ')}
+            onClick={() => onToggle(reaction.emoji, reactedByMe)}
+            className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border ${
+              reactedByMe ? 'bg-purple-100 border-purple-400 text-purple-700' : 'bg-white border-gray-200 text-gray-700'
+            }`}
+          >
+            <span>{reaction.emoji}</span>
+            <span className="font-semibold">{reaction.count}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MessageReactions;
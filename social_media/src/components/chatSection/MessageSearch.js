@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import { useLazyQuery } from '@apollo/client';
+import moment from 'moment';
+import { MagnifyingGlassIcon, XMarkIcon, AdjustmentsHorizontalIcon } from '@heroicons/react/24/outline';
+import { SEARCH_MESSAGES } from '../../graphql/mutations';
+import { parseTimestamp } from '../../utils/formatters';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Wrap the server-reported match ranges of a snippet in <mark>
+const HighlightedSnippet = ({ snippet, highlights }) => {
+  const parts = [];
+  let cursor = 0;
+  [...(highlights || [])]
+    .sort((a, b) => a.offset - b.offset)
+    .forEach(({ offset, length }, index) => {
+      if (offset < cursor) return;
+      parts.push(snippet.slice(cursor, offset));
+      parts.push(
+        <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+          {snippet.slice(offset, offset + length)}
+        </mark>
+      );
+      cursor = offset + length;
+    });
+  parts.push(snippet.slice(cursor));
+  return <>{parts}</>;
+};
+
+// Search box for the chat sidebar. Results replace the chat list while a query is typed.
+// `scope` narrows the search to one conversation or group: { conversationId | groupId, name }.
+const MessageSearch = ({ query, onQueryChange, scope, onClearScope, onOpenResult }) => {
+  const [showFilters, setShowFilters] = useState(false);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [runSearch, { data, loading, error }] = useLazyQuery(SEARCH_MESSAGES, { fetchPolicy: 'network-only' });
+
+  const trimmed = query.trim();
+
+  useEffect(() => {
+    if (!trimmed) return undefined;
+    const timer = setTimeout(() => {
+      runSearch({
+        variables: {
+          query: trimmed,
+          conversationId: scope?.conversationId,
+          groupId: scope?.groupId,
+          from: from ? moment(from).startOf('day').toISOString() : undefined,
+          to: to ? moment(to).endOf('day').toISOString() : undefined
+        }
+      });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [trimmed, scope?.conversationId, scope?.groupId, from, to, runSearch]);
+
+  const results = data?.searchMessages || [];
+
+  return (
+    <div className="border-b border-gray-100">
+      <div className="p-3 flex items-center gap-2">
+        <div className="flex-1 flex items-center bg-gray-100 rounded-full px-3 py-1.5">
+          <MagnifyingGlassIcon className="h-4 w-4 text-gray-400 flex-shrink-0" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => onQueryChange(e.target.value)}
+            placeholder={scope ? `Search in ${scope.name}` : 'Search messages'}
+            className="flex-1 bg-transparent text-sm ml-2 outline-none min-w-0"
+          />
+          {query && (
+            <button type="button" onClick={() => onQueryChange('')} className="p-0.5 rounded-full hover:bg-gray-200">
+              <XMarkIcon className="h-4 w-4 text-gray-500" />
+            </button>
+          )}
+        </div>
+        <button
+          type="button"
+          title="Filter by date"
+          onClick={() => setShowFilters((prev) => !prev)}
+          className={`p-1.5 rounded-full hover:bg-gray-100 ${showFilters || from || to ? 'text-purple-600' : 'text-gray-500'}`}
+        >
+          <AdjustmentsHorizontalIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      {scope && (
+        <div className="px-3 pb-2">
+          <span className="inline-flex items-center gap-1 text-xs bg-purple-50 text-purple-700 rounded-full px-2 py-0.5">
+            In: {scope.name}
+            <button type="button" onClick={onClearScope} className="hover:text-purple-900">
+              <XMarkIcon className="h-3 w-3" />
+            </button>
+          </span>
+        </div>
+      )}
+
+      {showFilters && (
+        <div className="px-3 pb-3 flex items-center gap-2 text-xs text-gray-600">
+          <label className="flex items-center gap-1">
+            From
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="border rounded px-1 py-0.5" />
+          </label>
+          <label className="flex items-center gap-1">
+            To
+            <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="border rounded px-1 py-0.5" />
+          </label>
+        </div>
+      )}
+
+      {trimmed && (
+        <div>
+          {loading && <p className="px-4 py-3 text-sm text-gray-400">Searching...</p>}
+          {error && <p className="px-4 py-3 text-sm text-red-500">{error.message}</p>}
+          {!loading && !error && results.length === 0 && (
+            <p className="px-4 py-3 text-sm text-gray-400">No messages found</p>
+          )}
+          {!loading && results.map((result) => {
+            const chatName = result.kind === 'group' ? result.group?.name : result.peer?.name;
+            return (
+              <button
+                key={result.id}
+                type="button"
+                onClick={() => onOpenResult(result)}
+                className="w-full text-left px-4 py-3 hover:bg-gray-50 border-t border-gray-50"
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-semibold text-gray-900 truncate">{chatName}</span>
+                  <span className="ml-2 text-[10px] text-gray-400 flex-shrink-0">
+                    {moment(parseTimestamp(result.createdAt)).format('DD/MM/YY')}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-600 truncate">
+                  {result.kind === 'group' && <span className="font-semibold">{result.sender.name}: </span>}
+                  <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+                </p>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MessageSearch;
@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import { MdPushPin } from 'react-icons/md';
+
+// Strip shown above a chat's messages. Clicking it jumps to the pin on display and moves on
+// to the next one, so repeated clicks walk through every pinned message.
+const PinnedBanner = ({ pins, onOpen, onUnpin }) => {
+  const [index, setIndex] = useState(0);
+
+  useEffect(() => {
+    if (index >= pins.length) setIndex(0);
+  }, [pins.length, index]);
+
+  if (!pins.length) return null;
+  const current = pins[Math.min(index, pins.length - 1)];
+
+  const handleClick = () => {
+    onOpen(current.id);
+    setIndex((prev) => (prev + 1) % pins.length);
+  };
+
+  return (
+    <div className="flex-none flex items-center gap-2 px-4 py-2 border-b border-gray-100 bg-purple-50">
+      <button type="button" onClick={handleClick} className="flex-1 min-w-0 flex items-center gap-2 text-left">
+        <MdPushPin className="h-4 w-4 text-purple-500 flex-shrink-0" />
+        <span className="min-w-0">
+          <span className="block text-xs font-semibold text-purple-600">
+            Pinned message{pins.length > 1 ? ` ${Math.min(index, pins.length - 1) + 1} of ${pins.length}` : ''}
+          </span>
+          <span className="block text-sm text-gray-700 truncate">
+            {current.senderName ? `${current.senderName}: ` : ''}{current.text || 'Attachment'}
+          </span>
+        </span>
+      </button>
+      {onUnpin && (
+        <button
+          type="button"
+          onClick={() => onUnpin(current.id)}
+          className="text-xs text-gray-500 hover:text-red-500"
+          title="Unpin"
+        >
+          Unpin
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PinnedBanner;
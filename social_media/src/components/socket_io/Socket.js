@@ -7,17 +7,13 @@ let socket;
 try {
   const usr = GetTokenFromCookie();
   
-  // Create connection options
+  // The server authenticates the socket from the `token` cookie, so credentials must be sent
   const options = {
     withCredentials: true
   };
   
-  // Only add userId to query if user is logged in
-  if (usr && usr.id) {
-    options.query = { userId: usr.id.toString() };
-    console.log("Connecting socket with userId:", usr.id.toString());
-  } else {
-    console.log("Connecting socket without userId");
+  if (!usr || !usr.id) {
+    console.log("Connecting socket before login; it will retry once a token cookie exists");
   }
   
   // Create socket with reconnection options
@@ -63,6 +59,39 @@ try {
     }
   };
 
+  // Direct Chat Typing Events
+  socket.sendTyping = (receiverId) => {
+    if (receiverId) {
+      socket.emit("typing", { receiverId });
+    }
+  };
+
+  socket.sendStopTyping = (receiverId) => {
+    if (receiverId) {
+      socket.emit("stopTyping", { receiverId });
+    }
+  };
+
+  // Group call presence; the server keeps the call's participant list from these
+  socket.joinGroupCall = (groupId, roomId) => {
+    if (groupId && roomId) {
+      socket.emit("joinGroupCall", { groupId, roomId });
+    }
+  };
+
+  socket.leaveGroupCall = (groupId, roomId) => {
+    if (groupId && roomId) {
+      socket.emit("leaveGroupCall", { groupId, roomId });
+    }
+  };
+
+  // Hanging up a 1:1 call, so its length gets logged
+  socket.endDirectCall = (roomId) => {
+    if (roomId) {
+      socket.emit("call-ended", { roomID: roomId });
+    }
+  };
+
   socket.markGroupMessageRead = (messageId, groupId) => {
     if (messageId && groupId) {
       socket.emit("markGroupMessageRead", { messageId, groupId });
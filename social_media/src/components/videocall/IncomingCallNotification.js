@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect } from 'react';
 import { toast } from 'react-toastify';
 import { useNavigate } from 'react-router-dom';
 import socket from '../socket_io/Socket';
@@ -23,7 +23,7 @@ const VideoCameraIcon = ({ className }) => (
   </svg>
 );
 
-const IncomingCallToast = ({ callerID, roomID, callerName, callerImage, onAccept, onDecline }) => {
+const IncomingCallToast = ({ callerID, roomID, callerName, callerImage, callType, onAccept, onDecline }) => {
   console.log('🎨 Rendering IncomingCallToast with:', { callerID, roomID, callerName });
   
   return (
@@ -53,9 +53,13 @@ const IncomingCallToast = ({ callerID, roomID, callerName, callerImage, onAccept
       
       <div style={{ flex: 1, minWidth: 0 }}>
         <div style={{ display: 'flex', alignItems: 'center', marginBottom: '4px' }}>
-          <VideoCameraIcon style={{ height: '16px', width: '16px', color: '#3b82f6', marginRight: '4px' }} />
+          {callType === 'voice' ? (
+            <PhoneIcon style={{ height: '16px', width: '16px', color: '#3b82f6', marginRight: '4px' }} />
+          ) : (
+            <VideoCameraIcon style={{ height: '16px', width: '16px', color: '#3b82f6', marginRight: '4px' }} />
+          )}
           <p style={{ fontSize: '14px', fontWeight: '500', color: '#111827', margin: 0 }}>
-            Incoming Video Call
+            Incoming {callType === 'voice' ? 'Voice' : 'Video'} Call
           </p>
         </div>
         <p style={{ fontSize: '14px', color: '#6b7280', margin: 0 }}>
@@ -104,27 +108,27 @@ const IncomingCallToast = ({ callerID, roomID, callerName, callerImage, onAccept
 };
 
 const IncomingCallNotification = () => {
-  const [activeCall, setActiveCall] = useState(null);
   const navigate = useNavigate();
   const decodedUser = GetTokenFromCookie();
 
   useEffect(() => {
     console.log('🔧 IncomingCallNotification component mounted');
+    // roomID -> toast ringing for it, so the server can stop it
+    const ringingToasts = new Map();
     
-    const handleAcceptCall = (callerID, roomID, toastId) => {
+    const handleAcceptCall = (callerID, roomID, callType, toastId) => {
       try {
         console.log('✅ Call accepted');
         
         // Close the toast
         toast.dismiss(toastId);
-        setActiveCall(null);
         
         // Emit call accepted event
         socket.emit('call-accepted', { callerID, roomID, calleeID: decodedUser?.id });
         
         // Navigate to video call
         const calleeID = decodedUser?.id;
-        navigate(`/video-call?roomID=${roomID}&userID=${calleeID}`);
+        navigate(`/video-call?roomID=${roomID}&userID=${calleeID}&callType=${callType}`);
       } catch (error) {
         console.error('Error accepting call:', error);
       }
@@ -139,20 +143,15 @@ const IncomingCallNotification = () => {
         
         // Emit call declined event
         socket.emit('call-declined', { callerID, roomID });
-        
-        setActiveCall(null);
       } catch (error) {
         console.error('Error declining call:', error);
       }
     };
 
-    const handleIncomingCall = ({ callerID, roomID, callerName, callerImage }) => {
+    const handleIncomingCall = ({ callerID, roomID, callerName, callerImage, callType = 'video' }) => {
       try {
         console.log('📞 Incoming call received:', { callerID, roomID, callerName });
         
-        // Store the active call info
-        setActiveCall({ callerID, roomID, callerName, callerImage });
-        
         // Show toast notification
         const toastId = toast(
           <IncomingCallToast
@@ -160,7 +159,8 @@ const IncomingCallNotification = () => {
             roomID={roomID}
             callerName={callerName}
             callerImage={callerImage}
-            onAccept={() => handleAcceptCall(callerID, roomID, toastId)}
+            callType={callType}
+            onAccept={() => handleAcceptCall(callerID, roomID, callType, toastId)}
             onDecline={() => handleDeclineCall(callerID, roomID, toastId)}
           />,
           {
@@ -174,25 +174,25 @@ const IncomingCallNotification = () => {
             className: "incoming-call-toast",
             bodyClassName: "p-0",
             onClose: () => {
-              setActiveCall(null);
-              // Emit call declined when toast auto-closes
-              socket.emit('call-declined', { callerID, roomID });
+              ringingToasts.delete(roomID);
+              // Not declining here: left unanswered, the server times the call out and logs it as missed
             }
           }
         );
         
+        ringingToasts.set(roomID, toastId);
         console.log('📱 Toast notification shown with ID:', toastId);
       } catch (error) {
         console.error('Error handling incoming call:', error);
       }
     };
 
-    const handleCallCancelled = ({ roomID }) => {
-      if (activeCall && activeCall.roomID === roomID) {
-        console.log('🚫 Call was cancelled by caller');
-        toast.dismiss(); // Dismiss any active toasts
-        setActiveCall(null);
-      }
+    // Caller hung up, the call timed out, or another of our devices answered or declined it
+    const handleCallCancelled = ({ roomID, reason }) => {
+      if (!ringingToasts.has(roomID)) return;
+      console.log(`🚫 Call stopped ringing (${reason})`);
+      toast.dismiss(ringingToasts.get(roomID));
+      ringingToasts.delete(roomID);
     };
 
     // Listen for incoming calls and cancellations
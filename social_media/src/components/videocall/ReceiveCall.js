@@ -1,21 +1,20 @@
 // ReceiveCall.js
 import React, { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { io } from "socket.io-client";
 import { GetTokenFromCookie } from '../getToken/GetToken';
-
-const socket = io("http://localhost:5000"); // backend socket server
+import socket from "../socket_io/Socket"; // shared, cookie-authenticated socket
 
 const ReceiveCall = () => {
   const [incomingCall, setIncomingCall] = useState(null);
   const navigate = useNavigate();
 
   useEffect(() => {
-    socket.on("incoming-call", ({ callerID, roomID }) => {
+    const handleIncomingCall = ({ callerID, roomID }) => {
       setIncomingCall({ callerID, roomID });
-    });
+    };
+    socket.on("incoming-call", handleIncomingCall);
 
-    return () => socket.off("incoming-call");
+    return () => socket.off("incoming-call", handleIncomingCall);
   }, []);
    const decodedUser = GetTokenFromCookie();
   const acceptCall = () => {
@@ -1,11 +1,19 @@
 import React, { useEffect, useState, useRef } from "react";
 import { ZegoUIKitPrebuilt } from "@zegocloud/zego-uikit-prebuilt";
 import axios from "axios";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import socket from "../socket_io/Socket";
 
 const VideoCall = () => {
   const [meetingData, setMeetingData] = useState(null);
   const containerRef = useRef(null);
-  const roomID = "testroom123"; // Static room ID (or dynamic from route)
+  const zpRef = useRef(null);
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const roomID = searchParams.get("roomID") || "testroom123";
+  // Group calls pass their group so the server can track who is in the call
+  const groupId = searchParams.get("groupId");
+  const isVoiceCall = searchParams.get("callType") === "voice";
 
   const query = `
     query joinvideocall($roomID: String!) {
@@ -54,16 +62,27 @@ const VideoCall = () => {
       );
 
       const zp = ZegoUIKitPrebuilt.create(kitToken);
+      zpRef.current = zp;
 
       zp.joinRoom({
         container: containerRef.current,
         scenario: {
-          mode: ZegoUIKitPrebuilt.OneONoneCall,
+          mode: groupId ? ZegoUIKitPrebuilt.GroupCall : ZegoUIKitPrebuilt.OneONoneCall,
         },
-        showScreenSharingButton: true,
+        turnOnCameraWhenJoining: !isVoiceCall,
+        showScreenSharingButton: !isVoiceCall,
         showAudioVideoSettingsButton: true,
-        showLeavingView: true,
+        showLeavingView: !groupId,
       showPreJoinView : false,
+        onJoinRoom: () => socket.joinGroupCall(groupId, roomID),
+        onLeaveRoom: () => {
+          if (groupId) {
+            socket.leaveGroupCall(groupId, roomID);
+            navigate("/chat");
+          } else {
+            socket.endDirectCall(roomID);
+          }
+        },
       });
     }
   
@@ -83,6 +102,33 @@ const VideoCall = () => {
     fetchToken();
   }, []);
 
+  // Leaving the 1:1 call screen any other way still ends the call
+  useEffect(() => {
+    if (groupId) return undefined;
+    return () => socket.endDirectCall(roomID);
+  }, [groupId, roomID]);
+
+  // Stay on the group call's roster across reconnects, leave it when this screen goes away,
+  // and hang up if someone ends the call for everyone
+  useEffect(() => {
+    if (!groupId) return undefined;
+    const rejoin = () => socket.joinGroupCall(groupId, roomID);
+    const handleCallEnded = ({ roomId }) => {
+      if (roomId !== roomID) return;
+      zpRef.current?.destroy();
+      zpRef.current = null;
+      navigate("/chat");
+    };
+
+    socket.on("connect", rejoin);
+    socket.on("groupCallEnded", handleCallEnded);
+    return () => {
+      socket.off("connect", rejoin);
+      socket.off("groupCallEnded", handleCallEnded);
+      socket.leaveGroupCall(groupId, roomID);
+    };
+  }, [groupId, roomID, navigate]);
+
 
   // useEffect(() => {
   //   const startVideoCall = async () => {
@@ -470,6 +470,14 @@ export const CREATE_GROUP = gql`
   }
 `;
 
+const GROUP_PERMISSION_FIELDS = `
+  sendMessages
+  editInfo
+  addMembers
+  pinMessages
+  startCalls
+`;
+
 export const GET_USER_GROUPS = gql`
   query GetUserGroups($userId: ID!) {
     getUserGroups(userId: $userId) {
@@ -492,6 +500,19 @@ export const GET_USER_GROUPS = gql`
         }
         timestamp
       }
+      admins {
+        id
+      }
+      createdBy {
+        id
+      }
+      owner {
+        id
+      }
+      myRole
+      permissions {
+        ${GROUP_PERMISSION_FIELDS}
+      }
       memberCount
       updatedAt
     }
@@ -505,6 +526,7 @@ export const SEND_GROUP_MESSAGE = gql`
     $messageType: String
     $media: MediaInput
     $replyTo: ID
+    $threadRoot: ID
   ) {
     sendGroupMessage(
       groupId: $groupId
@@ -512,10 +534,12 @@ export const SEND_GROUP_MESSAGE = gql`
       messageType: $messageType
       media: $media
       replyTo: $replyTo
+      threadRoot: $threadRoot
     ) {
       _id
       content
       messageType
+      threadRoot
       sender {
         id
         name
@@ -527,11 +551,51 @@ export const SEND_GROUP_MESSAGE = gql`
         type
         filename
       }
+      reactions {
+        emoji
+        count
+        users {
+          id
+          name
+        }
+      }
       createdAt
     }
   }
 `;
 
+const POLL_FIELDS = `
+  question
+  allowMultiple
+  anonymous
+  closesAt
+  closed
+  totalVotes
+  voterCount
+  myVotes
+  options {
+    id
+    text
+    voteCount
+    voters {
+      id
+      name
+      profileImage
+    }
+  }
+`;
+
+const THREAD_SUMMARY_FIELDS = `
+  threadReplyCount
+  threadLastReplyAt
+  threadParticipants {
+    id
+    name
+    profileImage
+  }
+  isFollowingThread
+`;
+
 export const GET_GROUP_MESSAGES = gql`
   query GetGroupMessages($groupId: ID!, $limit: Int, $offset: Int) {
     getGroupMessages(groupId: $groupId, limit: $limit, offset: $offset) {
@@ -549,6 +613,11 @@ export const GET_GROUP_MESSAGES = gql`
         type
         filename
       }
+      poll {
+        ${POLL_FIELDS}
+      }
+      pinnedAt
+      ${THREAD_SUMMARY_FIELDS}
       replyTo {
         _id
         content
@@ -556,6 +625,14 @@ export const GET_GROUP_MESSAGES = gql`
           name
         }
       }
+      reactions {
+        emoji
+        count
+        users {
+          id
+          name
+        }
+      }
       createdAt
     }
   }
@@ -571,3 +648,767 @@ export const SEARCH_USERS_FOR_GROUP = gql`
     }
   }
 `;
+
+export const ADD_GROUP_REACTION = gql`
+  mutation AddGroupReaction($messageId: ID!, $emoji: String!) {
+    addGroupReaction(messageId: $messageId, emoji: $emoji) {
+      _id
+      reactions {
+        emoji
+        count
+        users {
+          id
+          name
+        }
+      }
+    }
+  }
+`;
+
+export const REMOVE_GROUP_REACTION = gql`
+  mutation RemoveGroupReaction($messageId: ID!, $emoji: String!) {
+    removeGroupReaction(messageId: $messageId, emoji: $emoji) {
+      _id
+      reactions {
+        emoji
+        count
+        users {
+          id
+          name
+        }
+      }
+    }
+  }
+`;
+
+export const SEARCH_MESSAGES = gql`
+  query SearchMessages(
+    $query: String!
+    $conversationId: ID
+    $groupId: ID
+    $from: String
+    $to: String
+    $sender: ID
+    $limit: Int
+  ) {
+    searchMessages(
+      query: $query
+      conversationId: $conversationId
+      groupId: $groupId
+      from: $from
+      to: $to
+      sender: $sender
+      limit: $limit
+    ) {
+      id
+      kind
+      snippet
+      highlights {
+        offset
+        length
+      }
+      messageType
+      sender {
+        id
+        name
+      }
+      peer {
+        id
+        name
+        username
+        profileImage
+      }
+      conversationId
+      group {
+        _id
+        name
+        groupImage
+      }
+      threadRoot
+      cursor
+      createdAt
+    }
+  }
+`;
+
+// Group Invite Links
+const GROUP_INVITE_FIELDS = `
+  _id
+  code
+  groupId
+  expiresAt
+  maxUses
+  uses
+  revoked
+  createdAt
+  createdBy {
+    id
+    name
+  }
+`;
+
+export const GET_GROUP_INVITES = gql`
+  query GetGroupInvites($groupId: ID!) {
+    getGroupInvites(groupId: $groupId) {
+      ${GROUP_INVITE_FIELDS}
+    }
+  }
+`;
+
+export const CREATE_GROUP_INVITE = gql`
+  mutation CreateGroupInvite($groupId: ID!, $expiresAt: String, $maxUses: Int) {
+    createGroupInvite(groupId: $groupId, expiresAt: $expiresAt, maxUses: $maxUses) {
+      ${GROUP_INVITE_FIELDS}
+    }
+  }
+`;
+
+export const REVOKE_GROUP_INVITE = gql`
+  mutation RevokeGroupInvite($inviteId: ID!) {
+    revokeGroupInvite(inviteId: $inviteId) {
+      ${GROUP_INVITE_FIELDS}
+    }
+  }
+`;
+
+export const PREVIEW_GROUP_INVITE = gql`
+  query PreviewGroupInvite($code: String!) {
+    previewGroupInvite(code: $code) {
+      code
+      groupId
+      name
+      description
+      groupImage
+      memberCount
+      maxMembers
+      alreadyMember
+      isPrivate
+      hasPendingRequest
+      valid
+      reason
+    }
+  }
+`;
+
+export const JOIN_GROUP_BY_INVITE = gql`
+  mutation JoinGroupByInvite($code: String!) {
+    joinGroupByInvite(code: $code) {
+      success
+      message
+      group {
+        _id
+        name
+      }
+    }
+  }
+`;
+
+// Direct Chat Mutations
+export const SEND_DIRECT_MEDIA_MESSAGE = gql`
+  mutation SendDirectMediaMessage(
+    $senderId: ID!
+    $receiverId: ID!
+    $message: String
+    $file: Upload!
+    $replyTo: ID
+  ) {
+    sendMessage(
+      senderId: $senderId
+      receiverId: $receiverId
+      message: $message
+      file: $file
+      replyTo: $replyTo
+    ) {
+      id
+      message
+      messageType
+      media {
+        url
+        type
+        filename
+        size
+        duration
+      }
+      replyTo {
+        id
+        message
+        messageType
+        isDeleted
+        sender {
+          id
+        }
+      }
+      reactions {
+        emoji
+        count
+        users {
+          id
+          name
+        }
+      }
+      status
+      createdAt
+      sender {
+        id
+        name
+      }
+      receiver {
+        id
+        name
+      }
+    }
+  }
+`;
+
+const GROUP_JOIN_REQUEST_FIELDS = `
+  _id
+  groupId
+  message
+  status
+  createdAt
+  reviewedAt
+  user {
+    id
+    name
+    username
+    profileImage
+  }
+  reviewedBy {
+    id
+    name
+  }
+`;
+
+export const GET_GROUP_JOIN_REQUESTS = gql`
+  query GetGroupJoinRequests($groupId: ID!, $status: String) {
+    getGroupJoinRequests(groupId: $groupId, status: $status) {
+      ${GROUP_JOIN_REQUEST_FIELDS}
+    }
+  }
+`;
+
+export const REQUEST_TO_JOIN_GROUP = gql`
+  mutation RequestToJoinGroup($groupId: ID!, $message: String) {
+    requestToJoinGroup(groupId: $groupId, message: $message) {
+      ${GROUP_JOIN_REQUEST_FIELDS}
+    }
+  }
+`;
+
+export const APPROVE_JOIN_REQUEST = gql`
+  mutation ApproveJoinRequest($requestId: ID!) {
+    approveJoinRequest(requestId: $requestId) {
+      success
+      message
+      group {
+        _id
+      }
+    }
+  }
+`;
+
+export const REJECT_JOIN_REQUEST = gql`
+  mutation RejectJoinRequest($requestId: ID!) {
+    rejectJoinRequest(requestId: $requestId) {
+      ${GROUP_JOIN_REQUEST_FIELDS}
+    }
+  }
+`;
+
+export const GET_GROUP_DETAILS = gql`
+  query GetGroupDetails($groupId: ID!) {
+    getGroupDetails(groupId: $groupId) {
+      _id
+      name
+      description
+      groupImage
+      isPrivate
+      members {
+        id
+        name
+        username
+        profileImage
+        isOnline
+      }
+      admins {
+        id
+      }
+      owner {
+        id
+      }
+      myRole
+      permissions {
+        ${GROUP_PERMISSION_FIELDS}
+      }
+      slowModeSeconds
+      myMutedUntil
+      memberCount
+    }
+  }
+`;
+
+const GROUP_MEMBERSHIP_RESULT_FIELDS = `
+  success
+  message
+`;
+
+export const MAKE_GROUP_ADMIN = gql`
+  mutation MakeGroupAdmin($groupId: ID!, $memberId: ID!) {
+    makeGroupAdmin(groupId: $groupId, memberId: $memberId) {
+      ${GROUP_MEMBERSHIP_RESULT_FIELDS}
+    }
+  }
+`;
+
+export const REMOVE_GROUP_ADMIN = gql`
+  mutation RemoveGroupAdmin($groupId: ID!, $memberId: ID!) {
+    removeGroupAdmin(groupId: $groupId, memberId: $memberId) {
+      ${GROUP_MEMBERSHIP_RESULT_FIELDS}
+    }
+  }
+`;
+
+export const REMOVE_GROUP_MEMBER = gql`
+  mutation RemoveGroupMember($groupId: ID!, $memberId: ID!) {
+    removeGroupMember(groupId: $groupId, memberId: $memberId) {
+      ${GROUP_MEMBERSHIP_RESULT_FIELDS}
+    }
+  }
+`;
+
+export const TRANSFER_GROUP_OWNERSHIP = gql`
+  mutation TransferGroupOwnership($groupId: ID!, $memberId: ID!) {
+    transferGroupOwnership(groupId: $groupId, memberId: $memberId) {
+      ${GROUP_MEMBERSHIP_RESULT_FIELDS}
+    }
+  }
+`;
+
+export const UPDATE_GROUP_PERMISSIONS = gql`
+  mutation UpdateGroupPermissions($groupId: ID!, $permissions: GroupPermissionsInput!) {
+    updateGroupPermissions(groupId: $groupId, permissions: $permissions) {
+      _id
+      myRole
+      permissions {
+        ${GROUP_PERMISSION_FIELDS}
+      }
+    }
+  }
+`;
+
+const MODERATION_USER_FIELDS = `
+  id
+  name
+  username
+  profileImage
+`;
+
+export const GET_GROUP_MODERATION = gql`
+  query GetGroupModeration($groupId: ID!) {
+    getGroupModeration(groupId: $groupId) {
+      bans {
+        user {
+          ${MODERATION_USER_FIELDS}
+        }
+        bannedBy {
+          id
+          name
+        }
+        reason
+        createdAt
+      }
+      mutes {
+        user {
+          ${MODERATION_USER_FIELDS}
+        }
+        mutedBy {
+          id
+          name
+        }
+        reason
+        until
+      }
+      slowModeSeconds
+    }
+  }
+`;
+
+export const BAN_GROUP_MEMBER = gql`
+  mutation BanGroupMember($groupId: ID!, $memberId: ID!, $reason: String) {
+    banGroupMember(groupId: $groupId, memberId: $memberId, reason: $reason) {
+      ${GROUP_MEMBERSHIP_RESULT_FIELDS}
+    }
+  }
+`;
+
+export const UNBAN_GROUP_MEMBER = gql`
+  mutation UnbanGroupMember($groupId: ID!, $memberId: ID!) {
+    unbanGroupMember(groupId: $groupId, memberId: $memberId) {
+      ${GROUP_MEMBERSHIP_RESULT_FIELDS}
+    }
+  }
+`;
+
+export const MUTE_GROUP_MEMBER = gql`
+  mutation MuteGroupMember($groupId: ID!, $memberId: ID!, $minutes: Int!, $reason: String) {
+    muteGroupMember(groupId: $groupId, memberId: $memberId, minutes: $minutes, reason: $reason) {
+      ${GROUP_MEMBERSHIP_RESULT_FIELDS}
+    }
+  }
+`;
+
+export const UNMUTE_GROUP_MEMBER = gql`
+  mutation UnmuteGroupMember($groupId: ID!, $memberId: ID!) {
+    unmuteGroupMember(groupId: $groupId, memberId: $memberId) {
+      ${GROUP_MEMBERSHIP_RESULT_FIELDS}
+    }
+  }
+`;
+
+export const SET_GROUP_SLOW_MODE = gql`
+  mutation SetGroupSlowMode($groupId: ID!, $seconds: Int!) {
+    setGroupSlowMode(groupId: $groupId, seconds: $seconds) {
+      _id
+      slowModeSeconds
+    }
+  }
+`;
+
+export const GET_GROUP_AUDIT_LOG = gql`
+  query GetGroupAuditLog($groupId: ID!, $before: String, $limit: Int) {
+    getGroupAuditLog(groupId: $groupId, before: $before, limit: $limit) {
+      events {
+        _id
+        action
+        actor {
+          id
+          name
+          profileImage
+        }
+        targetUsers {
+          id
+          name
+        }
+        targetMessageId
+        changes {
+          field
+          before
+          after
+        }
+        createdAt
+      }
+      pageInfo {
+        startCursor
+        hasPreviousPage
+      }
+    }
+  }
+`;
+
+export const DELETE_GROUP_MESSAGE = gql`
+  mutation DeleteGroupMessage($messageId: ID!) {
+    deleteGroupMessage(messageId: $messageId) {
+      _id
+      isDeleted
+    }
+  }
+`;
+
+export const GET_GROUP_MEDIA = gql`
+  query GetGroupMedia($groupId: ID!, $type: String!, $cursor: String, $limit: Int) {
+    getGroupMedia(groupId: $groupId, type: $type, cursor: $cursor, limit: $limit) {
+      items {
+        _id
+        content
+        messageType
+        media {
+          url
+          type
+          filename
+          size
+          duration
+        }
+        links
+        sender {
+          id
+          name
+        }
+        createdAt
+      }
+      pageInfo {
+        startCursor
+        hasPreviousPage
+      }
+    }
+  }
+`;
+
+export const CREATE_GROUP_POLL = gql`
+  mutation CreateGroupPoll($groupId: ID!, $input: PollInput!) {
+    createGroupPoll(groupId: $groupId, input: $input) {
+      _id
+      messageType
+      poll {
+        ${POLL_FIELDS}
+      }
+    }
+  }
+`;
+
+export const VOTE_IN_POLL = gql`
+  mutation VoteInPoll($messageId: ID!, $optionIds: [ID!]!) {
+    voteInPoll(messageId: $messageId, optionIds: $optionIds) {
+      _id
+      poll {
+        ${POLL_FIELDS}
+      }
+    }
+  }
+`;
+
+export const CLOSE_POLL = gql`
+  mutation ClosePoll($messageId: ID!) {
+    closePoll(messageId: $messageId) {
+      _id
+      poll {
+        ${POLL_FIELDS}
+      }
+    }
+  }
+`;
+
+export const GET_MY_MENTIONS = gql`
+  query GetMyMentions($before: String, $limit: Int) {
+    getMyMentions(before: $before, limit: $limit) {
+      mentions {
+        _id
+        content
+        mentionsAll
+        threadRoot
+        createdAt
+        sender {
+          id
+          name
+          profileImage
+        }
+        group {
+          _id
+          name
+          groupImage
+        }
+      }
+      pageInfo {
+        startCursor
+        hasPreviousPage
+      }
+    }
+  }
+`;
+
+const PINNED_GROUP_MESSAGE_FIELDS = `
+  _id
+  content
+  messageType
+  pinnedAt
+  sender {
+    id
+    name
+  }
+`;
+
+export const GET_PINNED_GROUP_MESSAGES = gql`
+  query GetPinnedGroupMessages($groupId: ID!) {
+    getPinnedGroupMessages(groupId: $groupId) {
+      ${PINNED_GROUP_MESSAGE_FIELDS}
+    }
+  }
+`;
+
+export const PIN_GROUP_MESSAGE = gql`
+  mutation PinGroupMessage($messageId: ID!) {
+    pinGroupMessage(messageId: $messageId) {
+      ${PINNED_GROUP_MESSAGE_FIELDS}
+    }
+  }
+`;
+
+export const UNPIN_GROUP_MESSAGE = gql`
+  mutation UnpinGroupMessage($messageId: ID!) {
+    unpinGroupMessage(messageId: $messageId) {
+      ${PINNED_GROUP_MESSAGE_FIELDS}
+    }
+  }
+`;
+
+const THREAD_MESSAGE_FIELDS = `
+  _id
+  content
+  messageType
+  createdAt
+  sender {
+    id
+    name
+    username
+    profileImage
+  }
+`;
+
+export const GET_THREAD = gql`
+  query GetThread($messageId: ID!, $before: String, $limit: Int) {
+    getThread(messageId: $messageId, before: $before, limit: $limit) {
+      root {
+        ${THREAD_MESSAGE_FIELDS}
+        ${THREAD_SUMMARY_FIELDS}
+      }
+      replies {
+        ${THREAD_MESSAGE_FIELDS}
+      }
+      pageInfo {
+        startCursor
+        hasPreviousPage
+      }
+    }
+  }
+`;
+
+export const FOLLOW_THREAD = gql`
+  mutation FollowThread($messageId: ID!) {
+    followThread(messageId: $messageId) {
+      _id
+      isFollowingThread
+    }
+  }
+`;
+
+export const UNFOLLOW_THREAD = gql`
+  mutation UnfollowThread($messageId: ID!) {
+    unfollowThread(messageId: $messageId) {
+      _id
+      isFollowingThread
+    }
+  }
+`;
+
+// Per-chat mute, archive and notification preferences of the current user
+const CONVERSATION_SETTINGS_FIELDS = `
+  chatType
+  chatId
+  isMuted
+  mutedUntil
+  archived
+  notificationSound
+  hidePreviews
+`;
+
+export const GET_CONVERSATION_SETTINGS = gql`
+  query GetConversationSettings {
+    getConversationSettings {
+      ${CONVERSATION_SETTINGS_FIELDS}
+    }
+  }
+`;
+
+export const MUTE_CONVERSATION = gql`
+  mutation MuteConversation($chatType: String!, $chatId: ID!, $minutes: Int) {
+    muteConversation(chatType: $chatType, chatId: $chatId, minutes: $minutes) {
+      ${CONVERSATION_SETTINGS_FIELDS}
+    }
+  }
+`;
+
+export const UNMUTE_CONVERSATION = gql`
+  mutation UnmuteConversation($chatType: String!, $chatId: ID!) {
+    unmuteConversation(chatType: $chatType, chatId: $chatId) {
+      ${CONVERSATION_SETTINGS_FIELDS}
+    }
+  }
+`;
+
+export const SET_CONVERSATION_ARCHIVED = gql`
+  mutation SetConversationArchived($chatType: String!, $chatId: ID!, $archived: Boolean!) {
+    setConversationArchived(chatType: $chatType, chatId: $chatId, archived: $archived) {
+      ${CONVERSATION_SETTINGS_FIELDS}
+    }
+  }
+`;
+
+export const UPDATE_NOTIFICATION_PREFERENCES = gql`
+  mutation UpdateNotificationPreferences($chatType: String!, $chatId: ID!, $notificationSound: String, $hidePreviews: Boolean) {
+    updateNotificationPreferences(chatType: $chatType, chatId: $chatId, notificationSound: $notificationSound, hidePreviews: $hidePreviews) {
+      ${CONVERSATION_SETTINGS_FIELDS}
+    }
+  }
+`;
+
+const GROUP_CALL_FIELDS = `
+  id
+  groupId
+  roomId
+  callType
+  status
+  startedBy {
+    id
+    name
+  }
+  participants {
+    user {
+      id
+      name
+      profileImage
+    }
+    joinedAt
+  }
+  startedAt
+  endedAt
+`;
+
+export const GET_ACTIVE_GROUP_CALL = gql`
+  query GetActiveGroupCall($groupId: ID!) {
+    getActiveGroupCall(groupId: $groupId) {
+      ${GROUP_CALL_FIELDS}
+    }
+  }
+`;
+
+export const START_GROUP_CALL = gql`
+  mutation StartGroupCall($groupId: ID!, $callType: String) {
+    startGroupCall(groupId: $groupId, callType: $callType) {
+      ${GROUP_CALL_FIELDS}
+    }
+  }
+`;
+
+export const END_GROUP_CALL = gql`
+  mutation EndGroupCall($callId: ID!) {
+    endGroupCall(callId: $callId) {
+      ${GROUP_CALL_FIELDS}
+    }
+  }
+`;
+
+export const GET_CALL_HISTORY = gql`
+  query GetCallHistory($status: String, $before: String, $after: String, $limit: Int) {
+    getCallHistory(status: $status, before: $before, after: $after, limit: $limit) {
+      calls {
+        id
+        peer {
+          id
+          name
+          username
+          profileImage
+        }
+        direction
+        callType
+        status
+        startedAt
+        answeredAt
+        endedAt
+        duration
+      }
+      pageInfo {
+        startCursor
+        hasPreviousPage
+      }
+    }
+  }
+`;
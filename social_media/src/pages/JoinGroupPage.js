@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQuery } from '@apollo/client';
+import { useNavigate, useParams } from 'react-router-dom';
+import Navbar from '../components/navbar/Navbar';
+import FooterNav from '../components/footer/FooterNav';
+import { PREVIEW_GROUP_INVITE, JOIN_GROUP_BY_INVITE, REQUEST_TO_JOIN_GROUP } from '../graphql/mutations';
+
+const JoinGroupPage = () => {
+  const { code } = useParams();
+  const token = sessionStorage.getItem('user');
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!token) {
+      navigate('/login');
+    }
+  }, [navigate, token]);
+
+  const { data, loading, error } = useQuery(PREVIEW_GROUP_INVITE, {
+    variables: { code },
+    skip: !token,
+    fetchPolicy: 'network-only'
+  });
+  const [joinGroup, { loading: joining, data: joinData }] = useMutation(JOIN_GROUP_BY_INVITE);
+  const [requestToJoin, { loading: requesting, data: requestData }] = useMutation(REQUEST_TO_JOIN_GROUP);
+  const [requestMessage, setRequestMessage] = useState('');
+
+  const preview = data?.previewGroupInvite;
+  const joinResult = joinData?.joinGroupByInvite;
+  const requestSent = preview?.hasPendingRequest || Boolean(requestData?.requestToJoinGroup);
+  // A dead link to a private group can still be used to ask the admins for access
+  const canRequest = preview && !preview.valid && !preview.alreadyMember && preview.isPrivate && preview.groupId;
+
+  const handleJoin = async () => {
+    try {
+      const { data: result } = await joinGroup({ variables: { code } });
+      if (result?.joinGroupByInvite?.success) {
+        navigate('/chat');
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleRequest = async () => {
+    try {
+      await requestToJoin({ variables: { groupId: preview.groupId, message: requestMessage.trim() || null } });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+      <div className="pt-16 pb-20 md:ml-64">
+        <div className="max-w-md mx-auto mt-10 bg-white rounded-2xl shadow-[0_8px_30px_rgb(0,0,0,0.12)] p-6 text-center">
+          {loading && <p className="text-gray-500">Loading invite...</p>}
+          {error && <p className="text-red-500">{error.message}</p>}
+          {preview && (
+            <>
+              {preview.name && (
+                <>
+                  <img
+                    src={preview.groupImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(preview.name)}&background=8B5CF6&color=fff`}
+                    alt={preview.name}
+                    className="w-24 h-24 rounded-full mx-auto mb-4 object-cover"
+                  />
+                  <h2 className="text-xl font-bold">{preview.name}</h2>
+                  {preview.description && <p className="text-gray-600 mt-1">{preview.description}</p>}
+                  <p className="text-sm text-gray-500 mt-2">
+                    {preview.memberCount} / {preview.maxMembers} members
+                  </p>
+                </>
+              )}
+
+              {preview.alreadyMember ? (
+                <button
+                  type="button"
+                  onClick={() => navigate('/chat')}
+                  className="mt-6 w-full py-2 bg-purple-500 text-white rounded-lg font-semibold hover:bg-purple-600"
+                >
+                  You're already a member. Open chat
+                </button>
+              ) : preview.valid ? (
+                <button
+                  type="button"
+                  onClick={handleJoin}
+                  disabled={joining}
+                  className="mt-6 w-full py-2 bg-purple-500 text-white rounded-lg font-semibold hover:bg-purple-600 disabled:opacity-50"
+                >
+                  {joining ? 'Joining...' : 'Join group'}
+                </button>
+              ) : (
+                <p className="mt-6 text-red-500">{preview.reason || 'This invite link is no longer valid'}</p>
+              )}
+
+              {canRequest && (requestSent ? (
+                <p className="mt-4 text-sm text-gray-600">Request sent. You'll be notified when an admin reviews it.</p>
+              ) : (
+                <div className="mt-4 text-left">
+                  <textarea
+                    value={requestMessage}
+                    onChange={(e) => setRequestMessage(e.target.value)}
+                    maxLength={500}
+                    rows={3}
+                    placeholder="Add a note for the admins (optional)"
+                    className="w-full p-2 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleRequest}
+                    disabled={requesting}
+                    className="mt-2 w-full py-2 bg-purple-500 text-white rounded-lg font-semibold hover:bg-purple-600 disabled:opacity-50"
+                  >
+                    {requesting ? 'Sending...' : 'Ask to join'}
+                  </button>
+                </div>
+              ))}
+
+              {joinResult && !joinResult.success && (
+                <p className="mt-3 text-sm text-red-500">{joinResult.message}</p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+      <FooterNav />
+    </div>
+  );
+};
+
+export default JoinGroupPage;
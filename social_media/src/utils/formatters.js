@@ -36,4 +36,14 @@ export const formatViewCount = (views) => {
   if (views < 1000) return views.toString();
   if (views < 1000000) return `${(views / 1000).toFixed(1)}K`;
   return `${(views / 1000000).toFixed(1)}M`;
-};
\ No newline at end of file
+};
+/**
+ * Parse a timestamp that may arrive as epoch milliseconds (GraphQL) or an ISO string (socket payloads)
+ * @param {string|number} value - Timestamp value
+ * @returns {Date|null} - Parsed date, or null when missing/invalid
+ */
+export const parseTimestamp = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const date = isNaN(Number(value)) ? new Date(value) : new Date(Number(value));
+  return isNaN(date.getTime()) ? null : date;
+};
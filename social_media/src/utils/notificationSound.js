@@ -0,0 +1,51 @@
+// Short notification tones generated with the Web Audio API, so no sound files need to ship
+
+/**
+ * Available notification sounds, in the order settings should list them
+ */
+export const NOTIFICATION_SOUNDS = [
+  { value: 'default', label: 'Default' },
+  { value: 'chime', label: 'Chime' },
+  { value: 'pop', label: 'Pop' },
+  { value: 'bell', label: 'Bell' },
+  { value: 'none', label: 'None' }
+];
+
+// Each tone is a list of [frequency in Hz, start offset in s, length in s]
+const TONES = {
+  default: [[880, 0, 0.12], [1320, 0.12, 0.16]],
+  chime: [[1046, 0, 0.18], [1318, 0.15, 0.18], [1568, 0.3, 0.3]],
+  pop: [[600, 0, 0.06]],
+  bell: [[1760, 0, 0.6], [2637, 0, 0.4]]
+};
+
+let audioContext = null;
+
+/**
+ * Play a notification sound. Browsers block audio until the user has interacted
+ * with the page, so a failure here is only logged.
+ * @param {string} sound - One of NOTIFICATION_SOUNDS' values
+ */
+export const playNotificationSound = (sound = 'default') => {
+  const tone = TONES[sound] || (sound === 'none' ? null : TONES.default);
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!tone || !AudioContext) return;
+
+  try {
+    audioContext = audioContext || new AudioContext();
+    const start = audioContext.currentTime;
+    tone.forEach(([frequency, offset, length]) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, start + offset);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + offset + length);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(start + offset);
+      oscillator.stop(start + offset + length);
+    });
+  } catch (error) {
+    console.error('Could not play notification sound:', error);
+  }
+};